@@ -0,0 +1,441 @@
+/**
+ * Headless Autostaker Runner
+ * Runs the same autostaker cycle as the in-app bot, on a server.
+ *
+ * Usage:
+ *   AUTOSTAKER_KEYSTORE_PASSWORD=... npm run autostaker -- --config autostaker.config.json [--once] [--dry-run]
+ *
+ *   --config <path>  JSON config file (see cli/autostaker.config.example.json)
+ *   --once           Run a single cycle and exit
+ *   --dry-run        Only analyze and log the actions; nothing is sent and no keystore is needed
+ *
+ * Logs are written as one JSON object per line to stdout (errors to stderr).
+ * When the circuit breaker trips, cycles are skipped until "circuitBreaker" is
+ * removed from the state file.
+ * Notification channels from the "notifications" config receive the results of each
+ * cycle and new flags, slashings and queue entries of the operator.
+ */
+
+import { createRequire } from 'module';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve, dirname } from 'path';
+
+const require = createRequire(import.meta.url);
+
+// The autostaker core expects ethers v5 as a global, like in the browser
+globalThis.ethers = require('../libs/ethers.umd.min.js');
+
+const Autostaker = await import('../src/features/autostaker.js');
+const { createJournalEntry, summarizeUsage } = await import('../src/features/autostakerJournal.js');
+const Notifications = await import('../src/features/notifications.js');
+const { setSubgraphEndpoint } = await import('../src/core/subgraph.js');
+const { FallbackRpcProvider } = await import('../src/core/rpc.js');
+const { buildGraphUrl, POLYGON_RPC_URL, POLYGON_RPC_RATE_LIMIT, OPERATOR_CONTRACT_ABI } = await import('../src/core/constants.js');
+
+const DEFAULT_SCHEDULE = '*/5 * * * *';
+const KEYSTORE_PASSWORD_ENV = 'AUTOSTAKER_KEYSTORE_PASSWORD';
+const USAGE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Structured Logging
+// ============================================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+let minLogLevel = LOG_LEVELS.info;
+
+function writeLog(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < minLogLevel) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields }, (key, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+    );
+    (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const logger = {
+    debug: (msg, fields) => writeLog('debug', msg, fields),
+    info: (msg, fields) => writeLog('info', msg, fields),
+    warn: (msg, fields) => writeLog('warn', msg, fields),
+    error: (msg, fields) => writeLog('error', msg, fields)
+};
+
+// Map autostaker onLog types to log levels
+const CYCLE_LOG_LEVELS = { info: 'info', action: 'info', success: 'info', warning: 'warn', error: 'error' };
+
+function logCycleMessage(type, message) {
+    writeLog(CYCLE_LOG_LEVELS[type] || 'info', message.trim(), { event: type });
+}
+
+/**
+ * Route the core's console output through the structured logger
+ */
+function captureConsole() {
+    const format = (args) => args.map(arg => (arg instanceof Error ? arg.message : (typeof arg === 'object' ? JSON.stringify(arg, (k, v) => typeof v === 'bigint' ? v.toString() : v) : String(arg)))).join(' ');
+    console.log = (...args) => logger.debug(format(args));
+    console.info = (...args) => logger.info(format(args));
+    console.warn = (...args) => logger.warn(format(args));
+    console.error = (...args) => logger.error(format(args));
+}
+
+// ============================================
+// Cron Schedule
+// ============================================
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+/**
+ * Parse one cron field (supports *, n, a-b, lists and /step)
+ * @returns {Set<number>} Allowed values
+ */
+function parseCronField(expr, { name, min, max }) {
+    const values = new Set();
+    for (const part of expr.split(',')) {
+        const [range, stepStr] = part.split('/');
+        const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+        let from = min;
+        let to = max;
+        if (range !== '*') {
+            const [a, b] = range.split('-').map(v => parseInt(v, 10));
+            from = a;
+            to = b === undefined ? (stepStr === undefined ? a : max) : b;
+        }
+        if ([from, to, step].some(Number.isNaN) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid cron ${name} field: "${expr}"`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed schedule
+ */
+function parseCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+/**
+ * Get the next time (after `from`) matching the schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} from - Start time
+ * @returns {Date} Next run time
+ */
+function getNextRunTime(schedule, from) {
+    const next = new Date(from);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    // Searching one year of minutes is enough for any valid expression
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        const domMatch = schedule.dayOfMonth.has(next.getDate());
+        const dowMatch = schedule.dayOfWeek.has(next.getDay());
+        // Standard cron: if both day fields are restricted, either may match
+        const dayMatch = schedule.anyDayOfMonth || schedule.anyDayOfWeek ? domMatch && dowMatch : domMatch || dowMatch;
+
+        if (dayMatch && schedule.month.has(next.getMonth() + 1) && schedule.hour.has(next.getHours()) && schedule.minute.has(next.getMinutes())) {
+            return next;
+        }
+        next.setMinutes(next.getMinutes() + 1);
+    }
+    throw new Error('Cron expression never matches');
+}
+
+// ============================================
+// Config & State
+// ============================================
+
+function parseArgs(argv) {
+    const args = { configPath: 'autostaker.config.json', once: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') args.configPath = argv[++i];
+        else if (argv[i] === '--once') args.once = true;
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+async function loadRunnerConfig(configPath) {
+    const fullPath = resolve(configPath);
+    const raw = JSON.parse(await readFile(fullPath, 'utf8'));
+    const baseDir = dirname(fullPath);
+
+    if (!raw.operatorId || !/^0x[0-9a-fA-F]{40}$/.test(raw.operatorId)) {
+        throw new Error('Config "operatorId" must be an operator contract address');
+    }
+
+    return {
+        operatorId: raw.operatorId.toLowerCase(),
+        keystorePath: raw.keystorePath ? resolve(baseDir, raw.keystorePath) : null,
+        rpcEndpoints: loadRpcEndpoints(raw),
+        rpcBatch: raw.rpcBatch === true,
+        subgraphUrl: raw.subgraphUrl || buildGraphUrl(raw.graphApiKey || undefined),
+        schedule: raw.schedule || DEFAULT_SCHEDULE,
+        statePath: resolve(baseDir, raw.statePath || 'autostaker-state.json'),
+        logLevel: raw.logLevel || 'info',
+        excludedSponsorships: new Set((raw.excludedSponsorships || []).map(id => id.toLowerCase())),
+        autostaker: { ...Autostaker.getDefaultConfig(), ...(raw.autostaker || {}) },
+        notifications: loadNotificationConfig(raw.notifications || {})
+    };
+}
+
+/**
+ * "rpcEndpoints" lists URLs or { url, rateLimit } objects in priority order;
+ * a single "rpcUrl" (or the public endpoint) is used when it is missing
+ */
+function loadRpcEndpoints(raw) {
+    if (!Array.isArray(raw.rpcEndpoints) || raw.rpcEndpoints.length === 0) {
+        return raw.rpcUrl ? [{ url: raw.rpcUrl }] : [{ url: POLYGON_RPC_URL, rateLimit: POLYGON_RPC_RATE_LIMIT }];
+    }
+    return raw.rpcEndpoints.map(endpoint => {
+        const { url, rateLimit = 0 } = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+        if (!/^https?:\/\//i.test(url || '')) throw new Error(`Config "rpcEndpoints" entry "${url}" must be an http(s) URL`);
+        return { url, rateLimit };
+    });
+}
+
+function loadNotificationConfig(raw) {
+    const defaults = Notifications.getDefaultNotificationSettings();
+    const channels = raw.channels || [];
+    for (const channel of channels) {
+        const error = Notifications.validateChannel(channel);
+        if (error) throw new Error(`Notification channel "${channel.name || channel.type}": ${error}`);
+    }
+    // Browser notifications do not exist here
+    return { ...defaults, events: { ...defaults.events, ...raw.events }, channels, browserEnabled: false };
+}
+
+/**
+ * The state file keeps values the bot updates itself (lastCollectTime, the
+ * transactions of the last 24h for the daily guardrails and the circuit
+ * breaker), so the user's config file is never rewritten
+ */
+async function loadState(statePath) {
+    try {
+        return JSON.parse(await readFile(statePath, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') logger.warn('Failed to read state file, starting fresh', { statePath, error: e.message });
+        return {};
+    }
+}
+
+async function saveState(statePath, state) {
+    await writeFile(statePath, JSON.stringify(state, null, 2));
+}
+
+async function loadSigner(keystorePath, provider) {
+    if (!keystorePath) {
+        throw new Error('Config "keystorePath" is required unless running with --dry-run');
+    }
+    const password = process.env[KEYSTORE_PASSWORD_ENV];
+    if (password === undefined) {
+        throw new Error(`Set ${KEYSTORE_PASSWORD_ENV} to decrypt the keystore`);
+    }
+    const wallet = await ethers.Wallet.fromEncryptedJson(await readFile(keystorePath, 'utf8'), password);
+    return wallet.connect(provider);
+}
+
+// ============================================
+// Notifications
+// ============================================
+
+async function sendNotifications(settings, notifications) {
+    for (const notification of notifications) {
+        const results = await Notifications.dispatchNotification(notification, settings);
+        for (const result of results) {
+            if (result.ok) {
+                logger.debug('Notification sent', { event: 'notification', type: notification.type, channel: result.channel });
+            } else {
+                logger.warn('Notification failed', { event: 'notification', type: notification.type, channel: result.channel, error: result.error });
+            }
+        }
+    }
+}
+
+/**
+ * Notify about flags, slashings and queue entries that appeared since the last check.
+ * The snapshot of seen events is kept in the state file.
+ */
+async function checkOperatorEvents(config, state) {
+    if (config.notifications.channels.length === 0) return;
+    try {
+        const events = await Notifications.fetchOperatorEvents(config.operatorId);
+        const notifications = Notifications.diffOperatorEvents(config.operatorId, state.eventSnapshot || null, events);
+        state.eventSnapshot = Notifications.createEventSnapshot(events);
+        await sendNotifications(config.notifications, notifications);
+    } catch (e) {
+        logger.warn('Failed to check operator events', { event: 'notification', error: e.message });
+    }
+}
+
+// ============================================
+// Cycles
+// ============================================
+
+async function runCycle(runner) {
+    const { config, provider, signer, args } = runner;
+    const state = await loadState(config.statePath);
+    const autostakerConfig = { ...config.autostaker, lastCollectTime: state.lastCollectTime || null };
+    const startedAt = Date.now();
+
+    logger.info('Cycle started', { event: 'cycle_start', operatorId: config.operatorId, dryRun: args.dryRun });
+
+    if (args.dryRun) {
+        const operatorContract = new ethers.Contract(config.operatorId, OPERATOR_CONTRACT_ABI, provider);
+        const analysis = await Autostaker.analyzeAndCalculateActions(config.operatorId, autostakerConfig, operatorContract, config.excludedSponsorships);
+        for (const action of analysis.actions) {
+            logger.info(Autostaker.formatActionForDisplay(action, analysis.stakeableSponsorships), {
+                event: 'planned_action',
+                type: action.type,
+                sponsorshipId: action.sponsorshipId,
+                amountWei: action.amount,
+                targetStakeWei: action.targetStake
+            });
+        }
+        logger.info('Dry run finished', {
+            event: 'cycle_end',
+            actions: analysis.actions.length,
+            freeBalanceWei: analysis.myUnstakedAmount,
+            queueWei: analysis.undelegationQueueAmount,
+            skippedReason: analysis.skippedReason,
+            durationMs: Date.now() - startedAt
+        });
+        return;
+    }
+
+    await checkOperatorEvents(config, state);
+
+    const breaker = state.circuitBreaker || { consecutiveFailures: 0, trippedAt: null, reason: null };
+    if (breaker.trippedAt) {
+        await saveState(config.statePath, state);
+        logger.error('Circuit breaker is tripped, skipping cycle', { event: 'circuit_breaker', trippedAt: breaker.trippedAt, reason: breaker.reason, statePath: config.statePath });
+        return;
+    }
+
+    const since = new Date(startedAt - USAGE_WINDOW_MS);
+    const recentCycles = (state.recentCycles || []).filter(entry => entry.startedAt >= since.toISOString());
+
+    let cycle = null;
+    let cycleError = null;
+    try {
+        cycle = await Autostaker.runAutostakerCycle({
+            operatorId: config.operatorId,
+            signer,
+            config: autostakerConfig,
+            excludedSponsorships: config.excludedSponsorships,
+            onLog: logCycleMessage,
+            onConfigChange: (updated) => saveState(config.statePath, { ...state, lastCollectTime: updated.lastCollectTime })
+                .catch(e => logger.error('Failed to write state file', { error: e.message })),
+            guardrailUsage: summarizeUsage(recentCycles, since)
+        });
+
+        logger.info('Cycle finished', {
+            event: 'cycle_end',
+            actions: cycle.analysis.actions.length,
+            successful: cycle.execution?.results.successful.length || 0,
+            failed: cycle.execution?.results.failed.length || 0,
+            blocked: cycle.blocked.length,
+            collected: !!(cycle.collectResult?.success && !cycle.collectResult.skipped),
+            durationMs: Date.now() - startedAt
+        });
+        await sendNotifications(config.notifications, Notifications.getAutostakerCycleNotifications(config.operatorId, cycle));
+    } catch (e) {
+        cycleError = e;
+    }
+
+    const { transactions } = createJournalEntry({ operatorId: config.operatorId, config: autostakerConfig, startedAt: new Date(startedAt), cycle, error: cycleError });
+    const execution = cycle?.execution;
+    const updatedBreaker = Autostaker.updateCircuitBreaker(
+        breaker,
+        !!cycleError || (!!execution && !execution.success),
+        autostakerConfig.circuitBreakerThreshold,
+        cycleError ? cycleError.message : execution?.results.failed[0]?.error
+    );
+    if (updatedBreaker.trippedAt) {
+        logger.error('Circuit breaker tripped, pausing the bot', { event: 'circuit_breaker', reason: updatedBreaker.reason });
+    }
+
+    await saveState(config.statePath, {
+        ...state,
+        lastCollectTime: cycle?.config.lastCollectTime ?? state.lastCollectTime ?? null,
+        recentCycles: [...recentCycles, { startedAt: new Date(startedAt).toISOString(), transactions }],
+        circuitBreaker: updatedBreaker
+    });
+
+    if (cycleError) throw cycleError;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = await loadRunnerConfig(args.configPath);
+    minLogLevel = LOG_LEVELS[config.logLevel] ?? LOG_LEVELS.info;
+    captureConsole();
+
+    setSubgraphEndpoint(config.subgraphUrl);
+    const provider = new FallbackRpcProvider(config.rpcEndpoints, { batch: config.rpcBatch });
+    const signer = args.dryRun ? null : await loadSigner(config.keystorePath, provider);
+    const runner = { config, provider, signer, args };
+
+    logger.info('Autostaker runner started', {
+        event: 'start',
+        operatorId: config.operatorId,
+        agent: signer ? await signer.getAddress() : null,
+        schedule: args.once ? 'once' : config.schedule,
+        allocationStrategy: config.autostaker.allocationStrategy
+    });
+
+    if (args.once) {
+        await runCycle(runner);
+        return;
+    }
+
+    const schedule = parseCron(config.schedule);
+    let timer = null;
+    let running = null;
+    let stopping = false;
+
+    const scheduleNext = () => {
+        const next = getNextRunTime(schedule, new Date());
+        logger.info('Next cycle scheduled', { event: 'scheduled', nextRun: next.toISOString() });
+        timer = setTimeout(async () => {
+            running = runCycle(runner).catch(e => logger.error('Cycle failed', { event: 'cycle_error', error: e.message }));
+            await running;
+            running = null;
+            if (!stopping) scheduleNext();
+        }, next.getTime() - Date.now());
+    };
+
+    const shutdown = async (signal) => {
+        if (stopping) return;
+        stopping = true;
+        clearTimeout(timer);
+        logger.info('Shutting down', { event: 'stop', signal, waitingForCycle: !!running });
+        if (running) await running;
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    scheduleNext();
+}
+
+main().catch(e => {
+    logger.error('Runner failed', { event: 'fatal', error: e.message });
+    process.exit(1);
+});
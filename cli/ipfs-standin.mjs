@@ -0,0 +1,149 @@
+/**
+ * Local IPFS API Stand-In
+ * Implements the parts of the Kubo RPC API the app uses for operator images
+ * (/api/v0/add) and serves added files from memory under /ipfs/<cid>, so image
+ * pinning can be tested without an IPFS node or pinning service.
+ *
+ * Usage:
+ *   npm run ipfs-standin -- [--port 5001] [--status 200]
+ *
+ *   --port <n>    Port to listen on (default 5001)
+ *   --status <n>  HTTP status to answer /api/v0/add with, e.g. 500 to test failures
+ *
+ * Set the IPFS API URL in the app settings to http://localhost:5001
+ *
+ * CIDs are CIDv1 raw sha2-256, the same as Kubo returns with cid-version=1 for
+ * files up to one chunk (256 KiB). Nothing is persisted or published.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function parseArgs(argv) {
+    const args = { port: 5001, status: 200 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--status') args.status = parseInt(argv[++i], 10);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+function base32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+// CIDv1 (0x01), raw codec (0x55), sha2-256 multihash (0x12, 32 bytes), multibase base32 ('b')
+function computeCid(data) {
+    const digest = createHash('sha256').update(data).digest();
+    return 'b' + base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]));
+}
+
+// Extract the first file from a multipart/form-data body
+function parseMultipartFile(body, requestContentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(requestContentType || '');
+    if (!match) return null;
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+
+    const start = body.indexOf(delimiter);
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    if (start === -1 || headerEnd === -1) return null;
+    const end = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headerEnd);
+    if (end === -1) return null;
+
+    const headers = body.subarray(start + delimiter.length, headerEnd).toString();
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1] || 'file';
+    const contentType = /Content-Type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream';
+    return { filename, contentType, data: body.subarray(headerEnd + 4, end) };
+}
+
+const args = parseArgs(process.argv.slice(2));
+const files = new Map();
+
+const server = createServer((req, res) => {
+    // The app uploads from the browser, so answer CORS preflights
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${args.port}`);
+
+    if (req.method === 'GET' && url.pathname.startsWith('/ipfs/')) {
+        const file = files.get(url.pathname.slice('/ipfs/'.length));
+        if (!file) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': file.contentType });
+        res.end(file.data);
+        return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/api/v0/add') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ Message: `${url.pathname} is not supported by the stand-in`, Code: 0, Type: 'error' }));
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const ok = args.status >= 200 && args.status < 300;
+        if (!ok) {
+            console.log(`${new Date().toISOString()} add -> ${args.status} (configured to fail)`);
+            res.writeHead(args.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ Message: 'Stand-in configured to fail', Code: 0, Type: 'error' }));
+            return;
+        }
+
+        const file = parseMultipartFile(Buffer.concat(chunks), req.headers['content-type']);
+        if (!file) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ Message: 'expected a multipart file', Code: 0, Type: 'error' }));
+            return;
+        }
+
+        const cid = computeCid(file.data);
+        files.set(cid, { data: file.data, contentType: file.contentType });
+
+        console.log(JSON.stringify({
+            time: new Date().toISOString(),
+            filename: file.filename,
+            bytes: file.data.length,
+            cid,
+            authorization: req.headers.authorization ? 'present' : 'none',
+            url: `http://localhost:${args.port}/ipfs/${cid}`
+        }, null, 2));
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ Name: file.filename, Hash: cid, Size: String(file.data.length) }) + '\n');
+    });
+});
+
+server.listen(args.port, () => {
+    console.log(`IPFS API stand-in listening on http://localhost:${args.port} (answering ${args.status})`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
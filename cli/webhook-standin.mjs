@@ -0,0 +1,82 @@
+/**
+ * Local Webhook Stand-In
+ * Accepts notification webhooks (generic JSON, Discord, Telegram) and prints
+ * each request, so notification channels can be tested without real services.
+ *
+ * Usage:
+ *   npm run webhook-standin -- [--port 8787] [--status 200]
+ *
+ *   --port <n>    Port to listen on (default 8787)
+ *   --status <n>  HTTP status to answer with, e.g. 500 to test delivery failures
+ *
+ * Point a channel at it in the app or runner config:
+ *   Webhook / Discord URL:  http://localhost:8787/anything
+ *   Telegram API URL:       http://localhost:8787  (requests go to /bot<token>/sendMessage)
+ */
+
+import { createServer } from 'http';
+
+function parseArgs(argv) {
+    const args = { port: 8787, status: 200 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--status') args.status = parseInt(argv[++i], 10);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+// Tell which format a request was sent in, to make the output easier to read
+function detectFormat(url, body) {
+    if (/\/bot[^/]+\/sendMessage$/.test(url)) return 'telegram';
+    if (body && Array.isArray(body.embeds)) return 'discord';
+    return 'webhook';
+}
+
+const args = parseArgs(process.argv.slice(2));
+let requestCount = 0;
+
+const server = createServer((req, res) => {
+    // The app posts from the browser, so answer CORS preflights
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body = null;
+        try {
+            body = raw ? JSON.parse(raw) : null;
+        } catch {
+            body = raw;
+        }
+
+        requestCount++;
+        console.log(JSON.stringify({
+            n: requestCount,
+            time: new Date().toISOString(),
+            method: req.method,
+            url: req.url,
+            format: detectFormat(req.url, body),
+            body
+        }, null, 2));
+
+        const ok = args.status >= 200 && args.status < 300;
+        res.writeHead(args.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? { ok: true } : { ok: false, description: 'Stand-in configured to fail' }));
+    });
+});
+
+server.listen(args.port, () => {
+    console.log(`Webhook stand-in listening on http://localhost:${args.port} (answering ${args.status})`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
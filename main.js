@@ -4,6 +4,8 @@ import * as UI from './src/ui/ui.js';
 import * as Services from './src/core/services.js';
 import { Router } from './src/core/router.js';
 import * as Autostaker from './src/features/autostaker.js';
+import * as AutostakerJournal from './src/features/autostakerJournal.js';
+import * as Notifications from './src/features/notifications.js';
 import { navigationController } from './src/ui/navigation.js';
 import { OperatorLogic } from './src/features/operator.js';
 
@@ -11,9 +13,23 @@ import { OperatorLogic } from './src/features/operator.js';
 let RaceLogic = null;
 let VisualLogic = null;
 let DelegatorsLogic = null;
+let SponsorshipsLogic = null;
+let StreamsLogic = null;
+let PortfolioLogic = null;
+let OperatorWizardLogic = null;
+let QueuesLogic = null;
+let CompareLogic = null;
+let WatchlistLogic = null;
 let raceModuleLoading = false;
 let visualModuleLoading = false;
 let delegatorsModuleLoading = false;
+let sponsorshipsModuleLoading = false;
+let streamsModuleLoading = false;
+let portfolioModuleLoading = false;
+let operatorWizardModuleLoading = false;
+let queuesModuleLoading = false;
+let compareModuleLoading = false;
+let watchlistModuleLoading = false;
 
 // PWA Installation - use global variable set by inline script in HTML
 // The inline script captures beforeinstallprompt early, before modules load
@@ -278,6 +294,237 @@ async function loadDelegatorsModule() {
     }
 }
 
+/**
+ * Lazy load the Sponsorships module
+ * @returns {Promise<object>} The SponsorshipsLogic module
+ */
+async function loadSponsorshipsModule() {
+    if (SponsorshipsLogic) return SponsorshipsLogic;
+    if (sponsorshipsModuleLoading) {
+        // Wait for existing load to complete
+        while (sponsorshipsModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return SponsorshipsLogic;
+    }
+    
+    sponsorshipsModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/sponsorships.js');
+        SponsorshipsLogic = module.SponsorshipsLogic;
+        return SponsorshipsLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Sponsorships View',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        sponsorshipsModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the Streams module
+ * @returns {Promise<object>} The StreamsLogic module
+ */
+async function loadStreamsModule() {
+    if (StreamsLogic) return StreamsLogic;
+    if (streamsModuleLoading) {
+        // Wait for existing load to complete
+        while (streamsModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return StreamsLogic;
+    }
+    
+    streamsModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/streams.js');
+        StreamsLogic = module.StreamsLogic;
+        return StreamsLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Streams View',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        streamsModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the Portfolio module
+ * @returns {Promise<object>} The PortfolioLogic module
+ */
+async function loadPortfolioModule() {
+    if (PortfolioLogic) return PortfolioLogic;
+    if (portfolioModuleLoading) {
+        // Wait for existing load to complete
+        while (portfolioModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return PortfolioLogic;
+    }
+    
+    portfolioModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/portfolio.js');
+        PortfolioLogic = module.PortfolioLogic;
+        return PortfolioLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Portfolio View',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        portfolioModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the new operator wizard module
+ * @returns {Promise<object>} The OperatorWizardLogic module
+ */
+async function loadOperatorWizardModule() {
+    if (OperatorWizardLogic) return OperatorWizardLogic;
+    if (operatorWizardModuleLoading) {
+        // Wait for existing load to complete
+        while (operatorWizardModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return OperatorWizardLogic;
+    }
+    
+    operatorWizardModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/operatorWizard.js');
+        OperatorWizardLogic = module.OperatorWizardLogic;
+        return OperatorWizardLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Operator Wizard',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        operatorWizardModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the undelegation queues module
+ * @returns {Promise<object>} The QueuesLogic module
+ */
+async function loadQueuesModule() {
+    if (QueuesLogic) return QueuesLogic;
+    if (queuesModuleLoading) {
+        // Wait for existing load to complete
+        while (queuesModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return QueuesLogic;
+    }
+    
+    queuesModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/queues.js');
+        QueuesLogic = module.QueuesLogic;
+        return QueuesLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Queues View',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        queuesModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the operator comparison module
+ * @returns {Promise<object>} The CompareLogic module
+ */
+async function loadCompareModule() {
+    if (CompareLogic) return CompareLogic;
+    if (compareModuleLoading) {
+        // Wait for existing load to complete
+        while (compareModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return CompareLogic;
+    }
+    
+    compareModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/compare.js');
+        CompareLogic = module.CompareLogic;
+        return CompareLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Compare View',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        compareModuleLoading = false;
+    }
+}
+
+/**
+ * Lazy load the watchlist module
+ * @returns {Promise<object>} The WatchlistLogic module
+ */
+async function loadWatchlistModule() {
+    if (WatchlistLogic) return WatchlistLogic;
+    if (watchlistModuleLoading) {
+        // Wait for existing load to complete
+        while (watchlistModuleLoading) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return WatchlistLogic;
+    }
+    
+    watchlistModuleLoading = true;
+    
+    try {
+        const module = await import('./src/features/watchlist.js');
+        WatchlistLogic = module.WatchlistLogic;
+        return WatchlistLogic;
+    } catch (error) {
+        UI.showToast({
+            type: 'error',
+            title: 'Failed to load Watchlist',
+            message: error.message,
+            duration: 5000
+        });
+        throw error;
+    } finally {
+        watchlistModuleLoading = false;
+    }
+}
+
 const { logger } = Utils;
 
 // --- Private Key Encryption Utilities (Keystore V3 - Ethers.js Standard) ---
@@ -380,6 +627,27 @@ async function initializeApp() {
             if (DelegatorsLogic) {
                 DelegatorsLogic.setSharedState({ dataPriceUSD: price });
             }
+            // Update sponsorships module if loaded
+            if (SponsorshipsLogic) {
+                SponsorshipsLogic.setSharedState({ dataPriceUSD: price });
+            }
+            // Update streams module if loaded
+            if (StreamsLogic) {
+                StreamsLogic.setSharedState({ dataPriceUSD: price });
+            }
+            // Update portfolio module if loaded
+            if (PortfolioLogic) {
+                PortfolioLogic.setSharedState({ dataPriceUSD: price });
+            }
+            if (QueuesLogic) {
+                QueuesLogic.setSharedState({ dataPriceUSD: price });
+            }
+            if (CompareLogic) {
+                CompareLogic.setSharedState({ dataPriceUSD: price });
+            }
+            if (WatchlistLogic) {
+                WatchlistLogic.setSharedState({ dataPriceUSD: price });
+            }
         });
         
         // Hide login modal and show main UI
@@ -410,6 +678,9 @@ async function initializeApp() {
             bottomNav.className = 'md:hidden fixed bottom-0 left-0 right-0 z-40 bg-[#1A1A1A]/95 backdrop-blur-md border-t border-[#2a2a2a] safe-area-bottom';
         }
 
+        // Health-check the subgraph endpoints before the first page queries them
+        Services.startSubgraphMonitor();
+
         // Initialize router and handle current route
         router.init();
 
@@ -684,7 +955,12 @@ let autostakerState = {
     logs: [],
     operatorId: null,  
     operatorSigner: null,
-    cachedOperatorData: null  // Cached operator data for quick access
+    cachedOperatorData: null,  // Cached operator data for quick access
+    simulation: {
+        excluded: new Set(),   // Working copy of the exclusion set for dry runs
+        streamIds: new Map(),  // Sponsorship ID -> stream ID, for labelling exclusions
+        isRunning: false
+    }
 };
 
 // Add log entry to the autostaker
@@ -787,6 +1063,7 @@ async function handleAutostakerClick() {
     if (autostakerState.operatorId === operatorId && autostakerState.cachedOperatorData) {
         autostakerState.config = Autostaker.loadAutostakerConfig(operatorId);
         UI.populateAutostakerSettings(autostakerState.config);
+        UI.renderAutostakerCircuitBreaker(Autostaker.loadCircuitBreakerState(operatorId));
         const timeUntil = Autostaker.getTimeUntilNextCollect(autostakerState.config);
         UI.updateAutoCollectStatus(autostakerState.config, timeUntil);
         updateBotStatusUI();
@@ -835,6 +1112,7 @@ async function handleAutostakerClick() {
     // Load config and show modal
     autostakerState.config = Autostaker.loadAutostakerConfig(operatorId);
     UI.populateAutostakerSettings(autostakerState.config);
+    UI.renderAutostakerCircuitBreaker(Autostaker.loadCircuitBreakerState(operatorId));
     
     // Update auto-collect status display
     const timeUntil = Autostaker.getTimeUntilNextCollect(autostakerState.config);
@@ -854,7 +1132,7 @@ async function loadAutostakerSponsorships() {
         const opState = OperatorLogic.getState();
         const operatorId = autostakerState.operatorId || opState.currentOperatorId;
         autostakerState.sponsorships = await Autostaker.fetchAllSponsorshipsForDisplay(operatorId);
-        UI.renderAutostakerSponsorships(autostakerState.sponsorships, handleToggleSponsorshipExclusion);
+        renderAutostakerSponsorshipsList();
     } catch (e) {
         console.error('Failed to load sponsorships:', e);
         if (listEl) {
@@ -882,21 +1160,50 @@ function handleToggleSponsorshipExclusion(sponsorshipId) {
         ...sp,
         isExcluded: excluded.has(sp.id.toLowerCase())
     }));
-    UI.renderAutostakerSponsorships(autostakerState.sponsorships, handleToggleSponsorshipExclusion);
+    renderAutostakerSponsorshipsList();
+}
+
+function renderAutostakerSponsorshipsList() {
+    const config = Autostaker.loadAutostakerConfig(getAutostakerOperatorId());
+    const pinOptions = Autostaker.getAllocationStrategy(config.allocationStrategy).usesPins
+        ? { pinnedAllocations: config.pinnedAllocations || {}, onPinChange: handleSponsorshipPinChange }
+        : null;
+    UI.renderAutostakerSponsorships(autostakerState.sponsorships, handleToggleSponsorshipExclusion, pinOptions);
+}
+
+function handleSponsorshipPinChange(sponsorshipId, amount) {
+    const operatorId = getAutostakerOperatorId();
+    const config = Autostaker.loadAutostakerConfig(operatorId);
+    const pinned = { ...(config.pinnedAllocations || {}) };
+    const normalizedId = sponsorshipId.toLowerCase();
+    
+    if (amount > 0) {
+        pinned[normalizedId] = amount;
+    } else {
+        delete pinned[normalizedId];
+    }
+    
+    config.pinnedAllocations = pinned;
+    Autostaker.saveAutostakerConfig(operatorId, config);
+    autostakerState.config = config;
+    UI.updateAutostakerStrategyInfo(config.allocationStrategy, pinned);
 }
 
 function handleAutostakerSaveSettings() {
     const opState = OperatorLogic.getState();
     const operatorId = autostakerState.operatorId || opState.currentOperatorId;
-    const config = UI.getAutostakerSettingsFromForm();
     
-    // Preserve lastCollectTime from existing config
-    const existingConfig = Autostaker.loadAutostakerConfig(operatorId);
-    config.lastCollectTime = existingConfig.lastCollectTime;
+    // Preserve lastCollectTime and pinned allocations from existing config
+    const config = { ...Autostaker.loadAutostakerConfig(operatorId), ...UI.getAutostakerSettingsFromForm() };
     
     Autostaker.saveAutostakerConfig(operatorId, config);
     autostakerState.config = config;
     
+    // Pin inputs depend on the selected strategy
+    if (autostakerState.sponsorships.length > 0) {
+        renderAutostakerSponsorshipsList();
+    }
+    
     // Update auto-collect status display
     const timeUntil = Autostaker.getTimeUntilNextCollect(config);
     UI.updateAutoCollectStatus(config, timeUntil);
@@ -904,6 +1211,95 @@ function handleAutostakerSaveSettings() {
     UI.showToast({ type: 'success', title: 'Settings Saved', message: 'Autostaker settings have been saved.' });
 }
 
+// --- Autostaker Simulation ---
+
+function getAutostakerOperatorId() {
+    return autostakerState.operatorId || OperatorLogic.getState().currentOperatorId;
+}
+
+function openAutostakerSimulation() {
+    const operatorId = getAutostakerOperatorId();
+    const config = Autostaker.loadAutostakerConfig(operatorId);
+    autostakerState.simulation.excluded = Autostaker.loadExcludedSponsorships(operatorId);
+    for (const sp of autostakerState.sponsorships) {
+        autostakerState.simulation.streamIds.set(sp.id.toLowerCase(), sp.streamId);
+    }
+    
+    UI.populateAutostakerSimulationForm(config);
+    renderAutostakerSimulationExclusions();
+    UI.resetAutostakerSimulation();
+}
+
+function renderAutostakerSimulationExclusions() {
+    const { excluded, streamIds } = autostakerState.simulation;
+    const list = [...excluded].map(id => ({ id, streamId: streamIds.get(id) || id }));
+    UI.renderAutostakerSimulationExclusions(list, (sponsorshipId) => {
+        excluded.delete(sponsorshipId.toLowerCase());
+        renderAutostakerSimulationExclusions();
+        runAutostakerSimulation();
+    });
+}
+
+async function runAutostakerSimulation() {
+    const sim = autostakerState.simulation;
+    if (sim.isRunning) return;
+    
+    const operatorId = getAutostakerOperatorId();
+    const provider = (autostakerState.operatorSigner || state.signer)?.provider;
+    if (!operatorId || !provider) {
+        UI.showToast({ type: 'error', title: 'Error', message: 'Please connect wallet and select an operator first.' });
+        return;
+    }
+    
+    const runBtn = document.getElementById('autostaker-sim-run');
+    sim.isRunning = true;
+    if (runBtn) {
+        runBtn.disabled = true;
+        runBtn.textContent = 'Simulating...';
+    }
+    
+    try {
+        const config = { ...Autostaker.loadAutostakerConfig(operatorId), ...UI.getAutostakerSimulationParams() };
+        const operatorContract = new ethers.Contract(operatorId, Constants.OPERATOR_CONTRACT_ABI, provider);
+        const result = await Autostaker.simulateAllocation(operatorId, config, operatorContract, new Set(sim.excluded));
+        
+        for (const [id, info] of result.stakeableSponsorships) {
+            sim.streamIds.set(id.toLowerCase(), info.streamId);
+        }
+        
+        UI.renderAutostakerSimulation(result, (sponsorshipId) => {
+            sim.excluded.add(sponsorshipId.toLowerCase());
+            renderAutostakerSimulationExclusions();
+            runAutostakerSimulation();
+        });
+    } catch (e) {
+        console.error('Autostaker simulation failed:', e);
+        UI.showToast({ type: 'error', title: 'Simulation Failed', message: Utils.getFriendlyErrorMessage(e) });
+    } finally {
+        sim.isRunning = false;
+        if (runBtn) {
+            runBtn.disabled = false;
+            runBtn.textContent = 'Run Simulation';
+        }
+    }
+}
+
+function applyAutostakerSimulation() {
+    const operatorId = getAutostakerOperatorId();
+    const config = { ...Autostaker.loadAutostakerConfig(operatorId), ...UI.getAutostakerSimulationParams() };
+    
+    Autostaker.saveAutostakerConfig(operatorId, config);
+    Autostaker.saveExcludedSponsorships(operatorId, autostakerState.simulation.excluded);
+    autostakerState.config = config;
+    autostakerState.sponsorships = autostakerState.sponsorships.map(sp => ({
+        ...sp,
+        isExcluded: autostakerState.simulation.excluded.has(sp.id.toLowerCase())
+    }));
+    UI.populateAutostakerSettings(config);
+    
+    UI.showToast({ type: 'success', title: 'Settings Saved', message: 'Simulated settings and exclusions have been applied.' });
+}
+
 function updateBotStatusUI() {
     const statusText = document.getElementById('autostaker-status-text');
     const lastRunText = document.getElementById('autostaker-last-run');
@@ -979,156 +1375,66 @@ async function runAutostakerBotCycle() {
     
     addAutostakerLog('info', 'Starting analysis cycle...');
     
+    // Everything logged during the cycle also goes into the journal entry
+    const startedAt = new Date();
+    const config = Autostaker.loadAutostakerConfig(operatorId);
+    const cycleLogs = [];
+    const logCycle = (type, message) => {
+        cycleLogs.push({ time: new Date().toISOString(), type, message });
+        addAutostakerLog(type, message);
+    };
+    let cycle = null;
+    let cycleError = null;
+    
     try {
-        const config = Autostaker.loadAutostakerConfig(operatorId);
-        const operatorContract = new ethers.Contract(operatorId, Constants.OPERATOR_CONTRACT_ABI, signer.provider);
-        
-        // === AUTO-COLLECT CHECK ===
-        let ignoreFirstCollect = config.ignoreFirstCollect !== false;
-        let isFirstCollect = !config.lastCollectTime;
-        if (Autostaker.shouldAutoCollect(config)) {
-            if (ignoreFirstCollect && isFirstCollect) {
-                addAutostakerLog('info', '💰 Ignoring first auto-collect');
-                config.lastCollectTime = new Date().toISOString();
-                Autostaker.saveAutostakerConfig(operatorId, config);
-                autostakerState.config = config;
-                const timeUntil = Autostaker.getTimeUntilNextCollect(config);
-                UI.updateAutoCollectStatus(config, timeUntil);
-            } else {
-                addAutostakerLog('info', '💰 Auto-collect triggered...');
-                const collectResult = await Autostaker.executeAutoCollect(
-                    operatorId, 
-                    signer, 
-                    addAutostakerLog
-                );
-                if (collectResult.success && !collectResult.skipped) {
-                    config.lastCollectTime = new Date().toISOString();
-                    Autostaker.saveAutostakerConfig(operatorId, config);
-                    autostakerState.config = config;
-                    // Update UI status
-                    const timeUntil = Autostaker.getTimeUntilNextCollect(config);
-                    UI.updateAutoCollectStatus(config, timeUntil);
-                    UI.showToast({
-                        type: 'success',
-                        title: 'Auto-Collect',
-                        message: `Collected earnings from ${collectResult.sponsorshipsCount} sponsorship(s).`,
-                        duration: 5000
-                    });
-                }
-            }
-        } else if (config.autoCollectEnabled) {
-            const timeUntil = Autostaker.getTimeUntilNextCollect(config);
-            addAutostakerLog('info', `💰 Next auto-collect in ${timeUntil.formatted}`);
-            UI.updateAutoCollectStatus(config, timeUntil);
-        }
+        // Daily guardrails are enforced over a rolling 24h window of the journal
+        const guardrailUsage = await AutostakerJournal.getGuardrailUsage(operatorId, new Date(Date.now() - 24 * 60 * 60 * 1000));
         
-        
-        // Analyze and calculate actions
-        const analysisResult = await Autostaker.analyzeAndCalculateActions(
+        cycle = await Autostaker.runAutostakerCycle({
             operatorId,
+            signer,
             config,
-            operatorContract
-        );
+            onLog: logCycle,
+            onConfigChange: (updated) => Autostaker.saveAutostakerConfig(operatorId, updated),
+            guardrailUsage
+        });
         
-        const actions = analysisResult.actions;
+        sendNotifications(Notifications.getAutostakerCycleNotifications(operatorId, cycle));
         
+        autostakerState.config = cycle.config;
         autostakerState.lastRunTime = new Date();
+        UI.updateAutoCollectStatus(cycle.config, Autostaker.getTimeUntilNextCollect(cycle.config));
+        updateBotStatusUI();
         
-        if (actions.length === 0) {
-            if (analysisResult.skippedReason) {
-                addAutostakerLog('warning', `⚠️ ${analysisResult.skippedReason}`);
-            } else {
-                addAutostakerLog('info', 'No actions needed - stakes are balanced');
-            }
-            updateBotStatusUI();
-            return;
-        }
-        
-        if (analysisResult.skippedStakes) {
-            addAutostakerLog('warning', '⚠️ Some stake actions skipped due to pending undelegation queue');
-        }
-        
-        // Check if this is a queue payment operation
-        if (analysisResult.isQueuePayment) {
-            const queueAmountData = Utils.formatBigNumber(Utils.convertWeiToData(analysisResult.queuePaymentAmount.toString()));
-            addAutostakerLog('info', `💸 Undelegation queue detected: ${queueAmountData} DATA pending`);
-            addAutostakerLog('info', '🔄 Auto-resolving queue by unstaking...');
-        }
-        
-        // Log each action with DATA amount
-        for (const action of actions) {
-            const amountData = Utils.formatBigNumber(Utils.convertWeiToData(action.amount.toString()));
-            const shortId = action.sponsorshipId.substring(0, 10) + '...';
-            const prefix = action.isQueuePayment ? '💸 Queue payment: ' : '→ ';
-            const icon = action.type === 'stake' ? '📈 Stake' : '📉 Unstake';
-            addAutostakerLog('info', `${prefix}${icon} ${amountData} DATA (${shortId})`);
+        if (cycle.collectResult?.success && !cycle.collectResult.skipped) {
+            UI.showToast({
+                type: 'success',
+                title: 'Auto-Collect',
+                message: `Collected earnings from ${cycle.collectResult.sponsorshipsCount} sponsorship(s).`,
+                duration: 5000
+            });
         }
         
-        addAutostakerLog('info', `Executing ${actions.length} action(s)...`);
+        const execution = cycle.execution;
+        if (!execution) return;
         
-        // Execute actions with config for retry/recalculation support
-        const result = await Autostaker.executeActions(
-            actions,
-            operatorId,
-            signer,
-            (progress) => {
-                const action = progress.action;
-                if (action) {
-                    const amountData = Utils.formatBigNumber(Utils.convertWeiToData(action.amount.toString()));
-                    if (progress.isRecalculating) {
-                        addAutostakerLog('info', `🔄 Recalculating actions (attempt ${progress.retryAttempt}/3)...`);
-                    } else if (progress.isRetry) {
-                        addAutostakerLog('action', `[${progress.current}/${progress.total}] (retry) ${action.type}: ${amountData} DATA`);
-                    } else {
-                        addAutostakerLog('action', `[${progress.current}/${progress.total}] ${action.type}: ${amountData} DATA`);
-                    }
-                }
-            },
-            config // Pass config for retry/recalculation support
-        );
-        
-        updateBotStatusUI();
-        
-        // Check if any actions had retries
-        const actionsWithRetries = result.results.failed.filter(f => f.retriesAttempted > 0);
-        const retryInfo = actionsWithRetries.length > 0 
-            ? ` (${actionsWithRetries.length} recalculation attempts made)` 
-            : '';
+        const queuePayoutMsg = execution.queuePayoutSuccess ? ' (queue paid ✓)' : '';
+        const { successful, failed } = execution.results;
         
-        // Check if any queue payout was successful
-        const queuePayoutSuccess = result.results.successful.some(s => s.action.type === 'queuePayout');
-        const queuePayoutMsg = queuePayoutSuccess ? ' (queue paid ✓)' : '';
-        
-        if (result.success) {
-            addAutostakerLog('success', `✅ Completed ${result.results.successful.length} action(s) successfully${queuePayoutMsg}${retryInfo}`);
+        if (execution.success) {
             UI.showToast({
                 type: 'success',
                 title: 'Autostaker',
-                message: `Executed ${result.results.successful.length} action(s).${queuePayoutMsg}`,
+                message: `Executed ${successful.length} action(s).${queuePayoutMsg}`,
                 duration: 5000
             });
-        } else if (result.results.successful.length > 0) {
-            addAutostakerLog('error', `${result.results.successful.length} succeeded, ${result.results.failed.length} failed${queuePayoutMsg}${retryInfo}`);
-            // Log details of failed actions
-            for (const failed of result.results.failed) {
-                const shortId = failed.action.sponsorshipId?.substring(0, 10) + '...' || 'unknown';
-                const retryMsg = failed.retriesAttempted > 0 ? ` (${failed.retriesAttempted} retries)` : '';
-                addAutostakerLog('error', `  ↳ ${failed.action.type} ${shortId}: ${failed.error.substring(0, 60)}${retryMsg}`);
-            }
+        } else if (successful.length > 0) {
             UI.showToast({
                 type: 'warning',
                 title: 'Autostaker',
-                message: `${result.results.successful.length} succeeded, ${result.results.failed.length} failed.`,
+                message: `${successful.length} succeeded, ${failed.length} failed.`,
                 duration: 8000
             });
-        } else {
-            addAutostakerLog('error', `All ${result.results.failed.length} action(s) failed${retryInfo}`);
-            // Log details of failed actions
-            for (const failed of result.results.failed) {
-                const shortId = failed.action.sponsorshipId?.substring(0, 10) + '...' || 'unknown';
-                const retryMsg = failed.retriesAttempted > 0 ? ` (${failed.retriesAttempted} retries)` : '';
-                addAutostakerLog('error', `  ↳ ${failed.action.type} ${shortId}: ${failed.error.substring(0, 60)}${retryMsg}`);
-            }
         }
         
         // Refresh operator data if we're on that view
@@ -1139,7 +1445,114 @@ async function runAutostakerBotCycle() {
         
     } catch (e) {
         console.error('[Autostaker Bot] Cycle error:', e);
-        addAutostakerLog('error', `Error: ${Utils.getFriendlyErrorMessage(e)}`);
+        cycleError = e;
+        logCycle('error', `Error: ${Utils.getFriendlyErrorMessage(e)}`);
+    } finally {
+        recordAutostakerCycle(AutostakerJournal.createJournalEntry({
+            operatorId,
+            config,
+            startedAt,
+            cycle,
+            error: cycleError,
+            logs: cycleLogs
+        }));
+        updateAutostakerCircuitBreaker(operatorId, config, cycle, cycleError);
+    }
+}
+
+/**
+ * Count consecutive failed cycles and pause the bot once the configured threshold is hit
+ */
+function updateAutostakerCircuitBreaker(operatorId, config, cycle, cycleError) {
+    const execution = cycle?.execution;
+    const cycleFailed = !!cycleError || (!!execution && !execution.success);
+    const reason = cycleError
+        ? Utils.getFriendlyErrorMessage(cycleError)
+        : execution?.results.failed[0]?.error;
+    
+    const previous = Autostaker.loadCircuitBreakerState(operatorId);
+    const breaker = Autostaker.updateCircuitBreaker(previous, cycleFailed, config.circuitBreakerThreshold, reason);
+    Autostaker.saveCircuitBreakerState(operatorId, breaker);
+    
+    if (breaker.trippedAt && !previous.trippedAt) {
+        addAutostakerLog('error', `🛑 Circuit breaker tripped: ${breaker.reason}`);
+        stopAutostakerBot();
+        UI.renderAutostakerCircuitBreaker(breaker);
+        UI.showToast({
+            type: 'error',
+            title: 'Autostaker Paused',
+            message: `${breaker.consecutiveFailures} consecutive cycles failed. The bot stays paused until you reset it.`,
+            duration: 0
+        });
+    }
+}
+
+function resetAutostakerCircuitBreaker() {
+    const operatorId = getAutostakerOperatorId();
+    const breaker = { consecutiveFailures: 0, trippedAt: null, reason: null };
+    Autostaker.saveCircuitBreakerState(operatorId, breaker);
+    UI.renderAutostakerCircuitBreaker(breaker);
+    addAutostakerLog('info', 'Circuit breaker reset');
+}
+
+// --- Autostaker History ---
+
+const AUTOSTAKER_HISTORY_LIMIT = 200;
+
+async function recordAutostakerCycle(entry) {
+    try {
+        await AutostakerJournal.recordCycle(entry);
+        if (!document.getElementById('autostaker-content-history')?.classList.contains('hidden')) {
+            await loadAutostakerHistory();
+        }
+    } catch (e) {
+        console.error('Failed to record autostaker cycle:', e);
+    }
+}
+
+async function loadAutostakerHistory() {
+    try {
+        const entries = await AutostakerJournal.getCycles(getAutostakerOperatorId(), AUTOSTAKER_HISTORY_LIMIT);
+        UI.renderAutostakerHistory(entries);
+    } catch (e) {
+        console.error('Failed to load autostaker history:', e);
+        const listEl = document.getElementById('autostaker-history-list');
+        if (listEl) {
+            listEl.innerHTML = '<div class="text-center py-6 text-red-400">Failed to load history.</div>';
+        }
+    }
+}
+
+async function exportAutostakerHistory(format) {
+    const operatorId = getAutostakerOperatorId();
+    try {
+        const entries = await AutostakerJournal.getCycles(operatorId);
+        if (entries.length === 0) {
+            UI.showToast({ type: 'info', title: 'Nothing to Export', message: 'No autostaker cycles have been recorded yet.' });
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `autostaker-${operatorId.substring(0, 10)}-${date}.${format}`;
+        if (format === 'csv') {
+            UI.downloadTextFile(filename, AutostakerJournal.exportCyclesAsCsv(entries), 'text/csv');
+        } else {
+            UI.downloadTextFile(filename, AutostakerJournal.exportCyclesAsJson(entries), 'application/json');
+        }
+    } catch (e) {
+        console.error('Failed to export autostaker history:', e);
+        UI.showToast({ type: 'error', title: 'Export Failed', message: Utils.getFriendlyErrorMessage(e) });
+    }
+}
+
+async function clearAutostakerHistory() {
+    if (!window.confirm('Delete all recorded autostaker cycles for this operator?')) return;
+    try {
+        await AutostakerJournal.clearCycles(getAutostakerOperatorId());
+        await loadAutostakerHistory();
+    } catch (e) {
+        console.error('Failed to clear autostaker history:', e);
+        UI.showToast({ type: 'error', title: 'Error', message: 'Failed to clear autostaker history.' });
     }
 }
 
@@ -1158,6 +1571,13 @@ function startAutostakerBot() {
         return;
     }
     
+    const breaker = Autostaker.loadCircuitBreakerState(autostakerState.operatorId);
+    if (breaker.trippedAt) {
+        UI.renderAutostakerCircuitBreaker(breaker);
+        UI.showToast({ type: 'error', title: 'Autostaker Paused', message: 'The circuit breaker is tripped. Reset it before starting the bot.' });
+        return;
+    }
+    
     const intervalInput = document.getElementById('autostaker-run-interval');
     let intervalMinutes = parseInt(intervalInput?.value || '5', 10);
     
@@ -1165,7 +1585,7 @@ function startAutostakerBot() {
     intervalMinutes = Math.max(1, Math.min(60, intervalMinutes));
     
     // Save to config
-    const config = UI.getAutostakerSettingsFromForm();
+    const config = { ...Autostaker.loadAutostakerConfig(autostakerState.operatorId), ...UI.getAutostakerSettingsFromForm() };
     config.runIntervalMinutes = intervalMinutes;
     Autostaker.saveAutostakerConfig(autostakerState.operatorId, config);
     
@@ -1240,6 +1660,8 @@ function setupAutostakerListeners() {
     // Tab switching
     const tabSettings = document.getElementById('autostaker-tab-settings');
     const tabSponsorships = document.getElementById('autostaker-tab-sponsorships');
+    const tabSimulate = document.getElementById('autostaker-tab-simulate');
+    const tabHistory = document.getElementById('autostaker-tab-history');
     const tabPreview = document.getElementById('autostaker-tab-preview');
     
     if (tabSettings) {
@@ -1251,6 +1673,18 @@ function setupAutostakerListeners() {
             loadAutostakerSponsorships();
         });
     }
+    if (tabSimulate) {
+        tabSimulate.addEventListener('click', () => {
+            UI.switchAutostakerTab('simulate');
+            openAutostakerSimulation();
+        });
+    }
+    if (tabHistory) {
+        tabHistory.addEventListener('click', () => {
+            UI.switchAutostakerTab('history');
+            loadAutostakerHistory();
+        });
+    }
     if (tabPreview) {
         tabPreview.addEventListener('click', () => {
             UI.switchAutostakerTab('preview');
@@ -1258,12 +1692,42 @@ function setupAutostakerListeners() {
         });
     }
     
+    // Strategy description follows the selection
+    const strategySelect = document.getElementById('autostaker-strategy');
+    if (strategySelect) {
+        strategySelect.addEventListener('change', () => {
+            const config = Autostaker.loadAutostakerConfig(getAutostakerOperatorId());
+            UI.updateAutostakerStrategyInfo(strategySelect.value, config.pinnedAllocations);
+        });
+    }
+    
+    // Circuit breaker reset
+    const breakerResetBtn = document.getElementById('autostaker-breaker-reset');
+    if (breakerResetBtn) {
+        breakerResetBtn.addEventListener('click', resetAutostakerCircuitBreaker);
+    }
+    
     // Save settings
     const saveBtn = document.getElementById('autostaker-save-settings');
     if (saveBtn) {
         saveBtn.addEventListener('click', handleAutostakerSaveSettings);
     }
     
+    // Simulation
+    const simRunBtn = document.getElementById('autostaker-sim-run');
+    const simResetBtn = document.getElementById('autostaker-sim-reset');
+    const simApplyBtn = document.getElementById('autostaker-sim-apply');
+    
+    if (simRunBtn) {
+        simRunBtn.addEventListener('click', runAutostakerSimulation);
+    }
+    if (simResetBtn) {
+        simResetBtn.addEventListener('click', openAutostakerSimulation);
+    }
+    if (simApplyBtn) {
+        simApplyBtn.addEventListener('click', applyAutostakerSimulation);
+    }
+    
     // Sponsorship search
     const searchInput = document.getElementById('autostaker-sponsorship-search');
     
@@ -1279,6 +1743,21 @@ function setupAutostakerListeners() {
         startBotBtn.addEventListener('click', toggleAutostakerBot);
     }
     
+    // History export / clear
+    const exportCsvBtn = document.getElementById('autostaker-history-export-csv');
+    const exportJsonBtn = document.getElementById('autostaker-history-export-json');
+    const clearHistoryBtn = document.getElementById('autostaker-history-clear');
+    
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', () => exportAutostakerHistory('csv'));
+    }
+    if (exportJsonBtn) {
+        exportJsonBtn.addEventListener('click', () => exportAutostakerHistory('json'));
+    }
+    if (clearHistoryBtn) {
+        clearHistoryBtn.addEventListener('click', clearAutostakerHistory);
+    }
+    
     // Clear logs
     const clearLogBtn = document.getElementById('autostaker-clear-log');
     if (clearLogBtn) {
@@ -1296,6 +1775,197 @@ function setupAutostakerListeners() {
 }
 
 
+// --- Notifications ---
+
+const OPERATOR_EVENT_WATCH_INTERVAL = 5 * 60 * 1000;
+
+let notificationState = {
+    draftChannels: [],      // Channels edited in the modal, saved on Save
+    watchIntervalId: null
+};
+
+function getBrowserNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+function hasNotificationTargets(settings) {
+    return settings.browserEnabled || settings.channels.some(channel => channel.enabled !== false);
+}
+
+function sendNotifications(notifications) {
+    const settings = Notifications.loadNotificationSettings();
+    if (!hasNotificationTargets(settings)) return;
+    for (const notification of notifications) {
+        Notifications.dispatchNotification(notification, settings);
+    }
+}
+
+/**
+ * Notify about new flags, slashings and queue entries of the operator the user is an agent of
+ */
+async function checkOperatorEvents() {
+    const operatorId = autostakerState.operatorId || localStorage.getItem('lastOperatorId');
+    if (!operatorId || !hasNotificationTargets(Notifications.loadNotificationSettings())) return;
+    
+    try {
+        const events = await Notifications.fetchOperatorEvents(operatorId);
+        const previous = Notifications.loadEventSnapshot(operatorId);
+        Notifications.saveEventSnapshot(operatorId, Notifications.createEventSnapshot(events));
+        sendNotifications(Notifications.diffOperatorEvents(operatorId, previous, events));
+    } catch (e) {
+        console.error('Failed to check operator events:', e);
+    }
+}
+
+function startOperatorEventWatch() {
+    if (notificationState.watchIntervalId) {
+        clearInterval(notificationState.watchIntervalId);
+    }
+    checkOperatorEvents();
+    notificationState.watchIntervalId = setInterval(checkOperatorEvents, OPERATOR_EVENT_WATCH_INTERVAL);
+}
+
+function openNotificationSettings() {
+    const settings = Notifications.loadNotificationSettings();
+    notificationState.draftChannels = settings.channels.map(channel => ({ ...channel }));
+    UI.populateNotificationSettings(settings, getBrowserNotificationPermission());
+    renderNotificationChannels();
+    UI.settingsModal.classList.add('hidden');
+    document.getElementById('notificationsModal')?.classList.remove('hidden');
+}
+
+function closeNotificationSettings() {
+    document.getElementById('notificationsModal')?.classList.add('hidden');
+}
+
+function renderNotificationChannels() {
+    UI.renderNotificationChannels(notificationState.draftChannels, {
+        onToggle: (index, enabled) => {
+            notificationState.draftChannels[index].enabled = enabled;
+        },
+        onTest: testNotificationChannel,
+        onRemove: (index) => {
+            notificationState.draftChannels.splice(index, 1);
+            renderNotificationChannels();
+        }
+    });
+}
+
+function addNotificationChannel() {
+    const channel = UI.getNotificationChannelFromForm();
+    const error = Notifications.validateChannel(channel);
+    if (error) {
+        UI.showToast({ type: 'warning', title: 'Invalid Channel', message: error });
+        return;
+    }
+    notificationState.draftChannels.push(channel);
+    UI.resetNotificationChannelForm();
+    renderNotificationChannels();
+}
+
+async function testNotificationChannel(index) {
+    const channel = notificationState.draftChannels[index];
+    const notification = Notifications.createNotification('autostaker.action_executed', {
+        title: 'Test notification',
+        message: 'Notifications from Streamr deCentral are working.',
+        operatorId: autostakerState.operatorId || localStorage.getItem('lastOperatorId'),
+        data: { test: true }
+    });
+    
+    try {
+        await Notifications.sendToChannel(channel, notification);
+        UI.showToast({ type: 'success', title: 'Test Sent', message: `Test notification sent to ${Utils.escapeHtml(channel.name || channel.type)}.` });
+    } catch (e) {
+        logger.error('Test notification failed:', e);
+        UI.showToast({ type: 'error', title: 'Test Failed', message: Utils.getFriendlyErrorMessage(e) });
+    }
+}
+
+async function saveNotificationSettings() {
+    const settings = {
+        ...Notifications.loadNotificationSettings(),
+        ...UI.getNotificationSettingsFromForm(),
+        channels: notificationState.draftChannels
+    };
+    
+    if (settings.browserEnabled) {
+        const permission = await Notifications.requestBrowserPermission();
+        UI.updateBrowserNotificationStatus(permission);
+        if (permission !== 'granted') {
+            UI.showToast({ type: 'warning', title: 'Browser Notifications', message: 'Permission was not granted, only webhooks will be used.' });
+        }
+    }
+    
+    Notifications.saveNotificationSettings(settings);
+    closeNotificationSettings();
+    startOperatorEventWatch();
+    UI.showToast({ type: 'success', title: 'Settings Saved', message: 'Notification settings have been saved.' });
+}
+
+function setupNotificationListeners() {
+    const openBtn = document.getElementById('settings-notifications-btn');
+    if (openBtn) {
+        openBtn.addEventListener('click', openNotificationSettings);
+    }
+    
+    const modal = document.getElementById('notificationsModal');
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeNotificationSettings();
+        });
+    }
+    
+    const cancelBtn = document.getElementById('notifications-cancel-btn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', closeNotificationSettings);
+    }
+    
+    const saveBtn = document.getElementById('notifications-save-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveNotificationSettings);
+    }
+    
+    const typeSelect = document.getElementById('notifications-channel-type');
+    if (typeSelect) {
+        typeSelect.addEventListener('change', UI.updateNotificationChannelForm);
+    }
+    
+    const addBtn = document.getElementById('notifications-channel-add');
+    if (addBtn) {
+        addBtn.addEventListener('click', addNotificationChannel);
+    }
+}
+
+
+/**
+ * Lazily loaded view modules, by the name routes use to keep them running
+ */
+const VIEW_MODULES = {
+    race: () => RaceLogic,
+    visual: () => VisualLogic,
+    streams: () => StreamsLogic,
+    sponsorships: () => SponsorshipsLogic,
+    portfolio: () => PortfolioLogic,
+    operatorWizard: () => OperatorWizardLogic,
+    queues: () => QueuesLogic,
+    compare: () => CompareLogic,
+    watchlist: () => WatchlistLogic
+};
+
+/**
+ * Stop the views a route doesn't show, so their timers, subscriptions and late results stop too
+ * @param {string[]} [except] - Views the route shows: 'operator' or a VIEW_MODULES name
+ */
+function stopAllViews(except = []) {
+    if (!except.includes('operator')) {
+        OperatorLogic.stop();
+        Services.unsubscribeFromCoordinationStream();
+    }
+    for (const [name, getModule] of Object.entries(VIEW_MODULES)) {
+        if (!except.includes(name)) getModule()?.stop();
+    }
+}
+
 // --- Router Setup ---
 function setupRouter() {
     router = new Router();
@@ -1303,38 +1973,55 @@ function setupRouter() {
     // Make router available globally for navigation controller
     window.router = router;
 
+    // Requests of the page being left are no longer needed
+    router.onRouteChange(() => Services.cancelRouteRequests());
+
     // Home route - operators list
-    router.addRoute('/', async () => {
-        OperatorLogic.stop();
-        Services.unsubscribeFromCoordinationStream();
-        if (RaceLogic) RaceLogic.stop();
-        if (VisualLogic) VisualLogic.stop();
+    router.addRoute('/', async (params, query) => {
+        stopAllViews();
         
         UI.displayView('list');
         navigationController.updateActiveState('operators');
         navigationController.updatePageTitle('operators');
         syncOperatorState();
-        OperatorLogic.resetListState();
-        OperatorLogic.fetchAndRenderList(false, 0, '');
+        OperatorLogic.loadListFromParams(query);
     });
 
+    // New operator wizard (registered before /operator/:id so "new" is not taken as an address)
+    router.addRoute('/operator/new', async () => {
+        stopAllViews(['operatorWizard']);
+        
+        UI.displayView('operator-new');
+        navigationController.updateActiveState('operators');
+        navigationController.updatePageTitle('operators', 'Create Operator');
+        
+        try {
+            const wizardModule = await loadOperatorWizardModule();
+            wizardModule.setSharedState({
+                signer: state.signer,
+                myRealAddress: state.myRealAddress
+            });
+            wizardModule.init();
+        } catch (error) {
+            console.error('Failed to load operator wizard module:', error);
+            router.navigate('/');
+        }
+    }, { guard: requireSigner });
+
     // Operator detail route
-    router.addRoute('/operator/:id', async (params) => {
-        if (RaceLogic) RaceLogic.stop();
-        if (VisualLogic) VisualLogic.stop();
+    router.addRoute('/operator/:id', async (params, query) => {
+        stopAllViews(['operator']);
         
         UI.displayView('detail');
         navigationController.updateActiveState('operators');
         navigationController.updatePageTitle('operators', 'Operator Details');
         syncOperatorState();
-        OperatorLogic.fetchAndRenderDetails(params.id);
+        OperatorLogic.fetchAndRenderDetails(params.id, query);
     });
 
     // Race view route
     router.addRoute('/race', async () => {
-        OperatorLogic.stop();
-        Services.unsubscribeFromCoordinationStream();
-        if (VisualLogic) VisualLogic.stop();
+        stopAllViews(['race']);
         
         UI.displayView('race');
         navigationController.updateActiveState('race');
@@ -1350,10 +2037,8 @@ function setupRouter() {
     });
 
     // Visual view route
-    router.addRoute('/visual', async () => {
-        OperatorLogic.stop();
-        Services.unsubscribeFromCoordinationStream();
-        if (RaceLogic) RaceLogic.stop();
+    router.addRoute('/visual', async (params, query) => {
+        stopAllViews(['visual']);
         
         UI.displayView('visual');
         navigationController.updateActiveState('visual');
@@ -1369,6 +2054,13 @@ function setupRouter() {
                 router.navigate(`/operator/${operatorId}`);
             };
             
+            // Timeline position is shared as ?date=YYYY-MM-DD
+            const date = Date.parse(query.get('date') || '');
+            visualModule.initialTimestamp = Number.isNaN(date) ? null : Math.floor(date / 1000);
+            visualModule.onTimelineChange = (timestamp) => {
+                router.updateQuery({ date: timestamp ? new Date(timestamp * 1000).toISOString().slice(0, 10) : null });
+            };
+            
             visualModule.init();
         } catch (error) {
             console.error('Failed to load visual module:', error);
@@ -1377,11 +2069,8 @@ function setupRouter() {
     });
 
     // Delegators list route
-    router.addRoute('/delegators', async () => {
-        OperatorLogic.stop();
-        Services.unsubscribeFromCoordinationStream();
-        if (RaceLogic) RaceLogic.stop();
-        if (VisualLogic) VisualLogic.stop();
+    router.addRoute('/delegators', async (params, query) => {
+        stopAllViews();
         
         UI.displayView('delegators-list');
         navigationController.updateActiveState('delegators');
@@ -1393,7 +2082,8 @@ function setupRouter() {
                 dataPriceUSD: state.dataPriceUSD,
                 historicalDataPriceMap: state.historicalDataPriceMap
             });
-            delegatorsModule.init();
+            await delegatorsModule.init();
+            delegatorsModule.applySearch((query.get('q') || '').toLowerCase().trim());
         } catch (error) {
             console.error('Failed to load delegators module:', error);
             router.navigate('/');
@@ -1402,10 +2092,7 @@ function setupRouter() {
 
     // Delegator detail route
     router.addRoute('/delegator/:id', async (params) => {
-        OperatorLogic.stop();
-        Services.unsubscribeFromCoordinationStream();
-        if (RaceLogic) RaceLogic.stop();
-        if (VisualLogic) VisualLogic.stop();
+        stopAllViews();
         
         UI.displayView('delegator-detail');
         navigationController.updateActiveState('delegators');
@@ -1423,6 +2110,184 @@ function setupRouter() {
             router.navigate('/delegators');
         }
     });
+
+    // Sponsorships list route
+    router.addRoute('/sponsorships', async (params, query) => {
+        stopAllViews(['sponsorships']);
+        
+        UI.displayView('sponsorships-list');
+        navigationController.updateActiveState('sponsorships');
+        navigationController.updatePageTitle('sponsorships');
+        
+        try {
+            const sponsorshipsModule = await loadSponsorshipsModule();
+            sponsorshipsModule.setSharedState({
+                dataPriceUSD: state.dataPriceUSD,
+                signer: state.signer,
+                myRealAddress: state.myRealAddress
+            });
+            sponsorshipsModule.init(query);
+        } catch (error) {
+            console.error('Failed to load sponsorships module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Sponsorship detail route
+    router.addRoute('/sponsorship/:id', async (params) => {
+        stopAllViews(['sponsorships']);
+        
+        UI.displayView('sponsorship-detail');
+        navigationController.updateActiveState('sponsorships');
+        navigationController.updatePageTitle('sponsorships', 'Sponsorship Details');
+        
+        try {
+            const sponsorshipsModule = await loadSponsorshipsModule();
+            sponsorshipsModule.setSharedState({
+                dataPriceUSD: state.dataPriceUSD,
+                signer: state.signer,
+                myRealAddress: state.myRealAddress
+            });
+            sponsorshipsModule.showSponsorshipDetail(params.id);
+        } catch (error) {
+            console.error('Failed to load sponsorships module:', error);
+            router.navigate('/sponsorships');
+        }
+    });
+
+    // Streams list route
+    router.addRoute('/streams', async (params, query) => {
+        stopAllViews();
+        
+        UI.displayView('streams-list');
+        navigationController.updateActiveState('streams');
+        navigationController.updatePageTitle('streams');
+        
+        try {
+            const streamsModule = await loadStreamsModule();
+            streamsModule.setSharedState({ dataPriceUSD: state.dataPriceUSD });
+            streamsModule.init(query);
+        } catch (error) {
+            console.error('Failed to load streams module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Stream detail route (stream IDs contain slashes, so the ID is URI-encoded)
+    router.addRoute('/stream/:id', async (params) => {
+        stopAllViews(['streams']);
+        
+        UI.displayView('stream-detail');
+        navigationController.updateActiveState('streams');
+        navigationController.updatePageTitle('streams', 'Stream Details');
+        
+        try {
+            const streamsModule = await loadStreamsModule();
+            streamsModule.setSharedState({ dataPriceUSD: state.dataPriceUSD });
+            streamsModule.showStreamDetail(decodeURIComponent(params.id));
+        } catch (error) {
+            console.error('Failed to load streams module:', error);
+            router.navigate('/streams');
+        }
+    });
+
+    // Portfolio route (connected wallet)
+    router.addRoute('/portfolio', async () => {
+        stopAllViews(['portfolio']);
+        
+        UI.displayView('portfolio');
+        navigationController.updateActiveState('portfolio');
+        navigationController.updatePageTitle('portfolio');
+        
+        try {
+            const portfolioModule = await loadPortfolioModule();
+            portfolioModule.setSharedState({
+                dataPriceUSD: state.dataPriceUSD,
+                myRealAddress: state.myRealAddress
+            });
+            portfolioModule.init();
+        } catch (error) {
+            console.error('Failed to load portfolio module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Undelegation queues route
+    router.addRoute('/queues', async () => {
+        stopAllViews(['queues']);
+        
+        UI.displayView('queues');
+        navigationController.updateActiveState('queues');
+        navigationController.updatePageTitle('queues');
+        
+        try {
+            const queuesModule = await loadQueuesModule();
+            queuesModule.setSharedState({ dataPriceUSD: state.dataPriceUSD });
+            queuesModule.init();
+        } catch (error) {
+            console.error('Failed to load queues module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Operator comparison route
+    router.addRoute('/compare', async () => {
+        stopAllViews(['compare']);
+        
+        UI.displayView('compare');
+        navigationController.updateActiveState('compare');
+        navigationController.updatePageTitle('compare');
+        
+        try {
+            const compareModule = await loadCompareModule();
+            compareModule.setSharedState({ dataPriceUSD: state.dataPriceUSD });
+            compareModule.init();
+        } catch (error) {
+            console.error('Failed to load compare module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Watchlist dashboard route
+    router.addRoute('/watchlist', async () => {
+        stopAllViews(['watchlist']);
+        
+        UI.displayView('watchlist');
+        navigationController.updateActiveState('watchlist');
+        navigationController.updatePageTitle('watchlist');
+        
+        try {
+            const watchlistModule = await loadWatchlistModule();
+            watchlistModule.setSharedState({ dataPriceUSD: state.dataPriceUSD });
+            watchlistModule.init();
+        } catch (error) {
+            console.error('Failed to load watchlist module:', error);
+            router.navigate('/');
+        }
+    });
+
+    // Unknown paths show a 404 page instead of silently falling back to the operators list
+    router.setNotFoundHandler((path) => {
+        stopAllViews();
+        
+        UI.displayView('not-found');
+        navigationController.updateActiveState('not-found');
+        document.getElementById('not-found-path').textContent = path;
+    });
+}
+
+/**
+ * Route guard for pages that send transactions: guests are sent back to the operators list
+ */
+function requireSigner() {
+    if (state.signer) return true;
+    UI.showToast({
+        type: 'warning',
+        title: 'Wallet Required',
+        message: 'Connect a wallet or log in with a private key to open this page.',
+        duration: 5000
+    });
+    return '/';
 }
 
 // --- Event Listener Setup ---
@@ -1636,6 +2501,9 @@ function setupEventListeners() {
     document.getElementById('tx-modal-cancel').addEventListener('click', () => UI.transactionModal.classList.add('hidden'));
     document.getElementById('stake-modal-cancel').addEventListener('click', () => UI.stakeModal.classList.add('hidden'));
     document.getElementById('operator-settings-modal-cancel').addEventListener('click', () => UI.operatorSettingsModal.classList.add('hidden'));
+    document.getElementById('vote-flag-modal-cancel').addEventListener('click', () => UI.voteFlagModal.classList.add('hidden'));
+    document.getElementById('flag-modal-cancel').addEventListener('click', () => UI.flagModal.classList.add('hidden'));
+    document.getElementById('wallets-modal-close').addEventListener('click', () => UI.walletsModal.classList.add('hidden'));
     
     // Settings modal cancel/save handlers
     document.getElementById('settings-cancel-btn').addEventListener('click', () => UI.settingsModal.classList.add('hidden'));
@@ -1659,8 +2527,46 @@ function setupEventListeners() {
         }
         // Graph API key is read dynamically from localStorage by getGraphUrl()
         
+        const endpointLines = document.getElementById('subgraph-endpoints-input').value.split('\n').map(line => line.trim()).filter(Boolean);
+        const endpoints = endpointLines.filter(line => /^https?:\/\//i.test(line));
+        if (endpoints.length < endpointLines.length) {
+            UI.showToast({ type: 'warning', title: 'Endpoints Skipped', message: 'Subgraph endpoints must start with http:// or https://.' });
+        }
+        Constants.saveCustomSubgraphEndpoints([...new Set(endpoints)]);
+        Services.startSubgraphMonitor();
+        
+        // RPC endpoints are entered as "<url> [requests per second]"
+        const rpcLines = document.getElementById('rpc-endpoints-input').value.split('\n').map(line => line.trim()).filter(Boolean);
+        const rpcEndpoints = [];
+        let invalidRpcLines = 0;
+        for (const line of rpcLines) {
+            const [url, limit, ...rest] = line.split(/\s+/);
+            const rateLimit = Number(limit || 0);
+            if (!/^https?:\/\//i.test(url) || !(rateLimit >= 0) || rest.length > 0) {
+                invalidRpcLines++;
+                continue;
+            }
+            if (!rpcEndpoints.some(e => e.url === url)) rpcEndpoints.push({ url, rateLimit });
+        }
+        if (invalidRpcLines > 0) {
+            UI.showToast({ type: 'warning', title: 'RPC Endpoints Skipped', message: 'Enter one http(s) URL per line, optionally followed by a number of requests per second.' });
+        }
+        Constants.saveCustomRpcEndpoints(rpcEndpoints);
+        Constants.saveRpcBatchEnabled(document.getElementById('rpc-batch-enabled').checked);
+        Services.reconfigureReadOnlyProvider();
+        
         const newEtherscanKey = document.getElementById('etherscan-api-key-input').value.trim();
         Services.updateEtherscanApiKey(newEtherscanKey);
+
+        // IPFS API is read from localStorage when an image is pinned
+        const ipfsSettings = [
+            [Constants.STORAGE_KEYS.IPFS_API_URL, document.getElementById('ipfs-api-url-input').value.trim()],
+            [Constants.STORAGE_KEYS.IPFS_API_AUTH, document.getElementById('ipfs-api-auth-input').value.trim()]
+        ];
+        for (const [key, value] of ipfsSettings) {
+            if (value) localStorage.setItem(key, value);
+            else localStorage.removeItem(key);
+        }
         
         UI.settingsModal.classList.add('hidden');
         UI.showToast({ type: 'success', title: 'Settings Saved', message: 'Data will be refreshed with the new API keys.' });
@@ -1675,6 +2581,9 @@ function setupEventListeners() {
     
     // Setup Autostaker listeners
     setupAutostakerListeners();
+    
+    // Setup notification settings listeners
+    setupNotificationListeners();
 }
 
 
@@ -1683,10 +2592,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupRouter();
     setupEventListeners();
     
+    // Show the active subgraph indexer, its lag and the freshness of the data in the headers
+    Services.onSubgraphStatusChange((status) => {
+        navigationController.updateIndexerStatus(status);
+        navigationController.updateDataFreshness(status);
+    });
+    
     // Setup PWA install buttons
     setupInstallButtons();
     updateInstallButtons();
     
+    // Watch our operator for flags, slashings and queue entries
+    startOperatorEventWatch();
+    
     // Warn user if bot is running when closing page
     window.addEventListener('beforeunload', (e) => {
         if (autostakerState.isRunning) {
@@ -67,6 +67,38 @@ export const OPERATOR_CONTRACT_ABI = [
         "stateMutability": "view",
         "type": "function"
     },
+    {
+        "inputs": [],
+        "name": "getSponsorshipsAndEarnings",
+        "outputs": [
+            { "internalType": "address[]", "name": "addresses", "type": "address[]" },
+            { "internalType": "uint256[]", "name": "earnings", "type": "uint256[]" },
+            { "internalType": "uint256", "name": "maxAllowedEarnings", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "getNodeAddresses",
+        "outputs": [ { "internalType": "address[]", "name": "", "type": "address[]" } ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [ { "internalType": "address", "name": "", "type": "address" } ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "operatorsCutFraction",
+        "outputs": [ { "internalType": "uint256", "name": "", "type": "uint256" } ],
+        "stateMutability": "view",
+        "type": "function"
+    },
     {
         "inputs": [ { "internalType": "uint256", "name": "operatorTokenAmount", "type": "uint256" } ],
         "name": "undelegate",
@@ -136,6 +168,65 @@ export const OPERATOR_CONTRACT_ABI = [
         "outputs": [],
         "stateMutability": "nonpayable",
         "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "contract Sponsorship", "name": "sponsorship", "type": "address" },
+            { "internalType": "address", "name": "targetOperator", "type": "address" },
+            { "internalType": "bytes32", "name": "voteData", "type": "bytes32" }
+        ],
+        "name": "voteOnFlag",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "contract Sponsorship", "name": "sponsorship", "type": "address" },
+            { "internalType": "address", "name": "targetOperator", "type": "address" },
+            { "internalType": "string", "name": "flagMetadata", "type": "string" }
+        ],
+        "name": "flag",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "address[]", "name": "addNodes", "type": "address[]" },
+            { "internalType": "address[]", "name": "removeNodes", "type": "address[]" }
+        ],
+        "name": "updateNodeAddresses",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "CONTROLLER_ROLE",
+        "outputs": [ { "internalType": "bytes32", "name": "", "type": "bytes32" } ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "bytes32", "name": "role", "type": "bytes32" },
+            { "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "grantRole",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "bytes32", "name": "role", "type": "bytes32" },
+            { "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "revokeRole",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
     }
 ];
 
@@ -160,14 +251,55 @@ export const SPONSORSHIP_ABI = [
         "outputs": [ { "internalType": "uint256", "name": "", "type": "uint256" } ],
         "stateMutability": "view",
         "type": "function"
-    }
+    },
+    { "inputs": [], "name": "allocationPolicy", "outputs": [ { "internalType": "address", "name": "", "type": "address" } ], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "leavePolicy", "outputs": [ { "internalType": "address", "name": "", "type": "address" } ], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "kickPolicy", "outputs": [ { "internalType": "address", "name": "", "type": "address" } ], "stateMutability": "view", "type": "function" },
+    { "inputs": [ { "internalType": "uint256", "name": "", "type": "uint256" } ], "name": "joinPolicies", "outputs": [ { "internalType": "address", "name": "", "type": "address" } ], "stateMutability": "view", "type": "function" }
 ];
 
-export const STREAMR_CONFIG_ABI = [{ "inputs": [], "name": "minimumDelegationWei", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }];
+export const STREAMR_CONFIG_ABI = [
+    { "inputs": [], "name": "minimumDelegationWei", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "flagStakeWei", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "operatorFactory", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "sponsorshipFactory", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "maxQueueSeconds", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" }
+];
+
+export const OPERATOR_FACTORY_ABI = [
+    {
+        "inputs": [
+            { "internalType": "uint256", "name": "operatorsCutWei", "type": "uint256" },
+            { "internalType": "string", "name": "operatorTokenName", "type": "string" },
+            { "internalType": "string", "name": "operatorMetadataJson", "type": "string" },
+            { "internalType": "address[3]", "name": "policies", "type": "address[3]" },
+            { "internalType": "uint256[3]", "name": "policyParams", "type": "uint256[3]" }
+        ],
+        "name": "deployOperator",
+        "outputs": [ { "internalType": "address", "name": "", "type": "address" } ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    { "inputs": [{ "internalType": "address", "name": "", "type": "address" }], "name": "operators", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "defaultDelegationPolicy", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "defaultExchangeRatePolicy", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    { "inputs": [], "name": "defaultUndelegationPolicy", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+    {
+        "anonymous": false,
+        "inputs": [
+            { "indexed": true, "internalType": "address", "name": "operatorAddress", "type": "address" },
+            { "indexed": true, "internalType": "address", "name": "operatorContractAddress", "type": "address" }
+        ],
+        "name": "NewOperator",
+        "type": "event"
+    }
+];
 
 export const SUBGRAPH_ID = 'EGWFdhhiWypDuz22Uy7b3F69E9MEkyfU9iAQMttkH5Rj';
 export const DATA_PRICE_STREAM_ID = 'binance-streamr.eth/DATAUSDT/ticker';
 export const POLYGON_RPC_URL = 'https://polygon-rpc.com';
+// Requests per second sent to the public endpoint, which throttles heavier use
+export const POLYGON_RPC_RATE_LIMIT = 10;
 
 // ============================================
 // API Keys Configuration
@@ -179,9 +311,27 @@ export const DEFAULT_ETHERSCAN_API_KEY = 'B8BXCXWR66RI1J2QYQRTT4SPHCC6VYYJHC';
 // LocalStorage keys for user-configured API keys
 export const STORAGE_KEYS = {
     GRAPH_API_KEY: 'the-graph-api-key',
-    ETHERSCAN_API_KEY: 'etherscan-api-key'
+    ETHERSCAN_API_KEY: 'etherscan-api-key',
+    IPFS_API_URL: 'ipfs-api-url',
+    IPFS_API_AUTH: 'ipfs-api-auth',
+    COMPARED_OPERATORS: 'compared-operators',
+    OPERATOR_LIST_VIEWS: 'operator-list-views',
+    WATCHLIST: 'watchlist',
+    WATCHLIST_SNAPSHOT: 'watchlist-snapshot',
+    SUBGRAPH_ENDPOINTS: 'subgraph-endpoints',
+    RPC_ENDPOINTS: 'rpc-endpoints',
+    RPC_BATCH: 'rpc-batch'
 };
 
+/**
+ * Builds The Graph gateway URL for the Streamr subgraph.
+ * @param {string} [apiKey] - Graph API key (defaults to the shared key)
+ * @returns {string} The Graph API URL
+ */
+export function buildGraphUrl(apiKey = DEFAULT_GRAPH_API_KEY) {
+    return `https://gateway-arbitrum.network.thegraph.com/api/${apiKey}/subgraphs/id/${SUBGRAPH_ID}`;
+}
+
 /**
  * Gets the Graph API URL using user-configured key or default fallback.
  * This is the single source of truth for Graph API access across the app.
@@ -189,8 +339,97 @@ export const STORAGE_KEYS = {
  */
 export function getGraphUrl() {
     const storedKey = localStorage.getItem(STORAGE_KEYS.GRAPH_API_KEY);
-    const apiKey = storedKey && storedKey.trim() !== '' ? storedKey : DEFAULT_GRAPH_API_KEY;
-    return `https://gateway-arbitrum.network.thegraph.com/api/${apiKey}/subgraphs/id/${SUBGRAPH_ID}`;
+    return buildGraphUrl(storedKey && storedKey.trim() !== '' ? storedKey : DEFAULT_GRAPH_API_KEY);
+}
+
+// Endpoints indexing this many blocks behind the most advanced one are failed over
+export const SUBGRAPH_MAX_BLOCK_LAG = 50;
+export const SUBGRAPH_HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+// The chain head is read more often than endpoints are checked, so data freshness stays accurate
+export const CHAIN_HEAD_POLL_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Gets the extra subgraph endpoints configured in Settings (self-hosted graph-node, local stand-in, ...).
+ * @returns {string[]} Endpoint URLs in priority order
+ */
+export function getCustomSubgraphEndpoints() {
+    try {
+        const urls = JSON.parse(localStorage.getItem(STORAGE_KEYS.SUBGRAPH_ENDPOINTS) || '[]');
+        return Array.isArray(urls) ? urls.filter(url => typeof url === 'string' && /^https?:\/\//i.test(url)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the extra subgraph endpoints.
+ * @param {string[]} urls - Endpoint URLs in priority order
+ */
+export function saveCustomSubgraphEndpoints(urls) {
+    if (urls.length > 0) localStorage.setItem(STORAGE_KEYS.SUBGRAPH_ENDPOINTS, JSON.stringify(urls));
+    else localStorage.removeItem(STORAGE_KEYS.SUBGRAPH_ENDPOINTS);
+}
+
+/**
+ * Gets every subgraph endpoint in priority order: the custom ones first, The Graph gateway last.
+ * @returns {string[]} Endpoint URLs
+ */
+export function getSubgraphEndpoints() {
+    return [...new Set([...getCustomSubgraphEndpoints(), getGraphUrl()])];
+}
+
+/**
+ * Gets the extra Polygon RPC endpoints configured in Settings (private providers, local anvil/hardhat forks, ...).
+ * @returns {Array<{url: string, rateLimit: number}>} Endpoints in priority order; rateLimit is requests per second, 0 for none
+ */
+export function getCustomRpcEndpoints() {
+    try {
+        const endpoints = JSON.parse(localStorage.getItem(STORAGE_KEYS.RPC_ENDPOINTS) || '[]');
+        if (!Array.isArray(endpoints)) return [];
+        return endpoints
+            .filter(e => typeof e?.url === 'string' && /^https?:\/\//i.test(e.url))
+            .map(e => ({ url: e.url, rateLimit: Number(e.rateLimit) > 0 ? Number(e.rateLimit) : 0 }));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the extra Polygon RPC endpoints.
+ * @param {Array<{url: string, rateLimit: number}>} endpoints - In priority order
+ */
+export function saveCustomRpcEndpoints(endpoints) {
+    if (endpoints.length > 0) localStorage.setItem(STORAGE_KEYS.RPC_ENDPOINTS, JSON.stringify(endpoints));
+    else localStorage.removeItem(STORAGE_KEYS.RPC_ENDPOINTS);
+}
+
+/**
+ * Gets every Polygon RPC endpoint in priority order: the custom ones first, the public endpoint last.
+ * @returns {Array<{url: string, rateLimit: number}>}
+ */
+export function getRpcEndpoints() {
+    const endpoints = getCustomRpcEndpoints();
+    if (!endpoints.some(e => e.url === POLYGON_RPC_URL)) {
+        endpoints.push({ url: POLYGON_RPC_URL, rateLimit: POLYGON_RPC_RATE_LIMIT });
+    }
+    return endpoints;
+}
+
+/**
+ * Whether read calls made together are sent as one JSON-RPC batch.
+ * @returns {boolean}
+ */
+export function isRpcBatchEnabled() {
+    return localStorage.getItem(STORAGE_KEYS.RPC_BATCH) === 'true';
+}
+
+/**
+ * Saves the JSON-RPC batch setting.
+ * @param {boolean} enabled
+ */
+export function saveRpcBatchEnabled(enabled) {
+    if (enabled) localStorage.setItem(STORAGE_KEYS.RPC_BATCH, 'true');
+    else localStorage.removeItem(STORAGE_KEYS.RPC_BATCH);
 }
 
 /**
@@ -203,6 +442,165 @@ export function getEtherscanApiKey() {
     return storedKey && storedKey.trim() !== '' ? storedKey : DEFAULT_ETHERSCAN_API_KEY;
 }
 
+/**
+ * Gets the IPFS (Kubo RPC compatible) pinning endpoint configured in Settings.
+ * @returns {{url: string, auth: string}} API base URL (empty when not configured) and Authorization header value
+ */
+export function getIpfsApiConfig() {
+    return {
+        url: (localStorage.getItem(STORAGE_KEYS.IPFS_API_URL) || '').trim().replace(/\/+$/, ''),
+        auth: (localStorage.getItem(STORAGE_KEYS.IPFS_API_AUTH) || '').trim()
+    };
+}
+
+// Operator images are cropped to a square of this size (px) before pinning
+export const OPERATOR_IMAGE_SIZE = 256;
+export const OPERATOR_IMAGE_MAX_INPUT_BYTES = 10 * 1024 * 1024;
+
+// Operators picked for the comparison view
+export const MAX_COMPARED_OPERATORS = 5;
+
+/**
+ * Gets the operator IDs picked for comparison.
+ * @returns {string[]} Lowercase operator addresses
+ */
+export function getComparedOperatorIds() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(STORAGE_KEYS.COMPARED_OPERATORS) || '[]');
+        return Array.isArray(ids) ? ids.filter(id => /^0x[a-f0-9]{40}$/.test(id)).slice(0, MAX_COMPARED_OPERATORS) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the operator IDs picked for comparison.
+ * @param {string[]} ids - Operator addresses
+ */
+export function saveComparedOperatorIds(ids) {
+    const unique = [...new Set(ids.map(id => id.toLowerCase()))].slice(0, MAX_COMPARED_OPERATORS);
+    localStorage.setItem(STORAGE_KEYS.COMPARED_OPERATORS, JSON.stringify(unique));
+}
+
+// Operator list sorts; fields without a subgraph column are sorted client-side
+export const OPERATOR_SORT_FIELDS = {
+    stake: 'valueWithoutEarnings',
+    delegators: 'delegatorCount',
+    cut: 'operatorsCutFraction',
+    apy: null,
+    sponsorships: null
+};
+
+// Operator list filters encoded in the URL query string (besides the search term "q")
+export const OPERATOR_FILTER_KEYS = [
+    'sort', 'dir',
+    'minApy', 'maxApy',
+    'minDelegators', 'maxDelegators',
+    'minCut', 'maxCut',
+    'minStake', 'maxStake',
+    'minSponsorships', 'maxSponsorships',
+    'slashed', 'version'
+];
+
+// Decimals of operator list filters that are converted to wei for the subgraph.
+// operatorsCutFraction is a fraction with 18 decimals, so a percentage has 16.
+export const OPERATOR_FILTER_DECIMALS = {
+    minCut: 16, maxCut: 16,
+    minStake: 18, maxStake: 18
+};
+
+/**
+ * Gets the operator list views saved by the user.
+ * @returns {Array<{name: string, search: string}>} View names with their URL query strings
+ */
+export function getSavedOperatorViews() {
+    try {
+        const views = JSON.parse(localStorage.getItem(STORAGE_KEYS.OPERATOR_LIST_VIEWS) || '[]');
+        return Array.isArray(views) ? views.filter(v => v && typeof v.name === 'string' && typeof v.search === 'string') : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the operator list views.
+ * @param {Array<{name: string, search: string}>} views
+ */
+export function saveSavedOperatorViews(views) {
+    localStorage.setItem(STORAGE_KEYS.OPERATOR_LIST_VIEWS, JSON.stringify(views));
+}
+
+// Watchlist entries are operators or delegators, each identified by address
+export const WATCHLIST_TYPES = ['operator', 'delegator'];
+export const WATCHLIST_LABEL_MAX_LENGTH = 40;
+
+/**
+ * Keeps the valid watchlist entries, normalized and without duplicates.
+ * @param {Array} entries - Entries as stored or imported
+ * @returns {Array<{type: string, id: string, label: string}>}
+ */
+export function normalizeWatchlist(entries) {
+    if (!Array.isArray(entries)) return [];
+    const seen = new Set();
+    const result = [];
+    for (const entry of entries) {
+        const type = entry?.type;
+        const id = typeof entry?.id === 'string' ? entry.id.toLowerCase() : '';
+        if (!WATCHLIST_TYPES.includes(type) || !/^0x[a-f0-9]{40}$/.test(id) || seen.has(`${type}:${id}`)) continue;
+        seen.add(`${type}:${id}`);
+        const label = typeof entry.label === 'string' ? entry.label.trim().slice(0, WATCHLIST_LABEL_MAX_LENGTH) : '';
+        result.push({ type, id, label });
+    }
+    return result;
+}
+
+/**
+ * Gets the watched operators and delegators.
+ * @returns {Array<{type: string, id: string, label: string}>}
+ */
+export function getWatchlist() {
+    try {
+        return normalizeWatchlist(JSON.parse(localStorage.getItem(STORAGE_KEYS.WATCHLIST) || '[]'));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Saves the watched operators and delegators.
+ * @param {Array<{type: string, id: string, label?: string}>} entries
+ */
+export function saveWatchlist(entries) {
+    localStorage.setItem(STORAGE_KEYS.WATCHLIST, JSON.stringify(normalizeWatchlist(entries)));
+}
+
+/**
+ * Whether an operator or delegator is on the watchlist.
+ * @param {string} type - 'operator' or 'delegator'
+ * @param {string} id - Address
+ * @returns {boolean}
+ */
+export function isOnWatchlist(type, id) {
+    const lowerId = (id || '').toLowerCase();
+    return getWatchlist().some(entry => entry.type === type && entry.id === lowerId);
+}
+
+/**
+ * Adds an operator or delegator to the watchlist, or removes it if it's already there.
+ * @param {string} type - 'operator' or 'delegator'
+ * @param {string} id - Address
+ * @returns {boolean} Whether it is watched afterwards
+ */
+export function toggleWatchlistEntry(type, id) {
+    const lowerId = (id || '').toLowerCase();
+    const entries = getWatchlist();
+    const isWatched = entries.some(entry => entry.type === type && entry.id === lowerId);
+    saveWatchlist(isWatched
+        ? entries.filter(entry => !(entry.type === type && entry.id === lowerId))
+        : [...entries, { type, id: lowerId }]);
+    return !isWatched;
+}
+
 /**
  * Builds a Polygonscan API URL with the correct API key.
  * @param {object} params - Query parameters
@@ -233,6 +631,9 @@ export const POLYGONSCAN_METHOD_IDS = {
     "0x4000aea0": "Delegate",
     "0x918b5be1": "Update Metadata",
     "0x25c33549": "Set Node Address",
+    "0x14797daa": "Update Node Addresses",
+    "0x2f2ff15d": "Grant Role",
+    "0xd547741f": "Revoke Role",
     "0xe8e658b4": "Collect Earnings",
     "0xbed6ff09": "Vote On Flag",
     "0x0fd6ff49": "Heartbeat",
@@ -244,6 +645,10 @@ export const POLYGONSCAN_METHOD_IDS = {
     "0x4a178fe4": "Flag",
 };
 
+// voteData for Operator.voteOnFlag: the lowest bit set means "kick"
+export const FLAG_VOTE_KICK = '0x0000000000000000000000000000000000000000000000000000000000000001';
+export const FLAG_VOTE_NO_KICK = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
 export const VOTE_ON_FLAG_RAW_AMOUNTS = new Set([
     "50000000000000000",
     "500000000000000000",
@@ -252,16 +657,33 @@ export const VOTE_ON_FLAG_RAW_AMOUNTS = new Set([
     "2000000000000000000"
 ]);
 
+// Node wallets pay gas for operator duties; warn below this POL balance
+export const LOW_NODE_BALANCE_POL = 1;
+// A node counts as heartbeating if it published a heartbeat this recently
+export const NODE_HEARTBEAT_TIMEOUT_MS = 2 * 60 * 1000;
+
 // Pagination
 export const DELEGATORS_PER_PAGE = 100;
 export const DELEGATORS_LIST_PAGE_SIZE = 50;
 export const DELEGATOR_TX_HISTORY_LIMIT = 2000;
 export const OPERATORS_PER_PAGE = 20;
+export const SPONSORSHIPS_PER_PAGE = 50;
 export const MIN_SEARCH_LENGTH = 3;
 export const MAX_STREAM_MESSAGES = 20;
+export const STREAM_TAIL_MAX_MESSAGES = 200;
+export const STREAMS_SEARCH_PAGE_SIZE = 50;
 export const MIN_ADDRESS_SEARCH_LENGTH = 8;
 export const FULL_ADDRESS_LENGTH = 42;
 
+// How long subgraph responses may be served from cache (runQuery's ttl option)
+export const SUBGRAPH_CACHE_TTL = {
+    LIST: 30 * 1000,
+    METADATA: 10 * 60 * 1000,
+    HISTORY: 10 * 60 * 1000,
+    // Queries pinned to a past block never change
+    IMMUTABLE: 24 * 60 * 60 * 1000
+};
+
 // Chart timeframes for delegator view
 export const DELEGATOR_TIMEFRAMES = {
     '30': 30,
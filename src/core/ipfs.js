@@ -0,0 +1,89 @@
+/**
+ * IPFS image pinning for operator metadata.
+ * Images are cropped and resized in the browser, then added and pinned through
+ * a Kubo RPC compatible API (a local node, a pinning service or cli/ipfs-standin.mjs).
+ */
+
+import { getIpfsApiConfig, OPERATOR_IMAGE_SIZE, OPERATOR_IMAGE_MAX_INPUT_BYTES } from './constants.js';
+import { isValidIpfsCid } from './utils.js';
+
+/**
+ * Crop an image file to a centered square and scale it down
+ * @param {File} file - Image picked by the user
+ * @param {number} [size] - Output width and height in px
+ * @returns {Promise<Blob>} WebP image (PNG where WebP encoding is not supported)
+ */
+export async function resizeImageToSquare(file, size = OPERATOR_IMAGE_SIZE) {
+    if (!file.type.startsWith('image/')) {
+        throw new Error('Please choose an image file.');
+    }
+    if (file.size > OPERATOR_IMAGE_MAX_INPUT_BYTES) {
+        throw new Error(`Image is too large (max ${Math.round(OPERATOR_IMAGE_MAX_INPUT_BYTES / 1024 / 1024)} MB).`);
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (e) {
+        throw new Error('Could not read the image.');
+    }
+
+    const side = Math.min(bitmap.width, bitmap.height);
+    const outputSize = Math.min(size, side);
+    const canvas = document.createElement('canvas');
+    canvas.width = outputSize;
+    canvas.height = outputSize;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(
+        bitmap,
+        (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side,
+        0, 0, outputSize, outputSize
+    );
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image.')), 'image/webp', 0.9);
+    });
+}
+
+/**
+ * Add and pin a file through the configured IPFS API
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name sent with the upload
+ * @returns {Promise<string>} The CID (CIDv1)
+ */
+export async function pinToIpfs(blob, filename) {
+    const { url, auth } = getIpfsApiConfig();
+    if (!url) {
+        throw new Error('No IPFS API configured. Set one in Settings.');
+    }
+
+    const body = new FormData();
+    body.append('file', blob, filename);
+
+    let response;
+    try {
+        response = await fetch(`${url}/api/v0/add?pin=true&cid-version=1`, {
+            method: 'POST',
+            headers: auth ? { Authorization: auth } : {},
+            body
+        });
+    } catch (e) {
+        throw new Error(`Could not reach the IPFS API at ${url}.`);
+    }
+    if (!response.ok) {
+        throw new Error(`IPFS API error: ${response.status} ${response.statusText}`);
+    }
+
+    // Kubo answers with one JSON object per added file, one per line
+    const text = await response.text();
+    const lines = text.trim().split('\n').filter(Boolean);
+    const result = JSON.parse(lines[lines.length - 1]);
+    const cid = result.Hash || result.cid || '';
+
+    if (!isValidIpfsCid(cid)) {
+        throw new Error('IPFS API did not return a valid CID.');
+    }
+    return cid;
+}
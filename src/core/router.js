@@ -1,14 +1,37 @@
 // router.js - Client-side routing for the Streamr Operators application
 
+// How long to wait for a restored page to grow tall enough before scrolling anyway
+const SCROLL_RESTORE_TIMEOUT_MS = 3000;
+// Guards redirecting to each other stop after this many hops
+const MAX_GUARD_REDIRECTS = 5;
+
 export class Router {
     constructor() {
         this.routes = new Map();
         this.currentRoute = null;
+        this.currentQuery = new URLSearchParams();
+        this.currentHash = '';
+        this.notFoundHandler = null;
+        this.routeChangeListeners = [];
+        this.scrollSaveTimeout = null;
+
+        // Scroll positions are restored by the router once the view has rendered
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
         
         // Listen for browser back/forward navigation
-        window.addEventListener('popstate', (e) => {
-            this.handleRoute(window.location.pathname, false);
+        window.addEventListener('popstate', async (e) => {
+            const scrollY = e.state?.scrollY;
+            await this.handleRoute(this.getLocationPath(), false);
+            if (typeof scrollY === 'number') this.restoreScrollPosition(scrollY);
         });
+
+        // Remember the scroll position of the current history entry
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollSaveTimeout);
+            this.scrollSaveTimeout = setTimeout(() => this.saveScrollPosition(), 150);
+        }, { passive: true });
         
         // Intercept clicks on internal links to use client-side routing
         document.addEventListener('click', (e) => {
@@ -40,19 +63,39 @@ export class Router {
     /**
      * Register a route handler
      * @param {string} pattern 
-     * @param {Function} handler 
+     * @param {Function} handler - Called with (params, query)
+     * @param {Object} [options]
+     * @param {Function} [options.guard] - Called with (params, query) before the handler;
+     *        return true to continue or a path to redirect to instead
+     */
+    addRoute(pattern, handler, options = {}) {
+        this.routes.set(pattern, { handler, guard: options.guard || null });
+    }
+
+    /**
+     * Register the handler for paths that match no route
+     * @param {Function} handler - Called with the unmatched path
      */
-    addRoute(pattern, handler) {
-        this.routes.set(pattern, handler);
+    setNotFoundHandler(handler) {
+        this.notFoundHandler = handler;
+    }
+
+    /**
+     * Register a listener called before every route change, e.g. to cancel the previous page's requests
+     * @param {Function} listener - Called with the new path
+     */
+    onRouteChange(listener) {
+        this.routeChangeListeners.push(listener);
     }
 
     /**
      * Navigate to a specific path
-     * @param {string} path - The path to navigate to
+     * @param {string} path - The path to navigate to, optionally with a query string and hash
      * @param {boolean} pushState - Whether to add to browser history (default: true)
      */
     navigate(path, pushState = true) {
         if (pushState) {
+            this.saveScrollPosition();
             window.history.pushState({}, '', path);
         }
         this.handleRoute(path, false);
@@ -60,34 +103,59 @@ export class Router {
 
     /**
      * Handle the current route
-     * @param {string} path - The path to handle
+     * @param {string} path - The path to handle, optionally with a query string and hash
      * @param {boolean} pushState - Whether to add to browser history
+     * @param {number} redirects - Guard redirects followed so far
      */
-    async handleRoute(path, pushState = true) {
+    async handleRoute(path, pushState = true, redirects = 0) {
+        const url = new URL(path || '/', window.location.origin);
+
         // Normalize path
-        path = path || '/';
+        path = url.pathname || '/';
         if (path !== '/' && path.endsWith('/')) {
             path = path.slice(0, -1);
         }
 
+        if (redirects === 0) {
+            this.routeChangeListeners.forEach(listener => listener(path));
+        }
+
         this.currentRoute = path;
+        this.currentQuery = url.searchParams;
+        this.currentHash = url.hash.slice(1);
 
         // Try to match exact routes first
-        for (const [pattern, handler] of this.routes) {
+        for (const [pattern, route] of this.routes) {
             const params = this.matchRoute(pattern, path);
-            if (params !== null) {
-                await handler(params);
-                return;
+            if (params === null) continue;
+
+            if (route.guard) {
+                const result = await route.guard(params, this.getQueryParams());
+                if (result !== true) {
+                    if (typeof result === 'string' && redirects < MAX_GUARD_REDIRECTS) {
+                        window.history.replaceState({}, '', result);
+                        await this.handleRoute(result, false, redirects + 1);
+                    }
+                    return;
+                }
             }
+
+            await route.handler(params, this.getQueryParams());
+            return;
         }
 
-        // If no route matched, default to home
-        const homeHandler = this.routes.get('/');
-        if (homeHandler) {
+        if (this.notFoundHandler) {
+            await this.notFoundHandler(path);
+            return;
+        }
+
+        // Without a not-found handler, default to home
+        const homeRoute = this.routes.get('/');
+        if (homeRoute) {
             if (pushState) {
                 window.history.pushState({}, '', '/');
             }
-            await homeHandler({});
+            await homeRoute.handler({}, new URLSearchParams());
         }
     }
 
@@ -137,10 +205,85 @@ export class Router {
         return this.currentRoute || window.location.pathname;
     }
 
+    /**
+     * Get the query parameters of the current route
+     * @returns {URLSearchParams} A copy; use updateQuery or replaceQuery to change them
+     */
+    getQueryParams() {
+        return new URLSearchParams(this.currentQuery);
+    }
+
+    /**
+     * Get the hash of the current route (without "#")
+     * @returns {string}
+     */
+    getHash() {
+        return this.currentHash;
+    }
+
+    /**
+     * Replace the query string of the current URL without handling the route again
+     * @param {string} search - "?..." or an empty string to clear it
+     */
+    replaceQuery(search) {
+        this.currentQuery = new URLSearchParams(search);
+        const hash = this.currentHash ? `#${this.currentHash}` : '';
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${hash}`);
+    }
+
+    /**
+     * Set or remove query parameters of the current URL without handling the route again
+     * @param {Object} changes - Values to set; null, undefined or '' removes the parameter
+     */
+    updateQuery(changes) {
+        const query = this.getQueryParams();
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null || value === undefined || value === '') query.delete(key);
+            else query.set(key, value);
+        }
+        const search = query.toString();
+        this.replaceQuery(search ? `?${search}` : '');
+    }
+
+    /**
+     * Current path with query string and hash, as the browser shows it
+     * @returns {string}
+     */
+    getLocationPath() {
+        return `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    }
+
+    /**
+     * Store the scroll position in the current history entry
+     */
+    saveScrollPosition() {
+        clearTimeout(this.scrollSaveTimeout);
+        window.history.replaceState({ ...(window.history.state || {}), scrollY: window.scrollY }, '');
+    }
+
+    /**
+     * Scroll back to a stored position, waiting for asynchronously rendered content to make room for it
+     * @param {number} scrollY
+     */
+    restoreScrollPosition(scrollY) {
+        const deadline = Date.now() + SCROLL_RESTORE_TIMEOUT_MS;
+        const attempt = () => {
+            const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+            if (maxScroll >= scrollY || Date.now() > deadline) {
+                window.scrollTo(0, scrollY);
+                return;
+            }
+            setTimeout(attempt, 100);
+        };
+        attempt();
+    }
+
     /**
      * Initialize the router and handle the initial route
      */
-    init() {
-        this.handleRoute(window.location.pathname, false);
+    async init() {
+        const scrollY = window.history.state?.scrollY;
+        await this.handleRoute(this.getLocationPath(), false);
+        if (typeof scrollY === 'number') this.restoreScrollPosition(scrollY);
     }
 }
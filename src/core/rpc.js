@@ -0,0 +1,249 @@
+/**
+ * Polygon JSON-RPC access without DOM dependencies, so it can be shared by the
+ * browser app and the headless autostaker runner. Expects ethers v5 as a global.
+ *
+ * FallbackRpcProvider is an ethers provider that sends each request to the
+ * first endpoint in priority order that is not cooling down after a failure
+ * and has room under its rate limit. Failed requests move on to the next
+ * endpoint, and the latency of every endpoint is tracked for Settings.
+ * In batch mode, requests made in the same tick go out as one JSON-RPC batch.
+ */
+
+import { logger } from './utils.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const FAILURE_COOLDOWN_MS = 30000;
+const RATE_LIMIT_WINDOW_MS = 1000;
+const BATCH_MAX_SIZE = 50;
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+// JSON-RPC errors that mean "ask someone else" rather than a real answer
+const RATE_LIMIT_ERROR_CODES = new Set([-32005, 429]);
+const RATE_LIMIT_MESSAGE = /rate limit|too many requests|limit exceeded/i;
+// Methods that must not be repeated on another endpoint once one may have received them
+const NON_IDEMPOTENT_METHODS = new Set(['eth_sendRawTransaction']);
+
+export class FallbackRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {Array<{url: string, rateLimit?: number}>} endpoints - In priority order; rateLimit is requests per second, 0 for none
+     * @param {Object} [options]
+     * @param {boolean} [options.batch=false] - Send requests made in the same tick as one JSON-RPC batch
+     */
+    constructor(endpoints, { batch = false } = {}) {
+        super(endpoints[0]?.url);
+        this.pendingBatch = null;
+        this.nextRequestId = 1;
+        this.configure(endpoints, { batch });
+    }
+
+    /**
+     * Replace the endpoints and batch mode in place, keeping the provider (and wallets connected to it)
+     * @param {Array<{url: string, rateLimit?: number}>} endpoints
+     * @param {Object} [options]
+     * @param {boolean} [options.batch=false]
+     */
+    configure(endpoints, { batch = false } = {}) {
+        if (endpoints.length === 0) throw new Error('At least one RPC endpoint is required');
+        const previous = new Map((this.endpoints || []).map(e => [e.url, e]));
+        this.endpoints = endpoints.map(({ url, rateLimit = 0 }) => ({
+            url,
+            rateLimit,
+            sentAt: [],
+            latencyMs: null,
+            requests: 0,
+            failures: 0,
+            cooldownUntil: 0,
+            lastError: null,
+            // Keep what was learned about endpoints that stay configured
+            ...pickStats(previous.get(url))
+        }));
+        this.batch = batch;
+    }
+
+    /**
+     * Health and usage of every endpoint, in priority order
+     * @returns {Array<{url: string, rateLimit: number, latencyMs: number|null, requests: number, failures: number, lastError: string|null, coolingDown: boolean}>}
+     */
+    getEndpointStats() {
+        const now = Date.now();
+        return this.endpoints.map(e => ({
+            url: e.url,
+            rateLimit: e.rateLimit,
+            latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+            requests: e.requests,
+            failures: e.failures,
+            lastError: e.lastError,
+            coolingDown: e.cooldownUntil > now
+        }));
+    }
+
+    /**
+     * Send a JSON-RPC request; used by ethers for every provider call
+     * @param {string} method
+     * @param {Array} params
+     * @returns {Promise<*>} The result
+     */
+    send(method, params) {
+        const request = { method, params, id: this.nextRequestId++, jsonrpc: '2.0' };
+        // Transactions go out on their own so a failing batch can't take them along to another endpoint
+        if (!this.batch || NON_IDEMPOTENT_METHODS.has(method)) {
+            return this.dispatch([request]).then(([response]) => unwrapResponse(response));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.pendingBatch) {
+                this.pendingBatch = [];
+                setTimeout(() => this.flushBatch(), 0);
+            }
+            this.pendingBatch.push({ request, resolve, reject });
+            if (this.pendingBatch.length >= BATCH_MAX_SIZE) this.flushBatch();
+        });
+    }
+
+    async flushBatch() {
+        const batch = this.pendingBatch;
+        this.pendingBatch = null;
+        if (!batch || batch.length === 0) return;
+
+        try {
+            const responses = await this.dispatch(batch.map(entry => entry.request));
+            batch.forEach((entry, i) => {
+                try {
+                    entry.resolve(unwrapResponse(responses[i]));
+                } catch (error) {
+                    entry.reject(error);
+                }
+            });
+        } catch (error) {
+            batch.forEach(entry => entry.reject(error));
+        }
+    }
+
+    /**
+     * Send requests to the best available endpoint, moving on to the next one when it fails.
+     * Transactions only move on when the endpoint turned them away (rate limiting), since after
+     * a timeout or network error it may already have broadcast them.
+     * @returns {Promise<Array>} JSON-RPC responses in request order
+     */
+    async dispatch(requests) {
+        const idempotent = requests.every(request => !NON_IDEMPOTENT_METHODS.has(request.method));
+        const tried = new Set();
+        let lastError = null;
+        for (;;) {
+            const endpoint = await this.takeEndpoint(tried, requests.length);
+            if (!endpoint) throw lastError;
+            tried.add(endpoint);
+
+            const startedAt = Date.now();
+            try {
+                const responses = await postJsonRpc(endpoint.url, requests);
+                const sample = Date.now() - startedAt;
+                endpoint.latencyMs = endpoint.latencyMs === null ? sample : endpoint.latencyMs + (sample - endpoint.latencyMs) * LATENCY_SMOOTHING;
+                endpoint.failures = 0;
+                endpoint.cooldownUntil = 0;
+                return responses;
+            } catch (error) {
+                lastError = error;
+                endpoint.failures++;
+                endpoint.lastError = error.message;
+                endpoint.cooldownUntil = Date.now() + FAILURE_COOLDOWN_MS;
+                if (!idempotent && !error.rejected) throw error;
+                logger.warn(`RPC endpoint ${endpoint.url} failed, trying the next one:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Pick the first untried endpoint with room under its rate limit, preferring ones not cooling down,
+     * and record the requests against its limit. Waits while every candidate is at its limit.
+     * @returns {Promise<Object|null>} null once every endpoint has been tried
+     */
+    async takeEndpoint(tried, count) {
+        for (;;) {
+            const now = Date.now();
+            const candidates = this.endpoints.filter(e => !tried.has(e));
+            if (candidates.length === 0) return null;
+
+            candidates.forEach(e => {
+                e.sentAt = e.sentAt.filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+            });
+            const healthy = candidates.filter(e => e.cooldownUntil <= now);
+            const ordered = healthy.length > 0 ? healthy : [...candidates].sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+            // A batch larger than the limit still goes out once the window is empty
+            const endpoint = ordered.find(e => !e.rateLimit || e.sentAt.length === 0 || e.sentAt.length + count <= e.rateLimit);
+
+            if (endpoint) {
+                for (let i = 0; i < count; i++) endpoint.sentAt.push(now);
+                endpoint.requests += count;
+                return endpoint;
+            }
+
+            const nextSlot = Math.min(...ordered.map(e => e.sentAt[0] + RATE_LIMIT_WINDOW_MS));
+            await new Promise(resolve => setTimeout(resolve, Math.max(nextSlot - now, 10)));
+        }
+    }
+}
+
+/**
+ * POST one request or a batch, returning responses in request order.
+ * Throws when the endpoint itself failed (transport, HTTP status, rate limiting, malformed answer).
+ */
+async function postJsonRpc(url, requests) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let payload;
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requests.length === 1 ? requests[0] : requests),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+            error.rejected = response.status === 429;
+            throw error;
+        }
+        payload = await response.json();
+    } catch (error) {
+        throw controller.signal.aborted ? new Error(`No answer within ${REQUEST_TIMEOUT_MS / 1000}s`) : error;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const byId = new Map((Array.isArray(payload) ? payload : [payload]).map(response => [response?.id, response]));
+    return requests.map(request => {
+        const response = byId.get(request.id);
+        if (!response) throw new Error(`No response to ${request.method}`);
+        if (response.error && isRateLimitError(response.error)) {
+            const error = new Error(`Rate limited: ${response.error.message}`);
+            // The endpoint did not process the request, so it is safe to send it elsewhere
+            error.rejected = true;
+            throw error;
+        }
+        return response;
+    });
+}
+
+function isRateLimitError(error) {
+    return RATE_LIMIT_ERROR_CODES.has(error.code) || RATE_LIMIT_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Return the result, or throw the JSON-RPC error the way ethers' own provider does so revert data is still decoded
+ */
+function unwrapResponse(response) {
+    if (response.error) {
+        const error = new Error(response.error.message);
+        error.code = response.error.code;
+        error.data = response.error.data;
+        throw error;
+    }
+    return response.result;
+}
+
+function pickStats(endpoint) {
+    if (!endpoint) return {};
+    const { latencyMs, requests, failures, cooldownUntil, lastError } = endpoint;
+    return { latencyMs, requests, failures, cooldownUntil, lastError };
+}
@@ -4,9 +4,10 @@ import {
     STREAMR_TREASURY_ADDRESS, 
     DATA_TOKEN_ABI,
     OPERATOR_CONTRACT_ABI,
+    SPONSORSHIP_ABI,
     STREAMR_CONFIG_ABI,
+    OPERATOR_FACTORY_ABI,
     DATA_PRICE_STREAM_ID,
-    POLYGON_RPC_URL,
     DELEGATORS_PER_PAGE,
     OPERATORS_PER_PAGE,
     MIN_SEARCH_LENGTH,
@@ -15,13 +16,25 @@ import {
     POLYGONSCAN_NETWORK,
     POLYGONSCAN_METHOD_IDS,
     VOTE_ON_FLAG_RAW_AMOUNTS,
-    getGraphUrl,
+    FLAG_VOTE_KICK,
+    FLAG_VOTE_NO_KICK,
     getEtherscanApiKey,
     buildPolygonscanUrl,
-    STORAGE_KEYS
+    STORAGE_KEYS,
+    SUBGRAPH_CACHE_TTL,
+    SUBGRAPH_HEALTH_CHECK_INTERVAL_MS,
+    CHAIN_HEAD_POLL_INTERVAL_MS,
+    OPERATOR_SORT_FIELDS,
+    OPERATOR_FILTER_DECIMALS,
+    getRpcEndpoints,
+    isRpcBatchEnabled
 } from './constants.js';
-import { showToast, setModalState, txModalAmount, txModalBalanceValue, txModalMinimumValue, stakeModalAmount, stakeModalCurrentStake, stakeModalFreeFunds, dataPriceValueEl, transactionModal, stakeModal, operatorSettingsModal } from '../ui/ui.js';
-import { getFriendlyErrorMessage, convertWeiToData, parseDateFromCsv, parseOperatorMetadata, logger } from './utils.js';
+import { showToast, setModalState, txModalAmount, txModalBalanceValue, txModalMinimumValue, stakeModalAmount, stakeModalCurrentStake, stakeModalFreeFunds, dataPriceValueEl, transactionModal, stakeModal, operatorSettingsModal, voteFlagModal, flagModal, walletsModal, createSponsorshipModal, topUpSponsorshipModal } from '../ui/ui.js';
+import { getFriendlyErrorMessage, convertWeiToData, parseDateFromCsv, parseOperatorMetadata, logger, hasClientSideOperatorFilters, applyClientSideOperatorFilters } from './utils.js';
+import { FallbackRpcProvider } from './rpc.js';
+import { runQuery, isAbortError, SubgraphError, cancelRouteRequests, checkSubgraphEndpoints, getSubgraphStatus, onSubgraphStatusChange, setChainHeadBlock, waitForIndexedBlock } from './subgraph.js';
+
+export { runQuery, isAbortError, SubgraphError, cancelRouteRequests, getSubgraphStatus, onSubgraphStatusChange };
 
 // Note: etherscanApiKey is now managed via getEtherscanApiKey() from constants.js
 // This variable is kept for backward compatibility with updateEtherscanApiKey()
@@ -30,24 +43,89 @@ let _etherscanApiKeyOverride = null;
 let streamrClient = null;
 let priceSubscription = null;
 let coordinationSubscription = null;
+let streamTailSubscription = null;
 let historicalDataPriceMap = null; 
+let subgraphMonitorInterval = null;
+let chainHeadInterval = null;
 
 // --- Centralized RPC Provider ---
 
 let _readOnlyProvider = null;
 
 /**
- * Get or create a singleton read-only JsonRpcProvider for Polygon.
+ * Get or create a singleton read-only provider for Polygon over the RPC endpoints configured in Settings.
  * This should be used for all read operations that don't require a signer.
- * @returns {ethers.providers.JsonRpcProvider}
+ * @returns {FallbackRpcProvider}
  */
 export function getReadOnlyProvider() {
     if (!_readOnlyProvider) {
-        _readOnlyProvider = new ethers.providers.JsonRpcProvider(POLYGON_RPC_URL);
+        _readOnlyProvider = new FallbackRpcProvider(getRpcEndpoints(), { batch: isRpcBatchEnabled() });
     }
     return _readOnlyProvider;
 }
 
+/**
+ * Apply changed RPC settings to the read-only provider (and the wallets connected to it)
+ */
+export function reconfigureReadOnlyProvider() {
+    if (_readOnlyProvider) {
+        _readOnlyProvider.configure(getRpcEndpoints(), { batch: isRpcBatchEnabled() });
+    }
+}
+
+/**
+ * Latency, usage and errors of the configured RPC endpoints
+ * @returns {Array<Object>} See FallbackRpcProvider.getEndpointStats
+ */
+export function getRpcEndpointStats() {
+    return getReadOnlyProvider().getEndpointStats();
+}
+
+/**
+ * Health-check the subgraph endpoints now and periodically, measuring their lag against the chain head.
+ * Status changes are reported to onSubgraphStatusChange listeners.
+ * @returns {Promise<Object>} Status after the first check
+ */
+export async function startSubgraphMonitor() {
+    const readHead = async () => {
+        try {
+            return await getReadOnlyProvider().getBlockNumber();
+        } catch (e) {
+            logger.warn("Could not read the chain head for the subgraph lag:", e);
+            return null;
+        }
+    };
+    const check = async () => checkSubgraphEndpoints(await readHead());
+    const pollHead = async () => {
+        if (document.hidden) return;
+        const headBlock = await readHead();
+        if (headBlock !== null) setChainHeadBlock(headBlock);
+    };
+
+    if (subgraphMonitorInterval) clearInterval(subgraphMonitorInterval);
+    if (chainHeadInterval) clearInterval(chainHeadInterval);
+    subgraphMonitorInterval = setInterval(check, SUBGRAPH_HEALTH_CHECK_INTERVAL_MS);
+    chainHeadInterval = setInterval(pollHead, CHAIN_HEAD_POLL_INTERVAL_MS);
+    return check();
+}
+
+/**
+ * Wait until the subgraph has indexed the block of a mined transaction, so a refresh shows its effects
+ * @param {string} txHash
+ * @param {Object} [options] - See waitForIndexedBlock (timeoutMs, signal, routeScoped)
+ * @returns {Promise<boolean>} false when the subgraph did not catch up in time
+ * @throws {SubgraphError}
+ */
+export async function waitForTransactionIndexed(txHash, options = {}) {
+    const provider = getReadOnlyProvider();
+    const receipt = await provider.getTransactionReceipt(txHash);
+    // The read-only RPC may not have the receipt yet; the current head is at or past its block
+    const blockNumber = receipt?.blockNumber ?? await provider.getBlockNumber();
+    setChainHeadBlock(Math.max(blockNumber, getSubgraphStatus().headBlock ?? 0));
+    logger.log(`Waiting for the subgraph to index block ${blockNumber} (transaction ${txHash})...`);
+    return waitForIndexedBlock(blockNumber, options);
+}
+
 /**
  * Get the best available provider: signer's provider if available, otherwise read-only.
  * @param {ethers.Signer|null} signer - Optional signer with attached provider
@@ -358,17 +436,6 @@ export async function fetchHistoricalDataPrice() {
 }
 
 // --- API (The Graph) ---
-export async function runQuery(query) {
-    const response = await fetch(getGraphUrl(), {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
-    });
-    if (!response.ok) throw new Error(`Network error: ${response.statusText}`);
-    const result = await response.json();
-    if (result.errors) throw new Error(`GraphQL error: ${result.errors.map(e => e.message).join(', ')}`);
-    return result.data;
-}
 
 const isAddressFilter = (query) => {
     const normalizedQuery = query.toLowerCase();
@@ -376,54 +443,120 @@ const isAddressFilter = (query) => {
 };
 
 
-export async function fetchOperators(skip = 0, filterQuery = '') {
+const OPERATOR_LIST_FIELDS = 'id valueWithoutEarnings delegatorCount metadataJsonString stakes(first: 50) { amountWei sponsorship { spotAPY } }';
+
+/**
+ * Lists the IDs of operators that have been slashed at least once.
+ * Reads every slashing event, a page at a time ordered by id.
+ */
+async function fetchSlashedOperatorIds() {
+    const PAGE_SIZE = 1000;
+    const operatorIds = new Set();
+    let lastId = '';
+
+    for (;;) {
+        const data = await runQuery(`
+            query GetSlashedOperators {
+                slashingEvents(first: ${PAGE_SIZE}, orderBy: id, orderDirection: asc, where: { id_gt: "${lastId}" }) { id operator { id } }
+            }`, { ttl: SUBGRAPH_CACHE_TTL.METADATA });
+        const events = data.slashingEvents || [];
+        events.forEach(e => operatorIds.add(e.operator.id));
+        if (events.length < PAGE_SIZE) break;
+        lastId = events[events.length - 1].id;
+    }
+    return [...operatorIds];
+}
+
+/**
+ * Builds the subgraph where-conditions for the operator list filters.
+ * Delegator counts are as shown in the list, i.e. without the owner's self-delegation.
+ * @returns {Promise<string[]|null>} Conditions, or null if no operator can match
+ */
+async function buildOperatorListConditions(filters) {
+    const conditions = [];
+    const weiCondition = (field, value, key) => `${field}: "${ethers.utils.parseUnits(value, OPERATOR_FILTER_DECIMALS[key]).toString()}"`;
+
+    if (filters.minDelegators !== undefined) conditions.push(`delegatorCount_gte: ${Math.ceil(Number(filters.minDelegators)) + 1}`);
+    if (filters.maxDelegators !== undefined) conditions.push(`delegatorCount_lte: ${Math.floor(Number(filters.maxDelegators)) + 1}`);
+    if (filters.minCut !== undefined) conditions.push(weiCondition('operatorsCutFraction_gte', filters.minCut, 'minCut'));
+    if (filters.maxCut !== undefined) conditions.push(weiCondition('operatorsCutFraction_lte', filters.maxCut, 'maxCut'));
+    if (filters.minStake !== undefined) conditions.push(weiCondition('valueWithoutEarnings_gte', filters.minStake, 'minStake'));
+    if (filters.maxStake !== undefined) conditions.push(weiCondition('valueWithoutEarnings_lte', filters.maxStake, 'maxStake'));
+    if (filters.version !== undefined) conditions.push(`contractVersion: "${filters.version}"`);
+
+    if (filters.slashed) {
+        const slashedIds = await fetchSlashedOperatorIds();
+        if (filters.slashed === 'yes' && slashedIds.length === 0) return null;
+        if (slashedIds.length > 0) {
+            conditions.push(`${filters.slashed === 'yes' ? 'id_in' : 'id_not_in'}: [${slashedIds.map(id => `"${id}"`).join(', ')}]`);
+        }
+    }
+    return conditions;
+}
+
+/**
+ * Fetches a page of operators for the list view.
+ * @param {number} skip - Operators already loaded
+ * @param {string} filterQuery - Name or full address to search for
+ * @param {Object} [filters] - Filters and sort from parseOperatorListParams
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
+ */
+export async function fetchOperators(skip = 0, filterQuery = '', filters = {}, queryOptions = {}) {
     if (filterQuery && filterQuery.length > 0 && filterQuery.length < MIN_SEARCH_LENGTH) {
         return [];
     }
 
-    if (filterQuery) {
-        const lowerCaseFilter = filterQuery.toLowerCase();
-        if (isAddressFilter(lowerCaseFilter)) {
-            
-            if (lowerCaseFilter.length === FULL_ADDRESS_LENGTH) {
-                const whereClause = `where: {id: "${lowerCaseFilter}"}`;
-                
-                const query = `
-                query GetOperatorsList {
-                    operators(first: ${OPERATORS_PER_PAGE}, skip: ${skip}, orderBy: valueWithoutEarnings, orderDirection: desc, ${whereClause}) {
-                        id valueWithoutEarnings delegatorCount metadataJsonString stakes(first: 50) { amountWei sponsorship { spotAPY } }
-                    }
-                }`;
-                const data = await runQuery(query);
-                return data.operators;
+    const conditions = await buildOperatorListConditions(filters);
+    if (!conditions) return [];
+
+    const lowerCaseFilter = (filterQuery || '').toLowerCase();
+    const isNameSearch = !!lowerCaseFilter && !isAddressFilter(lowerCaseFilter);
+    if (lowerCaseFilter && !isNameSearch) {
+        if (lowerCaseFilter.length !== FULL_ADDRESS_LENGTH) return [];
+        conditions.push(`id: "${lowerCaseFilter}"`);
+    } else if (isNameSearch) {
+        // Narrow down server-side; the name itself is matched below so descriptions don't count
+        conditions.push(`metadataJsonString_contains_nocase: ${JSON.stringify(filterQuery)}`);
+    }
 
-            } else {
-                return [];
+    // Name search and APY / sponsorship filters work on the top 1000 matches instead of pages
+    const isClientSide = isNameSearch || hasClientSideOperatorFilters(filters);
+    const orderBy = OPERATOR_SORT_FIELDS[filters.sort] || 'valueWithoutEarnings';
+    const orderDirection = filters.dir === 'asc' ? 'asc' : 'desc';
+
+    const query = `
+        query GetOperatorsList {
+            operators(first: ${isClientSide ? 1000 : OPERATORS_PER_PAGE}, skip: ${isClientSide ? 0 : skip}, orderBy: ${orderBy}, orderDirection: ${orderDirection}, where: { ${conditions.join(', ')} }) {
+                ${OPERATOR_LIST_FIELDS}
             }
+        }`;
+    const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.LIST, ...queryOptions });
+    let operators = data.operators;
 
-        } else {
-            const topResultsQuery = `
-                query GetTopOperatorsForClientSearch {
-                    operators(first: 1000, orderBy: valueWithoutEarnings, orderDirection: desc) {
-                        id valueWithoutEarnings delegatorCount metadataJsonString stakes(first: 50) { amountWei sponsorship { spotAPY } }
-                    }
-                }`;
-            const data = await runQuery(topResultsQuery);
-            return data.operators.filter(op => {
-                const { name } = parseOperatorMetadata(op.metadataJsonString);
-                return name ? name.toLowerCase().includes(lowerCaseFilter) : false;
-            });
-        }
-    } else {
-        const query = `
-            query GetOperatorsList {
-                operators(first: ${OPERATORS_PER_PAGE}, skip: ${skip}, orderBy: valueWithoutEarnings, orderDirection: desc) {
-                    id valueWithoutEarnings delegatorCount metadataJsonString stakes(first: 50) { amountWei sponsorship { spotAPY } }
-                }
-            }`;
-        const data = await runQuery(query);
-        return data.operators;
+    if (isNameSearch) {
+        operators = operators.filter(op => {
+            const { name } = parseOperatorMetadata(op.metadataJsonString);
+            return name ? name.toLowerCase().includes(lowerCaseFilter) : false;
+        });
     }
+    return applyClientSideOperatorFilters(operators, filters);
+}
+
+/**
+ * Fetches specific operators with the same fields as the list view (e.g. watched operators).
+ * @param {string[]} ids - Operator addresses
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
+ */
+export async function fetchOperatorsByIds(ids, queryOptions = {}) {
+    if (!ids || ids.length === 0) return [];
+    const query = `
+        query GetOperatorsByIds {
+            operators(first: ${ids.length}, orderBy: valueWithoutEarnings, orderDirection: desc, where: { id_in: [${ids.map(id => `"${id.toLowerCase()}"`).join(', ')}] }) {
+                ${OPERATOR_LIST_FIELDS}
+            }
+        }`;
+    const data = await runQuery(query, queryOptions);
+    return data.operators;
 }
 
 /**
@@ -435,7 +568,12 @@ function isValidEthereumAddress(address) {
     return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address);
 }
 
-export async function fetchOperatorDetails(operatorId) {
+/**
+ * Fetches everything the operator detail view shows.
+ * @param {string} operatorId - Operator address
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
+ */
+export async function fetchOperatorDetails(operatorId, queryOptions = {}) {
     if (!isValidEthereumAddress(operatorId)) {
         throw new Error('Invalid operator ID format. Must be a valid Ethereum address.');
     }
@@ -468,6 +606,8 @@ export async function fetchOperatorDetails(operatorId) {
                 flagger { id, metadataJsonString }
                 sponsorship { id stream { id } }
                 flaggingTimestamp
+                voteStartTimestamp
+                voteEndTimestamp
                 result
                 votes(orderBy: timestamp, orderDirection: desc) {
                     id
@@ -482,6 +622,9 @@ export async function fetchOperatorDetails(operatorId) {
             target { id, metadataJsonString }
             sponsorship { id stream { id } }
             flaggingTimestamp
+            voteStartTimestamp
+            voteEndTimestamp
+            reviewerCount
             result
              votes(orderBy: timestamp, orderDirection: desc) {
                 id
@@ -493,7 +636,147 @@ export async function fetchOperatorDetails(operatorId) {
           }
           slashingEvents(where: {operator: "${sanitizedId}"}, orderBy: date, orderDirection: desc, first: 100) { id amount date sponsorship { id stream { id } } }
         }`;
-    return await runQuery(query);
+    return await runQuery(query, queryOptions);
+}
+
+/**
+ * Read an operator's core state directly from its contract, for when the subgraph is unavailable.
+ * All reads are made at the same block; values that could not be read are null and listed in `unavailable`.
+ * @param {string} operatorId - The operator contract address
+ * @param {string} [delegatorAddress] - Also read this wallet's stake in the operator
+ * @returns {Promise<Object>} Wei amounts as strings: { id, blockNumber, owner, operatorsCutFraction, valueWithoutEarnings,
+ *          operatorTokenTotalSupplyWei, totalStakedIntoSponsorshipsWei, freeFundsWei, queueIsEmpty, nodes,
+ *          stakes: [{ sponsorshipId, amountWei, earningsWei }], myStakeWei (with delegatorAddress), unavailable: string[] }
+ */
+export async function fetchOperatorOnChain(operatorId, delegatorAddress = null) {
+    if (!isValidEthereumAddress(operatorId)) {
+        throw new Error('Invalid operator ID format. Must be a valid Ethereum address.');
+    }
+    const provider = getReadOnlyProvider();
+    const [code, blockNumber] = await Promise.all([provider.getCode(operatorId), provider.getBlockNumber()]);
+    if (code === '0x') {
+        throw new Error('No operator contract found at this address.');
+    }
+
+    const overrides = { blockTag: blockNumber };
+    const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, provider);
+    const tokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, provider);
+
+    const reads = {
+        owner: () => operatorContract.owner(overrides),
+        operatorsCutFraction: () => operatorContract.operatorsCutFraction(overrides),
+        valueWithoutEarnings: () => operatorContract.valueWithoutEarnings(overrides),
+        operatorTokenTotalSupplyWei: () => operatorContract.totalSupply(overrides),
+        totalStakedIntoSponsorshipsWei: () => operatorContract.totalStakedIntoSponsorshipsWei(overrides),
+        freeFundsWei: () => tokenContract.balanceOf(operatorId, overrides),
+        queueIsEmpty: () => operatorContract.queueIsEmpty(overrides),
+        nodes: () => operatorContract.getNodeAddresses(overrides),
+        stakes: async () => {
+            const { addresses, earnings } = await operatorContract.getSponsorshipsAndEarnings(overrides);
+            const stakedWei = await Promise.all(addresses.map(address => operatorContract.stakedInto(address, overrides)));
+            return addresses.map((address, i) => ({
+                sponsorshipId: address.toLowerCase(),
+                amountWei: stakedWei[i].toString(),
+                earningsWei: earnings[i].toString()
+            }));
+        }
+    };
+    if (delegatorAddress) {
+        // Same conversion as the undelegate modal: tokens * valueWithoutEarnings / totalSupply
+        reads.myStakeWei = async () => {
+            const [tokensWei, totalSupplyWei, valueWei] = await Promise.all([
+                operatorContract.balanceOf(delegatorAddress, overrides),
+                operatorContract.totalSupply(overrides),
+                operatorContract.valueWithoutEarnings(overrides)
+            ]);
+            return totalSupplyWei.isZero() ? ethers.BigNumber.from(0) : tokensWei.mul(valueWei).div(totalSupplyWei);
+        };
+    }
+
+    const keys = Object.keys(reads);
+    const results = await Promise.allSettled(keys.map(key => reads[key]()));
+    const chainData = { id: operatorId.toLowerCase(), blockNumber, unavailable: [] };
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            logger.warn(`Could not read ${keys[i]} of operator ${operatorId} on-chain:`, result.reason);
+            chainData[keys[i]] = null;
+            chainData.unavailable.push(keys[i]);
+            return;
+        }
+        const value = result.value;
+        chainData[keys[i]] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+    return chainData;
+}
+
+/**
+ * Fetch open flags (waiting for or in voting) where the operator was selected as a reviewer
+ * @param {string} operatorId - The reviewer operator address
+ * @returns {Promise<Array>} Flags with votes, newest first
+ */
+export async function fetchFlagsToReview(operatorId) {
+    if (!isValidEthereumAddress(operatorId)) {
+        throw new Error('Invalid operator ID format.');
+    }
+    const sanitizedId = operatorId.toLowerCase();
+    const query = `
+        query GetFlagsToReview {
+          flags(where: {reviewers_contains: ["${sanitizedId}"], result_in: ["waiting", "voting"]}, orderBy: flaggingTimestamp, orderDirection: desc, first: 100) {
+            id
+            flaggingTimestamp
+            voteStartTimestamp
+            voteEndTimestamp
+            result
+            reviewerCount
+            targetStakeAtRiskWei
+            flagger { id, metadataJsonString }
+            target { id, metadataJsonString }
+            sponsorship { id stream { id } }
+            votes(orderBy: timestamp, orderDirection: desc) {
+                id
+                voter { id, metadataJsonString }
+                voterWeight
+                votedKick
+                timestamp
+            }
+          }
+        }`;
+    const data = await runQuery(query);
+    return data.flags || [];
+}
+
+/**
+ * Fetch the operators that could be flagged in a sponsorship
+ * @param {string} sponsorshipId - The sponsorship address
+ * @param {string} operatorId - The flagging operator (excluded from the result)
+ * @returns {Promise<Array>} Operators staked in the sponsorship, with an isFlagged marker for open flags
+ */
+export async function fetchFlagTargets(sponsorshipId, operatorId) {
+    if (!isValidEthereumAddress(sponsorshipId) || !isValidEthereumAddress(operatorId)) {
+        throw new Error('Invalid address format.');
+    }
+    const id = sponsorshipId.toLowerCase();
+    const query = `
+        query GetFlagTargets {
+          sponsorship(id: "${id}") {
+            stakes(first: 1000, orderBy: amountWei, orderDirection: desc) {
+              amountWei
+              operator { id, metadataJsonString }
+            }
+          }
+          flags(where: {sponsorship: "${id}", result_in: ["waiting", "voting"]}, first: 1000) {
+            target { id }
+          }
+        }`;
+    const data = await runQuery(query);
+    const flaggedTargets = new Set((data.flags || []).map(flag => flag.target.id.toLowerCase()));
+    return (data.sponsorship?.stakes || [])
+        .filter(stake => stake.operator.id.toLowerCase() !== operatorId.toLowerCase())
+        .map(stake => ({
+            ...stake.operator,
+            amountWei: stake.amountWei,
+            isFlagged: flaggedTargets.has(stake.operator.id.toLowerCase())
+        }));
 }
 
 export async function fetchMoreDelegators(operatorId, skip) {
@@ -792,6 +1075,34 @@ export async function fetchPolygonscanHistory(walletAddress, offset = 500, spons
     }
 }
 
+/**
+ * Fetch every item of a subgraph collection, a page at a time ordered by id
+ * @param {string} collection - Collection name, e.g. "queueEntries"
+ * @param {string} fields - Fields to select besides id
+ * @param {string} [where] - Extra where-conditions
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
+ * @returns {Promise<Array>} All items, ordered by id
+ */
+export async function fetchAllPages(collection, fields, where = '', queryOptions = {}) {
+    const PAGE_SIZE = 1000;
+    const items = [];
+    let lastId = '';
+    for (;;) {
+        const data = await runQuery(`
+            {
+                ${collection}(first: ${PAGE_SIZE}, orderBy: id, orderDirection: asc, where: { id_gt: "${lastId}"${where ? `, ${where}` : ''} }) {
+                    id
+                    ${fields}
+                }
+            }
+        `, queryOptions);
+        const page = data[collection] || [];
+        items.push(...page);
+        if (page.length < PAGE_SIZE) return items;
+        lastId = page[page.length - 1].id;
+    }
+}
+
 export async function fetchAllStakingEvents(operatorId, initialSkip = 0, existingEvents = []) {
     const PAGE_SIZE = 1000;
     const MAX_EVENTS = 10000;
@@ -1387,6 +1698,91 @@ export async function confirmStakeEdit(signer, operatorId, sponsorshipId, curren
     }
 }
 
+/**
+ * Cast the operator's vote on a flag it was selected to review
+ * @param {Object} signer - Signer of an operator agent
+ * @param {string} operatorId - The reviewing operator
+ * @param {string} sponsorshipId - Sponsorship the flag was raised in
+ * @param {string} targetOperatorId - The flagged operator
+ * @param {boolean} kick - True to vote for kicking the target
+ * @returns {Promise<string|null>} Transaction hash, or null on failure
+ */
+export async function confirmVoteOnFlag(signer, operatorId, sponsorshipId, targetOperatorId, kick) {
+    setModalState('vote-flag-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        // Check gas price before proceeding
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            voteFlagModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('vote-flag-modal', 'loading', { text: `Voting to ${kick ? 'kick' : 'keep'}...`, subtext: "Please confirm the transaction." });
+        const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, signer);
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const tx = await operatorContract.voteOnFlag(sponsorshipId, targetOperatorId, kick ? FLAG_VOTE_KICK : FLAG_VOTE_NO_KICK, gasOverrides);
+        setModalState('vote-flag-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+        setModalState('vote-flag-modal', 'success', { txHash: receipt.transactionHash, tx1Text: 'Your vote has been recorded.' });
+        return receipt.transactionHash;
+    } catch (e) {
+        console.error("Vote on flag failed:", e);
+        setModalState('vote-flag-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
+/**
+ * Read the flag stake and how much of the flagger's stake is still unlocked
+ * @param {Object} provider - Ethers provider
+ * @param {string} operatorId - The flagging operator
+ * @param {string} sponsorshipId - The sponsorship
+ * @returns {Promise<{flagStakeWei: BigNumber, stakedWei: BigNumber, lockedStakeWei: BigNumber}>}
+ */
+export async function fetchFlagStakeInfo(provider, operatorId, sponsorshipId) {
+    const configContract = new ethers.Contract(STREAMR_CONFIG_ADDRESS, STREAMR_CONFIG_ABI, provider);
+    const sponsorshipContract = new ethers.Contract(sponsorshipId, SPONSORSHIP_ABI, provider);
+    const [flagStakeWei, stakedWei, lockedStakeWei] = await Promise.all([
+        configContract.flagStakeWei(),
+        sponsorshipContract.stakedWei(operatorId),
+        sponsorshipContract.lockedStakeWei(operatorId)
+    ]);
+    return { flagStakeWei, stakedWei, lockedStakeWei };
+}
+
+/**
+ * Flag another operator in a sponsorship both operators are staked in
+ * @param {Object} signer - Signer of an operator agent
+ * @param {string} operatorId - The flagging operator
+ * @param {string} sponsorshipId - The shared sponsorship
+ * @param {string} targetOperatorId - The operator to flag
+ * @param {string} reason - Optional reason, stored in the flag metadata
+ * @returns {Promise<string|null>} Transaction hash, or null on failure
+ */
+export async function confirmRaiseFlag(signer, operatorId, sponsorshipId, targetOperatorId, reason) {
+    setModalState('flag-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        // Check gas price before proceeding
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            flagModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('flag-modal', 'loading', { text: "Raising flag...", subtext: "Please confirm the transaction." });
+        const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, signer);
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const metadata = JSON.stringify(reason ? { reason } : {});
+        const tx = await operatorContract.flag(sponsorshipId, targetOperatorId, metadata, gasOverrides);
+        setModalState('flag-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+        setModalState('flag-modal', 'success', { txHash: receipt.transactionHash, tx1Text: 'The flag has been raised. Reviewers will now be selected to vote.' });
+        return receipt.transactionHash;
+    } catch (e) {
+        console.error("Raising flag failed:", e);
+        setModalState('flag-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
 export async function handleCollectEarnings(signer, operatorId, sponsorshipId) {
     setModalState('tx-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
     try {
@@ -1497,6 +1893,363 @@ export async function updateOperatorCut(signer, operatorId, newCutPercent) {
     }
 }
 
+/**
+ * Add or remove node addresses of an operator (requires an agent)
+ * @param {Object} signer - Signer of an operator agent
+ * @param {string} operatorId - The operator contract address
+ * @param {string[]} addNodes - Node addresses to add
+ * @param {string[]} removeNodes - Node addresses to remove
+ * @returns {Promise<string|null>} Transaction hash, or null on failure
+ */
+export async function updateOperatorNodeAddresses(signer, operatorId, addNodes, removeNodes) {
+    setModalState('wallets-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        // Check gas price before proceeding
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            walletsModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('wallets-modal', 'loading', { text: "Updating node addresses...", subtext: "Please confirm the transaction." });
+        const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, signer);
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const tx = await operatorContract.updateNodeAddresses(addNodes, removeNodes, gasOverrides);
+        setModalState('wallets-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+        setModalState('wallets-modal', 'success', {
+            txHash: receipt.transactionHash,
+            tx1Text: addNodes.length > 0 ? 'Node address added.' : 'Node address removed.'
+        });
+        return receipt.transactionHash;
+    } catch (e) {
+        console.error("Node address update failed:", e);
+        setModalState('wallets-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
+/**
+ * Grant or revoke the controller (agent) role of an operator (requires the owner)
+ * @param {Object} signer - Signer of the operator owner
+ * @param {string} operatorId - The operator contract address
+ * @param {string} address - The wallet to grant or revoke
+ * @param {boolean} grant - True to add the agent, false to remove it
+ * @returns {Promise<string|null>} Transaction hash, or null on failure
+ */
+export async function setOperatorController(signer, operatorId, address, grant) {
+    setModalState('wallets-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        // Check gas price before proceeding
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            walletsModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('wallets-modal', 'loading', { text: grant ? "Adding agent..." : "Removing agent...", subtext: "Please confirm the transaction." });
+        const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, signer);
+        const controllerRole = await operatorContract.CONTROLLER_ROLE();
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const tx = grant
+            ? await operatorContract.grantRole(controllerRole, address, gasOverrides)
+            : await operatorContract.revokeRole(controllerRole, address, gasOverrides);
+        setModalState('wallets-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+        setModalState('wallets-modal', 'success', {
+            txHash: receipt.transactionHash,
+            tx1Text: grant ? 'Agent added.' : 'Agent removed.'
+        });
+        return receipt.transactionHash;
+    } catch (e) {
+        console.error("Controller update failed:", e);
+        setModalState('wallets-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
+/**
+ * Read what the undelegation queue gets paid from: the operator's free DATA
+ * and how long an entry can wait before anyone may force-unstake to pay it
+ * @param {Object} provider - Ethers provider
+ * @param {string} operatorId - The operator contract address
+ * @returns {Promise<{freeFundsWei: bigint, maxQueueSeconds: number}>}
+ */
+export async function fetchQueueFunding(provider, operatorId) {
+    const configContract = new ethers.Contract(STREAMR_CONFIG_ADDRESS, STREAMR_CONFIG_ABI, provider);
+    const tokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, provider);
+    const [freeFundsWei, maxQueueSeconds] = await Promise.all([
+        tokenContract.balanceOf(operatorId),
+        configContract.maxQueueSeconds()
+    ]);
+    return { freeFundsWei: BigInt(freeFundsWei.toString()), maxQueueSeconds: maxQueueSeconds.toNumber() };
+}
+
+// --- Operator Creation ---
+
+/**
+ * Load what the new operator wizard needs to know about a wallet
+ * @param {Object} provider - Ethers provider
+ * @param {string} ownerAddress - The wallet that will own the operator
+ * @returns {Promise<{factoryAddress: string, existingOperatorId: string|null, minimumDelegationWei: BigNumber, balanceWei: BigNumber}>}
+ */
+export async function fetchOperatorCreationInfo(provider, ownerAddress) {
+    const configContract = new ethers.Contract(STREAMR_CONFIG_ADDRESS, STREAMR_CONFIG_ABI, provider);
+    const tokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, provider);
+
+    const [factoryAddress, minimumDelegationWei, balanceWei] = await Promise.all([
+        configContract.operatorFactory(),
+        configContract.minimumDelegationWei(),
+        tokenContract.balanceOf(ownerAddress)
+    ]);
+
+    // The factory deploys at most one operator per owner wallet
+    const factoryContract = new ethers.Contract(factoryAddress, OPERATOR_FACTORY_ABI, provider);
+    const existing = await factoryContract.operators(ownerAddress);
+
+    return {
+        factoryAddress,
+        existingOperatorId: existing === ethers.constants.AddressZero ? null : existing.toLowerCase(),
+        minimumDelegationWei,
+        balanceWei
+    };
+}
+
+/**
+ * Deploy a new operator contract through the operator factory with the default policies
+ * @param {Object} signer - Signer of the future owner
+ * @param {string} factoryAddress - Operator factory address (from fetchOperatorCreationInfo)
+ * @param {Object} params - Deployment parameters
+ * @param {string|number} params.cutPercent - Owner's cut, 0-100
+ * @param {string} params.tokenName - Name of the operator token
+ * @param {string} params.metadataJson - Operator metadata JSON
+ * @returns {Promise<{operatorId: string, txHash: string}|null>} The new operator, or null if the user cancelled
+ */
+export async function deployOperatorContract(signer, factoryAddress, { cutPercent, tokenName, metadataJson }) {
+    const percent = parseFloat(cutPercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+        throw new Error("Invalid percentage value. Must be between 0 and 100.");
+    }
+    const cutWei = ethers.utils.parseEther((percent / 100).toString());
+
+    if (!await checkGasPriceAndWarn(signer.provider)) return null;
+
+    const factoryContract = new ethers.Contract(factoryAddress, OPERATOR_FACTORY_ABI, signer);
+    const policies = await Promise.all([
+        factoryContract.defaultDelegationPolicy(),
+        factoryContract.defaultExchangeRatePolicy(),
+        factoryContract.defaultUndelegationPolicy()
+    ]);
+
+    const gasOverrides = await getGasOverrides(signer.provider);
+    const tx = await factoryContract.deployOperator(cutWei, tokenName, metadataJson, policies, [0, 0, 0], gasOverrides);
+    const receipt = await tx.wait();
+
+    let operatorId = null;
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== factoryAddress.toLowerCase()) continue;
+        try {
+            const parsed = factoryContract.interface.parseLog(log);
+            if (parsed.name === 'NewOperator') {
+                operatorId = parsed.args.operatorContractAddress;
+                break;
+            }
+        } catch (e) { /* not a factory event */ }
+    }
+    if (!operatorId) {
+        operatorId = await factoryContract.operators(await signer.getAddress());
+    }
+
+    return { operatorId: operatorId.toLowerCase(), txHash: receipt.transactionHash };
+}
+
+/**
+ * Delegate the owner's own DATA to an operator (transferAndCall)
+ * @param {Object} signer - Signer of the owner
+ * @param {string} operatorId - The operator contract address
+ * @param {BigNumber} amountWei - Amount to delegate
+ * @returns {Promise<string|null>} Transaction hash, or null if the user cancelled
+ */
+export async function selfDelegateToOperator(signer, operatorId, amountWei) {
+    if (!await checkGasPriceAndWarn(signer.provider)) return null;
+
+    const dataTokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, signer);
+    const gasOverrides = await getGasOverrides(signer.provider);
+    const tx = await dataTokenContract.transferAndCall(operatorId, amountWei, '0x', gasOverrides);
+    const receipt = await tx.wait();
+    return receipt.transactionHash;
+}
+
+// --- Sponsorship Creation & Top-Up ---
+
+const ERC20_TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+let sponsorshipPoliciesCache = null;
+
+/**
+ * Read a wallet's DATA balance
+ * @param {Object} provider - Ethers provider
+ * @param {string} address - Wallet address
+ * @returns {Promise<BigNumber>}
+ */
+export async function fetchDataBalance(provider, address) {
+    const tokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, provider);
+    return tokenContract.balanceOf(address);
+}
+
+/**
+ * Read the policies a running sponsorship was deployed with
+ */
+async function readSponsorshipPolicies(provider, sponsorshipId) {
+    const sponsorshipContract = new ethers.Contract(sponsorshipId, SPONSORSHIP_ABI, provider);
+    const [allocation, leave, kick, join0, join1] = await Promise.all([
+        sponsorshipContract.allocationPolicy(),
+        sponsorshipContract.leavePolicy(),
+        sponsorshipContract.kickPolicy(),
+        sponsorshipContract.joinPolicies(0).catch(() => null),
+        sponsorshipContract.joinPolicies(1).catch(() => null)
+    ]);
+    return { allocation, leave, kick, joinPolicies: [join0, join1].filter(Boolean) };
+}
+
+/**
+ * Find the policy contracts the sponsorship factory trusts by reading them from
+ * existing sponsorships: one without an operator limit (allocation, leave, kick
+ * and operator-contract-only join policy) and one with a limit (max operators join policy).
+ * @param {Object} provider - Ethers provider
+ * @returns {Promise<{allocation: string, leave: string, kick: string, operatorContractOnlyJoin: string, maxOperatorsJoin: string|null}>}
+ */
+export async function fetchSponsorshipPolicies(provider) {
+    if (sponsorshipPoliciesCache) return sponsorshipPoliciesCache;
+
+    const data = await runQuery(`
+        {
+            unlimited: sponsorships(first: 1, orderBy: totalPayoutWeiPerSec, orderDirection: desc, where: { isRunning: true, maxOperators: null, minimumStakingPeriodSeconds_gt: "0" }) { id }
+            limited: sponsorships(first: 1, orderBy: totalPayoutWeiPerSec, orderDirection: desc, where: { isRunning: true, maxOperators_not: null }) { id }
+        }
+    `);
+    const unlimitedId = data.unlimited?.[0]?.id;
+    if (!unlimitedId) throw new Error('Could not find a reference sponsorship to read the policies from.');
+
+    const reference = await readSponsorshipPolicies(provider, unlimitedId);
+    const operatorContractOnlyJoin = reference.joinPolicies[0];
+    if (!operatorContractOnlyJoin || reference.leave === ethers.constants.AddressZero) {
+        throw new Error('The reference sponsorship is missing a leave or join policy.');
+    }
+
+    let maxOperatorsJoin = null;
+    const limitedId = data.limited?.[0]?.id;
+    if (limitedId) {
+        const limited = await readSponsorshipPolicies(provider, limitedId);
+        maxOperatorsJoin = limited.joinPolicies.find(p => p.toLowerCase() !== operatorContractOnlyJoin.toLowerCase()) || null;
+    }
+
+    sponsorshipPoliciesCache = {
+        allocation: reference.allocation,
+        leave: reference.leave,
+        kick: reference.kick,
+        operatorContractOnlyJoin,
+        maxOperatorsJoin
+    };
+    return sponsorshipPoliciesCache;
+}
+
+/**
+ * Create a new sponsorship through the sponsorship factory and fund it in the
+ * same transaction (transferAndCall)
+ * @param {Object} signer - Signer of the sponsor
+ * @param {Object} params - Sponsorship parameters
+ * @param {string} params.streamId - The sponsored stream
+ * @param {BigNumber} params.amountWei - Initial funding
+ * @param {BigNumber} params.payoutWeiPerSec - Total payout rate
+ * @param {number} params.minOperators - Operators needed before payouts start
+ * @param {number|null} params.maxOperators - Operator limit, null for unlimited
+ * @param {number} params.minStakeDurationSeconds - Minimum stake duration before leaving without penalty
+ * @returns {Promise<{sponsorshipId: string|null, txHash: string}|null>} The new sponsorship, or null on failure
+ */
+export async function confirmCreateSponsorship(signer, { streamId, amountWei, payoutWeiPerSec, minOperators, maxOperators, minStakeDurationSeconds }) {
+    setModalState('create-sponsorship-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            createSponsorshipModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('create-sponsorship-modal', 'loading', { text: "Preparing sponsorship...", subtext: "Reading the sponsorship policies." });
+        const configContract = new ethers.Contract(STREAMR_CONFIG_ADDRESS, STREAMR_CONFIG_ABI, signer.provider);
+        const [factoryAddress, policies] = await Promise.all([
+            configContract.sponsorshipFactory(),
+            fetchSponsorshipPolicies(signer.provider)
+        ]);
+
+        const policyAddresses = [policies.allocation, policies.leave, policies.kick, policies.operatorContractOnlyJoin];
+        const policyParams = [payoutWeiPerSec, minStakeDurationSeconds, 0, 0];
+        if (maxOperators !== null) {
+            if (!policies.maxOperatorsJoin) throw new Error('Could not find the max operators policy. Leave the maximum empty to allow any number of operators.');
+            policyAddresses.push(policies.maxOperatorsJoin);
+            policyParams.push(maxOperators);
+        }
+
+        const data = ethers.utils.defaultAbiCoder.encode(
+            ['uint32', 'string', 'string', 'address[]', 'uint256[]'],
+            [minOperators, streamId, '{}', policyAddresses, policyParams]
+        );
+
+        setModalState('create-sponsorship-modal', 'loading', { text: "Creating sponsorship...", subtext: "Please confirm the transaction." });
+        const dataTokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, signer);
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const tx = await dataTokenContract.transferAndCall(factoryAddress, amountWei, data, gasOverrides);
+        setModalState('create-sponsorship-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+
+        // The factory forwards the funding to the new contract, so its address is the recipient of that transfer
+        let sponsorshipId = null;
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== DATA_TOKEN_ADDRESS_POLYGON.toLowerCase() || log.topics[0] !== ERC20_TRANSFER_TOPIC) continue;
+            const from = ethers.utils.hexDataSlice(log.topics[1], 12);
+            if (from.toLowerCase() === factoryAddress.toLowerCase()) {
+                sponsorshipId = ethers.utils.hexDataSlice(log.topics[2], 12).toLowerCase();
+                break;
+            }
+        }
+
+        setModalState('create-sponsorship-modal', 'success', { txHash: receipt.transactionHash, tx1Text: `The sponsorship for ${streamId} has been created.` });
+        return { sponsorshipId, txHash: receipt.transactionHash };
+    } catch (e) {
+        console.error("Creating sponsorship failed:", e);
+        setModalState('create-sponsorship-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
+/**
+ * Add funds to an existing sponsorship (transferAndCall)
+ * @param {Object} signer - Signer of the sponsor
+ * @param {string} sponsorshipId - The sponsorship contract address
+ * @param {BigNumber} amountWei - Amount to add
+ * @returns {Promise<string|null>} Transaction hash, or null on failure
+ */
+export async function confirmSponsorshipTopUp(signer, sponsorshipId, amountWei) {
+    setModalState('top-up-sponsorship-modal', 'loading', { text: "Checking gas prices...", subtext: "Please wait." });
+    try {
+        if (!await checkGasPriceAndWarn(signer.provider)) {
+            topUpSponsorshipModal.classList.add('hidden');
+            return null;
+        }
+
+        setModalState('top-up-sponsorship-modal', 'loading', { text: "Topping up sponsorship...", subtext: "Please confirm the transaction." });
+        const dataTokenContract = new ethers.Contract(DATA_TOKEN_ADDRESS_POLYGON, DATA_TOKEN_ABI, signer);
+        const gasOverrides = await getGasOverrides(signer.provider);
+        const tx = await dataTokenContract.transferAndCall(sponsorshipId, amountWei, '0x', gasOverrides);
+        setModalState('top-up-sponsorship-modal', 'loading', { text: 'Processing Transaction...', subtext: 'Waiting for confirmation.' });
+        const receipt = await tx.wait();
+        setModalState('top-up-sponsorship-modal', 'success', { txHash: receipt.transactionHash, tx1Text: `${ethers.utils.formatEther(amountWei)} DATA has been added to the sponsorship.` });
+        return receipt.transactionHash;
+    } catch (e) {
+        console.error("Sponsorship top-up failed:", e);
+        setModalState('top-up-sponsorship-modal', 'error', { message: getFriendlyErrorMessage(e) });
+        return null;
+    }
+}
+
 // --- Streamr SDK ---
 export function setStreamrClient(client) {
     streamrClient = client;
@@ -1540,10 +2293,10 @@ export async function setupStreamrSubscription(operatorId, onMessageCallback) {
     indicatorEl.className = 'w-3 h-3 rounded-full bg-yellow-500 animate-pulse';
     indicatorEl.title = `Connecting to ${streamId}...`;
     try {
-        coordinationSubscription = await streamrClient.subscribe(streamId, (message) => {
+        coordinationSubscription = await streamrClient.subscribe(streamId, (message, metadata) => {
             indicatorEl.className = 'w-3 h-3 rounded-full bg-green-500';
             indicatorEl.title = `Subscribed, receiving data.`;
-            onMessageCallback(message);
+            onMessageCallback(message, metadata);
         });
         indicatorEl.className = 'w-3 h-3 rounded-full bg-gray-400';
         indicatorEl.title = `Subscribed to stream. Awaiting first message...`;
@@ -1563,8 +2316,32 @@ export async function unsubscribeFromCoordinationStream() {
     }
 }
 
+/**
+ * Subscribe to an arbitrary stream for the Streams explorer live tail.
+ * Only one tail subscription is kept open at a time.
+ * @param {string} streamId - The full stream ID.
+ * @param {Function} onMessage - Called with (content, metadata) for each message.
+ * @returns {Promise<object>} The Streamr subscription.
+ */
+export async function subscribeToStreamTail(streamId, onMessage) {
+    await unsubscribeFromStreamTail();
+    if (!streamrClient) throw new Error("Streamr client not ready");
+
+    streamTailSubscription = await streamrClient.subscribe(streamId, onMessage);
+    logger.log(`Subscribed to stream tail: ${streamId}`);
+    return streamTailSubscription;
+}
+
+export async function unsubscribeFromStreamTail() {
+    if (streamTailSubscription) {
+        try { await streamTailSubscription.unsubscribe(); } catch (e) { /* ignore */ }
+        streamTailSubscription = null;
+    }
+}
+
 export async function cleanupClient() {
     await unsubscribeFromCoordinationStream();
+    await unsubscribeFromStreamTail();
     if (priceSubscription) {
         try { await priceSubscription.unsubscribe(); } catch (e) { /* ignore */ }
         priceSubscription = null;
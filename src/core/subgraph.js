@@ -0,0 +1,550 @@
+/**
+ * Subgraph access without DOM dependencies, so it can be shared by the
+ * browser app and the headless autostaker runner.
+ *
+ * Every GraphQL request goes through runQuery, which deduplicates identical
+ * in-flight requests, caches responses for a caller-chosen TTL (persisted to
+ * IndexedDB where available), retries rate limits and server errors with
+ * exponential backoff, and can be cancelled with the current route.
+ *
+ * Requests go to the active one of the configured endpoints. Endpoints are
+ * health-checked by comparing their indexed block, and a failing or lagging
+ * endpoint is swapped for the next one in priority order.
+ *
+ * Each query also asks for `_meta.block`, so the indexed block behind the data
+ * is known and can be compared to the chain head.
+ */
+
+import { getSubgraphEndpoints, SUBGRAPH_MAX_BLOCK_LAG } from './constants.js';
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const MEMORY_CACHE_MAX_ENTRIES = 200;
+const CACHE_DB_NAME = 'streamr-decentral-subgraph-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'responses';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const BLOCK_META_FIELD = '_meta { block { number timestamp } }';
+const META_QUERY = `{ ${BLOCK_META_FIELD} }`;
+
+const INDEXING_WAIT_TIMEOUT_MS = 2 * 60 * 1000;
+const INDEXING_POLL_INTERVAL_MS = 2000;
+
+// When set, used instead of getSubgraphEndpoints() (which reads Settings from localStorage)
+let endpointOverride = null;
+// url -> { blockNumber, error, latencyMs, checkedAt }
+const endpointHealth = new Map();
+let activeEndpoint = null;
+let chainHeadBlock = null;
+// Indexed block of the most recent response: { number, timestamp, receivedAt }
+let latestDataBlock = null;
+const statusListeners = [];
+
+// key -> { controller, waiters, promise }
+const inFlight = new Map();
+// key -> { data, expiresAt }
+const memoryCache = new Map();
+let cacheDbPromise = null;
+let routeController = new AbortController();
+
+/**
+ * Error raised by every failed subgraph request.
+ * `kind` is one of 'http', 'graphql', 'network' or 'aborted'.
+ */
+export class SubgraphError extends Error {
+    constructor(message, { kind, status = null, graphqlErrors = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'SubgraphError';
+        this.kind = kind;
+        this.status = status;
+        this.graphqlErrors = graphqlErrors;
+    }
+
+    get isAborted() {
+        return this.kind === 'aborted';
+    }
+}
+
+/**
+ * Whether an error comes from a cancelled request (nothing to show the user)
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error instanceof SubgraphError ? error.isAborted : error?.name === 'AbortError';
+}
+
+/**
+ * Use a fixed subgraph endpoint instead of the ones configured in localStorage.
+ * @param {string|null} url - Endpoint URL, or null to restore the default
+ */
+export function setSubgraphEndpoint(url) {
+    endpointOverride = url || null;
+}
+
+/**
+ * Register a listener for changes of the active endpoint or its health
+ * @param {Function} listener - Called with getSubgraphStatus()
+ */
+export function onSubgraphStatusChange(listener) {
+    statusListeners.push(listener);
+}
+
+/**
+ * Record the current chain block, against which the indexing lag is measured
+ * @param {number} blockNumber
+ */
+export function setChainHeadBlock(blockNumber) {
+    if (typeof blockNumber !== 'number' || blockNumber === chainHeadBlock) return;
+    chainHeadBlock = blockNumber;
+    notifyStatusChange();
+}
+
+/**
+ * Describe the active endpoint, the health of all configured endpoints and the freshness of the latest data
+ * @returns {{endpoint: string, label: string, blockNumber: number|null, lag: number|null, error: string|null, endpoints: Array, headBlock: number|null, data: Object|null}}
+ *          `lag` is in blocks behind the chain head (or the most advanced endpoint when the head is unknown).
+ *          `data` is `{ blockNumber, timestamp, receivedAt, lag }` for the most recent response, `lag` being null while the head is unknown.
+ */
+export function getSubgraphStatus() {
+    const endpoints = getEndpoints().map(url => ({ url, label: describeEndpoint(url), ...endpointHealth.get(url) }));
+    const indexedBlocks = endpoints.map(e => e.blockNumber).filter(n => typeof n === 'number');
+    const referenceBlock = Math.max(chainHeadBlock ?? 0, ...indexedBlocks);
+    const active = endpoints.find(e => e.url === currentEndpoint()) || endpoints[0];
+    const hasBlock = typeof active?.blockNumber === 'number';
+
+    return {
+        endpoint: active?.url || null,
+        label: active?.label || '',
+        blockNumber: hasBlock ? active.blockNumber : null,
+        lag: hasBlock ? Math.max(0, referenceBlock - active.blockNumber) : null,
+        error: active?.error || null,
+        endpoints,
+        headBlock: chainHeadBlock,
+        data: latestDataBlock && {
+            blockNumber: latestDataBlock.number,
+            timestamp: latestDataBlock.timestamp,
+            receivedAt: latestDataBlock.receivedAt,
+            lag: chainHeadBlock === null ? null : Math.max(0, chainHeadBlock - latestDataBlock.number)
+        }
+    };
+}
+
+/**
+ * Query `_meta` on every configured endpoint and make the first healthy, up-to-date one active
+ * @param {number|null} [headBlock] - Current chain block, to report the lag of the active endpoint
+ * @returns {Promise<Object>} getSubgraphStatus()
+ */
+export async function checkSubgraphEndpoints(headBlock = null) {
+    const endpoints = getEndpoints();
+    if (typeof headBlock === 'number') chainHeadBlock = headBlock;
+
+    await Promise.all(endpoints.map(async (url) => {
+        const startedAt = Date.now();
+        const timeout = new AbortController();
+        const timer = setTimeout(() => timeout.abort(), HEALTH_CHECK_TIMEOUT_MS);
+        try {
+            const data = await fetchOnce(url, META_QUERY, null, false, timeout.signal);
+            endpointHealth.set(url, { blockNumber: data._meta.block.number, error: null, latencyMs: Date.now() - startedAt, checkedAt: Date.now() });
+            if (url === currentEndpoint()) recordDataBlock(data._meta.block);
+        } catch (error) {
+            const message = error.isAborted ? `No answer within ${HEALTH_CHECK_TIMEOUT_MS / 1000}s` : error.message;
+            endpointHealth.set(url, { ...endpointHealth.get(url), error: message, checkedAt: Date.now() });
+        } finally {
+            clearTimeout(timer);
+        }
+    }));
+
+    // The most advanced endpoint sets the bar; the others may trail it by SUBGRAPH_MAX_BLOCK_LAG
+    const answering = endpoints.filter(url => !endpointHealth.get(url)?.error);
+    const bestBlock = Math.max(0, ...answering.map(url => endpointHealth.get(url).blockNumber));
+    activeEndpoint = answering.find(url => bestBlock - endpointHealth.get(url).blockNumber <= SUBGRAPH_MAX_BLOCK_LAG)
+        || endpoints[0];
+
+    notifyStatusChange();
+    return getSubgraphStatus();
+}
+
+/**
+ * Wait until the active endpoint has indexed a block, e.g. the block of a just-mined transaction
+ * @param {number} blockNumber
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean} [options.routeScoped=false] - Stop waiting when the user navigates away
+ * @returns {Promise<boolean>} true once indexed, false when the timeout passed first
+ * @throws {SubgraphError}
+ */
+export async function waitForIndexedBlock(blockNumber, options = {}) {
+    const { timeoutMs = INDEXING_WAIT_TIMEOUT_MS } = options;
+    const { signal, release } = combineSignals(options.signal, options.routeScoped ? routeController.signal : null);
+    const deadline = Date.now() + timeoutMs;
+
+    try {
+        for (;;) {
+            const data = await fetchWithRetry(META_QUERY, null, false, signal);
+            if (data._meta.block.number >= blockNumber) return true;
+            if (Date.now() + INDEXING_POLL_INTERVAL_MS > deadline) return false;
+            await sleep(INDEXING_POLL_INTERVAL_MS, signal);
+        }
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Abort every pending request made with `routeScoped: true`. Called by the router on navigation.
+ */
+export function cancelRouteRequests() {
+    routeController.abort();
+    routeController = new AbortController();
+}
+
+/**
+ * Drop all cached responses, in memory and in IndexedDB
+ */
+export async function clearSubgraphCache() {
+    memoryCache.clear();
+    const db = await openCacheDb();
+    if (db) await promisifyRequest(db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).clear());
+}
+
+/**
+ * Run a GraphQL query against the Streamr subgraph.
+ * @param {string} query - GraphQL query
+ * @param {Object} [options]
+ * @param {Object} [options.variables] - GraphQL variables
+ * @param {number} [options.ttl=0] - Milliseconds a response may be served from cache; 0 always fetches
+ * @param {AbortSignal} [options.signal] - Cancels this caller's request
+ * @param {boolean} [options.routeScoped=false] - Cancel the request when the user navigates away
+ * @param {boolean} [options.allowPartialData=false] - Return `data` despite errors (queries using subgraphError: allow)
+ * @returns {Promise<Object>} The `data` part of the response
+ * @throws {SubgraphError}
+ */
+export async function runQuery(query, options = {}) {
+    const { variables = null, ttl = 0, allowPartialData = false } = options;
+    const key = JSON.stringify([query, variables, allowPartialData]);
+
+    if (ttl > 0) {
+        const cached = await readCache(key);
+        if (cached !== undefined) return cached;
+    }
+
+    const { signal, release } = combineSignals(options.signal, options.routeScoped ? routeController.signal : null);
+    try {
+        const data = await joinInFlight(key, (sharedSignal) => fetchWithRetry(query, variables, allowPartialData, sharedSignal), signal);
+        if (ttl > 0) writeCache(key, data, ttl);
+        return data;
+    } finally {
+        release();
+    }
+}
+
+// ============================================
+// Fetching
+// ============================================
+
+async function fetchWithRetry(query, variables, allowPartialData, signal) {
+    const trackedQuery = withBlockMeta(query);
+    for (let attempt = 0; ; attempt++) {
+        const endpoint = currentEndpoint();
+        try {
+            const data = await fetchOnce(endpoint, trackedQuery, variables, allowPartialData, signal);
+            if (endpointHealth.get(endpoint)?.error) markEndpoint(endpoint, null);
+            if (data?._meta?.block) {
+                endpointHealth.set(endpoint, { ...endpointHealth.get(endpoint), blockNumber: data._meta.block.number });
+                recordDataBlock(data._meta.block);
+                // Callers get the data in the shape they asked for
+                if (trackedQuery !== query) delete data._meta;
+            }
+            return data;
+        } catch (error) {
+            const retryable = error.kind === 'network' || (error.kind === 'http' && RETRYABLE_STATUSES.has(error.status));
+            if (!retryable || attempt >= MAX_RETRIES) throw error;
+
+            // Another endpoint is tried right away, the same one only after a backoff
+            if (failOver(endpoint, error)) continue;
+
+            const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+            await sleep(error.retryAfterMs ?? backoff + Math.random() * backoff / 2, signal);
+        }
+    }
+}
+
+async function fetchOnce(endpoint, query, variables, allowPartialData, signal) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(variables ? { query, variables } : { query }),
+            signal
+        });
+    } catch (error) {
+        if (signal?.aborted) throw abortedError();
+        throw new SubgraphError(`Network error: ${error.message}`, { kind: 'network', cause: error });
+    }
+
+    if (!response.ok) {
+        const error = new SubgraphError(`Network error: ${response.status} ${response.statusText}`.trim(), { kind: 'http', status: response.status });
+        const retryAfter = parseFloat(response.headers.get('Retry-After'));
+        if (retryAfter >= 0) error.retryAfterMs = Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+        throw error;
+    }
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (error) {
+        if (signal?.aborted) throw abortedError();
+        throw new SubgraphError(`Network error: invalid response (${error.message})`, { kind: 'network', cause: error });
+    }
+    if (result.errors && !(allowPartialData && result.data)) {
+        throw new SubgraphError(`GraphQL error: ${result.errors.map(e => e.message).join(', ')}`, { kind: 'graphql', graphqlErrors: result.errors });
+    }
+    return result.data;
+}
+
+/**
+ * Share one request between identical callers; the request is only aborted once every caller has cancelled
+ */
+function joinInFlight(key, start, signal) {
+    let entry = inFlight.get(key);
+    if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, waiters: 0 };
+        entry.promise = start(controller.signal).finally(() => {
+            if (inFlight.get(key) === entry) inFlight.delete(key);
+        });
+        inFlight.set(key, entry);
+    }
+    entry.waiters++;
+
+    if (!signal) return entry.promise;
+
+    const current = entry;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            current.waiters--;
+            if (current.waiters === 0) {
+                current.controller.abort();
+                if (inFlight.get(key) === current) inFlight.delete(key);
+            }
+            reject(abortedError());
+        };
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        current.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Add `_meta.block` to the root selection of a query, unless it already asks for it
+ * or has fragments (whose closing brace would be mistaken for the root's)
+ */
+function withBlockMeta(query) {
+    const end = query.lastIndexOf('}');
+    if (end === -1 || query.includes('_meta') || /\bfragment\s/.test(query)) return query;
+    return `${query.slice(0, end)}    ${BLOCK_META_FIELD}\n${query.slice(end)}`;
+}
+
+function recordDataBlock(block) {
+    if (latestDataBlock && latestDataBlock.number === block.number) {
+        latestDataBlock.receivedAt = Date.now();
+        return;
+    }
+    latestDataBlock = { number: block.number, timestamp: block.timestamp ?? null, receivedAt: Date.now() };
+    notifyStatusChange();
+}
+
+/**
+ * Merge abort signals into one that aborts when any of them does.
+ * Call release() once the request settles, so listeners don't pile up on long-lived signals like the route's.
+ * @returns {{signal: AbortSignal|null, release: Function}}
+ */
+function combineSignals(...signals) {
+    const active = signals.filter(Boolean);
+    if (active.length <= 1) return { signal: active[0] || null, release: () => {} };
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    for (const signal of active) {
+        if (signal.aborted) {
+            controller.abort();
+            break;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+    return {
+        signal: controller.signal,
+        release: () => active.forEach(signal => signal.removeEventListener('abort', onAbort))
+    };
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortedError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortedError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function abortedError() {
+    return new SubgraphError('Request cancelled', { kind: 'aborted' });
+}
+
+// ============================================
+// Endpoints
+// ============================================
+
+function getEndpoints() {
+    return endpointOverride ? [endpointOverride] : getSubgraphEndpoints();
+}
+
+function currentEndpoint() {
+    const endpoints = getEndpoints();
+    if (!endpoints.includes(activeEndpoint)) activeEndpoint = endpoints[0];
+    return activeEndpoint;
+}
+
+function markEndpoint(url, error) {
+    endpointHealth.set(url, { ...endpointHealth.get(url), error, checkedAt: Date.now() });
+    notifyStatusChange();
+}
+
+/**
+ * Record a failed request and move on to the next endpoint that is not known to be failing
+ * @returns {boolean} Whether requests now go to a different endpoint
+ */
+function failOver(url, error) {
+    endpointHealth.set(url, { ...endpointHealth.get(url), error: error.message, checkedAt: Date.now() });
+
+    // Concurrent requests failing on the same endpoint only switch once
+    if (activeEndpoint === url) {
+        const endpoints = getEndpoints();
+        const rotated = [...endpoints.slice(endpoints.indexOf(url) + 1), ...endpoints.slice(0, endpoints.indexOf(url))];
+        activeEndpoint = rotated.find(e => !endpointHealth.get(e)?.error) || rotated[0] || url;
+    }
+    notifyStatusChange();
+    return activeEndpoint !== url;
+}
+
+function describeEndpoint(url) {
+    try {
+        const { host } = new URL(url);
+        return host.endsWith('thegraph.com') ? 'The Graph gateway' : host;
+    } catch (e) {
+        return url;
+    }
+}
+
+function notifyStatusChange() {
+    const status = getSubgraphStatus();
+    statusListeners.forEach(listener => listener(status));
+}
+
+// ============================================
+// Response Cache
+// ============================================
+
+async function readCache(key) {
+    const now = Date.now();
+    const memory = memoryCache.get(key);
+    if (memory) {
+        if (memory.expiresAt > now) return memory.data;
+        memoryCache.delete(key);
+    }
+
+    try {
+        const db = await openCacheDb();
+        if (!db) return undefined;
+        const record = await promisifyRequest(db.transaction(CACHE_STORE, 'readonly').objectStore(CACHE_STORE).get(key));
+        if (!record || record.expiresAt <= now) return undefined;
+        rememberInMemory(key, record.data, record.expiresAt);
+        return record.data;
+    } catch (error) {
+        console.warn('Subgraph cache read failed:', error);
+        return undefined;
+    }
+}
+
+async function writeCache(key, data, ttl) {
+    const expiresAt = Date.now() + ttl;
+    rememberInMemory(key, data, expiresAt);
+
+    try {
+        const db = await openCacheDb();
+        if (db) await promisifyRequest(db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).put({ key, data, expiresAt }));
+    } catch (error) {
+        console.warn('Subgraph cache write failed:', error);
+    }
+}
+
+function rememberInMemory(key, data, expiresAt) {
+    memoryCache.delete(key);
+    memoryCache.set(key, { data, expiresAt });
+    if (memoryCache.size > MEMORY_CACHE_MAX_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Open the cache database, dropping expired entries once per session.
+ * Resolves to null where IndexedDB is unavailable (Node, private browsing).
+ */
+function openCacheDb() {
+    if (cacheDbPromise) return cacheDbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    cacheDbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CACHE_STORE)) {
+                db.createObjectStore(CACHE_STORE, { keyPath: 'key' }).createIndex('expiresAt', 'expiresAt');
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            const expired = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE)
+                .index('expiresAt').openCursor(IDBKeyRange.upperBound(Date.now()));
+            expired.onsuccess = () => {
+                const cursor = expired.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            console.warn('Subgraph cache unavailable:', request.error);
+            resolve(null);
+        };
+    });
+    return cacheDbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -1,3 +1,5 @@
+import { OPERATOR_SORT_FIELDS, OPERATOR_FILTER_KEYS, OPERATOR_FILTER_DECIMALS } from './constants.js';
+
 /**
  * Production logger - only logs errors to keep console clean
  */
@@ -157,12 +159,21 @@ export function createEntityLink(entity) {
  * @param {string} cid - The CID to validate.
  * @returns {boolean} True if valid, false otherwise.
  */
-function isValidIpfsCid(cid) {
+export function isValidIpfsCid(cid) {
     if (typeof cid !== 'string') return false;
     // CIDv0: starts with Qm, 46 chars; CIDv1: starts with b, variable length
     return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid) || /^b[a-z2-7]{58,}$/.test(cid);
 }
 
+/**
+ * Builds the gateway URL of an image stored on IPFS.
+ * @param {string} cid - A valid IPFS CID.
+ * @returns {string} The image URL.
+ */
+export function getIpfsImageUrl(cid) {
+    return `https://ipfs.io/ipfs/${cid}`;
+}
+
 /**
  * Parses the operator's metadata JSON string.
  * Includes protection against prototype pollution attacks.
@@ -187,7 +198,7 @@ export function parseOperatorMetadata(metadataJsonString) {
             // Validate IPFS CID before constructing URL
             let imageUrl = null;
             if (metadata.imageIpfsCid && isValidIpfsCid(metadata.imageIpfsCid)) {
-                imageUrl = `https://ipfs.io/ipfs/${metadata.imageIpfsCid}`;
+                imageUrl = getIpfsImageUrl(metadata.imageIpfsCid);
             }
             
             return {
@@ -250,6 +261,153 @@ export function calculateWeightedApy(stakes) {
     return totalStakeInSponsorships > 0 ? weightedApySum / totalStakeInSponsorships : 0;
 }
 
+// Operator list filters that aren't plain non-negative numbers
+const OPERATOR_FILTER_VALIDATORS = {
+    sort: (value) => Object.prototype.hasOwnProperty.call(OPERATOR_SORT_FIELDS, value),
+    dir: (value) => value === 'asc' || value === 'desc',
+    slashed: (value) => value === 'yes' || value === 'no',
+    version: (value) => /^\d+$/.test(value)
+};
+
+const isNonNegativeNumber = (value) => /^\d+(\.\d+)?$/.test(value);
+
+// Drops decimals beyond what the value can hold in wei, so it can be passed to parseUnits
+const truncateDecimals = (value, decimals) => {
+    const [whole, fraction] = value.split('.');
+    const kept = (fraction || '').slice(0, decimals).replace(/0+$/, '');
+    return kept ? `${whole}.${kept}` : whole;
+};
+
+/**
+ * Reads the operator list search term and filters from URL query parameters.
+ * Unknown keys and invalid values are dropped, and wei filters are cut to the decimals they can hold.
+ * @param {URLSearchParams} params - e.g. router.getQueryParams()
+ * @returns {{query: string, filters: Object}} filters only holds the keys that are set
+ */
+export function parseOperatorListParams(params) {
+    const filters = {};
+    for (const key of OPERATOR_FILTER_KEYS) {
+        const value = (params.get(key) || '').trim();
+        if (!value) continue;
+        const isValid = OPERATOR_FILTER_VALIDATORS[key] || isNonNegativeNumber;
+        if (!isValid(value)) continue;
+        filters[key] = key in OPERATOR_FILTER_DECIMALS ? truncateDecimals(value, OPERATOR_FILTER_DECIMALS[key]) : value;
+    }
+    return { query: (params.get('q') || '').trim(), filters };
+}
+
+/**
+ * Encodes the operator list search term and filters as a URL query string.
+ * @param {string} query - Search term
+ * @param {Object} filters - As returned by parseOperatorListParams
+ * @returns {string} "?..." or an empty string when nothing is set
+ */
+export function buildOperatorListSearch(query, filters) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    for (const key of OPERATOR_FILTER_KEYS) {
+        if (filters[key] !== undefined && filters[key] !== '') params.set(key, filters[key]);
+    }
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
+
+/**
+ * Whether the filters need operator fields the subgraph can't filter or sort by (APY, sponsorship count).
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function hasClientSideOperatorFilters(filters) {
+    const clientKeys = ['minApy', 'maxApy', 'minSponsorships', 'maxSponsorships'];
+    return clientKeys.some(key => filters[key] !== undefined) || (!!filters.sort && OPERATOR_SORT_FIELDS[filters.sort] === null);
+}
+
+/**
+ * Applies the APY and sponsorship count filters and sorts to operators fetched from the subgraph.
+ * @param {Array} operators - Operators with stakes { amountWei sponsorship { spotAPY } }
+ * @param {Object} filters
+ * @returns {Array} Filtered (and possibly re-sorted) operators
+ */
+export function applyClientSideOperatorFilters(operators, filters) {
+    const apyPercent = (op) => calculateWeightedApy(op.stakes) * 100;
+    const sponsorshipCount = (op) => (op.stakes ? op.stakes.length : 0);
+    const inRange = (value, min, max) => (min === undefined || value >= Number(min)) && (max === undefined || value <= Number(max));
+
+    const result = operators.filter(op =>
+        inRange(apyPercent(op), filters.minApy, filters.maxApy) &&
+        inRange(sponsorshipCount(op), filters.minSponsorships, filters.maxSponsorships)
+    );
+
+    const sortValue = filters.sort === 'apy' ? apyPercent : filters.sort === 'sponsorships' ? sponsorshipCount : null;
+    if (sortValue) {
+        const direction = filters.dir === 'asc' ? 1 : -1;
+        result.sort((a, b) => direction * (sortValue(a) - sortValue(b)));
+    }
+    return result;
+}
+
+/**
+ * Average daily earnings of an operator over its most recent daily buckets.
+ * @param {Array} buckets - operatorDailyBuckets (ascending by date) with cumulativeEarningsWei.
+ * @param {number} [days=30] - How many days to average over.
+ * @returns {bigint} Earnings per day in wei (0 if unknown).
+ */
+export function estimateDailyEarningsWei(buckets, days = 30) {
+    if (!buckets || buckets.length < 2) return 0n;
+    const recent = buckets.slice(-(days + 1));
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const spanDays = Math.round((Number(last.date) - Number(first.date)) / 86400);
+    if (spanDays <= 0) return 0n;
+    const earned = BigInt(last.cumulativeEarningsWei || '0') - BigInt(first.cumulativeEarningsWei || '0');
+    return earned > 0n ? earned / BigInt(spanDays) : 0n;
+}
+
+/**
+ * Estimates when each undelegation queue entry gets paid out.
+ * The queue is paid in order from the operator's free funds, which grow with its earnings.
+ * Once an entry has waited maxQueueSeconds anyone can force-unstake to pay it, which caps the wait.
+ * @param {Array} entries - Queue entries ({amount, date, delegator}) in queue order.
+ * @param {bigint} freeFundsWei - DATA held by the operator contract outside sponsorships.
+ * @param {bigint} dailyEarningsWei - From estimateDailyEarningsWei.
+ * @param {number} maxQueueSeconds - From StreamrConfig (0 if unknown).
+ * @param {number} [now] - Current unix time in seconds.
+ * @returns {Array<{entry: Object, aheadWei: bigint, isPayableNow: boolean, isForced: boolean, etaTimestamp: number|null}>}
+ *          etaTimestamp is null if no payout can be estimated.
+ */
+export function estimateQueuePayouts(entries, freeFundsWei, dailyEarningsWei, maxQueueSeconds, now = Math.floor(Date.now() / 1000)) {
+    let aheadWei = 0n;
+    let previousEta = now;
+
+    return (entries || []).map(entry => {
+        const amountWei = BigInt(entry.amount || '0');
+        const shortfallWei = aheadWei + amountWei - freeFundsWei;
+
+        let earningsEta = null;
+        if (shortfallWei <= 0n) {
+            earningsEta = now;
+        } else if (dailyEarningsWei > 0n) {
+            earningsEta = now + Number((shortfallWei * 86400n + dailyEarningsWei - 1n) / dailyEarningsWei);
+        }
+        const forcedAt = maxQueueSeconds > 0 ? Math.max(Number(entry.date) + maxQueueSeconds, now) : null;
+
+        let etaTimestamp = earningsEta;
+        let isForced = false;
+        if (forcedAt !== null && (earningsEta === null || forcedAt < earningsEta)) {
+            etaTimestamp = forcedAt;
+            isForced = true;
+        }
+        // Entries are paid in order, so none can be paid before the one ahead of it
+        if (previousEta === null) etaTimestamp = null;
+        else if (etaTimestamp !== null) etaTimestamp = Math.max(etaTimestamp, previousEta);
+        previousEta = etaTimestamp;
+
+        const estimate = { entry, aheadWei, isPayableNow: shortfallWei <= 0n, isForced, etaTimestamp };
+        aheadWei += amountWei;
+        return estimate;
+    });
+}
+
 /**
  * Parses a non-standard date string from the CSV.
  * Format: "d/MM/yy HH:mm" (e.g., "4/11/25 16:14")
@@ -4,12 +4,15 @@
  * Allows operators to automatically manage stakes across sponsorships
  */
 
-import { showToast, updateToast } from '../ui/ui.js';
-import { runQuery } from '../core/services.js';
+import { runQuery } from '../core/subgraph.js';
 import { convertWeiToData, formatBigNumber } from '../core/utils.js';
 import { OPERATOR_CONTRACT_ABI, SPONSORSHIP_ABI } from '../core/constants.js';
+import { DEFAULT_ALLOCATION_STRATEGY, getAllocationStrategy, getPinnedStakes } from './autostakerStrategies.js';
 
-// ethers is loaded globally from libs/ethers.umd.min.js
+export { ALLOCATION_STRATEGIES, getAllocationStrategy } from './autostakerStrategies.js';
+
+// ethers is loaded globally from libs/ethers.umd.min.js (the headless runner sets it on globalThis)
+// This module must stay free of DOM access so that it can run under Node.js
 
 // Configuration Constants
 const MIN_SPONSORSHIP_TOTAL_PAYOUT_PER_SECOND = BigInt('1000000000000'); // 1e12 wei
@@ -19,6 +22,8 @@ const DEFAULT_MAX_SPONSORSHIP_COUNT = 20;
 const DEFAULT_MIN_TRANSACTION_AMOUNT = 100; // DATA tokens
 const DEFAULT_MAX_ACCEPTABLE_MIN_OPERATOR_COUNT = 4;
 const DEFAULT_AUTO_COLLECT_INTERVAL_HOURS = 24; // Auto collect every 24 hours by default
+const DEFAULT_CIRCUIT_BREAKER_THRESHOLD = 3; // Consecutive failed cycles before the bot is paused
+const WEI_PER_DATA = BigInt('1000000000000000000');
 
 // Gas settings for Polygon
 const POLYGON_GAS_SETTINGS = {
@@ -29,11 +34,12 @@ const POLYGON_GAS_SETTINGS = {
 // Storage keys
 const AUTOSTAKER_CONFIG_KEY = 'autostaker_config';
 const EXCLUDED_SPONSORSHIPS_KEY = 'autostaker_excluded_sponsorships';
+const CIRCUIT_BREAKER_KEY = 'autostaker_circuit_breaker';
 
 /**
  * Get default autostaker configuration
  */
-function getDefaultConfig() {
+export function getDefaultConfig() {
     return {
         maxSponsorshipCount: DEFAULT_MAX_SPONSORSHIP_COUNT,
         minTransactionAmount: DEFAULT_MIN_TRANSACTION_AMOUNT,
@@ -42,7 +48,16 @@ function getDefaultConfig() {
         autoCollectEnabled: true,
         autoCollectIntervalHours: DEFAULT_AUTO_COLLECT_INTERVAL_HOURS,
         lastCollectTime: null, // ISO string of last collect time
-        ignoreFirstCollect: true
+        ignoreFirstCollect: true,
+        allocationStrategy: DEFAULT_ALLOCATION_STRATEGY,
+        pinnedAllocations: {}, // Sponsorship ID -> DATA amount, used by the 'pin' strategy
+        // Guardrails (0 = no limit)
+        maxDataPerCycle: 0,
+        maxDataPerDay: 0,
+        maxTransactionsPerCycle: 0,
+        maxGasPerDayMatic: 0,
+        skipFlaggedSponsorships: true,
+        circuitBreakerThreshold: DEFAULT_CIRCUIT_BREAKER_THRESHOLD
     };
 }
 
@@ -112,6 +127,39 @@ export function saveExcludedSponsorships(operatorId, excluded) {
     }
 }
 
+/**
+ * Load circuit breaker state from localStorage
+ * @param {string} operatorId - The operator contract address
+ * @returns {Object} { consecutiveFailures, trippedAt, reason }
+ */
+export function loadCircuitBreakerState(operatorId) {
+    try {
+        const stored = localStorage.getItem(`${CIRCUIT_BREAKER_KEY}_${operatorId.toLowerCase()}`);
+        if (stored) {
+            return { consecutiveFailures: 0, trippedAt: null, reason: null, ...JSON.parse(stored) };
+        }
+    } catch (e) {
+        console.error('Failed to load circuit breaker state:', e);
+    }
+    return { consecutiveFailures: 0, trippedAt: null, reason: null };
+}
+
+/**
+ * Save circuit breaker state to localStorage
+ * @param {string} operatorId - The operator contract address
+ * @param {Object} breaker - Circuit breaker state
+ */
+export function saveCircuitBreakerState(operatorId, breaker) {
+    try {
+        localStorage.setItem(
+            `${CIRCUIT_BREAKER_KEY}_${operatorId.toLowerCase()}`,
+            JSON.stringify(breaker)
+        );
+    } catch (e) {
+        console.error('Failed to save circuit breaker state:', e);
+    }
+}
+
 /**
  * Fetch minimum stake per sponsorship from The Graph
  * @returns {Promise<bigint>} Minimum stake in wei
@@ -156,6 +204,9 @@ async function fetchStakeableSponsorships(currentStakes, maxAcceptableMinOperato
                 operatorCount
                 maxOperators
                 remainingWei
+                totalStakedWei
+                spotAPY
+                projectedInsolvency
                 stream { id }
             }
         }
@@ -184,7 +235,10 @@ async function fetchStakeableSponsorships(currentStakes, maxAcceptableMinOperato
                 payoutPerSec: BigInt(sp.totalPayoutWeiPerSec),
                 streamId: sp.stream?.id || sp.id,
                 operatorCount: sp.operatorCount,
-                maxOperators: sp.maxOperators
+                maxOperators: sp.maxOperators,
+                totalStaked: BigInt(sp.totalStakedWei || '0'),
+                spotAPY: sp.spotAPY,
+                projectedInsolvency: parseInt(sp.projectedInsolvency || '0')
             });
         }
     }
@@ -423,8 +477,9 @@ function getExpiredSponsorships(myCurrentStakes, stakeableSponsorships) {
 
 /**
  * Select sponsorships to stake - CORRECTED ALGORITHM
- * Selects the most profitable sponsorships up to maxSponsorshipCount
+ * Selects the highest scoring sponsorships (per the allocation strategy) up to maxSponsorshipCount
  * When maxSponsorshipCount is reduced, less profitable sponsorships will be abandoned
+ * Pinned sponsorships are always selected first
  */
 function getSelectedSponsorships(
     myCurrentStakes,
@@ -432,7 +487,9 @@ function getSelectedSponsorships(
     totalStakeableAmount,
     operatorContractAddress,
     maxSponsorshipCount,
-    minStakePerSponsorship
+    minStakePerSponsorship,
+    strategy,
+    pinnedStakes
 ) {
     // Calculate how many we can afford
     const count = Math.min(
@@ -448,15 +505,23 @@ function getSelectedSponsorships(
     // Get all stakeable sponsorships and sort by profitability
     const allSponsorships = [...stakeableSponsorships.keys()];
     
+    const ctx = { minStakePerSponsorship };
+    const scores = new Map(allSponsorships.map(id => [id, strategy.getScore(stakeableSponsorships.get(id), ctx)]));
+    
     // Sort ALL sponsorships by:
-    // 1. payoutPerSec (descending) - most profitable first
-    // 2. Hash of operator+sponsorship (for deterministic tie-breaking)
+    // 1. Pinned first
+    // 2. Strategy score (descending) - most profitable first
+    // 3. Hash of operator+sponsorship (for deterministic tie-breaking)
     const sortedSponsorships = allSponsorships.sort((a, b) => {
-        const payoutA = stakeableSponsorships.get(a).payoutPerSec;
-        const payoutB = stakeableSponsorships.get(b).payoutPerSec;
+        const pinnedA = pinnedStakes.has(a.toLowerCase());
+        const pinnedB = pinnedStakes.has(b.toLowerCase());
+        if (pinnedA !== pinnedB) return pinnedA ? -1 : 1;
+        
+        const scoreA = scores.get(a);
+        const scoreB = scores.get(b);
         
-        if (payoutB > payoutA) return 1;
-        if (payoutA > payoutB) return -1;
+        if (scoreB > scoreA) return 1;
+        if (scoreA > scoreB) return -1;
         
         // Tie-breaker: hash of operatorAddress + sponsorshipId
         const hashA = hashString(operatorContractAddress + a);
@@ -472,7 +537,9 @@ function getSelectedSponsorships(
 
 /**
  * Calculate target stakes for each sponsorship - OFFICIAL ALGORITHM
- * Formula: target = minStake + (payoutProportionalAmount * payoutPerSec / totalPayoutPerSec)
+ * Formula: target = minStake + (proportionalAmount * weight / totalWeight)
+ * With the default strategy the weight is payoutPerSec. Pinned sponsorships get
+ * their pinned amount (at least minStake) and are left out of the proportional split.
  */
 function getTargetStakes(
     myCurrentStakes,
@@ -481,7 +548,9 @@ function getTargetStakes(
     undelegationQueueAmount,
     operatorContractAddress,
     maxSponsorshipCount,
-    minStakePerSponsorship
+    minStakePerSponsorship,
+    strategy = getAllocationStrategy(DEFAULT_ALLOCATION_STRATEGY),
+    pinnedStakes = new Map()
 ) {
     const totalStakeableAmount = sumBigInts([...myCurrentStakes.values()]) + myUnstakedAmount - undelegationQueueAmount;
     
@@ -491,7 +560,9 @@ function getTargetStakes(
         totalStakeableAmount,
         operatorContractAddress,
         maxSponsorshipCount,
-        minStakePerSponsorship
+        minStakePerSponsorship,
+        strategy,
+        pinnedStakes
     );
     
     if (selectedSponsorships.length === 0) {
@@ -503,20 +574,30 @@ function getTargetStakes(
         return expiredTargets;
     }
     
-    // Calculate payout-proportional allocation
-    const minStakePerSponsorshipSum = BigInt(selectedSponsorships.length) * minStakePerSponsorship;
-    const payoutProportionalAmount = totalStakeableAmount > minStakePerSponsorshipSum 
+    const targetStakes = new Map();
+    
+    // Pinned sponsorships get a fixed target
+    const pinnedSelected = selectedSponsorships.filter(id => pinnedStakes.has(id.toLowerCase()));
+    const weightedSelected = selectedSponsorships.filter(id => !pinnedStakes.has(id.toLowerCase()));
+    for (const id of pinnedSelected) {
+        targetStakes.set(id, bigIntMax(pinnedStakes.get(id.toLowerCase()), minStakePerSponsorship));
+    }
+    const pinnedSum = sumBigInts(pinnedSelected.map(id => targetStakes.get(id)));
+    
+    // Calculate strategy-weighted allocation of the remainder
+    const minStakePerSponsorshipSum = BigInt(weightedSelected.length) * minStakePerSponsorship + pinnedSum;
+    const proportionalAmount = totalStakeableAmount > minStakePerSponsorshipSum 
         ? totalStakeableAmount - minStakePerSponsorshipSum 
         : BigInt(0);
     
-    const payoutPerSecSum = sumBigInts(selectedSponsorships.map(id => stakeableSponsorships.get(id).payoutPerSec));
-    
-    const targetStakes = new Map();
+    const ctx = { minStakePerSponsorship };
+    const weights = new Map(weightedSelected.map(id => [id, strategy.getWeight(stakeableSponsorships.get(id), ctx)]));
+    const weightSum = sumBigInts([...weights.values()]);
     
     // Target for selected sponsorships
-    for (const id of selectedSponsorships) {
-        const proportionalPart = payoutPerSecSum > BigInt(0)
-            ? (payoutProportionalAmount * stakeableSponsorships.get(id).payoutPerSec) / payoutPerSecSum
+    for (const id of weightedSelected) {
+        const proportionalPart = weightSum > BigInt(0)
+            ? (proportionalAmount * weights.get(id)) / weightSum
             : BigInt(0);
         targetStakes.set(id, minStakePerSponsorship + proportionalPart);
     }
@@ -537,7 +618,7 @@ function getTargetStakes(
 }
 
 /**
- * Payout Proportional Strategy - Calculate stake adjustments
+ * Calculate stake adjustments for the configured allocation strategy
  * Based EXACTLY on the official AutostakerPlugin algorithm
  * @param {Object} params - Strategy parameters
  * @returns {Array} Array of actions to execute
@@ -550,7 +631,9 @@ function adjustStakes({
     operatorContractAddress,
     maxSponsorshipCount,
     minTransactionAmount,
-    minStakePerSponsorship
+    minStakePerSponsorship,
+    strategy,
+    pinnedStakes
 }) {
     const targetStakes = getTargetStakes(
         myCurrentStakes,
@@ -559,7 +642,9 @@ function adjustStakes({
         undelegationQueueAmount,
         operatorContractAddress,
         maxSponsorshipCount,
-        minStakePerSponsorship
+        minStakePerSponsorship,
+        strategy,
+        pinnedStakes
     );
     
     // Calculate adjustments (difference between target and current)
@@ -683,11 +768,11 @@ function adjustStakes({
  * @param {string} operatorId - The operator contract address
  * @param {Object} config - Autostaker configuration
  * @param {ethers.Contract} operatorContract - Operator contract instance
+ * @param {Set<string>} [excludedSponsorships] - Exclusion set override (defaults to the saved one)
  * @returns {Promise<Object>} Analysis result with actions
  */
-export async function analyzeAndCalculateActions(operatorId, config, operatorContract) {
-    const excludedSponsorships = loadExcludedSponsorships(operatorId);
-    
+export async function analyzeAndCalculateActions(operatorId, config, operatorContract, excludedSponsorships = loadExcludedSponsorships(operatorId)) {
+
     // Fetch all required data
     const [minStakePerSponsorship, myCurrentStakes, undelegationQueueAmount, operatorData] = await Promise.all([
         fetchMinStakePerSponsorship(),
@@ -731,7 +816,8 @@ export async function analyzeAndCalculateActions(operatorId, config, operatorCon
         freeBalance: convertWeiToData(myUnstakedAmount.toString()) + ' DATA',
         undelegationQueue: convertWeiToData(undelegationQueueAmount.toString()) + ' DATA',
         minStakePerSponsorship: convertWeiToData(minStakePerSponsorship.toString()) + ' DATA',
-        stakeableSponsorshipsCount: stakeableSponsorships.size
+        stakeableSponsorshipsCount: stakeableSponsorships.size,
+        allocationStrategy: config.allocationStrategy
     });
     
     // Log if we need to reduce sponsorship count
@@ -801,7 +887,9 @@ export async function analyzeAndCalculateActions(operatorId, config, operatorCon
         operatorContractAddress: operatorId,
         maxSponsorshipCount: config.maxSponsorshipCount,
         minTransactionAmount: minTransactionAmountWei,
-        minStakePerSponsorship
+        minStakePerSponsorship,
+        strategy: getAllocationStrategy(config.allocationStrategy),
+        pinnedStakes: getPinnedStakes(config)
     });
     
     return {
@@ -815,6 +903,90 @@ export async function analyzeAndCalculateActions(operatorId, config, operatorCon
     };
 }
 
+// ============================================
+// Dry-Run Simulation
+// ============================================
+
+const SECONDS_PER_DAY = BigInt(86400);
+
+/**
+ * Estimate the daily payout an operator receives from a sponsorship.
+ * Payouts are shared between operators in proportion to their stake.
+ * @param {bigint} myStake - Operator's stake in the sponsorship
+ * @param {bigint} othersStake - Stake of all other operators
+ * @param {bigint} payoutPerSec - Sponsorship payout rate
+ * @returns {bigint} Estimated payout per day in wei
+ */
+function estimateDailyPayout(myStake, othersStake, payoutPerSec) {
+    const total = myStake + othersStake;
+    if (myStake <= BigInt(0) || total <= BigInt(0)) return BigInt(0);
+    return (payoutPerSec * SECONDS_PER_DAY * myStake) / total;
+}
+
+/**
+ * Run the allocation algorithm without sending any transactions.
+ * Accepts config overrides and an exclusion set so that a config change can
+ * be evaluated before it is saved.
+ * @param {string} operatorId - The operator contract address
+ * @param {Object} config - Autostaker configuration to simulate
+ * @param {ethers.Contract} operatorContract - Read-only operator contract instance
+ * @param {Set<string>} excludedSponsorships - Exclusion set to simulate
+ * @returns {Promise<Object>} Per-sponsorship comparison rows, totals and the underlying analysis
+ */
+export async function simulateAllocation(operatorId, config, operatorContract, excludedSponsorships) {
+    const analysis = await analyzeAndCalculateActions(operatorId, config, operatorContract, excludedSponsorships);
+    const { actions, currentStakes, stakeableSponsorships } = analysis;
+    
+    const actionsById = new Map(actions.map(action => [action.sponsorshipId, action]));
+    const ids = new Set([...currentStakes.keys(), ...actionsById.keys()]);
+    
+    const rows = [...ids].map(id => {
+        const currentStake = currentStakes.get(id) || BigInt(0);
+        const action = actionsById.get(id);
+        let targetStake = currentStake;
+        if (action) {
+            targetStake = action.type === 'stake' ? currentStake + action.amount : currentStake - action.amount;
+        }
+        
+        const info = stakeableSponsorships.get(id);
+        const payoutPerSec = info?.payoutPerSec || BigInt(0);
+        const othersStake = info && info.totalStaked > currentStake ? info.totalStaked - currentStake : BigInt(0);
+        
+        return {
+            sponsorshipId: id,
+            streamId: info?.streamId || id,
+            isStakeable: !!info,
+            currentStake,
+            targetStake,
+            currentPayoutPerDay: estimateDailyPayout(currentStake, othersStake, payoutPerSec),
+            targetPayoutPerDay: estimateDailyPayout(targetStake, othersStake, payoutPerSec),
+            action: action ? action.type : null
+        };
+    }).sort((a, b) => {
+        const maxA = bigIntMax(a.currentStake, a.targetStake);
+        const maxB = bigIntMax(b.currentStake, b.targetStake);
+        if (maxB > maxA) return 1;
+        if (maxA > maxB) return -1;
+        return 0;
+    });
+    
+    const totals = {
+        currentStake: sumBigInts(rows.map(r => r.currentStake)),
+        targetStake: sumBigInts(rows.map(r => r.targetStake)),
+        currentPayoutPerDay: sumBigInts(rows.map(r => r.currentPayoutPerDay)),
+        targetPayoutPerDay: sumBigInts(rows.map(r => r.targetPayoutPerDay)),
+        currentCount: rows.filter(r => r.currentStake > BigInt(0)).length,
+        targetCount: rows.filter(r => r.targetStake > BigInt(0)).length
+    };
+    
+    return {
+        ...analysis,
+        rows,
+        totals,
+        transactionCount: actions.length
+    };
+}
+
 /**
  * Generate an action to unstake enough to pay the undelegation queue
  * @param {Map<string, bigint>} currentStakes - Current stakes by sponsorship ID
@@ -909,6 +1081,33 @@ function isRetryableError(error) {
     return retryablePatterns.some(pattern => msg.includes(pattern.toLowerCase()));
 }
 
+/**
+ * Gas used and paid by a transaction receipt
+ * @param {Object} receipt - ethers transaction receipt
+ * @returns {{gasUsed: bigint, gasCostWei: bigint}} Gas used and cost in wei (MATIC)
+ */
+function getReceiptGas(receipt) {
+    const gasUsed = BigInt(receipt.gasUsed?.toString() || '0');
+    const gasPrice = BigInt(receipt.effectiveGasPrice?.toString() || '0');
+    return { gasUsed, gasCostWei: gasUsed * gasPrice };
+}
+
+/**
+ * Record a transaction that was mined but reverted: it still counts as sent and its gas was paid
+ * @param {Object} results - Execution results
+ * @param {Object} action - Action the transaction was for
+ * @param {Error} error - Error thrown by tx.wait()
+ */
+function recordRevertedTransaction(results, action, error) {
+    if (!error?.receipt) return;
+    results.reverted.push({
+        action,
+        reverted: true,
+        txHash: error.receipt.transactionHash,
+        ...getReceiptGas(error.receipt)
+    });
+}
+
 /**
  * Execute autostaker actions with retry and recalculation on failure
  * @param {Array} actions - Actions to execute
@@ -916,9 +1115,11 @@ function isRetryableError(error) {
  * @param {ethers.Signer} signer - Ethers signer
  * @param {Function} onProgress - Progress callback
  * @param {Object} config - Autostaker configuration (for recalculation)
+ * @param {Set<string>} [excludedSponsorships] - Exclusion set for recalculation (defaults to the saved one)
+ * @param {Function} [filterActions] - Applied to recalculated actions: async (actions, sentTransactions, analysis) => actions
  * @returns {Promise<Object>} Execution result
  */
-export async function executeActions(actions, operatorId, signer, onProgress, config = null) {
+export async function executeActions(actions, operatorId, signer, onProgress, config = null, excludedSponsorships = undefined, filterActions = null) {
     if (!actions || actions.length === 0) {
         return { success: true, message: 'No actions to execute' };
     }
@@ -960,10 +1161,13 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
     const stakeActions = actions.filter(a => a.type === 'stake');
     const orderedActions = [...unstakeActions, ...stakeActions];
     
+    // reverted: transactions that were mined but reverted, on top of the successful and failed actions
     const results = {
         successful: [],
-        failed: []
+        failed: [],
+        reverted: []
     };
+    const queuePayoutAction = { type: 'queuePayout', description: 'Pay undelegation queue' };
     
     // First, try to pay out any pending undelegation queue if there are funds available
     // This helps avoid issues where unstake funds go to queue instead of being available
@@ -975,10 +1179,16 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
             // Try to pay out the queue first (0 = pay all possible with available funds)
             try {
                 const payoutTx = await operatorContract.payOutQueue(0, gasSettings);
-                await payoutTx.wait();
+                const payoutReceipt = await payoutTx.wait();
                 console.log('[Autostaker] Queue payout completed before starting actions');
+                results.successful.push({
+                    action: queuePayoutAction,
+                    txHash: payoutReceipt.transactionHash,
+                    ...getReceiptGas(payoutReceipt)
+                });
             } catch (payoutError) {
                 // This is expected if there are no free funds - continue with actions
+                recordRevertedTransaction(results, queuePayoutAction, payoutError);
                 console.log('[Autostaker] Could not pay queue (likely no free funds):', payoutError.message?.substring(0, 100));
             }
         }
@@ -1004,7 +1214,7 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
                         success: false,
                         message: 'Undelegation queue not empty - need to unstake first to free funds',
                         results: {
-                            successful: [],
+                            ...results,
                             failed: stakeActions.map(a => ({
                                 action: a,
                                 error: 'Undelegation queue not empty - unstake first to free funds for queue payout'
@@ -1036,6 +1246,8 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
             });
         }
         
+        // What was actually sent, e.g. a smaller stake when the free balance fell short
+        let sentAction = action;
         try {
             let tx;
             if (action.type === 'stake') {
@@ -1061,6 +1273,7 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
                     if (actualFreeBalance.gt(0)) {
                         console.log(`[Autostaker] Staking available amount: ${ethers.utils.formatEther(actualFreeBalance)} DATA instead`);
                         tx = await operatorContract.stake(action.sponsorshipId, actualFreeBalance, gasSettings);
+                        sentAction = { ...action, amount: BigInt(actualFreeBalance.toString()) };
                     } else {
                         results.failed.push({
                             action,
@@ -1136,8 +1349,9 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
             
             const receipt = await tx.wait();
             results.successful.push({
-                action,
-                txHash: receipt.transactionHash
+                action: sentAction,
+                txHash: receipt.transactionHash,
+                ...getReceiptGas(receipt)
             });
             
             // If this was a queue payment unstake, try to pay out the queue now
@@ -1152,10 +1366,12 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
                     console.log(`[Autostaker] Queue payout successful! Tx: ${payoutReceipt.transactionHash}`);
                     
                     results.successful.push({
-                        action: { type: 'queuePayout', description: 'Pay undelegation queue' },
-                        txHash: payoutReceipt.transactionHash
+                        action: queuePayoutAction,
+                        txHash: payoutReceipt.transactionHash,
+                        ...getReceiptGas(payoutReceipt)
                     });
                 } catch (payoutError) {
+                    recordRevertedTransaction(results, queuePayoutAction, payoutError);
                     console.warn('[Autostaker] Failed to pay out queue after unstake:', payoutError.message);
                     // Not critical - queue will be paid in next cycle
                 }
@@ -1170,6 +1386,7 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
             
         } catch (e) {
             console.error(`Failed to execute ${action.type} action:`, e);
+            recordRevertedTransaction(results, sentAction, e);
             
             // Check if this is a retryable error and we have config for recalculation
             if (config && isRetryableError(e) && recalculationAttempts < MAX_RETRY_ATTEMPTS) {
@@ -1191,7 +1408,7 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
                 
                 try {
                     // Recalculate actions based on current on-chain state
-                    const newAnalysis = await analyzeAndCalculateActions(operatorId, config, operatorContract);
+                    const newAnalysis = await analyzeAndCalculateActions(operatorId, config, operatorContract, excludedSponsorships);
                     
                     if (newAnalysis.actions && newAnalysis.actions.length > 0) {
                         console.log(`[Autostaker] Recalculated ${newAnalysis.actions.length} new actions`);
@@ -1203,7 +1420,9 @@ export async function executeActions(actions, operatorId, signer, onProgress, co
                         // Replace current actions with recalculated ones
                         const unstakes = remainingActions.filter(a => a.type === 'unstake');
                         const stakes = remainingActions.filter(a => a.type === 'stake');
-                        currentActions = [...unstakes, ...stakes];
+                        currentActions = filterActions
+                            ? await filterActions([...unstakes, ...stakes], [...results.successful, ...results.reverted], newAnalysis)
+                            : [...unstakes, ...stakes];
                         actionIndex = 0; // Restart from the beginning of new actions
                         
                         console.log(`[Autostaker] Continuing with ${currentActions.length} recalculated actions`);
@@ -1342,6 +1561,7 @@ export async function executeAutoCollect(operatorId, signer, onLog) {
         return {
             success: true,
             txHash: receipt.transactionHash,
+            ...getReceiptGas(receipt),
             sponsorshipsCount: sponsorshipIds.length
         };
         
@@ -1362,6 +1582,330 @@ export async function executeAutoCollect(operatorId, signer, onLog) {
     }
 }
 
+// ============================================
+// Guardrails & Circuit Breaker
+// ============================================
+
+/**
+ * Fetch which of the given sponsorships have flags that are still being resolved
+ * @param {string[]} sponsorshipIds - Sponsorship IDs
+ * @returns {Promise<Set<string>>} IDs (lowercase) of sponsorships with pending flags
+ */
+async function fetchSponsorshipsWithPendingFlags(sponsorshipIds) {
+    if (sponsorshipIds.length === 0) return new Set();
+    
+    const ids = sponsorshipIds.map(id => `"${id.toLowerCase()}"`).join(', ');
+    const query = `
+        {
+            flags(
+                where: { sponsorship_in: [${ids}], result_in: ["waiting", "voting"] }
+                first: 1000
+            ) {
+                id
+                sponsorship { id }
+            }
+        }
+    `;
+    
+    const data = await runQuery(query);
+    return new Set((data.flags || []).map(flag => flag.sponsorship.id.toLowerCase()));
+}
+
+/**
+ * DATA moved by a set of stake and unstake amounts. A rebalance stakes the DATA it unstakes,
+ * so it is counted once: as the larger of the unstaked and the staked total.
+ * @param {bigint} unstaked - Total unstaked
+ * @param {bigint} staked - Total staked
+ * @returns {bigint} DATA moved in wei
+ */
+export function dataMoved(unstaked, staked) {
+    return bigIntMax(unstaked, staked);
+}
+
+/**
+ * Apply the configured guardrails to a list of actions.
+ * When the analysis is given, stakes are also fitted to the funds that will actually be free:
+ * the free balance plus the unstakes that were allowed. A stake that no longer fits is reduced,
+ * or blocked when the rest would be below the minimum for that sponsorship.
+ * @param {Array} actions - Actions to check
+ * @param {Object} params - Guardrail parameters
+ * @param {Object} params.config - Autostaker configuration with guardrail limits
+ * @param {Object} params.usage - Usage over the last 24 hours: { dataMovedWei, gasCostWei }
+ * @param {Set<string>} params.flaggedSponsorships - Sponsorships with pending flags
+ * @param {Array} [params.executed] - Transactions already sent in this cycle, including reverted ones (reverted: true)
+ * @param {Object} [params.analysis] - Analysis the actions were calculated from
+ * @returns {{allowed: Array, blocked: Array<{action: Object, reason: string}>, reduced: Array<{action: Object, originalAmount: bigint}>}}
+ */
+export function applyGuardrails(actions, { config, usage, flaggedSponsorships, executed = [], analysis = null }) {
+    const toWei = (dataAmount) => BigInt(Math.floor(Number(dataAmount) || 0)) * WEI_PER_DATA;
+    const maxPerCycle = toWei(config.maxDataPerCycle);
+    const maxPerDay = toWei(config.maxDataPerDay);
+    const maxGasPerDay = BigInt(Math.floor((Number(config.maxGasPerDayMatic) || 0) * 1e6)) * BigInt(1e12);
+    const maxTransactions = Number(config.maxTransactionsPerCycle) || 0;
+    const minTransactionAmount = toWei(config.minTransactionAmount);
+    
+    // Every sent transaction counts and pays gas, but only the ones that went through moved DATA
+    const movedActions = executed.filter(r => !r.reverted).map(r => r.action);
+    const amountsOf = (list, type) => sumBigInts(list.filter(a => a.type === type).map(a => a.amount || BigInt(0)));
+    let unstakedThisCycle = amountsOf(movedActions, 'unstake');
+    let stakedThisCycle = amountsOf(movedActions, 'stake');
+    let transactionCount = executed.length;
+    const movedToday = usage.dataMovedWei || BigInt(0);
+    const gasToday = (usage.gasCostWei || BigInt(0)) + sumBigInts(executed.map(r => r.gasCostWei || BigInt(0)));
+    
+    // Funds the stakes can use; unstakes add to it as they are allowed
+    let stakeBudget = analysis
+        ? bigIntMax(analysis.myUnstakedAmount - analysis.undelegationQueueAmount, BigInt(0))
+        : null;
+    
+    const allowed = [];
+    const blocked = [];
+    const reduced = [];
+    
+    // Unstakes first, as they are executed, so the funds they free are known for the stakes
+    const ordered = [...actions.filter(a => a.type === 'unstake'), ...actions.filter(a => a.type !== 'unstake')];
+    
+    for (const planned of ordered) {
+        let action = planned;
+        let reason = null;
+        let fundsMissing = false;
+        
+        if (stakeBudget !== null && action.type === 'stake' && action.amount > stakeBudget) {
+            const isNewSponsorship = !analysis.currentStakes?.has(action.sponsorshipId);
+            const minimum = bigIntMax(minTransactionAmount, isNewSponsorship ? analysis.minStakePerSponsorship : BigInt(0));
+            if (stakeBudget > BigInt(0) && stakeBudget >= minimum) {
+                const reduction = action.amount - stakeBudget;
+                action = { ...action, amount: stakeBudget, targetStake: action.targetStake - reduction };
+            } else {
+                fundsMissing = true;
+            }
+        }
+        
+        const nextUnstaked = unstakedThisCycle + (action.type === 'unstake' ? action.amount : BigInt(0));
+        const nextStaked = stakedThisCycle + (action.type === 'stake' ? action.amount : BigInt(0));
+        const movedThisCycle = dataMoved(nextUnstaked, nextStaked);
+        
+        if (fundsMissing) {
+            reason = 'not enough free DATA without the blocked unstakes';
+        } else if (maxGasPerDay > BigInt(0) && gasToday >= maxGasPerDay) {
+            reason = `daily gas limit of ${config.maxGasPerDayMatic} MATIC reached`;
+        } else if (action.type === 'unstake' && flaggedSponsorships.has(action.sponsorshipId.toLowerCase())) {
+            reason = 'sponsorship has a pending flag';
+        } else if (maxTransactions > 0 && transactionCount >= maxTransactions) {
+            reason = `limit of ${maxTransactions} transactions per cycle reached`;
+        } else if (maxPerCycle > BigInt(0) && movedThisCycle > maxPerCycle) {
+            reason = `would exceed ${formatBigNumber(String(config.maxDataPerCycle))} DATA per cycle`;
+        } else if (maxPerDay > BigInt(0) && movedToday + movedThisCycle > maxPerDay) {
+            reason = `would exceed ${formatBigNumber(String(config.maxDataPerDay))} DATA per day`;
+        }
+        
+        if (reason) {
+            blocked.push({ action: planned, reason });
+            continue;
+        }
+        
+        allowed.push(action);
+        if (action !== planned) reduced.push({ action, originalAmount: planned.amount });
+        unstakedThisCycle = nextUnstaked;
+        stakedThisCycle = nextStaked;
+        transactionCount++;
+        if (stakeBudget !== null) {
+            stakeBudget += action.type === 'unstake' ? action.amount : -action.amount;
+        }
+    }
+    
+    return { allowed, blocked, reduced };
+}
+
+/**
+ * Update the circuit breaker after a cycle
+ * @param {Object} breaker - Current circuit breaker state
+ * @param {boolean} cycleFailed - Whether the cycle failed
+ * @param {number} threshold - Consecutive failures that trip the breaker (0 disables it)
+ * @param {string} [reason] - Failure description of this cycle
+ * @returns {Object} New circuit breaker state (trippedAt is set when it trips)
+ */
+export function updateCircuitBreaker(breaker, cycleFailed, threshold, reason = null) {
+    if (!cycleFailed) {
+        return { ...breaker, consecutiveFailures: 0 };
+    }
+    
+    const consecutiveFailures = breaker.consecutiveFailures + 1;
+    const shouldTrip = threshold > 0 && consecutiveFailures >= threshold && !breaker.trippedAt;
+    return {
+        consecutiveFailures,
+        trippedAt: shouldTrip ? new Date().toISOString() : breaker.trippedAt,
+        reason: shouldTrip ? `${consecutiveFailures} consecutive failed cycles. Last error: ${reason || 'unknown'}` : breaker.reason
+    };
+}
+
+/**
+ * Run one bot cycle: auto-collect when due, analyze and execute the resulting actions.
+ * Reports progress through onLog only, so it is shared by the in-app bot and the headless runner.
+ * @param {Object} params - Cycle parameters
+ * @param {string} params.operatorId - The operator contract address
+ * @param {ethers.Signer} params.signer - Ethers signer (must have a provider)
+ * @param {Object} params.config - Autostaker configuration
+ * @param {Set<string>} [params.excludedSponsorships] - Exclusion set (defaults to the saved one)
+ * @param {Function} [params.onLog] - Callback to log messages (type, message)
+ * @param {Function} [params.onConfigChange] - Called with the updated config when it must be persisted
+ * @param {Object} [params.guardrailUsage] - Usage over the last 24 hours: { dataMovedWei, gasCostWei }
+ * @returns {Promise<Object>} { config, collectResult, analysis, execution, blocked }
+ */
+export async function runAutostakerCycle({ operatorId, signer, config, excludedSponsorships, onLog, onConfigChange, guardrailUsage = {} }) {
+    const log = onLog || (() => {});
+    const operatorContract = new ethers.Contract(operatorId, OPERATOR_CONTRACT_ABI, signer.provider);
+    const cycle = { config, collectResult: null, analysis: null, execution: null, blocked: [] };
+    
+    const maxGasPerDayWei = BigInt(Math.floor((Number(config.maxGasPerDayMatic) || 0) * 1e6)) * BigInt(1e12);
+    const gasLimitReached = maxGasPerDayWei > BigInt(0) && (guardrailUsage.gasCostWei || BigInt(0)) >= maxGasPerDayWei;
+    
+    // === AUTO-COLLECT CHECK ===
+    if (gasLimitReached && shouldAutoCollect(config)) {
+        log('warning', `🛡️ Auto-collect postponed: daily gas limit of ${config.maxGasPerDayMatic} MATIC reached`);
+    } else if (shouldAutoCollect(config)) {
+        const ignoreFirstCollect = config.ignoreFirstCollect !== false;
+        const isFirstCollect = !config.lastCollectTime;
+        if (ignoreFirstCollect && isFirstCollect) {
+            log('info', '💰 Ignoring first auto-collect');
+            cycle.config = { ...config, lastCollectTime: new Date().toISOString() };
+            onConfigChange?.(cycle.config);
+        } else {
+            log('info', '💰 Auto-collect triggered...');
+            cycle.collectResult = await executeAutoCollect(operatorId, signer, log);
+            if (cycle.collectResult.success && !cycle.collectResult.skipped) {
+                cycle.config = { ...config, lastCollectTime: new Date().toISOString() };
+                onConfigChange?.(cycle.config);
+            }
+        }
+    } else if (config.autoCollectEnabled) {
+        log('info', `💰 Next auto-collect in ${getTimeUntilNextCollect(config).formatted}`);
+    }
+    
+    // Analyze and calculate actions
+    const analysis = await analyzeAndCalculateActions(operatorId, cycle.config, operatorContract, excludedSponsorships);
+    cycle.analysis = analysis;
+    
+    // Apply guardrails, also to actions recalculated during execution
+    const usage = {
+        dataMovedWei: guardrailUsage.dataMovedWei || BigInt(0),
+        gasCostWei: (guardrailUsage.gasCostWei || BigInt(0)) + (cycle.collectResult?.gasCostWei || BigInt(0))
+    };
+    const flaggedSponsorships = new Set();
+    const checkedForFlags = new Set();
+    const guard = async (candidates, executed = [], candidatesAnalysis = analysis) => {
+        if (config.skipFlaggedSponsorships !== false) {
+            const unchecked = candidates
+                .filter(a => a.type === 'unstake' && !checkedForFlags.has(a.sponsorshipId.toLowerCase()))
+                .map(a => a.sponsorshipId.toLowerCase());
+            const flagged = await fetchSponsorshipsWithPendingFlags(unchecked);
+            unchecked.forEach(id => checkedForFlags.add(id));
+            flagged.forEach(id => flaggedSponsorships.add(id));
+        }
+        
+        const { allowed, blocked, reduced } = applyGuardrails(candidates, {
+            config, usage, flaggedSponsorships, executed, analysis: candidatesAnalysis
+        });
+        for (const { action, reason } of blocked) {
+            const amountData = formatBigNumber(convertWeiToData(action.amount.toString()));
+            log('warning', `🛡️ Blocked ${action.type} ${amountData} DATA (${action.sponsorshipId.substring(0, 10)}...): ${reason}`);
+        }
+        for (const { action, originalAmount } of reduced) {
+            const fromData = formatBigNumber(convertWeiToData(originalAmount.toString()));
+            const toData = formatBigNumber(convertWeiToData(action.amount.toString()));
+            log('warning', `🛡️ Reduced stake ${fromData} → ${toData} DATA (${action.sponsorshipId.substring(0, 10)}...): not enough free DATA without the blocked unstakes`);
+        }
+        cycle.blocked.push(...blocked);
+        return allowed;
+    };
+    const actions = await guard(analysis.actions);
+    
+    if (actions.length === 0) {
+        if (cycle.blocked.length > 0) {
+            log('warning', `🛡️ All ${cycle.blocked.length} action(s) blocked by guardrails`);
+        } else if (analysis.skippedReason) {
+            log('warning', `⚠️ ${analysis.skippedReason}`);
+        } else {
+            log('info', 'No actions needed - stakes are balanced');
+        }
+        return cycle;
+    }
+    
+    if (analysis.skippedStakes) {
+        log('warning', '⚠️ Some stake actions skipped due to pending undelegation queue');
+    }
+    
+    // Check if this is a queue payment operation
+    if (analysis.isQueuePayment) {
+        const queueAmountData = formatBigNumber(convertWeiToData(analysis.queuePaymentAmount.toString()));
+        log('info', `💸 Undelegation queue detected: ${queueAmountData} DATA pending`);
+        log('info', '🔄 Auto-resolving queue by unstaking...');
+    }
+    
+    // Log each action with DATA amount
+    for (const action of actions) {
+        const amountData = formatBigNumber(convertWeiToData(action.amount.toString()));
+        const shortId = action.sponsorshipId.substring(0, 10) + '...';
+        const prefix = action.isQueuePayment ? '💸 Queue payment: ' : '→ ';
+        const icon = action.type === 'stake' ? '📈 Stake' : '📉 Unstake';
+        log('info', `${prefix}${icon} ${amountData} DATA (${shortId})`);
+    }
+    
+    log('info', `Executing ${actions.length} action(s)...`);
+    
+    // Execute actions with config for retry/recalculation support
+    const result = await executeActions(
+        actions,
+        operatorId,
+        signer,
+        (progress) => {
+            const action = progress.action;
+            if (action) {
+                const amountData = formatBigNumber(convertWeiToData(action.amount.toString()));
+                if (progress.isRecalculating) {
+                    log('info', `🔄 Recalculating actions (attempt ${progress.retryAttempt}/3)...`);
+                } else if (progress.isRetry) {
+                    log('action', `[${progress.current}/${progress.total}] (retry) ${action.type}: ${amountData} DATA`);
+                } else {
+                    log('action', `[${progress.current}/${progress.total}] ${action.type}: ${amountData} DATA`);
+                }
+            }
+        },
+        cycle.config,
+        excludedSponsorships,
+        guard
+    );
+    
+    // Check if any actions had retries
+    const actionsWithRetries = result.results.failed.filter(f => f.retriesAttempted > 0);
+    const retryInfo = actionsWithRetries.length > 0 
+        ? ` (${actionsWithRetries.length} recalculation attempts made)` 
+        : '';
+    
+    // Check if any queue payout was successful
+    const queuePayoutSuccess = result.results.successful.some(s => s.action.type === 'queuePayout');
+    const queuePayoutMsg = queuePayoutSuccess ? ' (queue paid ✓)' : '';
+    
+    if (result.success) {
+        log('success', `✅ Completed ${result.results.successful.length} action(s) successfully${queuePayoutMsg}${retryInfo}`);
+    } else {
+        if (result.results.successful.length > 0) {
+            log('error', `${result.results.successful.length} succeeded, ${result.results.failed.length} failed${queuePayoutMsg}${retryInfo}`);
+        } else {
+            log('error', `All ${result.results.failed.length} action(s) failed${retryInfo}`);
+        }
+        // Log details of failed actions
+        for (const failed of result.results.failed) {
+            const shortId = failed.action.sponsorshipId?.substring(0, 10) + '...' || 'unknown';
+            const retryMsg = failed.retriesAttempted > 0 ? ` (${failed.retriesAttempted} retries)` : '';
+            log('error', `  ↳ ${failed.action.type} ${shortId}: ${failed.error.substring(0, 60)}${retryMsg}`);
+        }
+    }
+    
+    cycle.execution = { ...result, queuePayoutSuccess };
+    return cycle;
+}
+
 /**
  * Get time until next auto-collect
  * @param {Object} config - Autostaker configuration
@@ -0,0 +1,344 @@
+/**
+ * Autostaker Execution Journal
+ * Persists every bot cycle to IndexedDB so the history survives reloads and
+ * can be exported for accounting and post-mortems.
+ */
+
+const JOURNAL_DB_NAME = 'streamr-decentral-autostaker';
+const JOURNAL_DB_VERSION = 1;
+const CYCLES_STORE = 'cycles';
+const OPERATOR_TIME_INDEX = 'operatorStartedAt';
+
+const WEI_PER_TOKEN = BigInt('1000000000000000000');
+
+let dbPromise = null;
+
+// ============================================
+// IndexedDB Access
+// ============================================
+
+function openJournalDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CYCLES_STORE)) {
+                const store = db.createObjectStore(CYCLES_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex(OPERATOR_TIME_INDEX, ['operatorId', 'startedAt']);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function operatorRange(operatorId, since = '') {
+    const id = operatorId.toLowerCase();
+    return IDBKeyRange.bound([id, since], [id, '\uffff']);
+}
+
+/**
+ * Save a cycle entry
+ * @param {Object} entry - Entry built by createJournalEntry
+ * @returns {Promise<number>} The entry ID
+ */
+export async function recordCycle(entry) {
+    const db = await openJournalDb();
+    const tx = db.transaction(CYCLES_STORE, 'readwrite');
+    return promisifyRequest(tx.objectStore(CYCLES_STORE).add(entry));
+}
+
+/**
+ * Load cycles for an operator, newest first
+ * @param {string} operatorId - The operator contract address
+ * @param {number} [limit] - Maximum number of entries (all when omitted)
+ * @returns {Promise<Array>} Journal entries
+ */
+export async function getCycles(operatorId, limit = Infinity) {
+    const db = await openJournalDb();
+    const index = db.transaction(CYCLES_STORE, 'readonly').objectStore(CYCLES_STORE).index(OPERATOR_TIME_INDEX);
+
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const request = index.openCursor(operatorRange(operatorId), 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && entries.length < limit) {
+                entries.push(cursor.value);
+                cursor.continue();
+            } else {
+                resolve(entries);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete all cycles of an operator
+ * @param {string} operatorId - The operator contract address
+ */
+export async function clearCycles(operatorId) {
+    const db = await openJournalDb();
+    const index = db.transaction(CYCLES_STORE, 'readwrite').objectStore(CYCLES_STORE).index(OPERATOR_TIME_INDEX);
+
+    return new Promise((resolve, reject) => {
+        const request = index.openCursor(operatorRange(operatorId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            } else {
+                resolve();
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Sum DATA moved and gas spent by an operator's cycles since a given time,
+ * used to enforce the daily guardrails
+ * @param {string} operatorId - The operator contract address
+ * @param {Date} since - Start of the window
+ * @returns {Promise<{dataMovedWei: bigint, gasCostWei: bigint}>}
+ */
+export async function getGuardrailUsage(operatorId, since) {
+    const db = await openJournalDb();
+    const index = db.transaction(CYCLES_STORE, 'readonly').objectStore(CYCLES_STORE).index(OPERATOR_TIME_INDEX);
+    const entries = await promisifyRequest(index.getAll(operatorRange(operatorId, since.toISOString())));
+    return summarizeUsage(entries, since);
+}
+
+/**
+ * Sum DATA moved and gas spent by the given entries since a given time
+ * @param {Array} entries - Journal entries
+ * @param {Date} since - Start of the window
+ * @returns {{dataMovedWei: bigint, gasCostWei: bigint}}
+ */
+export function summarizeUsage(entries, since) {
+    const sinceIso = since.toISOString();
+    let dataMovedWei = BigInt(0);
+    let gasCostWei = BigInt(0);
+
+    for (const entry of entries) {
+        if (entry.startedAt < sinceIso) continue;
+        const moved = { stake: BigInt(0), unstake: BigInt(0) };
+        for (const t of entry.transactions) {
+            if ((t.type === 'stake' || t.type === 'unstake') && t.amountWei && !t.reverted) {
+                moved[t.type] += BigInt(t.amountWei);
+            }
+            gasCostWei += BigInt(t.gasCostWei || '0');
+        }
+        // A rebalance stakes what it unstakes, so it counts once (as in Autostaker.dataMoved)
+        dataMovedWei += moved.stake > moved.unstake ? moved.stake : moved.unstake;
+    }
+    return { dataMovedWei, gasCostWei };
+}
+
+// ============================================
+// Entry Building
+// ============================================
+
+const toWeiString = (value) => (value ?? BigInt(0)).toString();
+
+/**
+ * Convert the result of Autostaker.runAutostakerCycle into a storable entry.
+ * Amounts are kept as wei strings so entries can be exported as JSON.
+ * @param {Object} params - Entry parameters
+ * @param {string} params.operatorId - The operator contract address
+ * @param {Object} params.config - Config the cycle ran with
+ * @param {Date} params.startedAt - Cycle start time
+ * @param {Object|null} params.cycle - Cycle result (null if the cycle threw)
+ * @param {Error|null} params.error - Error thrown by the cycle
+ * @param {Array} params.logs - Log lines written during the cycle
+ * @returns {Object} Journal entry
+ */
+export function createJournalEntry({ operatorId, config, startedAt, cycle, error = null, logs = [] }) {
+    const finishedAt = new Date();
+    const analysis = cycle?.analysis;
+    const execution = cycle?.execution;
+
+    const targets = {};
+    const currentStakes = {};
+    if (analysis) {
+        for (const [id, stake] of analysis.currentStakes) {
+            currentStakes[id] = toWeiString(stake);
+            targets[id] = toWeiString(stake);
+        }
+        for (const action of analysis.actions) {
+            targets[action.sponsorshipId] = toWeiString(action.targetStake);
+        }
+    }
+
+    // Reverted transactions are kept too: they were sent and their gas was paid
+    const sent = [...(execution?.results.successful || []), ...(execution?.results.reverted || [])];
+    const transactions = sent.map(s => ({
+        type: s.action.type,
+        sponsorshipId: s.action.sponsorshipId || null,
+        amountWei: s.action.amount !== undefined ? toWeiString(s.action.amount) : null,
+        txHash: s.txHash,
+        reverted: !!s.reverted,
+        gasUsed: toWeiString(s.gasUsed),
+        gasCostWei: toWeiString(s.gasCostWei)
+    }));
+    if (cycle?.collectResult?.txHash) {
+        transactions.unshift({
+            type: 'collect',
+            sponsorshipId: null,
+            amountWei: null,
+            txHash: cycle.collectResult.txHash,
+            gasUsed: toWeiString(cycle.collectResult.gasUsed),
+            gasCostWei: toWeiString(cycle.collectResult.gasCostWei)
+        });
+    }
+
+    const failures = (execution?.results.failed || []).map(f => ({
+        type: f.action.type,
+        sponsorshipId: f.action.sponsorshipId || null,
+        amountWei: f.action.amount !== undefined ? toWeiString(f.action.amount) : null,
+        error: f.error,
+        retriesAttempted: f.retriesAttempted || 0
+    }));
+
+    let status = 'idle';
+    if (error) status = 'error';
+    else if (execution && execution.success) status = 'success';
+    else if (execution && execution.results.successful.length > 0) status = 'partial';
+    else if (execution) status = 'failed';
+
+    return {
+        operatorId: operatorId.toLowerCase(),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        status,
+        config: {
+            maxSponsorshipCount: config.maxSponsorshipCount,
+            minTransactionAmount: config.minTransactionAmount,
+            maxAcceptableMinOperatorCount: config.maxAcceptableMinOperatorCount,
+            allocationStrategy: config.allocationStrategy
+        },
+        analysis: analysis ? {
+            freeBalanceWei: toWeiString(analysis.myUnstakedAmount),
+            queueWei: toWeiString(analysis.undelegationQueueAmount),
+            minStakeWei: toWeiString(analysis.minStakePerSponsorship),
+            excludedCount: analysis.excludedCount,
+            isQueuePayment: !!analysis.isQueuePayment,
+            skippedReason: analysis.skippedReason || null,
+            currentStakes,
+            targets
+        } : null,
+        actions: (analysis?.actions || []).map(a => ({
+            type: a.type,
+            sponsorshipId: a.sponsorshipId,
+            amountWei: toWeiString(a.amount),
+            currentStakeWei: toWeiString(a.currentStake),
+            targetStakeWei: toWeiString(a.targetStake)
+        })),
+        transactions,
+        failures,
+        blocked: (cycle?.blocked || []).map(b => ({
+            type: b.action.type,
+            sponsorshipId: b.action.sponsorshipId,
+            amountWei: toWeiString(b.action.amount),
+            reason: b.reason
+        })),
+        retries: failures.reduce((sum, f) => sum + f.retriesAttempted, 0),
+        gasCostWei: transactions.reduce((sum, t) => sum + BigInt(t.gasCostWei), BigInt(0)).toString(),
+        error: error ? error.message : null,
+        logs
+    };
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Format a wei string as an exact decimal token amount
+ */
+function formatWeiExact(weiStr) {
+    if (weiStr === null || weiStr === undefined) return '';
+    const value = BigInt(weiStr);
+    const negative = value < BigInt(0);
+    const abs = negative ? -value : value;
+    const fraction = (abs % WEI_PER_TOKEN).toString().padStart(18, '0').replace(/0+$/, '');
+    return `${negative ? '-' : ''}${abs / WEI_PER_TOKEN}${fraction ? '.' + fraction : ''}`;
+}
+
+function csvCell(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Export entries as pretty-printed JSON
+ * @param {Array} entries - Journal entries
+ * @returns {string} JSON text
+ */
+export function exportCyclesAsJson(entries) {
+    return JSON.stringify(entries, null, 2);
+}
+
+/**
+ * Export entries as CSV with one row per action (cycles without actions get one row)
+ * @param {Array} entries - Journal entries
+ * @returns {string} CSV text
+ */
+export function exportCyclesAsCsv(entries) {
+    const header = [
+        'cycle_id', 'started_at', 'status', 'operator', 'strategy', 'free_balance_data', 'queue_data',
+        'action', 'sponsorship', 'amount_data', 'target_stake_data', 'result', 'tx_hash', 'gas_cost_matic',
+        'retries', 'error'
+    ];
+    const rows = [header];
+
+    for (const entry of entries) {
+        const base = [
+            entry.id,
+            entry.startedAt,
+            entry.status,
+            entry.operatorId,
+            entry.config?.allocationStrategy || '',
+            formatWeiExact(entry.analysis?.freeBalanceWei),
+            formatWeiExact(entry.analysis?.queueWei)
+        ];
+        const lines = [
+            ...entry.transactions.map(t => {
+                const planned = entry.actions.find(a => a.sponsorshipId && a.sponsorshipId === t.sponsorshipId);
+                return [t.type, t.sponsorshipId, formatWeiExact(t.amountWei), formatWeiExact(planned?.targetStakeWei), 'ok', t.txHash, formatWeiExact(t.gasCostWei), '', ''];
+            }),
+            ...entry.failures.map(f => {
+                const planned = entry.actions.find(a => a.sponsorshipId && a.sponsorshipId === f.sponsorshipId);
+                return [f.type, f.sponsorshipId, formatWeiExact(f.amountWei), formatWeiExact(planned?.targetStakeWei), 'failed', '', '', f.retriesAttempted, f.error];
+            }),
+            ...(entry.blocked || []).map(b => {
+                const planned = entry.actions.find(a => a.sponsorshipId && a.sponsorshipId === b.sponsorshipId);
+                return [b.type, b.sponsorshipId, formatWeiExact(b.amountWei), formatWeiExact(planned?.targetStakeWei), 'blocked', '', '', '', b.reason];
+            })
+        ];
+
+        if (lines.length === 0) {
+            rows.push([...base, '', '', '', '', entry.error ? 'error' : '', '', '', '', entry.error || entry.analysis?.skippedReason || '']);
+        } else {
+            lines.forEach(line => rows.push([...base, ...line]));
+        }
+    }
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,118 @@
+/**
+ * Autostaker Allocation Strategies
+ * Each strategy decides which sponsorships are preferred (score) and how the
+ * stake above the per-sponsorship minimum is split between them (weight).
+ * Both functions receive the sponsorship info built by fetchStakeableSponsorships
+ * and must return a non-negative bigint.
+ */
+
+const WEI_PER_DATA = BigInt('1000000000000000000');
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const APY_SCALE = 1e6; // spotAPY is a decimal; weights are kept as integers
+
+// Risk-adjusted strategy tuning
+const RISK_FULL_RUNWAY_DAYS = 30;    // Sponsorships with less runway than this are penalised
+const RISK_FULL_OPERATOR_COUNT = 4;  // Sponsorships with fewer operators (including us) are penalised
+const RISK_FACTOR_SCALE = BigInt(1000);
+
+export const DEFAULT_ALLOCATION_STRATEGY = 'payout-proportional';
+
+// ============================================
+// Weight Helpers
+// ============================================
+
+function payoutWeight(info) {
+    return info.payoutPerSec;
+}
+
+/**
+ * APY weight, falling back to an estimate from the payout rate when the
+ * subgraph reports no spotAPY (e.g. sponsorships with no stake yet)
+ */
+function apyWeight(info, ctx) {
+    const spotApy = parseFloat(info.spotAPY || '0');
+    if (spotApy > 0) {
+        return BigInt(Math.round(spotApy * APY_SCALE));
+    }
+    const staked = info.totalStaked > ctx.minStakePerSponsorship ? info.totalStaked : ctx.minStakePerSponsorship;
+    if (staked <= BigInt(0)) return BigInt(0);
+    return (info.payoutPerSec * BigInt(SECONDS_PER_YEAR) * BigInt(APY_SCALE)) / staked;
+}
+
+/**
+ * Payout weight scaled down for short runway and low operator count
+ */
+function riskAdjustedWeight(info) {
+    const now = Math.floor(Date.now() / 1000);
+    const runwayDays = Math.max(0, (info.projectedInsolvency - now) / 86400);
+    const runwayFactor = Math.min(1, runwayDays / RISK_FULL_RUNWAY_DAYS);
+    const operatorFactor = Math.min(1, (Number(info.operatorCount || 0) + 1) / RISK_FULL_OPERATOR_COUNT);
+
+    const factor = BigInt(Math.round(runwayFactor * operatorFactor * Number(RISK_FACTOR_SCALE)));
+    return (info.payoutPerSec * factor) / RISK_FACTOR_SCALE;
+}
+
+// ============================================
+// Strategies
+// ============================================
+
+export const ALLOCATION_STRATEGIES = {
+    'payout-proportional': {
+        label: 'Payout proportional',
+        description: 'Official algorithm: stake in proportion to each sponsorship\'s total payout rate.',
+        getScore: payoutWeight,
+        getWeight: payoutWeight
+    },
+    'apy-weighted': {
+        label: 'APY weighted',
+        description: 'Prefer and weight sponsorships by their current APY, favouring less crowded ones.',
+        getScore: apyWeight,
+        getWeight: apyWeight
+    },
+    'equal-split': {
+        label: 'Equal split',
+        description: 'Pick the best paying sponsorships and split stake equally between them.',
+        getScore: payoutWeight,
+        getWeight: () => BigInt(1)
+    },
+    'risk-adjusted': {
+        label: 'Risk adjusted',
+        description: `Payout proportional, but penalise sponsorships with under ${RISK_FULL_RUNWAY_DAYS} days of runway or fewer than ${RISK_FULL_OPERATOR_COUNT} operators.`,
+        getScore: riskAdjustedWeight,
+        getWeight: riskAdjustedWeight
+    },
+    'pin': {
+        label: 'Pinned amounts',
+        description: 'Pinned sponsorships get a fixed amount; the rest is split payout proportionally.',
+        getScore: payoutWeight,
+        getWeight: payoutWeight,
+        usesPins: true
+    }
+};
+
+/**
+ * Get a strategy by ID, falling back to the default
+ * @param {string} strategyId - Strategy ID from config
+ * @returns {Object} Strategy definition
+ */
+export function getAllocationStrategy(strategyId) {
+    return ALLOCATION_STRATEGIES[strategyId] || ALLOCATION_STRATEGIES[DEFAULT_ALLOCATION_STRATEGY];
+}
+
+/**
+ * Convert the pinned allocations stored in config (DATA amounts) to wei
+ * @param {Object} config - Autostaker configuration
+ * @returns {Map<string, bigint>} Map of lowercase sponsorship ID to pinned stake in wei
+ */
+export function getPinnedStakes(config) {
+    const pinned = new Map();
+    if (!getAllocationStrategy(config.allocationStrategy).usesPins) return pinned;
+
+    for (const [id, amount] of Object.entries(config.pinnedAllocations || {})) {
+        const dataAmount = Math.floor(Number(amount));
+        if (dataAmount > 0) {
+            pinned.set(id.toLowerCase(), BigInt(dataAmount) * WEI_PER_DATA);
+        }
+    }
+    return pinned;
+}
@@ -0,0 +1,414 @@
+/**
+ * Operator Comparison Feature Module
+ * Side-by-side comparison of up to five operators with a delegation returns calculator
+ */
+
+import { MAX_COMPARED_OPERATORS, getComparedOperatorIds, saveComparedOperatorIds } from '../core/constants.js';
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, parseOperatorMetadata, shortAddress, calculateWeightedApy, debounce } from '../core/utils.js';
+import { runQuery, isAbortError, fetchOperators } from '../core/services.js';
+import { showToast, customTooltip } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    operators: [],
+    amount: 10000,
+    isLoading: false,
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+const WEI_PER_DATA = 10n ** 18n;
+const WEEK_SECONDS = 7 * 86400;
+// Weeks of earnings history used for the volatility figure
+const VOLATILITY_WEEKS = 12;
+const PROJECTION_DAYS = [30, 90, 365];
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData((wei || '0').toString()));
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * Coefficient of variation (std / mean) of weekly earnings over the last weeks.
+ * Earnings are read from the cumulative total at each week boundary.
+ * @returns {number|null} null if there is not enough history or no earnings
+ */
+const weeklyEarningsVolatility = (buckets) => {
+    const now = Math.floor(Date.now() / 1000);
+    const cumulativeAt = (ts) => {
+        let value = null;
+        for (const bucket of buckets) {
+            if (Number(bucket.date) > ts) break;
+            value = BigInt(bucket.cumulativeEarningsWei || '0');
+        }
+        return value;
+    };
+
+    const weekly = [];
+    for (let week = 0; week < VOLATILITY_WEEKS; week++) {
+        const end = cumulativeAt(now - week * WEEK_SECONDS);
+        const start = cumulativeAt(now - (week + 1) * WEEK_SECONDS);
+        if (end === null || start === null) break;
+        weekly.push(Number(end - start) / 1e18);
+    }
+    if (weekly.length < 4) return null;
+
+    const mean = weekly.reduce((sum, v) => sum + v, 0) / weekly.length;
+    if (mean <= 0) return null;
+    const variance = weekly.reduce((sum, v) => sum + (v - mean) ** 2, 0) / weekly.length;
+    return Math.sqrt(variance) / mean;
+};
+
+/**
+ * Describe an earnings volatility value
+ */
+const formatVolatility = (cv) => {
+    if (cv === null) return { text: 'Not enough data', className: 'text-gray-500' };
+    if (cv < 0.5) return { text: `Low (${cv.toFixed(2)})`, className: 'text-green-400' };
+    if (cv < 1) return { text: `Medium (${cv.toFixed(2)})`, className: 'text-yellow-400' };
+    return { text: `High (${cv.toFixed(2)})`, className: 'text-orange-400' };
+};
+
+/**
+ * Build the comparison figures of an operator.
+ * Delegator APY = weighted sponsorship APY × share of funds staked × (1 − operator's cut).
+ */
+const buildComparison = (op, flags, slashings, buckets) => {
+    const valueWei = BigInt(op.valueWithoutEarnings || '0');
+    const stakedWei = (op.stakes || []).reduce((sum, stake) => sum + BigInt(stake.amountWei || '0'), 0n);
+    const cut = Number(BigInt(op.operatorsCutFraction || '0') * 10000n / WEI_PER_DATA) / 10000;
+    const weightedApy = calculateWeightedApy(op.stakes);
+    const stakedShare = valueWei > 0n ? Math.min(1, Number(stakedWei * 10000n / valueWei) / 10000) : 0;
+
+    return {
+        id: op.id,
+        name: parseOperatorMetadata(op.metadataJsonString).name || shortAddress(op.id),
+        valueWei,
+        delegatorCount: op.delegatorCount,
+        cut,
+        weightedApy,
+        stakedShare,
+        netApy: weightedApy * stakedShare * (1 - cut),
+        sponsorshipCount: (op.stakes || []).length,
+        flagCount: flags.length,
+        kickedCount: flags.filter(f => (f.result || '').toLowerCase() === 'kicked').length,
+        slashingCount: slashings.length,
+        slashedWei: slashings.reduce((sum, s) => sum + BigInt(s.amount || '0'), 0n),
+        volatility: weeklyEarningsVolatility(buckets)
+    };
+};
+
+// ============================================
+// Data Fetching
+// ============================================
+
+/**
+ * Fetch everything the comparison needs for the given operators in one query
+ */
+async function fetchComparison(ids) {
+    if (ids.length === 0) return [];
+
+    const idList = ids.map(id => `"${id}"`).join(', ');
+    const since = Math.floor(Date.now() / 1000) - (VOLATILITY_WEEKS + 1) * WEEK_SECONDS;
+    const data = await runQuery(`
+        {
+            operators(where: { id_in: [${idList}] }) {
+                id
+                metadataJsonString
+                valueWithoutEarnings
+                operatorsCutFraction
+                delegatorCount
+                stakes(first: 100) { amountWei sponsorship { id spotAPY } }
+            }
+            flags(first: 1000, where: { target_in: [${idList}] }) { target { id } result }
+            slashingEvents(first: 1000, where: { operator_in: [${idList}] }) { operator { id } amount }
+            operatorDailyBuckets(first: 1000, orderBy: date, orderDirection: asc, where: { operator_in: [${idList}], date_gt: "${since}" }) {
+                operator { id }
+                date
+                cumulativeEarningsWei
+            }
+        }
+    `, { routeScoped: true });
+
+    const byOperator = (list, key) => (id) => (list || []).filter(item => item[key]?.id === id);
+    const flagsOf = byOperator(data.flags, 'target');
+    const slashingsOf = byOperator(data.slashingEvents, 'operator');
+    const bucketsOf = byOperator(data.operatorDailyBuckets, 'operator');
+
+    // Keep the order the operators were added in
+    return ids
+        .map(id => (data.operators || []).find(op => op.id === id))
+        .filter(Boolean)
+        .map(op => buildComparison(op, flagsOf(op.id), slashingsOf(op.id), bucketsOf(op.id)));
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render the comparison table and the returns calculator rows
+ */
+function render() {
+    const tableEl = document.getElementById('compare-table');
+    const emptyEl = document.getElementById('compare-empty-state');
+    const countEl = document.getElementById('compare-count');
+    if (countEl) countEl.textContent = `${state.operators.length}/${MAX_COMPARED_OPERATORS}`;
+    if (!tableEl) return;
+
+    if (state.operators.length === 0) {
+        tableEl.innerHTML = '';
+        if (emptyEl) emptyEl.classList.remove('hidden');
+        return;
+    }
+    if (emptyEl) emptyEl.classList.add('hidden');
+
+    const ops = state.operators;
+    const bestNetApy = Math.max(...ops.map(op => op.netApy));
+    const cell = (content, className = 'text-gray-200') => `<td class="px-4 py-3 text-right whitespace-nowrap text-sm ${className}">${content}</td>`;
+    const row = (label, cells, hint = '') => `
+        <tr class="border-b border-[#333]">
+            <th class="px-4 py-3 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider whitespace-nowrap" ${hint ? `title="${hint}"` : ''}>${label}</th>
+            ${cells}
+        </tr>`;
+    const dataCell = (wei, className) => cell(`<span data-tooltip-value="${convertWeiToData(wei.toString())}">${formatData(wei)}</span>`, className);
+
+    const projectionRows = PROJECTION_DAYS.map(days => row(
+        `Return ${days}d`,
+        ops.map(op => {
+            const value = state.amount * op.netApy * days / 365;
+            return cell(`<span data-tooltip-value="${value.toFixed(2)}">+${formatBigNumber(value.toFixed(0))} DATA</span>`, op.netApy === bestNetApy ? 'text-green-400 font-semibold' : 'text-gray-200');
+        }).join(''),
+        'Delegated amount × delegator APY, without compounding'
+    )).join('');
+
+    tableEl.innerHTML = `
+        <thead class="bg-[#252525]">
+            <tr>
+                <th class="px-4 py-3 border-b border-[#333]"></th>
+                ${ops.map(op => `
+                    <th class="px-4 py-3 border-b border-[#333] text-right align-top">
+                        <a href="/operator/${op.id}" class="text-sm font-semibold text-white hover:text-blue-400 transition-colors operator-link" data-operator-id="${op.id}">${escapeHtml(op.name)}</a>
+                        <div class="flex justify-end gap-3 mt-1 text-xs">
+                            <a href="/operator/${op.id}" class="text-blue-400 hover:text-blue-300 operator-link" data-operator-id="${op.id}">Delegate</a>
+                            <button class="text-gray-500 hover:text-red-400 compare-remove-btn" data-operator-id="${op.id}">Remove</button>
+                        </div>
+                    </th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${row('Total Stake', ops.map(op => dataCell(op.valueWei)).join(''))}
+            ${row('Delegators', ops.map(op => cell(op.delegatorCount)).join(''))}
+            ${row("Operator's Cut", ops.map(op => cell(formatPercent(op.cut))).join(''))}
+            ${row('Weighted APY', ops.map(op => cell(formatPercent(op.weightedApy))).join(''), 'APY of the sponsorships the operator is staked in, weighted by stake')}
+            ${row('Funds Staked', ops.map(op => cell(formatPercent(op.stakedShare))).join(''), 'Share of the operator value staked in sponsorships; unstaked funds earn nothing')}
+            ${row('Delegator APY', ops.map(op => cell(formatPercent(op.netApy), op.netApy === bestNetApy ? 'text-green-400 font-semibold' : 'text-gray-200')).join(''), "Weighted APY × funds staked × (1 − operator's cut)")}
+            ${row('Sponsorships', ops.map(op => cell(op.sponsorshipCount)).join(''))}
+            ${row('Flags Against', ops.map(op => cell(`${op.flagCount}${op.kickedCount > 0 ? ` <span class="text-red-400">(${op.kickedCount} kicked)</span>` : ''}`, op.flagCount > 0 ? 'text-orange-400' : 'text-gray-200')).join(''))}
+            ${row('Slashings', ops.map(op => cell(op.slashingCount > 0 ? `${op.slashingCount} · -${formatData(op.slashedWei)} DATA` : '0', op.slashingCount > 0 ? 'text-red-400' : 'text-gray-200')).join(''))}
+            ${row('Earnings Volatility', ops.map(op => {
+                const volatility = formatVolatility(op.volatility);
+                return cell(volatility.text, volatility.className);
+            }).join(''), `Standard deviation of weekly earnings divided by their mean, over the last ${VOLATILITY_WEEKS} weeks`)}
+            ${projectionRows}
+        </tbody>
+    `;
+}
+
+/**
+ * Render operator search results under the search input
+ */
+function renderSearchResults(results) {
+    const resultsEl = document.getElementById('compare-search-results');
+    if (!resultsEl) return;
+
+    if (!results) {
+        resultsEl.classList.add('hidden');
+        return;
+    }
+    resultsEl.innerHTML = results.length > 0 ? results.slice(0, 8).map(op => {
+        const name = parseOperatorMetadata(op.metadataJsonString).name || shortAddress(op.id);
+        const isAdded = state.operators.some(o => o.id === op.id);
+        return `
+            <button class="compare-add-btn w-full flex justify-between items-center px-4 py-2 text-left hover:bg-[#2C2C2C] transition-colors disabled:opacity-50" data-operator-id="${op.id}" ${isAdded ? 'disabled' : ''}>
+                <span class="text-sm text-gray-200 truncate">${escapeHtml(name)}</span>
+                <span class="text-xs text-gray-500 whitespace-nowrap">${isAdded ? 'Added' : `${formatData(op.valueWithoutEarnings)} DATA`}</span>
+            </button>`;
+    }).join('') : '<p class="px-4 py-2 text-sm text-gray-500">No operators found.</p>';
+    resultsEl.classList.remove('hidden');
+}
+
+// ============================================
+// Public API (CompareLogic)
+// ============================================
+
+export const CompareLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) state.dataPriceUSD = sharedState.dataPriceUSD;
+    },
+
+    /**
+     * Initialize the module and load the operators picked for comparison
+     */
+    async init() {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        await this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const searchInput = document.getElementById('compare-search-input');
+        if (searchInput) {
+            const search = debounce(async (query) => {
+                if (query.length === 0) {
+                    renderSearchResults(null);
+                    return;
+                }
+                try {
+                    renderSearchResults(await fetchOperators(0, query));
+                } catch (err) {
+                    console.error('Operator search failed:', err);
+                    renderSearchResults([]);
+                }
+            }, 300);
+            searchInput.addEventListener('input', (e) => search(e.target.value.trim()));
+        }
+
+        const amountInput = document.getElementById('compare-amount-input');
+        if (amountInput) {
+            amountInput.value = state.amount;
+            amountInput.addEventListener('input', (e) => {
+                const amount = parseFloat(e.target.value);
+                state.amount = isNaN(amount) || amount < 0 ? 0 : amount;
+                render();
+            });
+        }
+
+        const view = document.getElementById('compare-view');
+        if (!view) return;
+
+        view.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('.compare-add-btn');
+            if (addBtn) {
+                this.addOperator(addBtn.dataset.operatorId);
+                if (searchInput) searchInput.value = '';
+                renderSearchResults(null);
+                return;
+            }
+
+            const removeBtn = e.target.closest('.compare-remove-btn');
+            if (removeBtn) this.removeOperator(removeBtn.dataset.operatorId);
+
+            if (!e.target.closest('#compare-search-results, #compare-search-input')) renderSearchResults(null);
+        });
+
+        view.addEventListener('mouseover', (e) => {
+            const target = e.target.closest('[data-tooltip-value]');
+            if (!target) return;
+
+            const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+            if (content) {
+                customTooltip.textContent = content;
+                customTooltip.classList.remove('hidden');
+            }
+        });
+
+        view.addEventListener('mousemove', (e) => {
+            if (!customTooltip.classList.contains('hidden')) {
+                customTooltip.style.left = `${e.pageX + 15}px`;
+                customTooltip.style.top = `${e.pageY + 15}px`;
+            }
+        });
+
+        view.addEventListener('mouseout', (e) => {
+            if (e.target.closest('[data-tooltip-value]')) {
+                customTooltip.classList.add('hidden');
+            }
+        });
+    },
+
+    /**
+     * Add an operator to the comparison
+     */
+    async addOperator(operatorId) {
+        const ids = getComparedOperatorIds();
+        if (ids.includes(operatorId)) return;
+        if (ids.length >= MAX_COMPARED_OPERATORS) {
+            showToast({ type: 'warning', title: 'Comparison Full', message: `Up to ${MAX_COMPARED_OPERATORS} operators can be compared. Remove one first.` });
+            return;
+        }
+        saveComparedOperatorIds([...ids, operatorId]);
+        await this.refresh();
+    },
+
+    /**
+     * Remove an operator from the comparison
+     */
+    removeOperator(operatorId) {
+        saveComparedOperatorIds(getComparedOperatorIds().filter(id => id !== operatorId));
+        state.operators = state.operators.filter(op => op.id !== operatorId);
+        render();
+    },
+
+    /**
+     * Reload the compared operators from the subgraph
+     */
+    async refresh() {
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        const loadingEl = document.getElementById('compare-loading');
+        if (loadingEl) loadingEl.classList.remove('hidden');
+
+        try {
+            state.operators = await fetchComparison(getComparedOperatorIds());
+            if (state.isActive) render();
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Failed to load operator comparison:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load comparison',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            state.isLoading = false;
+            if (loadingEl) loadingEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+    }
+};
+
+export default CompareLogic;
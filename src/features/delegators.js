@@ -4,16 +4,19 @@
  */
 
 import { 
-    getGraphUrl, 
     buildPolygonscanUrl,
     DELEGATORS_LIST_PAGE_SIZE,
     DELEGATOR_TX_HISTORY_LIMIT,
     POLYGONSCAN_NETWORK,
     POLYGONSCAN_METHOD_IDS,
-    DATA_TOKEN_ADDRESS_POLYGON
+    DATA_TOKEN_ADDRESS_POLYGON,
+    isOnWatchlist,
+    toggleWatchlistEntry,
+    SUBGRAPH_CACHE_TTL
 } from '../core/constants.js';
+import { runQuery, isAbortError } from '../core/services.js';
 import { formatBigNumber, shortAddress, parseOperatorMetadata, formatUsdForTooltip } from '../core/utils.js';
-import { showToast, customTooltip } from '../ui/ui.js';
+import { showToast, customTooltip, updateWatchButton } from '../ui/ui.js';
 
 // ============================================
 // State Management
@@ -37,6 +40,7 @@ const state = {
     showSelfDelegation: false,
     searchMode: false,
     searchQuery: '',
+    searchTimeout: null,
     
     // Selected delegator data
     txHistory: null,
@@ -136,25 +140,6 @@ const getOperatorImage = (metadata) => {
     return null;
 };
 
-/**
- * Run GraphQL query
- */
-async function runQuery(query) {
-    const response = await fetch(getGraphUrl(), {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-        throw new Error(result.errors[0].message);
-    }
-    
-    return result.data;
-}
-
 // ============================================
 // Data Fetching
 // ============================================
@@ -182,7 +167,7 @@ async function fetchOperatorsMetadata(operatorIds) {
     `;
     
     try {
-        const data = await runQuery(query);
+        const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.METADATA });
         const operators = data?.operators || [];
         
         operators.forEach(op => {
@@ -235,14 +220,16 @@ async function fetchDelegatorsList(skip = 0, limit = DELEGATORS_LIST_PAGE_SIZE)
         }
     `;
     
-    const data = await runQuery(query);
+    const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.LIST });
     return data.delegators || [];
 }
 
 /**
  * Fetch a specific delegator by address
+ * @param {string} address
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
  */
-async function fetchDelegatorById(address) {
+async function fetchDelegatorById(address, queryOptions = {}) {
     const query = `
         query GetDelegator {
             delegator(id: "${address.toLowerCase()}") {
@@ -267,7 +254,7 @@ async function fetchDelegatorById(address) {
         }
     `;
     
-    const data = await runQuery(query);
+    const data = await runQuery(query, queryOptions);
     return data.delegator;
 }
 
@@ -289,7 +276,7 @@ async function fetchDelegatorEarningsHistory(delegatorId) {
         }
     `;
     
-    const data = await runQuery(query);
+    const data = await runQuery(query, { routeScoped: true });
     return data.delegatorDailyBuckets || [];
 }
 
@@ -529,6 +516,7 @@ function renderDetailHeader(delegator) {
     const lastSeenEl = document.getElementById('delegator-detail-last-seen');
     
     if (addressEl) addressEl.textContent = delegator.id;
+    updateWatchButton(document.getElementById('delegator-watch-btn'), isOnWatchlist('delegator', delegator.id));
     if (linkEl) linkEl.href = `https://polygonscan.com/address/${delegator.id}`;
     if (avatarEl) avatarEl.src = `https://effigy.im/a/${delegator.id}.svg`;
     
@@ -1362,34 +1350,21 @@ export const DelegatorsLogic = {
         // Search input
         const searchInput = document.getElementById('delegators-search-input');
         if (searchInput) {
-            let searchTimeout;
             searchInput.addEventListener('input', (e) => {
                 const term = e.target.value.toLowerCase().trim();
-                clearTimeout(searchTimeout);
-                
-                if (!term) {
-                    state.searchMode = false;
-                    state.filteredDelegators = state.allDelegators;
-                    renderLeaderboard();
-                    return;
-                }
-                
-                state.searchMode = true;
-                state.searchQuery = term;
-                
-                // Local filter first
-                const localResults = state.allDelegators.filter(d => 
-                    d.id.toLowerCase().includes(term)
-                );
-                state.filteredDelegators = localResults;
-                renderLeaderboard();
-                
-                // If no local results and looks like address, search network
-                if (localResults.length === 0 && term.startsWith('0x') && term.length === 42) {
-                    searchTimeout = setTimeout(() => {
-                        this.searchDelegator(term);
-                    }, 500);
-                }
+                this.applySearch(term);
+                if (window.router) window.router.updateQuery({ q: term });
+            });
+        }
+        
+        // Watchlist toggle on the detail view
+        const watchBtn = document.getElementById('delegator-watch-btn');
+        if (watchBtn) {
+            watchBtn.addEventListener('click', () => {
+                if (!state.selectedDelegator) return;
+                const isWatched = toggleWatchlistEntry('delegator', state.selectedDelegator.id);
+                updateWatchButton(watchBtn, isWatched);
+                showToast({ type: 'success', title: isWatched ? 'Added to Watchlist' : 'Removed from Watchlist' });
             });
         }
         
@@ -1551,6 +1526,41 @@ export const DelegatorsLogic = {
         }
     },
     
+    /**
+     * Filter the leaderboard by address, falling back to a network lookup for full addresses
+     * @param {string} term - Lowercase search term; empty clears the search
+     */
+    applySearch(term) {
+        clearTimeout(state.searchTimeout);
+
+        const searchInput = document.getElementById('delegators-search-input');
+        if (searchInput && searchInput.value.toLowerCase().trim() !== term) searchInput.value = term;
+
+        if (!term) {
+            state.searchMode = false;
+            state.filteredDelegators = state.allDelegators;
+            renderLeaderboard();
+            return;
+        }
+        
+        state.searchMode = true;
+        state.searchQuery = term;
+        
+        // Local filter first
+        const localResults = state.allDelegators.filter(d => 
+            d.id.toLowerCase().includes(term)
+        );
+        state.filteredDelegators = localResults;
+        renderLeaderboard();
+        
+        // If no local results and looks like address, search network
+        if (localResults.length === 0 && term.startsWith('0x') && term.length === 42) {
+            state.searchTimeout = setTimeout(() => {
+                this.searchDelegator(term);
+            }, 500);
+        }
+    },
+    
     /**
      * Search for a specific delegator by address
      */
@@ -1654,6 +1664,7 @@ export const DelegatorsLogic = {
             renderAllCharts();
             
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Failed to load delegator details:", err);
             showToast({
                 type: 'error',
@@ -1803,7 +1814,7 @@ export const DelegatorsLogic = {
         
         try {
             // Fetch delegator data
-            const delegator = await fetchDelegatorById(delegatorId);
+            const delegator = await fetchDelegatorById(delegatorId, { routeScoped: true });
             
             if (delegator) {
                 // Cache operator info
@@ -1831,6 +1842,7 @@ export const DelegatorsLogic = {
                 }
             }
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error('Failed to load delegator:', err);
             showToast({
                 type: 'error',
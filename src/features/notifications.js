@@ -0,0 +1,422 @@
+/**
+ * Notifications
+ * Sends autostaker and operator events to the browser Notifications API and
+ * to outbound webhooks (generic JSON, Discord and Telegram).
+ * Everything except the browser channel and settings storage also runs under Node,
+ * so the headless autostaker runner can reuse it.
+ */
+
+import { runQuery } from '../core/subgraph.js';
+import { convertWeiToData, escapeHtml, formatBigNumber } from '../core/utils.js';
+
+const NOTIFICATION_SETTINGS_KEY = 'notification_settings';
+const OPERATOR_WATCH_KEY = 'notification_watch';
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+const SENDER_NAME = 'Streamr deCentral';
+
+export const NOTIFICATION_EVENTS = {
+    'autostaker.action_executed': { label: 'Autostaker action executed', level: 'success' },
+    'autostaker.action_failed': { label: 'Autostaker action failed', level: 'error' },
+    'autostaker.collect_done': { label: 'Auto-collect done', level: 'success' },
+    'operator.flag_raised': { label: 'Flag raised against operator', level: 'warning' },
+    'operator.slashed': { label: 'Operator slashed', level: 'error' },
+    'operator.queue_entry': { label: 'New undelegation queue entry', level: 'info' }
+};
+
+export const CHANNEL_TYPES = {
+    webhook: { label: 'Webhook (JSON)' },
+    discord: { label: 'Discord' },
+    telegram: { label: 'Telegram' }
+};
+
+// Discord embed colours per level
+const LEVEL_COLORS = { success: 0x22c55e, info: 0x3b82f6, warning: 0xf59e0b, error: 0xef4444 };
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Get default notification settings
+ * @returns {Object} Settings with every event enabled and no channels
+ */
+export function getDefaultNotificationSettings() {
+    return {
+        browserEnabled: false,
+        events: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(type => [type, true])),
+        channels: []
+    };
+}
+
+/**
+ * Load notification settings from localStorage
+ * @returns {Object} Notification settings
+ */
+export function loadNotificationSettings() {
+    try {
+        const stored = localStorage.getItem(NOTIFICATION_SETTINGS_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            const defaults = getDefaultNotificationSettings();
+            return { ...defaults, ...parsed, events: { ...defaults.events, ...parsed.events } };
+        }
+    } catch (e) {
+        console.error('Failed to load notification settings:', e);
+    }
+    return getDefaultNotificationSettings();
+}
+
+/**
+ * Save notification settings to localStorage
+ * @param {Object} settings - Notification settings
+ */
+export function saveNotificationSettings(settings) {
+    try {
+        localStorage.setItem(NOTIFICATION_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Failed to save notification settings:', e);
+    }
+}
+
+/**
+ * Check that a channel has everything it needs to send
+ * @param {Object} channel - Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateChannel(channel) {
+    if (!CHANNEL_TYPES[channel.type]) return `Unknown channel type "${channel.type}"`;
+    if (channel.type === 'telegram') {
+        if (!channel.botToken) return 'Telegram channels need a bot token';
+        if (!channel.chatId) return 'Telegram channels need a chat ID';
+    } else if (!/^https?:\/\//i.test(channel.url || '')) {
+        return 'Webhook URL must start with http:// or https://';
+    }
+    return null;
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Build a notification
+ * @param {string} type - Key of NOTIFICATION_EVENTS
+ * @param {Object} details - { title, message, operatorId, data }
+ * @returns {Object} Notification
+ */
+export function createNotification(type, { title, message, operatorId = null, data = {} }) {
+    const event = NOTIFICATION_EVENTS[type];
+    return {
+        type,
+        level: event?.level || 'info',
+        title: title || event?.label || type,
+        message,
+        operatorId,
+        timestamp: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Build the HTTP request for a channel
+ * @param {Object} channel - Channel config
+ * @param {Object} notification - Notification from createNotification
+ * @returns {{url: string, body: Object}} Request to POST as JSON
+ */
+export function buildChannelRequest(channel, notification) {
+    switch (channel.type) {
+        case 'discord':
+            return {
+                url: channel.url,
+                body: {
+                    username: SENDER_NAME,
+                    embeds: [{
+                        title: notification.title,
+                        description: notification.message,
+                        color: LEVEL_COLORS[notification.level] || LEVEL_COLORS.info,
+                        timestamp: notification.timestamp,
+                        footer: { text: notification.operatorId ? `${notification.type} · ${notification.operatorId}` : notification.type }
+                    }]
+                }
+            };
+        case 'telegram': {
+            // A custom API URL lets the channel be pointed at a local stand-in
+            const apiUrl = (channel.url || TELEGRAM_API_URL).replace(/\/$/, '');
+            const operatorLine = notification.operatorId ? `\n<code>${escapeHtml(notification.operatorId)}</code>` : '';
+            return {
+                url: `${apiUrl}/bot${channel.botToken}/sendMessage`,
+                body: {
+                    chat_id: channel.chatId,
+                    text: `<b>${escapeHtml(notification.title)}</b>\n${escapeHtml(notification.message)}${operatorLine}`,
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                }
+            };
+        }
+        default:
+            return {
+                url: channel.url,
+                body: {
+                    source: SENDER_NAME,
+                    event: notification.type,
+                    level: notification.level,
+                    title: notification.title,
+                    message: notification.message,
+                    operatorId: notification.operatorId,
+                    timestamp: notification.timestamp,
+                    data: notification.data
+                }
+            };
+    }
+}
+
+// ============================================
+// Delivery
+// ============================================
+
+/**
+ * POST a notification to a channel
+ * @param {Object} channel - Channel config
+ * @param {Object} notification - Notification from createNotification
+ */
+export async function sendToChannel(channel, notification) {
+    const { url, body } = buildChannelRequest(channel, notification);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+    });
+    if (!response.ok) {
+        throw new Error(`${CHANNEL_TYPES[channel.type]?.label || channel.type} returned HTTP ${response.status}`);
+    }
+}
+
+/**
+ * Whether browser notifications can be shown
+ * @returns {boolean}
+ */
+export function canShowBrowserNotifications() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+/**
+ * Ask for permission to show browser notifications
+ * @returns {Promise<string>} The resulting permission ('granted', 'denied', 'default' or 'unsupported')
+ */
+export async function requestBrowserPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+}
+
+function showBrowserNotification(notification) {
+    new Notification(notification.title, {
+        body: notification.message,
+        tag: `${notification.type}:${notification.timestamp}`
+    });
+}
+
+/**
+ * Deliver a notification to the browser and every enabled channel
+ * @param {Object} notification - Notification from createNotification
+ * @param {Object} settings - Notification settings
+ * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>} Delivery results
+ */
+export async function dispatchNotification(notification, settings) {
+    if (settings.events && settings.events[notification.type] === false) return [];
+
+    const deliveries = [];
+    if (settings.browserEnabled && canShowBrowserNotifications()) {
+        deliveries.push({ name: 'browser', send: () => showBrowserNotification(notification) });
+    }
+    for (const channel of settings.channels || []) {
+        if (channel.enabled === false) continue;
+        deliveries.push({ name: channel.name || channel.type, send: () => sendToChannel(channel, notification) });
+    }
+
+    const results = await Promise.allSettled(deliveries.map(d => d.send()));
+    return results.map((result, i) => {
+        if (result.status === 'fulfilled') return { channel: deliveries[i].name, ok: true };
+        console.error(`Notification to ${deliveries[i].name} failed:`, result.reason);
+        return { channel: deliveries[i].name, ok: false, error: result.reason?.message || String(result.reason) };
+    });
+}
+
+/**
+ * Create and deliver a notification using the saved settings
+ * @param {string} type - Key of NOTIFICATION_EVENTS
+ * @param {Object} details - { title, message, operatorId, data }
+ * @param {Object} [settings] - Notification settings (loaded from localStorage when omitted)
+ */
+export function notify(type, details, settings = loadNotificationSettings()) {
+    return dispatchNotification(createNotification(type, details), settings);
+}
+
+// ============================================
+// Autostaker Events
+// ============================================
+
+function formatData(weiValue) {
+    return `${formatBigNumber(convertWeiToData(weiValue.toString()))} DATA`;
+}
+
+/**
+ * Build the notifications for one autostaker cycle
+ * @param {string} operatorId - The operator contract address
+ * @param {Object} cycle - Result of Autostaker.runAutostakerCycle
+ * @returns {Array} Notifications
+ */
+export function getAutostakerCycleNotifications(operatorId, cycle) {
+    const notifications = [];
+
+    if (cycle.collectResult?.success && !cycle.collectResult.skipped) {
+        notifications.push(createNotification('autostaker.collect_done', {
+            message: `Collected earnings from ${cycle.collectResult.sponsorshipsCount} sponsorship(s).`,
+            operatorId,
+            data: { txHash: cycle.collectResult.txHash || null }
+        }));
+    }
+
+    const results = cycle.execution?.results;
+    for (const s of results?.successful || []) {
+        if (s.action.type === 'queuePayout') continue;
+        notifications.push(createNotification('autostaker.action_executed', {
+            message: `${s.action.type === 'stake' ? 'Staked' : 'Unstaked'} ${formatData(s.action.amount)} ${s.action.type === 'stake' ? 'to' : 'from'} ${s.action.sponsorshipId}`,
+            operatorId,
+            data: { action: s.action.type, sponsorshipId: s.action.sponsorshipId, amountWei: s.action.amount, txHash: s.txHash }
+        }));
+    }
+    for (const f of results?.failed || []) {
+        notifications.push(createNotification('autostaker.action_failed', {
+            message: `${f.action.type} ${f.action.amount !== undefined ? formatData(f.action.amount) + ' ' : ''}failed: ${f.error}`,
+            operatorId,
+            data: { action: f.action.type, sponsorshipId: f.action.sponsorshipId || null, amountWei: f.action.amount ?? null, error: f.error }
+        }));
+    }
+
+    return notifications;
+}
+
+// ============================================
+// Operator Event Watching
+// ============================================
+
+/**
+ * Fetch the flags, slashings and queue entries of an operator
+ * @param {string} operatorId - The operator contract address
+ * @returns {Promise<Object>} { flags, slashingEvents, queueEntries }
+ */
+export async function fetchOperatorEvents(operatorId) {
+    const id = operatorId.toLowerCase();
+    const query = `
+        {
+            operator(id: "${id}") {
+                queueEntries(orderBy: date, orderDirection: asc, first: 1000) { id amount date delegator { id } }
+            }
+            flags(where: { target: "${id}" }, orderBy: flaggingTimestamp, orderDirection: desc, first: 100) {
+                id
+                flaggingTimestamp
+                result
+                flagger { id }
+                sponsorship { id stream { id } }
+            }
+            slashingEvents(where: { operator: "${id}" }, orderBy: date, orderDirection: desc, first: 100) {
+                id
+                amount
+                date
+                sponsorship { id stream { id } }
+            }
+        }
+    `;
+    const data = await runQuery(query);
+    return {
+        flags: data.flags || [],
+        slashingEvents: data.slashingEvents || [],
+        queueEntries: data.operator?.queueEntries || []
+    };
+}
+
+/**
+ * Reduce fetched events to the IDs needed to detect new ones
+ * @param {Object} events - Result of fetchOperatorEvents
+ * @returns {Object} Snapshot
+ */
+export function createEventSnapshot(events) {
+    return {
+        flags: events.flags.map(f => f.id),
+        slashingEvents: events.slashingEvents.map(s => s.id),
+        queueEntries: events.queueEntries.map(q => q.id)
+    };
+}
+
+/**
+ * Build notifications for events that are not in the previous snapshot.
+ * Without a previous snapshot nothing is reported, so existing history does not
+ * trigger a burst of notifications the first time an operator is watched.
+ * @param {string} operatorId - The operator contract address
+ * @param {Object|null} previous - Snapshot from the previous check
+ * @param {Object} events - Result of fetchOperatorEvents
+ * @returns {Array} Notifications
+ */
+export function diffOperatorEvents(operatorId, previous, events) {
+    if (!previous) return [];
+
+    const seen = (list) => new Set(list || []);
+    const seenFlags = seen(previous.flags);
+    const seenSlashes = seen(previous.slashingEvents);
+    const seenQueue = seen(previous.queueEntries);
+    const notifications = [];
+
+    for (const flag of events.flags.filter(f => !seenFlags.has(f.id))) {
+        const stream = flag.sponsorship?.stream?.id || flag.sponsorship?.id;
+        notifications.push(createNotification('operator.flag_raised', {
+            message: `Flagged by ${flag.flagger?.id} in sponsorship for ${stream}.`,
+            operatorId,
+            data: { flagId: flag.id, flagger: flag.flagger?.id, sponsorshipId: flag.sponsorship?.id, result: flag.result }
+        }));
+    }
+    for (const slash of events.slashingEvents.filter(s => !seenSlashes.has(s.id))) {
+        notifications.push(createNotification('operator.slashed', {
+            message: `Slashed ${formatData(slash.amount)} in sponsorship for ${slash.sponsorship?.stream?.id || slash.sponsorship?.id}.`,
+            operatorId,
+            data: { slashingEventId: slash.id, sponsorshipId: slash.sponsorship?.id, amountWei: slash.amount }
+        }));
+    }
+    for (const entry of events.queueEntries.filter(q => !seenQueue.has(q.id))) {
+        notifications.push(createNotification('operator.queue_entry', {
+            message: `${entry.delegator?.id} queued ${formatData(entry.amount)} for undelegation.`,
+            operatorId,
+            data: { queueEntryId: entry.id, delegator: entry.delegator?.id, amountWei: entry.amount }
+        }));
+    }
+
+    return notifications;
+}
+
+/**
+ * Load the last event snapshot of an operator (browser)
+ * @param {string} operatorId - The operator contract address
+ * @returns {Object|null} Snapshot
+ */
+export function loadEventSnapshot(operatorId) {
+    try {
+        const stored = localStorage.getItem(`${OPERATOR_WATCH_KEY}_${operatorId.toLowerCase()}`);
+        return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+        console.error('Failed to load notification snapshot:', e);
+        return null;
+    }
+}
+
+/**
+ * Save the event snapshot of an operator (browser)
+ * @param {string} operatorId - The operator contract address
+ * @param {Object} snapshot - Snapshot from createEventSnapshot
+ */
+export function saveEventSnapshot(operatorId, snapshot) {
+    try {
+        localStorage.setItem(`${OPERATOR_WATCH_KEY}_${operatorId.toLowerCase()}`, JSON.stringify(snapshot));
+    } catch (e) {
+        console.error('Failed to save notification snapshot:', e);
+    }
+}
@@ -7,6 +7,7 @@ import * as Constants from '../core/constants.js';
 import * as Utils from '../core/utils.js';
 import * as UI from '../ui/ui.js';
 import * as Services from '../core/services.js';
+import * as Ipfs from '../core/ipfs.js';
 
 const { logger } = Utils;
 
@@ -27,10 +28,14 @@ const state = {
     
     loadedOperatorCount: 0,
     searchQuery: '',
+    listFilters: {},
     
     detailsRefreshInterval: null,
+    // The detail page shows contract reads because the subgraph could not be reached
+    isOnChainFallback: false,
     
     activeSponsorshipMenu: null,
+    flagsToReview: [],
     uiState: {
         isStatsPanelExpanded: false,
         isDelegatorViewActive: true,
@@ -40,6 +45,9 @@ const state = {
     
     activeNodes: new Set(),
     unreachableNodes: new Set(),
+    nodeHeartbeats: new Map(),
+    nodeBalances: new Map(),
+    queueFunding: null,
     
     signer: null,
     myRealAddress: '',
@@ -65,16 +73,141 @@ const debouncedSearch = Utils.debounce((query) => {
     if (state.searchQuery !== trimmedQuery) {
         state.searchQuery = trimmedQuery;
         state.loadedOperatorCount = 0;
+        syncListUrl();
         OperatorLogic.fetchAndRenderList(false, 0, state.searchQuery);
     }
 }, 300);
 
+// ============================================
+// Operator List Filters
+// ============================================
+
+const getFilterInputs = () => document.querySelectorAll('#operator-filters-panel [data-filter-key]');
+
+/**
+ * Read the filter panel into a filters object (invalid values are dropped)
+ */
+function readFilterInputs() {
+    const params = new URLSearchParams();
+    getFilterInputs().forEach(input => {
+        if (input.value.trim()) params.set(input.dataset.filterKey, input.value.trim());
+    });
+    return Utils.parseOperatorListParams(params).filters;
+}
+
+function fillFilterInputs(filters) {
+    getFilterInputs().forEach(input => {
+        input.value = filters[input.dataset.filterKey] ?? '';
+    });
+}
+
+/**
+ * Update the active filter count badge and the saved view chips
+ */
+function renderFilterState() {
+    const countEl = document.getElementById('operator-filters-count');
+    if (countEl) {
+        const count = Object.keys(state.listFilters).filter(key => key !== 'sort' && key !== 'dir').length;
+        countEl.textContent = count;
+        countEl.classList.toggle('hidden', count === 0);
+    }
+    UI.renderSavedOperatorViews(Constants.getSavedOperatorViews(), Utils.buildOperatorListSearch(state.searchQuery, state.listFilters));
+}
+
+/**
+ * Mirror the search term and filters in the URL so the list can be shared and bookmarked
+ */
+function syncListUrl() {
+    if (window.router) window.router.replaceQuery(Utils.buildOperatorListSearch(state.searchQuery, state.listFilters));
+    renderFilterState();
+}
+
+// ============================================
+// Detail View State (URL)
+// ============================================
+
+const DEFAULT_CHART_TIMEFRAME_DAYS = 90;
+const DETAIL_CHART_TYPES = ['stake', 'earnings'];
+
+/**
+ * Read chart and tab state of the detail view from URL query parameters
+ */
+function applyDetailQuery(query) {
+    const chart = query.get('chart');
+    const timeframe = query.get('timeframe');
+    const days = parseInt(timeframe, 10);
+
+    state.chartType = DETAIL_CHART_TYPES.includes(chart) ? chart : 'stake';
+    state.chartTimeFrame = timeframe === 'all' ? 'all' : (days > 0 ? days : DEFAULT_CHART_TIMEFRAME_DAYS);
+    state.uiState.isChartUsdView = query.get('currency') === 'usd';
+    state.uiState.isDelegatorViewActive = query.get('tab') !== 'queue';
+    state.uiState.isSponsorshipsListViewActive = query.get('sponsorships') !== 'history';
+}
+
+/**
+ * Mirror chart and tab state of the detail view in the URL, leaving defaults out
+ */
+function syncDetailUrl() {
+    if (!window.router) return;
+    window.router.updateQuery({
+        chart: state.chartType !== 'stake' ? state.chartType : null,
+        timeframe: state.chartTimeFrame !== DEFAULT_CHART_TIMEFRAME_DAYS ? state.chartTimeFrame : null,
+        currency: state.uiState.isChartUsdView ? 'usd' : null,
+        tab: state.uiState.isDelegatorViewActive ? null : 'queue',
+        sponsorships: state.uiState.isSponsorshipsListViewActive ? null : 'history'
+    });
+}
+
+/**
+ * Highlight the active pill of a tab group
+ */
+function highlightTab(groupSelector, tab) {
+    document.querySelectorAll(`${groupSelector} button`).forEach(t => {
+        const isActive = t.dataset.tab === tab;
+        t.classList.toggle('bg-blue-800', isActive);
+        t.classList.toggle('text-white', isActive);
+        t.classList.toggle('text-gray-400', !isActive);
+    });
+}
+
+/**
+ * Switch between the delegators list and the undelegation queue
+ */
+function selectDelegatorTab(tab) {
+    highlightTab('#delegator-tabs', tab);
+
+    document.getElementById('delegators-content').classList.toggle('hidden', tab !== 'delegators');
+    document.getElementById('queue-content').classList.toggle('hidden', tab !== 'queue');
+    state.uiState.isDelegatorViewActive = (tab === 'delegators');
+    if (tab === 'delegators') {
+        UI.updateDelegatorsSection(state.currentDelegations, state.totalDelegatorCount, state.currentOperatorData);
+    }
+}
+
+/**
+ * Switch between current sponsorships and the sponsorship history
+ */
+function selectSponsorshipTab(tab) {
+    highlightTab('#sponsorship-tabs', tab);
+
+    document.getElementById('sponsorships-list-content').classList.toggle('hidden', tab !== 'list');
+    document.getElementById('sponsorships-history-content').classList.toggle('hidden', tab !== 'history');
+    state.uiState.isSponsorshipsListViewActive = (tab === 'list');
+    if (tab === 'history') {
+        const showLoadAll = hasMoreHistoryToLoad() && !state.historyState.isFullLoaded;
+        UI.renderSponsorshipsHistory(state.sponsorshipHistory, showLoadAll);
+    }
+}
+
 // ============================================
 // Data Fetching and Processing
 // ============================================
 
 const INITIAL_GRAPH_LIMIT = 1000;
 const INITIAL_ETHERSCAN_OFFSET = 500;
+// Polygonscan can list a transaction a few seconds after the subgraph has indexed it
+const HISTORY_RETRY_ATTEMPTS = 4;
+const HISTORY_RETRY_DELAY_MS = 4000;
 
 function processSponsorshipHistory(graphEvents, polygonscanTxs, limitToEtherscan = true) {
     const combinedEvents = new Map();
@@ -355,11 +488,38 @@ async function updateMyStakeUI() {
  * Setup Streamr coordination stream subscription
  */
 function setupOperatorStream() {
-    Services.setupStreamrSubscription(state.currentOperatorId, (message) => {
+    Services.setupStreamrSubscription(state.currentOperatorId, (message, metadata) => {
         UI.addStreamMessageToUI(message, state.activeNodes, state.unreachableNodes);
+
+        // Heartbeats are published by the node wallet, which links node IDs to registered node addresses
+        const publisher = metadata?.publisherId?.toLowerCase();
+        if (message?.msgType === 'heartbeat' && message?.peerDescriptor?.nodeId && publisher) {
+            const isNew = !state.nodeHeartbeats.has(publisher);
+            state.nodeHeartbeats.set(publisher, { nodeId: message.peerDescriptor.nodeId, lastSeen: Date.now() });
+            if (isNew && !UI.walletsModal.classList.contains('hidden')) renderWalletsPanel();
+        }
     });
 }
 
+/**
+ * Show the operator's core stats read from its contract while the subgraph is unavailable
+ */
+async function renderOnChainFallback() {
+    const operatorId = state.currentOperatorId;
+    try {
+        const chainData = await Services.fetchOperatorOnChain(operatorId, state.myRealAddress || null);
+        if (operatorId !== state.currentOperatorId) return;
+        state.isOnChainFallback = true;
+        state.currentOperatorData = null;
+        UI.renderOperatorOnChainDetails(chainData);
+    } catch (error) {
+        logger.error("Failed to read operator state on-chain:", error);
+        if (!state.isOnChainFallback) {
+            UI.detailContent.innerHTML = `<p class="text-red-400">${Utils.escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
 // ============================================
 // Transaction Handlers
 // ============================================
@@ -396,7 +556,7 @@ async function handleDelegateClick() {
         try {
             const txHash = await Services.confirmDelegation(state.signer, state.myRealAddress, state.currentOperatorId);
             if (txHash) {
-                await OperatorLogic.refreshWithRetry(txHash);
+                await OperatorLogic.refreshAfterTransaction(txHash);
             }
         } finally {
             // Always reset button state
@@ -438,7 +598,7 @@ async function handleUndelegateClick() {
         try {
             const txHash = await Services.confirmUndelegation(state.signer, state.myRealAddress, state.currentOperatorId);
             if (txHash) {
-               await OperatorLogic.refreshWithRetry(txHash);
+               await OperatorLogic.refreshAfterTransaction(txHash);
             }
         } finally {
             // Always reset button state
@@ -458,7 +618,7 @@ async function handleProcessQueueClick(button) {
     
     const txHash = await Services.handleProcessQueue(state.signer, state.currentOperatorId);
     if (txHash) {
-        await OperatorLogic.refreshWithRetry(txHash);
+        await OperatorLogic.refreshAfterTransaction(txHash);
     } else {
         await OperatorLogic.refreshData(true);
     }
@@ -503,7 +663,7 @@ async function handleEditStakeClick(sponsorshipId, currentStakeWei) {
 
         const result = await Services.confirmStakeEdit(state.signer, state.currentOperatorId, sponsorshipId, currentStakeWei);
         if (result && result !== 'nochange') {
-            await OperatorLogic.refreshWithRetry(result);
+            await OperatorLogic.refreshAfterTransaction(result);
         }
         
         const currentBtn = document.getElementById('stake-modal-confirm');
@@ -514,6 +674,256 @@ async function handleEditStakeClick(sponsorshipId, currentStakeWei) {
     });
 }
 
+function isAgentOfCurrentOperator() {
+    return !!state.myRealAddress && !!state.currentOperatorData?.controllers?.some(
+        agent => agent.toLowerCase() === state.myRealAddress.toLowerCase()
+    );
+}
+
+async function loadFlagsToReview() {
+    const operatorId = state.currentOperatorId;
+    try {
+        const flags = await Services.fetchFlagsToReview(operatorId);
+        if (state.currentOperatorId !== operatorId) return;
+        state.flagsToReview = flags;
+        UI.renderFlagsToReview(flags, operatorId, isAgentOfCurrentOperator());
+    } catch (error) {
+        logger.error("Failed to load flags to review:", error);
+        const listEl = document.getElementById('flags-review-list');
+        if (listEl) listEl.innerHTML = '<li class="text-red-400 text-sm">Failed to load flags to review.</li>';
+    }
+}
+
+async function handleVoteOnFlagClick(flagId) {
+    if (!state.signer) {
+        UI.showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
+        return;
+    }
+    const flag = state.flagsToReview.find(f => f.id === flagId);
+    if (!flag) return;
+
+    UI.setModalState('vote-flag-modal', 'input');
+    UI.populateVoteFlagModal(flag);
+    UI.voteFlagModal.classList.remove('hidden');
+
+    const confirmBtn = document.getElementById('vote-flag-modal-confirm');
+    const newConfirmBtn = confirmBtn.cloneNode(true);
+    confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+
+    newConfirmBtn.addEventListener('click', async () => {
+        const kick = UI.getVoteFlagChoice();
+        if (kick === null) {
+            UI.showToast({ type: 'warning', title: 'No Vote Selected', message: 'Choose Kick or Keep.' });
+            return;
+        }
+        newConfirmBtn.disabled = true;
+        newConfirmBtn.innerHTML = `<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div> Processing...`;
+
+        const txHash = await Services.confirmVoteOnFlag(state.signer, state.currentOperatorId, flag.sponsorship.id, flag.target.id, kick);
+        if (txHash) {
+            await OperatorLogic.refreshAfterTransaction(txHash);
+            await loadFlagsToReview();
+        }
+
+        const currentBtn = document.getElementById('vote-flag-modal-confirm');
+        if (currentBtn) {
+            currentBtn.disabled = false;
+            currentBtn.textContent = 'Confirm Vote';
+        }
+    });
+}
+
+async function handleRaiseFlagClick(sponsorshipId) {
+    if (!state.signer) {
+        UI.showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
+        return;
+    }
+    const stake = state.currentOperatorData?.stakes?.find(s => s.sponsorship?.id === sponsorshipId);
+    const sponsorshipLabel = stake?.sponsorship.stream?.id || sponsorshipId;
+
+    UI.setModalState('flag-modal', 'input');
+    UI.populateFlagModal(sponsorshipLabel, null);
+    UI.updateFlagModalStake(null);
+    UI.flagModal.classList.remove('hidden');
+
+    const confirmBtn = document.getElementById('flag-modal-confirm');
+    const newConfirmBtn = confirmBtn.cloneNode(true);
+    confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+    newConfirmBtn.disabled = true;
+
+    try {
+        const [targets, stakeInfo] = await Promise.all([
+            Services.fetchFlagTargets(sponsorshipId, state.currentOperatorId),
+            Services.fetchFlagStakeInfo(state.signer.provider, state.currentOperatorId, sponsorshipId)
+        ]);
+        UI.populateFlagModal(sponsorshipLabel, targets);
+        newConfirmBtn.disabled = !UI.updateFlagModalStake(stakeInfo);
+    } catch (e) {
+        logger.error("Failed to load flag details:", e);
+        UI.populateFlagModal(sponsorshipLabel, []);
+        UI.showToast({ type: 'error', title: 'Error', message: 'Failed to load the operators in this sponsorship.' });
+        return;
+    }
+
+    newConfirmBtn.addEventListener('click', async () => {
+        const targetOperatorId = document.getElementById('flag-modal-target').value;
+        if (!targetOperatorId) {
+            UI.showToast({ type: 'warning', title: 'No Operator Selected', message: 'Choose the operator to flag.' });
+            return;
+        }
+        const reason = document.getElementById('flag-modal-reason').value.trim();
+        newConfirmBtn.disabled = true;
+        newConfirmBtn.innerHTML = `<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div> Processing...`;
+
+        const txHash = await Services.confirmRaiseFlag(state.signer, state.currentOperatorId, sponsorshipId, targetOperatorId, reason);
+        if (txHash) {
+            await OperatorLogic.refreshAfterTransaction(txHash);
+        }
+
+        const currentBtn = document.getElementById('flag-modal-confirm');
+        if (currentBtn) {
+            currentBtn.disabled = false;
+            currentBtn.textContent = 'Raise Flag';
+        }
+    });
+}
+
+/**
+ * Render the undelegation queue tab from current state
+ */
+function renderQueuePanel() {
+    const op = state.currentOperatorData;
+    if (!op) return;
+    const lookupInput = document.getElementById('queue-lookup-input');
+    UI.renderQueuePanel(op, state.queueFunding, Utils.estimateDailyEarningsWei(state.operatorDailyBuckets), lookupInput?.value.trim() || state.myRealAddress);
+}
+
+/**
+ * Load the operator's free funds for the queue payout estimates
+ */
+async function loadQueueFunding() {
+    const operatorId = state.currentOperatorId;
+    if (!state.currentOperatorData?.queueEntries?.length) return;
+    try {
+        const funding = await Services.fetchQueueFunding(Services.getProvider(state.signer), operatorId);
+        if (state.currentOperatorId !== operatorId) return;
+        state.queueFunding = funding;
+        renderQueuePanel();
+    } catch (e) {
+        logger.error("Failed to load queue funding:", e);
+    }
+}
+
+function handleAddToCompareClick() {
+    const ids = Constants.getComparedOperatorIds();
+    if (!ids.includes(state.currentOperatorId)) {
+        if (ids.length >= Constants.MAX_COMPARED_OPERATORS) {
+            UI.showToast({ type: 'warning', title: 'Comparison Full', message: `Up to ${Constants.MAX_COMPARED_OPERATORS} operators can be compared. Remove one first.` });
+        } else {
+            Constants.saveComparedOperatorIds([...ids, state.currentOperatorId]);
+        }
+    }
+    if (window.router) window.router.navigate('/compare');
+}
+
+function handleWatchOperatorClick() {
+    const isWatched = Constants.toggleWatchlistEntry('operator', state.currentOperatorId);
+    UI.updateWatchButton(document.getElementById('watch-operator-btn'), isWatched);
+    UI.showToast({
+        type: 'success',
+        title: isWatched ? 'Added to Watchlist' : 'Removed from Watchlist',
+        message: isWatched ? 'The operator is pinned on top of the operators list.' : ''
+    });
+}
+
+function isOwnerOfCurrentOperator() {
+    return !!state.myRealAddress && state.currentOperatorData?.owner?.toLowerCase() === state.myRealAddress.toLowerCase();
+}
+
+/**
+ * Render the manage wallets modal from current state, reusing loaded balances
+ */
+function renderWalletsPanel() {
+    const op = state.currentOperatorData;
+    if (!op) return;
+    UI.renderWalletsModal(op, state.nodeHeartbeats, state.activeNodes, isOwnerOfCurrentOperator());
+    for (const [address, balance] of state.nodeBalances) {
+        UI.renderWalletsModalBalance(address, balance);
+    }
+}
+
+async function handleManageWalletsClick() {
+    if (!state.signer) {
+        UI.showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
+        return;
+    }
+    if (sessionStorage.getItem('authMethod') !== 'privateKey') {
+        if (!await Services.checkAndSwitchNetwork()) return;
+    }
+
+    UI.setModalState('wallets-modal', 'input');
+    document.getElementById('wallets-modal-node-input').value = '';
+    document.getElementById('wallets-modal-controller-input').value = '';
+    renderWalletsPanel();
+    UI.walletsModal.classList.remove('hidden');
+
+    const operatorId = state.currentOperatorId;
+    const nodes = state.currentOperatorData.nodes || [];
+    Promise.all(nodes.map(async (address) => {
+        const balance = await Services.getMaticBalance(address);
+        if (state.currentOperatorId !== operatorId) return;
+        state.nodeBalances.set(address, balance);
+        UI.renderWalletsModalBalance(address, balance);
+    }));
+
+    document.getElementById('wallets-modal-input-section').onclick = async (e) => {
+        const op = state.currentOperatorData;
+        let txHash = null;
+
+        if (e.target.closest('#wallets-modal-node-add')) {
+            const address = document.getElementById('wallets-modal-node-input').value.trim();
+            if (!ethers.utils.isAddress(address)) {
+                UI.showToast({ type: 'warning', title: 'Invalid Address', message: 'Please enter a valid node address.' });
+                return;
+            }
+            if (op.nodes?.some(node => node.toLowerCase() === address.toLowerCase())) {
+                UI.showToast({ type: 'info', title: 'Already Registered', message: 'This node address is already registered.' });
+                return;
+            }
+            txHash = await Services.updateOperatorNodeAddresses(state.signer, operatorId, [address], []);
+        }
+
+        const removeNodeBtn = e.target.closest('.wallets-remove-node-btn');
+        if (removeNodeBtn) {
+            txHash = await Services.updateOperatorNodeAddresses(state.signer, operatorId, [], [removeNodeBtn.dataset.address]);
+        }
+
+        if (e.target.closest('#wallets-modal-controller-add')) {
+            const address = document.getElementById('wallets-modal-controller-input').value.trim();
+            if (!ethers.utils.isAddress(address)) {
+                UI.showToast({ type: 'warning', title: 'Invalid Address', message: 'Please enter a valid wallet address.' });
+                return;
+            }
+            if (op.controllers?.some(agent => agent.toLowerCase() === address.toLowerCase())) {
+                UI.showToast({ type: 'info', title: 'Already an Agent', message: 'This wallet is already an agent of the operator.' });
+                return;
+            }
+            txHash = await Services.setOperatorController(state.signer, operatorId, address, true);
+        }
+
+        const removeControllerBtn = e.target.closest('.wallets-remove-controller-btn');
+        if (removeControllerBtn) {
+            const address = removeControllerBtn.dataset.address;
+            if (!confirm(`Remove ${address} as an agent of this operator?`)) return;
+            txHash = await Services.setOperatorController(state.signer, operatorId, address, false);
+        }
+
+        if (txHash) {
+            await OperatorLogic.refreshAfterTransaction(txHash);
+        }
+    };
+}
+
 async function handleCollectEarningsClick(button, sponsorshipId) {
     if (!state.signer) {
         UI.showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
@@ -525,7 +935,7 @@ async function handleCollectEarningsClick(button, sponsorshipId) {
 
     const txHash = await Services.handleCollectEarnings(state.signer, state.currentOperatorId, sponsorshipId);
     if (txHash) {
-        await OperatorLogic.refreshWithRetry(txHash);
+        await OperatorLogic.refreshAfterTransaction(txHash);
     } else {
         await OperatorLogic.refreshData(true);
     }
@@ -544,7 +954,7 @@ async function handleCollectAllEarningsClick(button) {
 
     const txHash = await Services.handleCollectAllEarnings(state.signer, state.currentOperatorId, state.currentOperatorData);
     if (txHash) {
-        await OperatorLogic.refreshWithRetry(txHash);
+        await OperatorLogic.refreshAfterTransaction(txHash);
     } else {
         await OperatorLogic.refreshData(true);
     }
@@ -575,17 +985,67 @@ async function handleEditOperatorSettingsClick() {
     UI.operatorSettingsModalCutInput.addEventListener('input', enableConfirm, { once: true });
     UI.operatorSettingsModalRedundancyInput.addEventListener('input', enableConfirm, { once: true });
 
+    let isUploadingImage = false;
+    const imageInput = document.getElementById('operator-settings-modal-image-input');
+    imageInput.onchange = async () => {
+        const file = imageInput.files[0];
+        imageInput.value = '';
+        if (!file) return;
+
+        isUploadingImage = true;
+        confirmBtn.disabled = true;
+        let previewUrl = null;
+        try {
+            UI.setOperatorSettingsImage(null, 'Resizing image...');
+            const image = await Ipfs.resizeImageToSquare(file);
+            previewUrl = URL.createObjectURL(image);
+            UI.setOperatorSettingsImage(previewUrl, 'Pinning to IPFS...');
+            const cid = await Ipfs.pinToIpfs(image, `${state.currentOperatorId}.webp`);
+            UI.operatorSettingsModalImageCidInput.value = cid;
+            UI.setOperatorSettingsImage(previewUrl, 'Image pinned. Confirm to save it to your metadata.');
+        } catch (e) {
+            logger.error("Image upload failed:", e);
+            UI.setOperatorSettingsImage(previewUrl, e.message, true);
+            // The message can carry text from the (user-configured) IPFS API
+            UI.showToast({ type: 'error', title: 'Image Upload Failed', message: Utils.escapeHtml(e.message) });
+        } finally {
+            isUploadingImage = false;
+            confirmBtn.disabled = false;
+        }
+    };
+    UI.operatorSettingsModalImageCidInput.oninput = () => {
+        enableConfirm();
+        const cid = UI.operatorSettingsModalImageCidInput.value.trim();
+        if (!cid) UI.setOperatorSettingsImage(null, '');
+        else if (Utils.isValidIpfsCid(cid)) UI.setOperatorSettingsImage(Utils.getIpfsImageUrl(cid), '');
+        else UI.setOperatorSettingsImage(null, 'Not a valid IPFS CID.', true);
+    };
+    document.getElementById('operator-settings-modal-image-remove').onclick = () => {
+        UI.operatorSettingsModalImageCidInput.value = '';
+        UI.setOperatorSettingsImage(null, 'Image will be removed when you confirm.');
+        enableConfirm();
+    };
+
     confirmBtn.addEventListener('click', async () => {
+        if (isUploadingImage) return;
+        const newImageCid = UI.operatorSettingsModalImageCidInput.value.trim();
+        if (newImageCid && !Utils.isValidIpfsCid(newImageCid)) {
+            UI.showToast({ type: 'warning', title: 'Invalid Image CID', message: 'The image CID is not a valid IPFS CID.' });
+            return;
+        }
+
         confirmBtn.disabled = true;
         confirmBtn.innerHTML = `<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div> Processing...`;
         UI.setModalState('operator-settings-modal', 'loading', { text: "Checking for changes...", subtext: "Please wait." });
 
         const oldMetadata = Utils.parseOperatorMetadata(state.currentOperatorData.metadataJsonString);
         let oldRedundancy = '1';
+        let oldImageCid = '';
         try {
             if (state.currentOperatorData.metadataJsonString) {
                  const meta = JSON.parse(state.currentOperatorData.metadataJsonString);
                  if (meta && meta.redundancyFactor !== undefined) oldRedundancy = String(meta.redundancyFactor);
+                 if (meta && typeof meta.imageIpfsCid === 'string') oldImageCid = meta.imageIpfsCid;
             }
         } catch(e) {}
         const oldCut = (BigInt(state.currentOperatorData.operatorsCutFraction) * 100n) / BigInt('1000000000000000000');
@@ -597,7 +1057,8 @@ async function handleEditOperatorSettingsClick() {
 
         const metadataChanged = newName !== (oldMetadata.name || '') ||
                                 newDescription !== (oldMetadata.description || '') ||
-                                newRedundancy !== oldRedundancy;
+                                newRedundancy !== oldRedundancy ||
+                                newImageCid !== oldImageCid;
         
         const cutChanged = newCut !== oldCut.toString();
 
@@ -618,7 +1079,7 @@ async function handleEditOperatorSettingsClick() {
                 const newMetadata = {
                     name: newName,
                     description: newDescription,
-                    imageIpfsCid: oldMetadata.imageUrl ? oldMetadata.imageUrl.split('/').pop() : null,
+                    imageIpfsCid: newImageCid || null,
                     redundancyFactor: parseInt(newRedundancy, 10)
                 };
                 txHash1 = await Services.updateOperatorMetadata(state.signer, state.currentOperatorId, JSON.stringify(newMetadata));
@@ -648,7 +1109,7 @@ async function handleEditOperatorSettingsClick() {
             
             const lastTxHash = txHash2 || txHash1;
             if (lastTxHash) {
-                await OperatorLogic.refreshWithRetry(lastTxHash);
+                await OperatorLogic.refreshAfterTransaction(lastTxHash);
             } else {
                 await OperatorLogic.refreshData(true);
             }
@@ -705,21 +1166,32 @@ export const OperatorLogic = {
     async fetchAndRenderList(isLoadMore = false, skip = 0, filterQuery = '') {
         UI.showLoader(!isLoadMore);
         try {
-            const operators = await Services.fetchOperators(skip, filterQuery);
+            // Watched operators are pinned on top of the unfiltered list
+            const showPinned = !isLoadMore && !filterQuery && Object.keys(state.listFilters).length === 0;
+            const watchedIds = showPinned ? Constants.getWatchlist().filter(e => e.type === 'operator').map(e => e.id) : [];
+            const [operators, pinnedOperators] = await Promise.all([
+                Services.fetchOperators(skip, filterQuery, state.listFilters, { routeScoped: true }),
+                Services.fetchOperatorsByIds(watchedIds, { routeScoped: true }).catch(error => {
+                    if (!Services.isAbortError(error)) logger.warn("Failed to fetch watched operators:", error);
+                    return [];
+                })
+            ]);
+            const isPaged = (!filterQuery || filterQuery.toLowerCase().startsWith('0x')) && !Utils.hasClientSideOperatorFilters(state.listFilters);
 
             if (isLoadMore) {
                 UI.appendOperatorsList(operators);
             } else {
-                UI.renderOperatorsList(operators, filterQuery);
+                UI.renderOperatorsList(operators, filterQuery, pinnedOperators);
             }
 
-            if (!filterQuery || (filterQuery.toLowerCase().startsWith('0x'))) {
+            if (isPaged) {
                 state.loadedOperatorCount += operators.length;
             }
             
-            UI.loadMoreOperatorsBtn.style.display = (operators.length === Constants.OPERATORS_PER_PAGE && (!filterQuery || filterQuery.toLowerCase().startsWith('0x'))) ? 'inline-block' : 'none';
+            UI.loadMoreOperatorsBtn.style.display = (operators.length === Constants.OPERATORS_PER_PAGE && isPaged) ? 'inline-block' : 'none';
 
         } catch (error) {
+            if (Services.isAbortError(error)) return;
             console.error("Failed to fetch operators:", error);
             UI.operatorsGrid.innerHTML = `<p class="text-red-400 col-span-full">${Utils.escapeHtml(error.message)}</p>`;
         } finally {
@@ -729,18 +1201,22 @@ export const OperatorLogic = {
     
     /**
      * Fetch and render operator details
+     * @param {string} operatorId
+     * @param {URLSearchParams} [query] - chart, timeframe, currency, tab and sponsorships view to open with
      */
-    async fetchAndRenderDetails(operatorId) {
+    async fetchAndRenderDetails(operatorId, query = new URLSearchParams()) {
         UI.showLoader(true);
         if (state.detailsRefreshInterval) clearInterval(state.detailsRefreshInterval);
 
         state.currentOperatorId = operatorId.toLowerCase();
+        state.isOnChainFallback = false;
         
         state.activeNodes.clear();
         state.unreachableNodes.clear();
-        state.chartTimeFrame = 90;
-        state.chartType = 'stake';
-        state.uiState.isChartUsdView = false;
+        state.nodeHeartbeats.clear();
+        state.nodeBalances.clear();
+        state.queueFunding = null;
+        applyDetailQuery(query);
         
         state.historyState = {
             isFullLoaded: false,
@@ -769,7 +1245,13 @@ export const OperatorLogic = {
      */
     async refreshData(isFirstLoad = false, expectedTxHash = null) {
         try {
-            const data = await Services.fetchOperatorDetails(state.currentOperatorId);
+            const data = await Services.fetchOperatorDetails(state.currentOperatorId, { routeScoped: true });
+            
+            // The subgraph is back: replace the on-chain page with the full one
+            if (state.isOnChainFallback) {
+                state.isOnChainFallback = false;
+                isFirstLoad = true;
+            }
             
             state.currentOperatorData = data.operator;
             state.currentDelegations = data.operator?.delegations || [];
@@ -818,6 +1300,15 @@ export const OperatorLogic = {
                 processSponsorshipHistory(graphEvents, polygonscanTxs, true);
                 
                 UI.renderOperatorDetails(data, state);
+                loadFlagsToReview();
+
+                const lookupInput = document.getElementById('queue-lookup-input');
+                if (lookupInput) {
+                    lookupInput.value = state.myRealAddress || '';
+                    lookupInput.oninput = () => renderQueuePanel();
+                }
+                renderQueuePanel();
+                loadQueueFunding();
                 
                 if (typeof window.updateBotStatusUI === 'function') {
                     window.updateBotStatusUI();
@@ -832,6 +1323,10 @@ export const OperatorLogic = {
                 const showLoadAll = hasMoreHistoryToLoad();
                 UI.renderSponsorshipsHistory(state.sponsorshipHistory, showLoadAll);
                 
+                // Tabs requested by the URL (the rendered markup opens the defaults)
+                if (!state.uiState.isDelegatorViewActive) selectDelegatorTab('queue');
+                if (!state.uiState.isSponsorshipsListViewActive) selectSponsorshipTab('history');
+                
                 if (expectedTxHash) {
                     const txFound = polygonscanTxs.some(tx => 
                         tx.txHash && tx.txHash.toLowerCase() === expectedTxHash.toLowerCase()
@@ -846,10 +1341,18 @@ export const OperatorLogic = {
                 UI.renderBalances(addresses);
                 updateMyStakeUI();
                 filterAndRenderChart();
+                renderQueuePanel();
+                loadQueueFunding();
             }
 
         } catch (error) {
+            if (Services.isAbortError(error)) return false;
             logger.error("Failed to refresh operator data:", error);
+            // Without the subgraph, fall back to what the contract itself can tell
+            if (error instanceof Services.SubgraphError && (isFirstLoad || state.isOnChainFallback)) {
+                await renderOnChainFallback();
+                return false;
+            }
             if (isFirstLoad) {
                 UI.detailContent.innerHTML = `<p class="text-red-400">${Utils.escapeHtml(error.message)}</p>`;
             }
@@ -858,28 +1361,50 @@ export const OperatorLogic = {
     },
     
     /**
-     * Refresh with retry logic for Polygonscan history
+     * Reload only the Polygonscan part of the sponsorship history
+     * @param {string} expectedTxHash - Transaction to look for
+     * @returns {Promise<boolean>} Whether the transaction is in the history
      */
-    async refreshWithRetry(txHash, maxAttempts = 5, delayMs = 4000) {
-        logger.log(`Waiting for transaction ${txHash} to appear in Polygonscan...`);
+    async refreshHistory(expectedTxHash) {
+        const result = await Services.fetchPolygonscanHistory(state.currentOperatorId, INITIAL_ETHERSCAN_OFFSET, state.historyState.allSponsorshipAddresses || []);
+        const polygonscanTxs = result.transactions || result;
+        // An empty answer after a failed request must not wipe the history already shown
+        if (polygonscanTxs.length === 0 && state.historyState.etherscanTxs?.length > 0) return false;
+        state.historyState.etherscanTxs = polygonscanTxs;
+        state.historyState.hasMoreEtherscan = result.hasMore || false;
+        state.historyState.etherscanPage = 2;
         
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            logger.log(`Polygonscan refresh attempt ${attempt}/${maxAttempts}`);
-            
-            const txFound = await this.refreshData(true, txHash);
-            
-            if (txFound) {
-                logger.log(`Transaction found on attempt ${attempt}`);
-                return true;
-            }
-            
-            if (attempt < maxAttempts) {
-                logger.log(`Transaction not yet indexed, waiting ${delayMs}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delayMs));
-            }
+        processSponsorshipHistory(state.historyState.graphEvents || [], polygonscanTxs, true);
+        UI.renderSponsorshipsHistory(state.sponsorshipHistory, hasMoreHistoryToLoad());
+        
+        return polygonscanTxs.some(tx => tx.txHash && tx.txHash.toLowerCase() === expectedTxHash.toLowerCase());
+    },
+    
+    /**
+     * Refresh once the subgraph has indexed the block of a confirmed transaction,
+     * then retry only the history until the transaction shows up on Polygonscan
+     */
+    async refreshAfterTransaction(txHash) {
+        const operatorId = state.currentOperatorId;
+        let indexed = false;
+        try {
+            indexed = await Services.waitForTransactionIndexed(txHash, { routeScoped: true });
+        } catch (error) {
+            if (Services.isAbortError(error)) return false;
+            logger.warn(`Could not check whether transaction ${txHash} is indexed:`, error);
+        }
+        
+        let txFound = await this.refreshData(true, txHash);
+        for (let retry = 1; !txFound && retry <= HISTORY_RETRY_ATTEMPTS; retry++) {
+            logger.log(`Transaction ${txHash} not in the history yet, retrying in ${HISTORY_RETRY_DELAY_MS}ms (${retry}/${HISTORY_RETRY_ATTEMPTS})...`);
+            await new Promise(resolve => setTimeout(resolve, HISTORY_RETRY_DELAY_MS));
+            // The user moved on to another page
+            if (state.currentOperatorId !== operatorId) return false;
+            txFound = await this.refreshHistory(txHash);
         }
+        if (indexed && txFound) return true;
         
-        logger.warn(`Transaction ${txHash} not found after ${maxAttempts} attempts. It may appear later.`);
+        logger.warn(`Transaction ${txHash} is not in the history yet. It may appear later.`);
         UI.showToast({ 
             type: 'info', 
             title: 'History Update Pending', 
@@ -896,6 +1421,65 @@ export const OperatorLogic = {
         debouncedSearch(query);
     },
     
+    /**
+     * Load the operators list for the search term and filters in the URL query
+     * @param {URLSearchParams} params
+     */
+    loadListFromParams(params) {
+        const { query, filters } = Utils.parseOperatorListParams(params);
+        this.resetListState();
+        state.searchQuery = query;
+        state.listFilters = filters;
+        UI.searchInput.value = query;
+        fillFilterInputs(filters);
+        renderFilterState();
+        return this.fetchAndRenderList(false, 0, query);
+    },
+    
+    /**
+     * Apply the filter panel by navigating to the matching URL (adds a history entry)
+     */
+    applyListFilters(filters = readFilterInputs()) {
+        const search = Utils.buildOperatorListSearch(state.searchQuery, filters);
+        if (window.router) window.router.navigate(`/${search}`);
+    },
+    
+    /**
+     * Save the filter panel and search term as a named view, replacing any view with the same name
+     */
+    saveListView() {
+        const nameInput = document.getElementById('operator-view-name-input');
+        const name = nameInput.value.trim();
+        if (!name) {
+            UI.showToast({ type: 'warning', title: 'Name Required', message: 'Enter a name for the view.' });
+            return;
+        }
+        const filters = readFilterInputs();
+        const views = Constants.getSavedOperatorViews().filter(view => view.name !== name);
+        views.push({ name, search: Utils.buildOperatorListSearch(state.searchQuery, filters) });
+        Constants.saveSavedOperatorViews(views);
+        nameInput.value = '';
+        UI.showToast({ type: 'success', title: 'View Saved', message: Utils.escapeHtml(`"${name}" was added to your saved views.`) });
+        this.applyListFilters(filters);
+    },
+    
+    /**
+     * Open or delete a saved view from its chip
+     */
+    handleSavedViewClick(e) {
+        const deleteBtn = e.target.closest('.operator-saved-view-delete');
+        const openBtn = e.target.closest('.operator-saved-view');
+        const views = Constants.getSavedOperatorViews();
+
+        if (deleteBtn) {
+            Constants.saveSavedOperatorViews(views.filter(view => view.name !== deleteBtn.dataset.viewName));
+            renderFilterState();
+        } else if (openBtn) {
+            const view = views.find(v => v.name === openBtn.dataset.viewName);
+            if (view && window.router) window.router.navigate(`/${view.search}`);
+        }
+    },
+    
     /**
      * Handle load more operators
      */
@@ -939,6 +1523,17 @@ export const OperatorLogic = {
         // Search input
         UI.searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
         
+        // Filters panel and saved views
+        const filtersPanel = document.getElementById('operator-filters-panel');
+        document.getElementById('operator-filters-toggle').addEventListener('click', () => filtersPanel.classList.toggle('hidden'));
+        filtersPanel.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.dataset.filterKey) this.applyListFilters();
+        });
+        document.getElementById('operator-filters-apply').addEventListener('click', () => this.applyListFilters());
+        document.getElementById('operator-filters-reset').addEventListener('click', () => this.applyListFilters({}));
+        document.getElementById('operator-view-save-btn').addEventListener('click', () => this.saveListView());
+        document.getElementById('operator-saved-views').addEventListener('click', (e) => this.handleSavedViewClick(e));
+        
         // Load more button
         document.getElementById('load-more-operators-btn').addEventListener('click', (e) => this.handleLoadMore(e.target));
         
@@ -948,6 +1543,7 @@ export const OperatorLogic = {
             if (chartTypeTab && chartTypeTab.dataset.chartType) {
                 state.chartType = chartTypeTab.dataset.chartType;
                 filterAndRenderChart();
+                syncDetailUrl();
             }
         });
         
@@ -970,6 +1566,9 @@ export const OperatorLogic = {
             if (target.id === 'collect-all-earnings-btn') handleCollectAllEarningsClick(target);
             if (target.id === 'load-more-delegators-btn') handleLoadMoreDelegators(target);
             if (target.id === 'edit-operator-settings-btn') handleEditOperatorSettingsClick();
+            if (target.id === 'manage-wallets-btn') handleManageWalletsClick();
+            if (target.id === 'add-to-compare-btn') handleAddToCompareClick();
+            if (target.id === 'watch-operator-btn') handleWatchOperatorClick();
             
             // Stats panel toggle
             if (target.closest('#toggle-stats-btn')) UI.toggleStatsPanel(false, state.uiState);
@@ -977,42 +1576,15 @@ export const OperatorLogic = {
             // Delegator Pills Tabs
             const delegatorTab = target.closest('#delegator-tabs button');
             if (delegatorTab) {
-                const tab = delegatorTab.dataset.tab;
-                const tabs = document.querySelectorAll('#delegator-tabs button');
-                tabs.forEach(t => {
-                    t.classList.remove('bg-blue-800', 'text-white');
-                    t.classList.add('text-gray-400');
-                });
-                delegatorTab.classList.add('bg-blue-800', 'text-white');
-                delegatorTab.classList.remove('text-gray-400');
-                
-                document.getElementById('delegators-content').classList.toggle('hidden', tab !== 'delegators');
-                document.getElementById('queue-content').classList.toggle('hidden', tab !== 'queue');
-                state.uiState.isDelegatorViewActive = (tab === 'delegators');
-                if (tab === 'delegators') {
-                    UI.updateDelegatorsSection(state.currentDelegations, state.totalDelegatorCount, state.currentOperatorData);
-                }
+                selectDelegatorTab(delegatorTab.dataset.tab);
+                syncDetailUrl();
             }
             
             // Sponsorship Pills Tabs
             const sponsorshipTab = target.closest('#sponsorship-tabs button');
             if (sponsorshipTab) {
-                const tab = sponsorshipTab.dataset.tab;
-                const tabs = document.querySelectorAll('#sponsorship-tabs button');
-                tabs.forEach(t => {
-                    t.classList.remove('bg-blue-800', 'text-white');
-                    t.classList.add('text-gray-400');
-                });
-                sponsorshipTab.classList.add('bg-blue-800', 'text-white');
-                sponsorshipTab.classList.remove('text-gray-400');
-                
-                document.getElementById('sponsorships-list-content').classList.toggle('hidden', tab !== 'list');
-                document.getElementById('sponsorships-history-content').classList.toggle('hidden', tab !== 'history');
-                state.uiState.isSponsorshipsListViewActive = (tab === 'list');
-                if (tab === 'history') {
-                    const showLoadAll = hasMoreHistoryToLoad() && !state.historyState.isFullLoaded;
-                    UI.renderSponsorshipsHistory(state.sponsorshipHistory, showLoadAll);
-                }
+                selectSponsorshipTab(sponsorshipTab.dataset.tab);
+                syncDetailUrl();
             }
             
             // Load All History button
@@ -1048,12 +1620,13 @@ export const OperatorLogic = {
             if (reputationOption) {
                 const view = reputationOption.dataset.view;
                 const wrapper = document.getElementById('reputation-content-wrapper');
-                const { slashesCount, flagsAgainstCount, flagsByCount } = wrapper.dataset;
+                const { slashesCount, flagsAgainstCount, flagsByCount, flagsReviewCount } = wrapper.dataset;
                 
                 const texts = {
                     'slashing': `Slashing Events (${slashesCount})`,
                     'flags-against': `Flags Against (${flagsAgainstCount})`,
-                    'flags-by': `Flags Initiated (${flagsByCount})`
+                    'flags-by': `Flags Initiated (${flagsByCount})`,
+                    'flags-review': `Flags to Review (${flagsReviewCount})`
                 };
                 document.getElementById('reputation-dropdown-text').textContent = texts[view];
                 
@@ -1067,11 +1640,15 @@ export const OperatorLogic = {
                 document.getElementById('slashing-content').classList.toggle('hidden', view !== 'slashing');
                 document.getElementById('flags-against-content').classList.toggle('hidden', view !== 'flags-against');
                 document.getElementById('flags-by-content').classList.toggle('hidden', view !== 'flags-by');
+                document.getElementById('flags-review-content').classList.toggle('hidden', view !== 'flags-review');
                 
                 document.getElementById('reputation-dropdown-menu').classList.add('hidden');
             }
             
             if (target.closest('.toggle-vote-list-btn')) UI.toggleVoteList(target.closest('.toggle-vote-list-btn').dataset.flagId);
+            
+            const voteFlagBtn = target.closest('.vote-flag-btn');
+            if (voteFlagBtn) handleVoteOnFlagClick(voteFlagBtn.dataset.flagId);
 
             // Chart Timeframe
             const timeframeButton = target.closest('#chart-timeframe-buttons button');
@@ -1079,6 +1656,7 @@ export const OperatorLogic = {
                 const days = timeframeButton.dataset.days === 'all' ? 'all' : parseInt(timeframeButton.dataset.days, 10);
                 state.chartTimeFrame = days;
                 filterAndRenderChart();
+                syncDetailUrl();
                 return;
             }
 
@@ -1087,6 +1665,7 @@ export const OperatorLogic = {
             if (chartViewButton && chartViewButton.dataset.view) {
                 state.uiState.isChartUsdView = (chartViewButton.dataset.view === 'usd');
                 filterAndRenderChart();
+                syncDetailUrl();
                 return;
             }
 
@@ -1114,6 +1693,12 @@ export const OperatorLogic = {
                 handleEditStakeClick(editStakeLink.dataset.sponsorshipId, editStakeLink.dataset.currentStake);
             }
             
+            const raiseFlagLink = target.closest('.raise-flag-link');
+            if (raiseFlagLink) {
+                e.preventDefault();
+                handleRaiseFlagClick(raiseFlagLink.dataset.sponsorshipId);
+            }
+            
             const collectEarningsLink = target.closest('.collect-earnings-link');
             if(collectEarningsLink) {
                 e.preventDefault();
@@ -0,0 +1,409 @@
+/**
+ * New Operator Wizard
+ * Deploys an operator contract through the operator factory, then self-delegates
+ * the minimum and opens the new operator's page
+ */
+
+import { escapeHtml, formatBigNumber, convertWeiToData, isValidIpfsCid, getFriendlyErrorMessage } from '../core/utils.js';
+import { runQuery, fetchOperatorCreationInfo, deployOperatorContract, selfDelegateToOperator, checkAndSwitchNetwork } from '../core/services.js';
+import { showToast } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const STEP_COUNT = 3;
+const INDEXING_POLL_ATTEMPTS = 10;
+const INDEXING_POLL_INTERVAL_MS = 3000;
+
+const state = {
+    address: '',
+    signer: null,
+    step: 1,
+    info: null,
+    form: null,
+
+    // Progress of the current creation
+    deployed: null,
+    delegationTxHash: null,
+    isBusy: false,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+const el = (id) => document.getElementById(id);
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData(wei || '0'));
+
+// ============================================
+// Form Handling
+// ============================================
+
+/**
+ * Read the wizard inputs
+ */
+function readForm() {
+    return {
+        name: el('operator-new-name').value.trim(),
+        description: el('operator-new-description').value.trim(),
+        imageIpfsCid: el('operator-new-image-cid').value.trim(),
+        redundancyFactor: el('operator-new-redundancy').value.trim(),
+        tokenName: el('operator-new-token-name').value.trim(),
+        cutPercent: el('operator-new-cut').value.trim(),
+        delegationAmount: el('operator-new-delegation').value.trim().replace(',', '.')
+    };
+}
+
+/**
+ * Validate the inputs of a step
+ * @param {number} step - Step number
+ * @param {Object} form - Values from readForm
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateStep(step, form) {
+    if (step === 1) {
+        if (!form.name) return 'Please enter a name for your operator.';
+        if (form.imageIpfsCid && !isValidIpfsCid(form.imageIpfsCid)) {
+            return 'The image CID is not a valid IPFS CID (Qm... or b...).';
+        }
+        const redundancy = Number(form.redundancyFactor);
+        if (!Number.isInteger(redundancy) || redundancy < 1) {
+            return 'Redundancy factor must be a whole number of at least 1.';
+        }
+    }
+
+    if (step === 2) {
+        const cut = Number(form.cutPercent);
+        if (form.cutPercent === '' || isNaN(cut) || cut < 0 || cut > 100) {
+            return "Owner's cut must be between 0 and 100.";
+        }
+
+        let amountWei;
+        try {
+            amountWei = ethers.utils.parseEther(form.delegationAmount || '0');
+        } catch (e) {
+            return 'Please enter a valid self-delegation amount.';
+        }
+        if (state.info && amountWei.lt(state.info.minimumDelegationWei)) {
+            return `Self-delegation must be at least ${formatData(state.info.minimumDelegationWei)} DATA.`;
+        }
+        if (state.info && amountWei.gt(state.info.balanceWei)) {
+            return 'You do not have enough DATA for this self-delegation.';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the operator metadata JSON, in the same shape the settings modal writes
+ */
+function buildMetadataJson(form) {
+    return JSON.stringify({
+        name: form.name,
+        description: form.description,
+        imageIpfsCid: form.imageIpfsCid || null,
+        redundancyFactor: parseInt(form.redundancyFactor, 10)
+    });
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Show the section matching the wallet state (no wallet, existing operator, wizard)
+ */
+function renderGate() {
+    const hasWallet = !!(state.signer && state.address);
+    const existing = state.info?.existingOperatorId && !state.deployed;
+
+    el('operator-new-empty-state').classList.toggle('hidden', hasWallet);
+    el('operator-new-existing').classList.toggle('hidden', !hasWallet || !existing);
+    el('operator-new-content').classList.toggle('hidden', !hasWallet || !!existing);
+
+    if (existing) {
+        el('operator-new-existing-link').setAttribute('href', `/operator/${state.info.existingOperatorId}`);
+    }
+}
+
+/**
+ * Show the current step and update the step indicator and buttons
+ */
+function renderStep() {
+    for (let i = 1; i <= STEP_COUNT; i++) {
+        el(`operator-new-step-${i}`).classList.toggle('hidden', i !== state.step);
+        const indicator = document.querySelector(`[data-wizard-step="${i}"]`);
+        if (indicator) {
+            indicator.classList.toggle('bg-blue-800', i <= state.step);
+            indicator.classList.toggle('text-white', i <= state.step);
+            indicator.classList.toggle('bg-[#2C2C2C]', i > state.step);
+            indicator.classList.toggle('text-gray-400', i > state.step);
+        }
+    }
+
+    el('operator-new-back').classList.toggle('hidden', state.step === 1 || !!state.deployed);
+    el('operator-new-next').classList.toggle('hidden', state.step === STEP_COUNT);
+    el('operator-new-submit').classList.toggle('hidden', state.step !== STEP_COUNT);
+    el('operator-new-submit').textContent = state.deployed ? 'Retry Self-Delegation' : 'Create Operator';
+    el('operator-new-submit').disabled = state.isBusy;
+
+    if (state.step === 2 && state.info) {
+        el('operator-new-delegation-min').textContent = formatData(state.info.minimumDelegationWei);
+        el('operator-new-delegation-balance').textContent = formatData(state.info.balanceWei);
+    }
+    if (state.step === STEP_COUNT) renderReview();
+}
+
+/**
+ * Fill the review summary of step 3
+ */
+function renderReview() {
+    const form = state.form;
+    const rows = [
+        ['Name', form.name],
+        ['Description', form.description || '--'],
+        ['Image CID', form.imageIpfsCid || '--'],
+        ['Redundancy Factor', form.redundancyFactor],
+        ['Operator Token', form.tokenName || form.name],
+        ["Owner's Cut", `${form.cutPercent}%`],
+        ['Self-Delegation', `${form.delegationAmount} DATA`]
+    ];
+    el('operator-new-review').innerHTML = rows.map(([label, value]) => `
+        <div class="flex justify-between gap-4 py-2 border-b border-[#333] last:border-0">
+            <span class="text-gray-400 flex-shrink-0">${label}</span>
+            <span class="text-white text-right break-all">${escapeHtml(String(value))}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Update one line of the progress list
+ * @param {string} task - 'deploy' | 'delegate' | 'index'
+ * @param {string} status - 'pending' | 'active' | 'done' | 'error'
+ * @param {string} [detail] - Text shown under the task
+ */
+function setProgress(task, status, detail = '') {
+    const item = document.querySelector(`[data-wizard-task="${task}"]`);
+    if (!item) return;
+
+    const icons = {
+        pending: '<span class="block w-4 h-4 rounded-full border-2 border-[#555555]"></span>',
+        active: '<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div>',
+        done: '<svg class="w-4 h-4 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>',
+        error: '<svg class="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>'
+    };
+    item.querySelector('[data-wizard-task-icon]').innerHTML = icons[status];
+    item.querySelector('[data-wizard-task-detail]').innerHTML = detail;
+}
+
+const txLink = (txHash) => `<a href="https://polygonscan.com/tx/${txHash}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:text-blue-300 font-mono">${txHash.slice(0, 10)}...</a>`;
+
+function resetProgress() {
+    setProgress('deploy', 'pending');
+    setProgress('delegate', 'pending');
+    setProgress('index', 'pending');
+}
+
+// ============================================
+// Creation Flow
+// ============================================
+
+/**
+ * Wait until the subgraph knows the new operator so its page can render
+ * @returns {Promise<boolean>} True once indexed
+ */
+async function waitForOperatorIndexed(operatorId) {
+    const query = `query { operator(id: "${operatorId}") { id } }`;
+    for (let attempt = 1; attempt <= INDEXING_POLL_ATTEMPTS; attempt++) {
+        try {
+            const data = await runQuery(query);
+            if (data?.operator) return true;
+        } catch (e) {
+            console.warn('Indexing check failed:', e);
+        }
+        if (attempt < INDEXING_POLL_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, INDEXING_POLL_INTERVAL_MS));
+        }
+    }
+    return false;
+}
+
+/**
+ * Deploy (unless already deployed), self-delegate, wait for indexing and open the operator page
+ */
+async function createOperator() {
+    if (state.isBusy) return;
+    if (sessionStorage.getItem('authMethod') !== 'privateKey') {
+        if (!await checkAndSwitchNetwork()) return;
+    }
+
+    state.isBusy = true;
+    renderStep();
+    const form = state.form;
+
+    try {
+        if (!state.deployed) {
+            resetProgress();
+            setProgress('deploy', 'active', 'Please confirm the transaction in your wallet.');
+            const deployed = await deployOperatorContract(state.signer, state.info.factoryAddress, {
+                cutPercent: form.cutPercent,
+                tokenName: form.tokenName || form.name,
+                metadataJson: buildMetadataJson(form)
+            });
+            if (!deployed) {
+                setProgress('deploy', 'pending');
+                return;
+            }
+            state.deployed = deployed;
+            setProgress('deploy', 'done', `Operator ${escapeHtml(deployed.operatorId)} · ${txLink(deployed.txHash)}`);
+        }
+
+        setProgress('delegate', 'active', 'Please confirm the transaction in your wallet.');
+        const amountWei = ethers.utils.parseEther(form.delegationAmount);
+        const txHash = await selfDelegateToOperator(state.signer, state.deployed.operatorId, amountWei);
+        if (!txHash) {
+            setProgress('delegate', 'pending');
+            return;
+        }
+        state.delegationTxHash = txHash;
+        setProgress('delegate', 'done', txLink(txHash));
+
+        setProgress('index', 'active', 'Waiting for the subgraph to index your operator...');
+        const indexed = await waitForOperatorIndexed(state.deployed.operatorId);
+        setProgress('index', indexed ? 'done' : 'error', indexed ? '' : 'Not indexed yet. The operator page may take a moment to load.');
+
+        showToast({ type: 'success', title: 'Operator Created', message: 'Your operator is deployed and self-delegated.' });
+        const operatorId = state.deployed.operatorId;
+        resetWizard();
+        // Only take the user to the operator if they are still on the wizard
+        if (state.isActive && typeof window.navigateToOperator === 'function') {
+            window.navigateToOperator(operatorId);
+        }
+    } catch (e) {
+        console.error("Operator creation failed:", e);
+        setProgress(state.deployed ? 'delegate' : 'deploy', 'error', escapeHtml(getFriendlyErrorMessage(e)));
+        showToast({ type: 'error', title: 'Operator Creation Failed', message: getFriendlyErrorMessage(e), duration: 8000 });
+    } finally {
+        state.isBusy = false;
+        if (state.isActive) renderStep();
+    }
+}
+
+/**
+ * Clear inputs and progress so the wizard starts from scratch next time
+ */
+function resetWizard() {
+    state.step = 1;
+    state.form = null;
+    state.deployed = null;
+    state.delegationTxHash = null;
+    state.info = null;
+    ['operator-new-name', 'operator-new-description', 'operator-new-image-cid', 'operator-new-token-name', 'operator-new-cut', 'operator-new-delegation']
+        .forEach(id => { el(id).value = ''; });
+    el('operator-new-redundancy').value = '1';
+    el('operator-new-error').classList.add('hidden');
+    resetProgress();
+}
+
+// ============================================
+// Public API (OperatorWizardLogic)
+// ============================================
+
+export const OperatorWizardLogic = {
+    /**
+     * Set shared state from main.js (signer, myRealAddress)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.signer !== undefined) state.signer = sharedState.signer;
+        if (sharedState.myRealAddress !== undefined && sharedState.myRealAddress !== state.address) {
+            state.address = sharedState.myRealAddress;
+            if (!state.isBusy) resetWizard();
+        }
+    },
+
+    /**
+     * Initialize the wizard and check whether the wallet can create an operator
+     */
+    async init() {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        renderGate();
+        renderStep();
+        if (!state.signer || !state.address || state.isBusy) return;
+
+        try {
+            state.info = await fetchOperatorCreationInfo(state.signer.provider, state.address);
+            if (!el('operator-new-delegation').value) {
+                el('operator-new-delegation').value = ethers.utils.formatEther(state.info.minimumDelegationWei);
+            }
+            renderGate();
+            renderStep();
+        } catch (e) {
+            console.error("Failed to load operator factory info:", e);
+            showToast({ type: 'error', title: 'Failed to load operator factory', message: getFriendlyErrorMessage(e), duration: 5000 });
+        }
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const errorEl = el('operator-new-error');
+
+        const nextBtn = el('operator-new-next');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                const form = readForm();
+                const error = validateStep(state.step, form);
+                errorEl.textContent = error || '';
+                errorEl.classList.toggle('hidden', !error);
+                if (error) return;
+
+                state.form = form;
+                state.step = Math.min(state.step + 1, STEP_COUNT);
+                renderStep();
+            });
+        }
+
+        const backBtn = el('operator-new-back');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => {
+                errorEl.classList.add('hidden');
+                state.step = Math.max(state.step - 1, 1);
+                renderStep();
+            });
+        }
+
+        const submitBtn = el('operator-new-submit');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', () => createOperator());
+        }
+
+        const minBtn = el('operator-new-delegation-min-btn');
+        if (minBtn) {
+            minBtn.addEventListener('click', () => {
+                if (state.info) el('operator-new-delegation').value = ethers.utils.formatEther(state.info.minimumDelegationWei);
+            });
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+    }
+};
+
+export default OperatorWizardLogic;
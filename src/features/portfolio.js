@@ -0,0 +1,371 @@
+/**
+ * Portfolio Feature Module
+ * Shows every delegation held by the connected wallet with totals in DATA and USD
+ */
+
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, parseOperatorMetadata, shortAddress } from '../core/utils.js';
+import { runQuery, fetchAllPages, isAbortError } from '../core/services.js';
+import { showToast, customTooltip } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    address: '',
+    positions: [],
+    queueEntries: [],
+    cumulativeEarningsWei: '0',
+    isLoading: false,
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+const WEI_PER_DATA = 10n ** 18n;
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData(wei || '0'));
+
+/**
+ * Format a wei amount as a USD string, or '--' when the price is unknown
+ */
+const formatUsd = (wei) => {
+    if (state.dataPriceUSD === null) return '--';
+    return formatUsdForTooltip(convertWeiToData(wei, true), state.dataPriceUSD);
+};
+
+/**
+ * Build a portfolio position from a delegation entity.
+ * Value uses the operator's exchange rate (valueWithoutEarnings / operatorTokenTotalSupplyWei).
+ * Unrealized earnings are the delegator's pro-rata share of uncollected sponsorship
+ * earnings after the operator's cut.
+ */
+const buildPosition = (delegation) => {
+    const op = delegation.operator;
+    const tokens = BigInt(delegation.operatorTokenBalanceWei || '0');
+    const totalSupply = BigInt(op.operatorTokenTotalSupplyWei || '0');
+    const valueWithoutEarnings = BigInt(op.valueWithoutEarnings || '0');
+    const cutFraction = BigInt(op.operatorsCutFraction || '0');
+
+    const uncollected = (op.stakes || []).reduce((sum, stake) => sum + BigInt(stake.earningsWei || '0'), 0n);
+    const uncollectedAfterCut = uncollected * (WEI_PER_DATA - cutFraction) / WEI_PER_DATA;
+
+    const valueWei = totalSupply > 0n ? tokens * valueWithoutEarnings / totalSupply : 0n;
+    const unrealizedWei = totalSupply > 0n ? tokens * uncollectedAfterCut / totalSupply : 0n;
+    const shareBps = totalSupply > 0n ? Number(tokens * 10000n / totalSupply) : 0;
+
+    return {
+        operator: op,
+        name: parseOperatorMetadata(op.metadataJsonString).name || shortAddress(op.id),
+        isSelfDelegation: delegation.isSelfDelegation,
+        tokensWei: tokens.toString(),
+        valueWei: valueWei.toString(),
+        unrealizedWei: unrealizedWei.toString(),
+        sharePercent: shareBps / 100,
+        latestDelegationTimestamp: parseInt(delegation.latestDelegationTimestamp || '0')
+    };
+};
+
+// ============================================
+// Data Fetching
+// ============================================
+
+/**
+ * Fetch all delegations and queue entries of an address.
+ * Each collection is paged through, so large portfolios are complete.
+ */
+async function fetchPortfolio(address) {
+    const id = address.toLowerCase();
+    const queryOptions = { routeScoped: true };
+
+    const [data, delegations, queueEntries] = await Promise.all([
+        runQuery(`
+            query GetPortfolio {
+                delegator(id: "${id}") {
+                    id
+                    cumulativeEarningsWei
+                }
+            }
+        `, queryOptions),
+        fetchAllPages(
+            'delegations',
+            'operatorTokenBalanceWei latestDelegationTimestamp isSelfDelegation operator { id metadataJsonString valueWithoutEarnings operatorTokenTotalSupplyWei operatorsCutFraction }',
+            `delegator: "${id}"`,
+            queryOptions
+        ),
+        fetchAllPages('queueEntries', 'amount date operator { id metadataJsonString }', `delegator: "${id}"`, queryOptions)
+    ]);
+    queueEntries.sort((a, b) => Number(a.date) - Number(b.date));
+    if (!data.delegator) return { delegator: null, queueEntries };
+
+    // Uncollected earnings of every stake of the delegated operators
+    const operatorIds = [...new Set(delegations.map(d => d.operator.id))];
+    const stakes = operatorIds.length > 0
+        ? await fetchAllPages('stakes', 'earningsWei operator { id }', `operator_in: [${operatorIds.map(opId => `"${opId}"`).join(', ')}]`, queryOptions)
+        : [];
+    const stakesByOperator = new Map(operatorIds.map(opId => [opId, []]));
+    stakes.forEach(stake => stakesByOperator.get(stake.operator.id)?.push(stake));
+
+    return {
+        delegator: {
+            ...data.delegator,
+            delegations: delegations.map(d => ({ ...d, operator: { ...d.operator, stakes: stakesByOperator.get(d.operator.id) } }))
+        },
+        queueEntries
+    };
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render the whole portfolio view
+ */
+function render() {
+    const emptyEl = document.getElementById('portfolio-empty-state');
+    const contentEl = document.getElementById('portfolio-content');
+    const addressEl = document.getElementById('portfolio-address');
+
+    if (!state.address) {
+        if (contentEl) contentEl.classList.add('hidden');
+        if (emptyEl) {
+            emptyEl.classList.remove('hidden');
+            emptyEl.querySelector('p').textContent = 'Connect a wallet to see your portfolio.';
+        }
+        return;
+    }
+
+    if (addressEl) {
+        addressEl.textContent = state.address;
+        addressEl.href = `https://polygonscan.com/address/${state.address}`;
+    }
+
+    if (state.positions.length === 0 && state.queueEntries.length === 0) {
+        if (contentEl) contentEl.classList.add('hidden');
+        if (emptyEl) {
+            emptyEl.classList.remove('hidden');
+            emptyEl.querySelector('p').textContent = 'This wallet has no delegations.';
+        }
+        return;
+    }
+
+    if (emptyEl) emptyEl.classList.add('hidden');
+    if (contentEl) contentEl.classList.remove('hidden');
+
+    renderSummary();
+    renderPositions();
+    renderQueue();
+}
+
+/**
+ * Render the summary cards
+ */
+function renderSummary() {
+    const totalValue = state.positions.reduce((sum, p) => sum + BigInt(p.valueWei), 0n);
+    const totalUnrealized = state.positions.reduce((sum, p) => sum + BigInt(p.unrealizedWei), 0n);
+    const totalQueued = state.queueEntries.reduce((sum, e) => sum + BigInt(e.amount || '0'), 0n);
+
+    const setCard = (id, wei) => {
+        const valueEl = document.getElementById(`portfolio-${id}`);
+        const usdEl = document.getElementById(`portfolio-${id}-usd`);
+        if (valueEl) {
+            valueEl.textContent = formatData(wei.toString());
+            valueEl.setAttribute('data-tooltip-value', convertWeiToData(wei.toString(), true));
+        }
+        if (usdEl) usdEl.textContent = formatUsd(wei.toString());
+    };
+
+    setCard('total-value', totalValue);
+    setCard('unrealized', totalUnrealized);
+    setCard('queued', totalQueued);
+    setCard('earnings', BigInt(state.cumulativeEarningsWei || '0'));
+
+    const countEl = document.getElementById('portfolio-operator-count');
+    if (countEl) countEl.textContent = state.positions.length;
+}
+
+/**
+ * Render the per-operator positions table
+ */
+function renderPositions() {
+    const tbody = document.getElementById('portfolio-positions-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = state.positions.map(p => `
+        <tr class="group border-b border-[#333] hover:bg-[#252525] transition-colors cursor-pointer operator-link" data-operator-id="${p.operator.id}">
+            <td class="px-4 md:px-6 py-4">
+                <div class="text-sm text-gray-200 group-hover:text-blue-400 transition-colors truncate max-w-[180px] md:max-w-xs">${escapeHtml(p.name)}</div>
+                <div class="text-[10px] text-gray-500">${p.isSelfDelegation ? '<span class="text-blue-400">Self-delegation</span> · ' : ''}${p.sharePercent.toFixed(2)}% of operator</div>
+            </td>
+            <td class="px-4 md:px-6 py-4 text-right whitespace-nowrap">
+                <div class="text-sm font-bold text-white" data-tooltip-value="${convertWeiToData(p.valueWei, true)}">${formatData(p.valueWei)}</div>
+            </td>
+            <td class="px-6 py-4 text-right whitespace-nowrap hidden md:table-cell">
+                <div class="text-sm text-gray-300 font-mono">${formatData(p.tokensWei)}</div>
+            </td>
+            <td class="px-4 md:px-6 py-4 text-right whitespace-nowrap">
+                <div class="text-sm text-green-400" data-tooltip-value="${convertWeiToData(p.unrealizedWei, true)}">+${formatBigNumber(convertWeiToData(p.unrealizedWei, true))}</div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render pending undelegation queue entries
+ */
+function renderQueue() {
+    const listEl = document.getElementById('portfolio-queue-list');
+    const sectionEl = document.getElementById('portfolio-queue-section');
+    if (!listEl) return;
+
+    if (sectionEl) sectionEl.classList.toggle('hidden', state.queueEntries.length === 0);
+
+    listEl.innerHTML = state.queueEntries.map(entry => {
+        const name = parseOperatorMetadata(entry.operator?.metadataJsonString).name || shortAddress(entry.operator?.id);
+        return `
+            <li class="flex justify-between items-center py-2 border-b border-[#333333] gap-4">
+                <div class="min-w-0">
+                    <a href="#" class="text-sm text-gray-300 hover:text-white transition-colors operator-link" data-operator-id="${entry.operator?.id}">${escapeHtml(name)}</a>
+                    <p class="text-xs text-gray-500">Queued: ${new Date(entry.date * 1000).toLocaleString()}</p>
+                </div>
+                <p class="font-mono text-sm text-orange-400 font-semibold whitespace-nowrap" data-tooltip-value="${convertWeiToData(entry.amount, true)}">${formatData(entry.amount)} DATA</p>
+            </li>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Public API (PortfolioLogic)
+// ============================================
+
+export const PortfolioLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD, myRealAddress)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) {
+            state.dataPriceUSD = sharedState.dataPriceUSD;
+            if (state.isActive && state.positions.length > 0) renderSummary();
+        }
+        if (sharedState.myRealAddress !== undefined && sharedState.myRealAddress !== state.address) {
+            state.address = sharedState.myRealAddress;
+            state.positions = [];
+            state.queueEntries = [];
+        }
+    },
+
+    /**
+     * Initialize the portfolio module and load data for the connected wallet
+     */
+    async init() {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        await this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const refreshBtn = document.getElementById('portfolio-refresh-btn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refresh());
+        }
+
+        const view = document.getElementById('portfolio-view');
+        if (view) {
+            view.addEventListener('mouseover', (e) => {
+                const target = e.target.closest('[data-tooltip-value]');
+                if (!target) return;
+
+                const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+                if (content) {
+                    customTooltip.textContent = content;
+                    customTooltip.classList.remove('hidden');
+                }
+            });
+
+            view.addEventListener('mousemove', (e) => {
+                if (!customTooltip.classList.contains('hidden')) {
+                    customTooltip.style.left = `${e.pageX + 15}px`;
+                    customTooltip.style.top = `${e.pageY + 15}px`;
+                }
+            });
+
+            view.addEventListener('mouseout', (e) => {
+                if (e.target.closest('[data-tooltip-value]')) {
+                    customTooltip.classList.add('hidden');
+                }
+            });
+        }
+    },
+
+    /**
+     * Reload delegations and queue entries from the subgraph
+     */
+    async refresh() {
+        if (!state.address) {
+            render();
+            return;
+        }
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        const loadingEl = document.getElementById('portfolio-loading');
+        if (loadingEl) loadingEl.classList.remove('hidden');
+
+        try {
+            const { delegator, queueEntries } = await fetchPortfolio(state.address);
+
+            state.positions = (delegator?.delegations || [])
+                .map(buildPosition)
+                .filter(p => BigInt(p.tokensWei) > 0n)
+                .sort((a, b) => {
+                    const diff = BigInt(b.valueWei) - BigInt(a.valueWei);
+                    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+                });
+            state.queueEntries = queueEntries;
+            state.cumulativeEarningsWei = delegator?.cumulativeEarningsWei || '0';
+
+            if (state.isActive) render();
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Failed to load portfolio:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load portfolio',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            state.isLoading = false;
+            if (loadingEl) loadingEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+    }
+};
+
+export default PortfolioLogic;
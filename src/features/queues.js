@@ -0,0 +1,255 @@
+/**
+ * Undelegation Queues Feature Module
+ * Network-wide view of every operator with pending undelegations and when they are expected to clear
+ */
+
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, parseOperatorMetadata, shortAddress, estimateDailyEarningsWei, estimateQueuePayouts } from '../core/utils.js';
+import { fetchAllPages, isAbortError, fetchQueueFunding, getReadOnlyProvider } from '../core/services.js';
+import { showToast, customTooltip, formatQueueEta } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    queues: [],
+    isLoading: false,
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+// Days of earnings history the payout estimates are based on
+const EARNINGS_WINDOW_DAYS = 30;
+
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData((wei || '0').toString()));
+
+// ============================================
+// Data Fetching
+// ============================================
+
+const byDate = (a, b) => Number(a.date) - Number(b.date);
+
+/**
+ * Fetch all queue entries grouped by operator, with recent earnings buckets
+ */
+async function fetchQueues() {
+    const entries = await fetchAllPages('queueEntries', 'amount date delegator { id } operator { id metadataJsonString }', '', { routeScoped: true });
+
+    const byOperator = new Map();
+    for (const entry of entries.sort(byDate)) {
+        const id = entry.operator.id;
+        if (!byOperator.has(id)) byOperator.set(id, { operator: entry.operator, entries: [], buckets: [] });
+        byOperator.get(id).entries.push(entry);
+    }
+    if (byOperator.size === 0) return [];
+
+    const since = Math.floor(Date.now() / 1000) - (EARNINGS_WINDOW_DAYS + 1) * 86400;
+    const operatorIds = [...byOperator.keys()].map(id => `"${id}"`).join(', ');
+    const buckets = await fetchAllPages(
+        'operatorDailyBuckets',
+        'date cumulativeEarningsWei operator { id }',
+        `operator_in: [${operatorIds}], date_gt: "${since}"`,
+        { routeScoped: true }
+    );
+    for (const bucket of buckets.sort(byDate)) {
+        byOperator.get(bucket.operator.id)?.buckets.push(bucket);
+    }
+
+    return [...byOperator.values()];
+}
+
+/**
+ * Add free funds and payout estimates to a fetched queue
+ */
+async function estimateQueue(queue) {
+    const dailyEarningsWei = estimateDailyEarningsWei(queue.buckets, EARNINGS_WINDOW_DAYS);
+    const totalWei = queue.entries.reduce((sum, entry) => sum + BigInt(entry.amount || '0'), 0n);
+
+    let funding = null;
+    try {
+        funding = await fetchQueueFunding(getReadOnlyProvider(), queue.operator.id);
+    } catch (e) {
+        console.warn(`Failed to read free funds of ${queue.operator.id}:`, e);
+    }
+
+    const estimates = funding
+        ? estimateQueuePayouts(queue.entries, funding.freeFundsWei, dailyEarningsWei, funding.maxQueueSeconds)
+        : [];
+
+    return {
+        ...queue,
+        name: parseOperatorMetadata(queue.operator.metadataJsonString).name || shortAddress(queue.operator.id),
+        totalWei,
+        dailyEarningsWei,
+        freeFundsWei: funding?.freeFundsWei ?? null,
+        lastEstimate: estimates[estimates.length - 1] || null
+    };
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render summary and the per-operator table
+ */
+function render() {
+    const tbody = document.getElementById('queues-table-body');
+    const tableEl = document.getElementById('queues-table-container');
+    const emptyEl = document.getElementById('queues-empty-state');
+    if (!tbody) return;
+
+    const totalWei = state.queues.reduce((sum, q) => sum + q.totalWei, 0n);
+    const entryCount = state.queues.reduce((sum, q) => sum + q.entries.length, 0);
+
+    document.getElementById('queues-operator-count').textContent = state.queues.length;
+    document.getElementById('queues-entry-count').textContent = entryCount;
+    const totalEl = document.getElementById('queues-total');
+    totalEl.textContent = formatData(totalWei);
+    totalEl.setAttribute('data-tooltip-value', convertWeiToData(totalWei.toString()));
+
+    if (tableEl) tableEl.classList.toggle('hidden', state.queues.length === 0);
+    if (emptyEl) emptyEl.classList.toggle('hidden', state.queues.length > 0);
+
+    tbody.innerHTML = state.queues.map(q => {
+        const eta = q.lastEstimate ? formatQueueEta(q.lastEstimate) : { text: 'Unknown', className: 'text-gray-500' };
+        const oldest = new Date(q.entries[0].date * 1000).toLocaleDateString();
+        return `
+            <tr class="group border-b border-[#333] hover:bg-[#252525] transition-colors cursor-pointer operator-link" data-operator-id="${q.operator.id}">
+                <td class="px-4 md:px-6 py-4">
+                    <div class="text-sm text-gray-200 group-hover:text-blue-400 transition-colors truncate max-w-[180px] md:max-w-xs">${escapeHtml(q.name)}</div>
+                    <div class="text-[10px] text-gray-500">${q.entries.length} entr${q.entries.length === 1 ? 'y' : 'ies'} · oldest ${oldest}</div>
+                </td>
+                <td class="px-4 md:px-6 py-4 text-right whitespace-nowrap">
+                    <div class="text-sm font-bold text-orange-400" data-tooltip-value="${convertWeiToData(q.totalWei.toString())}">${formatData(q.totalWei)}</div>
+                </td>
+                <td class="px-6 py-4 text-right whitespace-nowrap hidden md:table-cell">
+                    <div class="text-sm text-gray-300"${q.freeFundsWei !== null ? ` data-tooltip-value="${convertWeiToData(q.freeFundsWei.toString())}"` : ''}>${q.freeFundsWei !== null ? formatData(q.freeFundsWei) : '--'}</div>
+                </td>
+                <td class="px-6 py-4 text-right whitespace-nowrap hidden lg:table-cell">
+                    <div class="text-sm text-gray-300" data-tooltip-value="${convertWeiToData(q.dailyEarningsWei.toString())}">${formatData(q.dailyEarningsWei)}</div>
+                </td>
+                <td class="px-4 md:px-6 py-4 text-right">
+                    <div class="text-xs ${eta.className}">${eta.text}</div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Public API (QueuesLogic)
+// ============================================
+
+export const QueuesLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) state.dataPriceUSD = sharedState.dataPriceUSD;
+    },
+
+    /**
+     * Initialize the module and load all queues
+     */
+    async init() {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        await this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const refreshBtn = document.getElementById('queues-refresh-btn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refresh());
+        }
+
+        const view = document.getElementById('queues-view');
+        if (view) {
+            view.addEventListener('mouseover', (e) => {
+                const target = e.target.closest('[data-tooltip-value]');
+                if (!target) return;
+
+                const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+                if (content) {
+                    customTooltip.textContent = content;
+                    customTooltip.classList.remove('hidden');
+                }
+            });
+
+            view.addEventListener('mousemove', (e) => {
+                if (!customTooltip.classList.contains('hidden')) {
+                    customTooltip.style.left = `${e.pageX + 15}px`;
+                    customTooltip.style.top = `${e.pageY + 15}px`;
+                }
+            });
+
+            view.addEventListener('mouseout', (e) => {
+                if (e.target.closest('[data-tooltip-value]')) {
+                    customTooltip.classList.add('hidden');
+                }
+            });
+        }
+    },
+
+    /**
+     * Reload queue entries from the subgraph and free funds from the chain
+     */
+    async refresh() {
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        const loadingEl = document.getElementById('queues-loading');
+        if (loadingEl) loadingEl.classList.remove('hidden');
+
+        try {
+            const queues = await fetchQueues();
+            const estimated = await Promise.all(queues.map(estimateQueue));
+
+            state.queues = estimated.sort((a, b) => (b.totalWei > a.totalWei ? 1 : b.totalWei < a.totalWei ? -1 : 0));
+            if (state.isActive) render();
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Failed to load undelegation queues:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load queues',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            state.isLoading = false;
+            if (loadingEl) loadingEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+    }
+};
+
+export default QueuesLogic;
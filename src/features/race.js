@@ -1,5 +1,6 @@
 ﻿import { formatBigNumber } from '../core/utils.js';
-import { getGraphUrl } from '../core/constants.js';
+import { SUBGRAPH_CACHE_TTL } from '../core/constants.js';
+import { runQuery, isAbortError } from '../core/services.js';
 
 // START DATE: November 25, 2023
 const START_DATE_ISO = '2023-11-25T00:00:00Z';
@@ -182,6 +183,7 @@ export const RaceLogic = {
         try {
             await this.fetchData();
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error(err);
             if (this.els.loadingState) this.els.loadingState.classList.add('hidden');
             if (this.els.errorMsg) this.els.errorMsg.textContent = err.message || "Error loading data";
@@ -278,16 +280,9 @@ export const RaceLogic = {
         if (this.els.loadingText) this.els.loadingText.textContent = `Scanning history (${checkpoints.length} snapshots)...`;
         if (this.els.loadingBar) this.els.loadingBar.style.width = '30%';
 
-        const res = await fetch(getGraphUrl(), {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query: batchQuery })
-        });
-
-        const json = await res.json();
-        if (json.errors) throw new Error(json.errors[0].message);
+        const data = await runQuery(batchQuery, { routeScoped: true });
 
-        Object.values(json.data).forEach(group => {
+        Object.values(data).forEach(group => {
             group.forEach(item => {
                 const id = item.operator ? item.operator.id : item.id;
                 uniqueOperatorIds.add(id);
@@ -316,14 +311,9 @@ export const RaceLogic = {
                     }
                 }
             `;
-            const metaRes = await fetch(getGraphUrl(), {
-                method: 'POST',
-                headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({ query: metaQuery })
-            });
-            const metaJson = await metaRes.json();
-            if (metaJson.data && metaJson.data.operators) {
-                metaJson.data.operators.forEach(op => {
+            const metaData = await runQuery(metaQuery, { ttl: SUBGRAPH_CACHE_TTL.METADATA, routeScoped: true });
+            if (metaData.operators) {
+                metaData.operators.forEach(op => {
                     const meta = parseMetadata(op.metadataJsonString, op.id);
                     this.state.operatorMetaMap[op.id] = {
                         name: meta.name,
@@ -359,18 +349,13 @@ export const RaceLogic = {
                 }
             `;
 
-            const res = await fetch(getGraphUrl(), {
-                method: 'POST',
-                headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({
-                    query: histQuery,
-                    variables: { ids: operatorIds, since: lastDate.toString() }
-                })
+            const histData = await runQuery(histQuery, {
+                variables: { ids: operatorIds, since: lastDate.toString() },
+                ttl: SUBGRAPH_CACHE_TTL.HISTORY,
+                routeScoped: true
             });
-            const json = await res.json();
-            if(json.errors) throw new Error("History error");
             
-            const buckets = json.data.operatorDailyBuckets;
+            const buckets = histData.operatorDailyBuckets;
             if(buckets.length === 0) {
                 fetching = false;
             } else {
@@ -0,0 +1,1047 @@
+/**
+ * Sponsorships Feature Module
+ * Handles the sponsorships explorer with a sortable/filterable list and a detail view
+ */
+
+import { SPONSORSHIPS_PER_PAGE, SUBGRAPH_CACHE_TTL } from '../core/constants.js';
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, createAddressLink, createEntityLink } from '../core/utils.js';
+import { runQuery, isAbortError, fetchDataBalance, confirmCreateSponsorship, confirmSponsorshipTopUp, waitForTransactionIndexed } from '../core/services.js';
+import { showToast, customTooltip, setModalState, createSponsorshipModal, topUpSponsorshipModal } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    // Sponsorships list
+    sponsorships: [],
+    selectedSponsorship: null,
+    // Incremented per list load; responses of older loads are dropped
+    loadRequestId: 0,
+
+    // Pagination
+    pagination: {
+        skip: 0,
+        limit: SPONSORSHIPS_PER_PAGE,
+        hasMore: true,
+        isLoading: false
+    },
+
+    // Filters & sorting
+    filters: {
+        search: '',
+        status: 'active' // 'all', 'active', 'running', 'expired'
+    },
+    sort: {
+        field: 'totalPayoutWeiPerSec',
+        direction: 'desc'
+    },
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Wallet (for creating and topping up sponsorships)
+    signer: null,
+    address: '',
+    dataBalanceWei: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+// Fields the subgraph can order sponsorships by
+const SORTABLE_FIELDS = ['totalPayoutWeiPerSec', 'remainingWei', 'totalStakedWei', 'operatorCount', 'projectedInsolvency', 'spotAPY'];
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Check if a string looks like an Ethereum address
+ */
+const isAddress = (value) => /^0x[a-fA-F0-9]{40}$/.test(value);
+
+/**
+ * Current unix timestamp in seconds
+ */
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData(wei || '0'));
+
+/**
+ * Format payout per second (wei) as DATA per day
+ */
+const formatPayoutPerDay = (payoutWeiPerSec) => {
+    try {
+        return formatData((BigInt(payoutWeiPerSec || '0') * 86400n).toString());
+    } catch (e) {
+        return '0';
+    }
+};
+
+/**
+ * Format spot APY (fraction) as a percentage
+ */
+const formatApy = (spotAPY) => `${(Number(spotAPY || 0) * 100).toFixed(1)}%`;
+
+/**
+ * Format a projected insolvency timestamp as a relative runway ("12d 4h", "Expired")
+ */
+const formatRunway = (projectedInsolvency) => {
+    const ts = parseInt(projectedInsolvency || '0');
+    const diff = ts - nowSeconds();
+    if (!ts || diff <= 0) return 'Expired';
+
+    const days = Math.floor(diff / 86400);
+    const hours = Math.floor((diff % 86400) / 3600);
+    if (days > 365) return '> 1 year';
+    if (days > 0) return `${days}d ${hours}h`;
+    return `${hours}h ${Math.floor((diff % 3600) / 60)}m`;
+};
+
+/**
+ * Parse a DATA amount typed by the user into wei
+ * @returns {bigint|null} The amount, or null if it is not a positive number
+ */
+const parseDataAmount = (value) => {
+    try {
+        const wei = BigInt(ethers.utils.parseEther(String(value).trim() || '0').toString());
+        return wei > 0n ? wei : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Format a runway ending at a timestamp, e.g. "12d 4h (until 1/2/2027)"
+ */
+const formatRunwayUntil = (ts) => {
+    const runway = formatRunway(ts);
+    return runway === 'Expired' ? runway : `${runway} (until ${new Date(ts * 1000).toLocaleDateString()})`;
+};
+
+/**
+ * Format timestamp to readable date
+ */
+const formatTimestamp = (ts) => {
+    return new Date(ts * 1000).toLocaleDateString('en-US', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric'
+    });
+};
+
+/**
+ * Derive a display status for a sponsorship
+ * @returns {{label: string, className: string}}
+ */
+const getStatus = (sp) => {
+    const expired = parseInt(sp.projectedInsolvency || '0') <= nowSeconds();
+    if (expired) return { label: 'Expired', className: 'bg-red-900/40 text-red-400 border-red-800/50' };
+    if (sp.isRunning) return { label: 'Running', className: 'bg-green-900/40 text-green-400 border-green-800/50' };
+    return { label: 'Not running', className: 'bg-yellow-900/40 text-yellow-400 border-yellow-800/50' };
+};
+
+/**
+ * Build the subgraph `where` clause from the current filters
+ */
+const buildWhereClause = () => {
+    const conditions = [];
+    const now = nowSeconds();
+
+    if (state.filters.status === 'active') {
+        conditions.push(`projectedInsolvency_gt: "${now}"`);
+    } else if (state.filters.status === 'running') {
+        conditions.push('isRunning: true');
+    } else if (state.filters.status === 'expired') {
+        conditions.push(`projectedInsolvency_lte: "${now}"`);
+    }
+
+    const term = state.filters.search;
+    if (term) {
+        if (isAddress(term)) {
+            conditions.push(`id: "${term.toLowerCase()}"`);
+        } else {
+            // Stream IDs are free text, strip anything that could break the query
+            const sanitized = term.replace(/["\\]/g, '');
+            conditions.push(`stream_contains_nocase: "${sanitized}"`);
+        }
+    }
+
+    return conditions.length > 0 ? `where: { ${conditions.join(', ')} }` : '';
+};
+
+// ============================================
+// Data Fetching
+// ============================================
+
+/**
+ * Fetch a page of sponsorships using the current filters and sort order
+ */
+async function fetchSponsorshipsList(skip = 0, limit = SPONSORSHIPS_PER_PAGE) {
+    const where = buildWhereClause();
+    const query = `
+        {
+            sponsorships(
+                first: ${limit}
+                skip: ${skip}
+                orderBy: ${state.sort.field}
+                orderDirection: ${state.sort.direction}
+                ${where}
+            ) {
+                id
+                isRunning
+                totalPayoutWeiPerSec
+                remainingWei
+                totalStakedWei
+                projectedInsolvency
+                spotAPY
+                operatorCount
+                minOperators
+                maxOperators
+                stream { id }
+            }
+        }
+    `;
+
+    const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.LIST });
+    return data.sponsorships || [];
+}
+
+/**
+ * Fetch a single sponsorship with stakes, flags and slashing history
+ * @param {string} sponsorshipId
+ * @param {Object} [queryOptions] - Passed to runQuery (e.g. routeScoped)
+ */
+async function fetchSponsorshipById(sponsorshipId, queryOptions = {}) {
+    const id = sponsorshipId.toLowerCase();
+    const query = `
+        {
+            sponsorship(id: "${id}") {
+                id
+                metadata
+                isRunning
+                creator
+                totalPayoutWeiPerSec
+                remainingWei
+                totalStakedWei
+                cumulativeSponsoring
+                projectedInsolvency
+                spotAPY
+                operatorCount
+                minOperators
+                maxOperators
+                minimumStakingPeriodSeconds
+                stream { id }
+                stakes(first: 100, orderBy: amountWei, orderDirection: desc) {
+                    id
+                    amountWei
+                    joinTimestamp
+                    operator { id metadataJsonString }
+                }
+            }
+            flags(where: {sponsorship: "${id}"}, orderBy: flaggingTimestamp, orderDirection: desc, first: 100) {
+                id
+                flagger { id metadataJsonString }
+                target { id metadataJsonString }
+                flaggingTimestamp
+                result
+                votes(orderBy: timestamp, orderDirection: desc) {
+                    id
+                    voter { id metadataJsonString }
+                    voterWeight
+                    votedKick
+                    timestamp
+                }
+            }
+            slashingEvents(where: {sponsorship: "${id}"}, orderBy: date, orderDirection: desc, first: 100) {
+                id
+                amount
+                date
+                operator { id metadataJsonString }
+            }
+        }
+    `;
+
+    const data = await runQuery(query, queryOptions);
+    if (!data.sponsorship) return null;
+
+    return {
+        ...data.sponsorship,
+        flags: data.flags || [],
+        slashingEvents: data.slashingEvents || []
+    };
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render the sponsorships table
+ */
+function renderList() {
+    const tbody = document.getElementById('sponsorships-table-body');
+    const countEl = document.getElementById('sponsorships-total-count');
+    const emptyState = document.getElementById('sponsorships-empty-state');
+    const loadMoreContainer = document.getElementById('sponsorships-load-more-container');
+
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    if (countEl) countEl.textContent = state.sponsorships.length;
+
+    renderSortIndicators();
+
+    if (state.sponsorships.length === 0) {
+        if (emptyState) emptyState.classList.remove('hidden');
+        if (loadMoreContainer) loadMoreContainer.classList.add('hidden');
+        return;
+    }
+
+    if (emptyState) emptyState.classList.add('hidden');
+
+    state.sponsorships.forEach(sp => {
+        const tr = document.createElement('tr');
+        tr.className = "group border-b border-[#333] hover:bg-[#252525] transition-colors cursor-pointer";
+        tr.onclick = () => {
+            if (window.router) {
+                window.router.navigate(`/sponsorship/${sp.id}`);
+            } else {
+                SponsorshipsLogic.showSponsorshipDetail(sp.id);
+            }
+        };
+
+        const streamId = sp.stream?.id || sp.id;
+        const status = getStatus(sp);
+        const maxOps = sp.maxOperators !== null && sp.maxOperators !== undefined ? sp.maxOperators : '∞';
+
+        tr.innerHTML = `
+            <td class="px-4 md:px-6 py-4 max-w-[220px] md:max-w-sm">
+                <div class="text-sm text-gray-200 group-hover:text-blue-400 transition-colors truncate" title="${escapeHtml(streamId)}">${escapeHtml(streamId)}</div>
+                <div class="flex items-center gap-2 mt-1">
+                    <span class="px-2 py-0.5 rounded-full text-[10px] font-medium border ${status.className}">${status.label}</span>
+                    <span class="text-[10px] font-mono text-gray-500">${sp.id.slice(0, 6)}...${sp.id.slice(-4)}</span>
+                </div>
+            </td>
+            <td class="px-4 md:px-6 py-4 text-right whitespace-nowrap">
+                <div class="text-sm font-bold text-white" data-tooltip-value="${convertWeiToData(sp.remainingWei)}">${formatData(sp.remainingWei)}</div>
+            </td>
+            <td class="px-6 py-4 text-right whitespace-nowrap hidden md:table-cell">
+                <div class="text-sm text-gray-300">${formatPayoutPerDay(sp.totalPayoutWeiPerSec)}</div>
+            </td>
+            <td class="px-6 py-4 text-right whitespace-nowrap hidden lg:table-cell">
+                <div class="text-sm text-gray-300" data-tooltip-value="${convertWeiToData(sp.totalStakedWei)}">${formatData(sp.totalStakedWei)}</div>
+            </td>
+            <td class="px-6 py-4 text-center whitespace-nowrap hidden md:table-cell">
+                <span class="px-2.5 py-0.5 rounded-full text-xs font-medium bg-[#2a2a2a] text-gray-300 border border-[#333]">${sp.operatorCount}/${maxOps}</span>
+            </td>
+            <td class="px-6 py-4 text-right whitespace-nowrap hidden lg:table-cell">
+                <span class="text-xs text-gray-400">${formatRunway(sp.projectedInsolvency)}</span>
+            </td>
+            <td class="px-4 md:px-6 py-4 text-right whitespace-nowrap">
+                <span class="text-sm font-semibold text-green-400">${formatApy(sp.spotAPY)}</span>
+            </td>
+        `;
+
+        tbody.appendChild(tr);
+    });
+
+    if (loadMoreContainer) {
+        loadMoreContainer.classList.toggle('hidden', !state.pagination.hasMore);
+    }
+}
+
+/**
+ * Highlight the active sort column header
+ */
+function renderSortIndicators() {
+    document.querySelectorAll('[data-sponsorship-sort]').forEach(th => {
+        const indicator = th.querySelector('.sort-indicator');
+        const isActive = th.dataset.sponsorshipSort === state.sort.field;
+        th.classList.toggle('text-white', isActive);
+        if (indicator) {
+            indicator.textContent = isActive ? (state.sort.direction === 'desc' ? '▼' : '▲') : '';
+        }
+    });
+
+    const sortSelect = document.getElementById('sponsorships-sort-select');
+    if (sortSelect) sortSelect.value = state.sort.field;
+}
+
+/**
+ * Render the sponsorship detail view
+ */
+function renderDetail(sp) {
+    const container = document.getElementById('sponsorship-detail-content');
+    if (!container) return;
+
+    const streamId = sp.stream?.id || sp.id;
+    const status = getStatus(sp);
+    const maxOps = sp.maxOperators !== null && sp.maxOperators !== undefined ? sp.maxOperators : '∞';
+    const insolvencyTs = parseInt(sp.projectedInsolvency || '0');
+    const insolvencyDate = insolvencyTs > 0 ? new Date(insolvencyTs * 1000).toLocaleString() : 'N/A';
+    const minStakingDays = Math.round(parseInt(sp.minimumStakingPeriodSeconds || '0') / 86400);
+
+    const stakesHtml = sp.stakes.length > 0 ? sp.stakes.map(stake => `
+        <li class="flex justify-between items-center py-2 border-b border-[#333333]">
+            <div class="min-w-0">
+                <div class="text-sm truncate">${createEntityLink(stake.operator)}</div>
+                <p class="text-xs text-gray-500">Joined ${formatTimestamp(parseInt(stake.joinTimestamp))}</p>
+            </div>
+            <p class="font-mono text-sm text-white whitespace-nowrap" data-tooltip-value="${convertWeiToData(stake.amountWei)}">${formatData(stake.amountWei)} DATA</p>
+        </li>
+    `).join('') : '<li class="text-gray-500 text-sm">No operators staked.</li>';
+
+    const flagsHtml = sp.flags.length > 0 ? sp.flags.map(flag => {
+        const votesHtml = flag.votes.map(vote => `
+            <li class="flex justify-between items-center text-xs py-1">
+                <span>${createEntityLink(vote.voter)}</span>
+                <div class="flex items-center gap-2">
+                    <span class="font-mono" data-tooltip-value="${convertWeiToData(vote.voterWeight)}">${formatBigNumber(convertWeiToData(vote.voterWeight))}</span>
+                    <span class="${vote.votedKick ? 'text-red-400' : 'text-green-400'} font-semibold">${vote.votedKick ? 'Kick' : 'Keep'}</span>
+                </div>
+            </li>
+        `).join('');
+
+        let resultText = flag.result || 'Pending';
+        if (resultText.toUpperCase() === 'FAILED' || resultText.toUpperCase() === 'VOTE_FAILED') {
+            resultText = 'False Flag';
+        }
+
+        const flagDateObj = new Date(flag.flaggingTimestamp * 1000);
+        const flagDate = flagDateObj.toLocaleDateString() + ', ' + flagDateObj.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        return `
+            <li class="py-2 border-b border-[#333333]">
+                <div class="flex justify-between items-center">
+                    <div>
+                        <p class="text-xs text-gray-400 font-mono mb-1">${flagDate}</p>
+                        <p class="text-xs text-gray-400">Flagged: ${createEntityLink(flag.target)}</p>
+                        <p class="text-xs text-gray-400">By: ${createEntityLink(flag.flagger)}</p>
+                        <p class="text-xs text-gray-400">Result: <span class="font-semibold">${resultText}</span></p>
+                    </div>
+                    <button class="text-gray-400 hover:text-white p-1 toggle-vote-list-btn" data-flag-id="${flag.id}"><svg class="w-5 h-5 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M19 9l-7 7-7-7"></path></svg></button>
+                </div>
+                <ul id="votes-${flag.id}" class="hidden mt-2 pl-4 border-l-2 border-gray-700">${votesHtml || '<li class="text-xs text-gray-500">No votes.</li>'}</ul>
+            </li>
+        `;
+    }).join('') : '<li class="text-gray-500 text-sm">No flags raised in this sponsorship.</li>';
+
+    const slashingHtml = sp.slashingEvents.length > 0 ? sp.slashingEvents.map(event => `
+        <li class="flex justify-between items-center py-2 border-b border-[#333333]">
+            <div class="min-w-0">
+                <div class="text-sm truncate">${createEntityLink(event.operator)}</div>
+                <p class="text-xs text-gray-500">${new Date(event.date * 1000).toLocaleString()}</p>
+            </div>
+            <p class="font-mono text-sm text-red-400 whitespace-nowrap" data-tooltip-value="${convertWeiToData(event.amount)}">-${formatData(event.amount)} DATA</p>
+        </li>
+    `).join('') : '<li class="text-gray-500 text-sm">No slashing events.</li>';
+
+    container.innerHTML = `
+        <div class="bg-[#1E1E1E] border border-[#333] rounded-xl p-6 md:p-8">
+            <div class="flex justify-between items-start mb-6 flex-wrap gap-4">
+                <div class="min-w-0">
+                    <div class="flex items-center gap-3 mb-1">
+                        <h2 class="text-2xl font-bold text-white truncate" title="${escapeHtml(streamId)}"><a href="/stream/${encodeURIComponent(streamId)}" class="hover:text-blue-400 transition-colors">${escapeHtml(streamId)}</a></h2>
+                        <span class="px-2 py-0.5 rounded-full text-xs font-medium border ${status.className}">${status.label}</span>
+                    </div>
+                    <p class="font-mono text-sm text-gray-400">Sponsorship ${createAddressLink(sp.id)}${sp.creator ? ` · Created by ${createAddressLink(sp.creator)}` : ''}</p>
+                </div>
+                <div class="flex items-start gap-4">
+                    <div class="text-right">
+                        <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Spot APY</p>
+                        <p class="text-xl font-bold text-green-400 tracking-tight">${formatApy(sp.spotAPY)}</p>
+                    </div>
+                    <button id="sponsorship-top-up-btn" class="bg-blue-800 hover:bg-blue-900 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors">Top Up</button>
+                </div>
+            </div>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-6">
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Remaining</p>
+                    <p class="text-lg font-bold text-white" data-tooltip-value="${convertWeiToData(sp.remainingWei)}">${formatData(sp.remainingWei)} DATA</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Payout / Day</p>
+                    <p class="text-lg font-bold text-white">${formatPayoutPerDay(sp.totalPayoutWeiPerSec)} DATA</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Total Staked</p>
+                    <p class="text-lg font-bold text-white" data-tooltip-value="${convertWeiToData(sp.totalStakedWei)}">${formatData(sp.totalStakedWei)} DATA</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Projected Insolvency</p>
+                    <p class="text-lg font-bold text-white" title="${insolvencyDate}">${formatRunway(sp.projectedInsolvency)}</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Operators</p>
+                    <p class="text-lg font-bold text-white">${sp.operatorCount} <span class="text-sm text-gray-500">(min ${sp.minOperators}, max ${maxOps})</span></p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Total Sponsored</p>
+                    <p class="text-lg font-bold text-white" data-tooltip-value="${convertWeiToData(sp.cumulativeSponsoring)}">${formatData(sp.cumulativeSponsoring)} DATA</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Min Staking Period</p>
+                    <p class="text-lg font-bold text-white">${minStakingDays > 0 ? `${minStakingDays} days` : 'None'}</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Flags / Slashings</p>
+                    <p class="text-lg font-bold ${sp.flags.length + sp.slashingEvents.length > 0 ? 'text-orange-400' : 'text-white'}">${sp.flags.length} / ${sp.slashingEvents.length}</p>
+                </div>
+            </div>
+        </div>
+
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div class="bg-[#1E1E1E] border border-[#333] rounded-xl p-6">
+                <h3 class="text-lg font-semibold text-white mb-4">Staked Operators <span class="text-sm text-gray-500">(${sp.stakes.length})</span></h3>
+                <ul class="max-h-96 overflow-y-auto pr-2">${stakesHtml}</ul>
+            </div>
+            <div class="space-y-6">
+                <div class="bg-[#1E1E1E] border border-[#333] rounded-xl p-6">
+                    <h3 class="text-lg font-semibold text-white mb-4">Flags <span class="text-sm text-gray-500">(${sp.flags.length})</span></h3>
+                    <ul class="max-h-72 overflow-y-auto pr-2">${flagsHtml}</ul>
+                </div>
+                <div class="bg-[#1E1E1E] border border-[#333] rounded-xl p-6">
+                    <h3 class="text-lg font-semibold text-white mb-4">Slashing History <span class="text-sm text-gray-500">(${sp.slashingEvents.length})</span></h3>
+                    <ul class="max-h-72 overflow-y-auto pr-2">${slashingHtml}</ul>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// Create & Top Up
+// ============================================
+
+const showModalWarning = (baseId, message) => {
+    const warningEl = document.getElementById(`${baseId}-warning`);
+    if (!warningEl) return;
+    warningEl.textContent = message || '';
+    warningEl.classList.toggle('hidden', !message);
+};
+
+/**
+ * Load the wallet's DATA balance into a modal
+ */
+async function loadModalBalance(baseId) {
+    const balanceEl = document.getElementById(`${baseId}-balance`);
+    state.dataBalanceWei = null;
+    if (balanceEl) balanceEl.textContent = 'Loading...';
+    try {
+        const balance = await fetchDataBalance(state.signer.provider, state.address);
+        state.dataBalanceWei = BigInt(balance.toString());
+        if (balanceEl) balanceEl.textContent = `${formatData(state.dataBalanceWei.toString())} DATA`;
+    } catch (e) {
+        console.error('Failed to load DATA balance:', e);
+        if (balanceEl) balanceEl.textContent = 'Unavailable';
+    }
+}
+
+/**
+ * Validate the create form and update the runway preview
+ * @returns {Object|null} Parameters for confirmCreateSponsorship, or null if the form is invalid
+ */
+function updateCreatePreview() {
+    const value = (field) => document.getElementById(`create-sponsorship-modal-${field}`).value.trim();
+    const runwayEl = document.getElementById('create-sponsorship-modal-runway');
+
+    const streamId = value('stream');
+    const amountWei = parseDataAmount(value('amount'));
+    const payoutPerDayWei = parseDataAmount(value('payout'));
+    const payoutWeiPerSec = payoutPerDayWei ? payoutPerDayWei / 86400n : 0n;
+    const minOperators = Number(value('min-operators'));
+    const maxOperators = value('max-operators') === '' ? null : Number(value('max-operators'));
+    const minStakeDays = Number(value('min-stake-days') || '0');
+
+    runwayEl.textContent = amountWei && payoutWeiPerSec > 0n
+        ? formatRunwayUntil(nowSeconds() + Number(amountWei / payoutWeiPerSec))
+        : '-';
+
+    let warning = '';
+    if (!streamId || /\s/.test(streamId)) warning = 'Enter the ID of the stream to sponsor.';
+    else if (!amountWei) warning = 'Enter the initial funding.';
+    else if (state.dataBalanceWei !== null && amountWei > state.dataBalanceWei) warning = 'Insufficient DATA balance.';
+    else if (payoutWeiPerSec <= 0n) warning = 'Enter the payout per day.';
+    else if (!Number.isInteger(minOperators) || minOperators < 1) warning = 'Min operators must be a whole number of at least 1.';
+    else if (maxOperators !== null && (!Number.isInteger(maxOperators) || maxOperators < minOperators)) warning = 'Max operators must be a whole number not below min operators.';
+    else if (isNaN(minStakeDays) || minStakeDays < 0) warning = 'Minimum stake duration cannot be negative.';
+
+    // Only complain about fields once the user has started filling in the form
+    showModalWarning('create-sponsorship-modal', streamId || amountWei ? warning : '');
+    if (warning) return null;
+
+    return {
+        streamId,
+        amountWei: ethers.BigNumber.from(amountWei.toString()),
+        payoutWeiPerSec: ethers.BigNumber.from(payoutWeiPerSec.toString()),
+        minOperators,
+        maxOperators,
+        minStakeDurationSeconds: Math.round(minStakeDays * 86400)
+    };
+}
+
+/**
+ * Validate the top-up amount and update the runway preview
+ * @returns {bigint|null} The amount in wei, or null if it is invalid
+ */
+function updateTopUpPreview(sp) {
+    const amountWei = parseDataAmount(document.getElementById('top-up-sponsorship-modal-amount').value);
+    const newRunwayEl = document.getElementById('top-up-sponsorship-modal-new-runway');
+    const rate = BigInt(sp.totalPayoutWeiPerSec || '0');
+
+    if (rate === 0n) {
+        newRunwayEl.textContent = 'No payouts';
+    } else if (amountWei) {
+        // Funds added after insolvency start paying out from now
+        const base = Math.max(parseInt(sp.projectedInsolvency || '0'), nowSeconds());
+        newRunwayEl.textContent = formatRunwayUntil(base + Number(amountWei / rate));
+    } else {
+        newRunwayEl.textContent = '-';
+    }
+
+    let warning = '';
+    if (amountWei && state.dataBalanceWei !== null && amountWei > state.dataBalanceWei) warning = 'Insufficient DATA balance.';
+    showModalWarning('top-up-sponsorship-modal', warning);
+    return amountWei && !warning ? amountWei : null;
+}
+
+/**
+ * Fetch a sponsorship once the subgraph has indexed the transaction that created or changed it
+ * @param {string} sponsorshipId - The sponsorship address
+ * @param {string} txHash - The confirmed transaction
+ * @returns {Promise<Object|null>} null when the subgraph did not catch up in time
+ */
+async function waitForSponsorship(sponsorshipId, txHash) {
+    try {
+        if (!await waitForTransactionIndexed(txHash)) return null;
+        return await fetchSponsorshipById(sponsorshipId);
+    } catch (e) {
+        console.warn('Waiting for the subgraph to index the sponsorship:', e);
+        return null;
+    }
+}
+
+function openCreateSponsorshipModal() {
+    if (!state.signer) {
+        showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
+        return;
+    }
+
+    setModalState('create-sponsorship-modal', 'input');
+    ['stream', 'amount', 'payout', 'max-operators'].forEach(field => {
+        document.getElementById(`create-sponsorship-modal-${field}`).value = '';
+    });
+    document.getElementById('create-sponsorship-modal-min-operators').value = '1';
+    document.getElementById('create-sponsorship-modal-min-stake-days').value = '14';
+    createSponsorshipModal.classList.remove('hidden');
+
+    const confirmBtn = document.getElementById('create-sponsorship-modal-confirm');
+    const newConfirmBtn = confirmBtn.cloneNode(true);
+    confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+    newConfirmBtn.disabled = !updateCreatePreview();
+
+    document.getElementById('create-sponsorship-modal-input-section').oninput = () => {
+        newConfirmBtn.disabled = !updateCreatePreview();
+    };
+    loadModalBalance('create-sponsorship-modal').then(() => {
+        newConfirmBtn.disabled = !updateCreatePreview();
+    });
+
+    newConfirmBtn.addEventListener('click', async () => {
+        const params = updateCreatePreview();
+        if (!params) return;
+        newConfirmBtn.disabled = true;
+        newConfirmBtn.innerHTML = `<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div> Processing...`;
+
+        const result = await confirmCreateSponsorship(state.signer, params);
+
+        const currentBtn = document.getElementById('create-sponsorship-modal-confirm');
+        if (currentBtn) {
+            currentBtn.disabled = false;
+            currentBtn.textContent = 'Create';
+        }
+        if (!result) return;
+
+        if (result.sponsorshipId && await waitForSponsorship(result.sponsorshipId, result.txHash)) {
+            // Only move the user if they are still on the sponsorships pages
+            if (state.isActive && window.router) {
+                window.router.navigate(`/sponsorship/${result.sponsorshipId}`);
+            } else {
+                showToast({
+                    type: 'success',
+                    title: 'Sponsorship Created',
+                    message: `<a href="/sponsorship/${result.sponsorshipId}" class="underline">View the new sponsorship</a>`,
+                    duration: 10000
+                });
+            }
+        } else {
+            showToast({ type: 'info', title: 'Indexing', message: 'The new sponsorship will appear in the list once the subgraph has indexed it.', duration: 6000 });
+            if (state.isActive) SponsorshipsLogic.loadInitialSponsorships();
+        }
+    });
+}
+
+function openTopUpModal() {
+    const sp = state.selectedSponsorship;
+    if (!sp) return;
+    if (!state.signer) {
+        showToast({ type: 'warning', title: 'Wallet Required', message: 'Please connect your wallet.' });
+        return;
+    }
+
+    setModalState('top-up-sponsorship-modal', 'input');
+    document.getElementById('top-up-sponsorship-modal-amount').value = '';
+    document.getElementById('top-up-sponsorship-modal-stream').textContent = sp.stream?.id || sp.id;
+    document.getElementById('top-up-sponsorship-modal-payout').textContent = `${formatPayoutPerDay(sp.totalPayoutWeiPerSec)} DATA`;
+    document.getElementById('top-up-sponsorship-modal-current-runway').textContent = formatRunwayUntil(parseInt(sp.projectedInsolvency || '0'));
+    document.getElementById('top-up-sponsorship-modal-note').classList.toggle('hidden', sp.operatorCount >= sp.minOperators);
+    topUpSponsorshipModal.classList.remove('hidden');
+
+    const confirmBtn = document.getElementById('top-up-sponsorship-modal-confirm');
+    const newConfirmBtn = confirmBtn.cloneNode(true);
+    confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+    newConfirmBtn.disabled = !updateTopUpPreview(sp);
+
+    document.getElementById('top-up-sponsorship-modal-amount').oninput = () => {
+        newConfirmBtn.disabled = !updateTopUpPreview(sp);
+    };
+    loadModalBalance('top-up-sponsorship-modal').then(() => {
+        newConfirmBtn.disabled = !updateTopUpPreview(sp);
+    });
+
+    newConfirmBtn.addEventListener('click', async () => {
+        const amountWei = updateTopUpPreview(sp);
+        if (!amountWei) return;
+        newConfirmBtn.disabled = true;
+        newConfirmBtn.innerHTML = `<div class="w-4 h-4 border-2 border-white rounded-full border-t-transparent btn-spinner"></div> Processing...`;
+
+        const txHash = await confirmSponsorshipTopUp(state.signer, sp.id, ethers.BigNumber.from(amountWei.toString()));
+
+        const currentBtn = document.getElementById('top-up-sponsorship-modal-confirm');
+        if (currentBtn) {
+            currentBtn.disabled = false;
+            currentBtn.textContent = 'Top Up';
+        }
+        if (!txHash) return;
+
+        const updated = await waitForSponsorship(sp.id, txHash);
+        if (updated && state.isActive && state.selectedSponsorship?.id === sp.id) {
+            state.selectedSponsorship = updated;
+            renderDetail(updated);
+        }
+    });
+}
+
+// ============================================
+// Public API (SponsorshipsLogic)
+// ============================================
+
+export const SponsorshipsLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) state.dataPriceUSD = sharedState.dataPriceUSD;
+        if (sharedState.signer !== undefined) state.signer = sharedState.signer;
+        if (sharedState.myRealAddress !== undefined) state.address = sharedState.myRealAddress;
+    },
+
+    /**
+     * Initialize the sponsorships module
+     * @param {URLSearchParams} [query] - "q" holds the search term
+     */
+    async init(query = new URLSearchParams()) {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        const search = (query.get('q') || '').trim();
+        const searchInput = document.getElementById('sponsorships-search-input');
+        if (searchInput) searchInput.value = search;
+
+        // The detail route can initialize the module before the list was ever fetched
+        if (search !== state.filters.search) {
+            state.filters.search = search;
+            await this.loadInitialSponsorships();
+        } else if (state.sponsorships.length === 0 && state.pagination.hasMore) {
+            await this.loadInitialSponsorships();
+        } else {
+            renderList();
+        }
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Search input (stream ID or sponsorship address)
+        const searchInput = document.getElementById('sponsorships-search-input');
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    state.filters.search = e.target.value.trim();
+                    if (window.router) window.router.updateQuery({ q: state.filters.search });
+                    this.loadInitialSponsorships();
+                }, 500);
+            });
+        }
+
+        // Status filter
+        const statusSelect = document.getElementById('sponsorships-status-filter');
+        if (statusSelect) {
+            statusSelect.value = state.filters.status;
+            statusSelect.addEventListener('change', (e) => {
+                state.filters.status = e.target.value;
+                this.loadInitialSponsorships();
+            });
+        }
+
+        // Sort dropdown (mobile-friendly alternative to header clicks)
+        const sortSelect = document.getElementById('sponsorships-sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.setSort(e.target.value, 'desc');
+            });
+        }
+
+        // Sortable column headers
+        document.querySelectorAll('[data-sponsorship-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                const field = th.dataset.sponsorshipSort;
+                const direction = state.sort.field === field && state.sort.direction === 'desc' ? 'asc' : 'desc';
+                this.setSort(field, direction);
+            });
+        });
+
+        // Load more
+        const loadMoreBtn = document.getElementById('sponsorships-load-more-btn');
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', () => this.loadMoreSponsorships());
+        }
+
+        // Create sponsorship
+        const createBtn = document.getElementById('sponsorships-create-btn');
+        if (createBtn) {
+            createBtn.addEventListener('click', () => openCreateSponsorshipModal());
+        }
+
+        // Top up (the detail content is re-rendered, so delegate)
+        const detailContent = document.getElementById('sponsorship-detail-content');
+        if (detailContent) {
+            detailContent.addEventListener('click', (e) => {
+                if (e.target.closest('#sponsorship-top-up-btn')) openTopUpModal();
+            });
+        }
+
+        const createCancelBtn = document.getElementById('create-sponsorship-modal-cancel');
+        if (createCancelBtn) {
+            createCancelBtn.addEventListener('click', () => createSponsorshipModal.classList.add('hidden'));
+        }
+        const topUpCancelBtn = document.getElementById('top-up-sponsorship-modal-cancel');
+        if (topUpCancelBtn) {
+            topUpCancelBtn.addEventListener('click', () => topUpSponsorshipModal.classList.add('hidden'));
+        }
+
+        // Back button in detail view
+        const backBtn = document.getElementById('sponsorship-detail-back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => {
+                if (window.router) window.router.navigate('/sponsorships');
+            });
+        }
+
+        // USD tooltips for both views
+        ['sponsorships-list-view', 'sponsorship-detail-view'].forEach(viewId => {
+            const view = document.getElementById(viewId);
+            if (!view) return;
+
+            view.addEventListener('mouseover', (e) => {
+                const target = e.target.closest('[data-tooltip-value]');
+                if (!target) return;
+
+                const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+                if (content) {
+                    customTooltip.textContent = content;
+                    customTooltip.classList.remove('hidden');
+                }
+            });
+
+            view.addEventListener('mousemove', (e) => {
+                if (!customTooltip.classList.contains('hidden')) {
+                    customTooltip.style.left = `${e.pageX + 15}px`;
+                    customTooltip.style.top = `${e.pageY + 15}px`;
+                }
+            });
+
+            view.addEventListener('mouseout', (e) => {
+                if (e.target.closest('[data-tooltip-value]')) {
+                    customTooltip.classList.add('hidden');
+                }
+            });
+        });
+    },
+
+    /**
+     * Change the sort order and reload from the first page
+     */
+    setSort(field, direction = 'desc') {
+        if (!SORTABLE_FIELDS.includes(field)) return;
+        state.sort.field = field;
+        state.sort.direction = direction === 'asc' ? 'asc' : 'desc';
+        this.loadInitialSponsorships();
+    },
+
+    /**
+     * Load the first page of sponsorships
+     */
+    async loadInitialSponsorships() {
+        state.pagination.skip = 0;
+        state.pagination.hasMore = true;
+        state.sponsorships = [];
+
+        await this.fetchSponsorships(false);
+    },
+
+    /**
+     * Load more sponsorships (pagination)
+     */
+    async loadMoreSponsorships() {
+        if (state.pagination.isLoading || !state.pagination.hasMore) return;
+        await this.fetchSponsorships(true);
+    },
+
+    /**
+     * Fetch sponsorships from the subgraph
+     */
+    async fetchSponsorships(isLoadMore) {
+        const requestId = ++state.loadRequestId;
+        const isLatest = () => requestId === state.loadRequestId;
+        state.pagination.isLoading = true;
+
+        const loadingScreen = document.getElementById('sponsorships-loading');
+        const loadMoreBtn = document.getElementById('sponsorships-load-more-btn');
+
+        if (!isLoadMore && loadingScreen) loadingScreen.classList.remove('hidden');
+        if (isLoadMore && loadMoreBtn) {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.textContent = 'Loading...';
+        }
+
+        try {
+            const list = await fetchSponsorshipsList(state.pagination.skip, state.pagination.limit);
+            if (!isLatest()) return;
+
+            state.sponsorships = isLoadMore ? [...state.sponsorships, ...list] : list;
+
+            if (list.length < state.pagination.limit) {
+                state.pagination.hasMore = false;
+            } else {
+                state.pagination.skip += state.pagination.limit;
+            }
+
+            renderList();
+        } catch (err) {
+            if (!isLatest()) return;
+            console.error("Failed to fetch sponsorships:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load sponsorships',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            // A newer load owns the loading state
+            if (isLatest()) {
+                state.pagination.isLoading = false;
+
+                if (loadingScreen) loadingScreen.classList.add('hidden');
+                if (loadMoreBtn) {
+                    loadMoreBtn.disabled = false;
+                    loadMoreBtn.textContent = 'Load More';
+                }
+            }
+        }
+    },
+
+    /**
+     * Show sponsorship detail by ID (called from router)
+     */
+    async showSponsorshipDetail(sponsorshipId) {
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        state.isActive = true;
+
+        const container = document.getElementById('sponsorship-detail-content');
+        if (container) {
+            container.innerHTML = `
+                <div class="flex justify-center py-20">
+                    <div class="loader rounded-full border-4 border-[#555] border-t-transparent h-10 w-10 animate-spin"></div>
+                </div>
+            `;
+        }
+
+        if (!isAddress(sponsorshipId)) {
+            showToast({
+                type: 'error',
+                title: 'Invalid sponsorship',
+                message: 'Sponsorship ID must be a valid contract address.',
+                duration: 5000
+            });
+            if (window.router) window.router.navigate('/sponsorships');
+            return;
+        }
+
+        try {
+            const sponsorship = await fetchSponsorshipById(sponsorshipId, { routeScoped: true });
+
+            if (!sponsorship) {
+                showToast({
+                    type: 'error',
+                    title: 'Sponsorship not found',
+                    message: `No data found for ${sponsorshipId.slice(0, 6)}...${sponsorshipId.slice(-4)}`,
+                    duration: 5000
+                });
+                if (window.router) window.router.navigate('/sponsorships');
+                return;
+            }
+
+            state.selectedSponsorship = sponsorship;
+            if (state.isActive) renderDetail(sponsorship);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Failed to load sponsorship:', err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load sponsorship',
+                message: err.message,
+                duration: 5000
+            });
+
+            if (window.router) window.router.navigate('/sponsorships');
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+        state.selectedSponsorship = null;
+    }
+};
+
+export default SponsorshipsLogic;
@@ -0,0 +1,736 @@
+/**
+ * Streams Feature Module
+ * Handles the streams explorer: search by stream ID, funding sponsorships,
+ * serving operators and a live message tail with payload inspector
+ */
+
+import { STREAM_TAIL_MAX_MESSAGES, STREAMS_SEARCH_PAGE_SIZE, MIN_SEARCH_LENGTH, SUBGRAPH_CACHE_TTL } from '../core/constants.js';
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, createAddressLink, createEntityLink } from '../core/utils.js';
+import { runQuery, isAbortError, subscribeToStreamTail, unsubscribeFromStreamTail } from '../core/services.js';
+import { showToast, customTooltip } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    // Search / list
+    streams: [],
+    searchQuery: '',
+    // Incremented per list load; responses of older loads are dropped
+    loadRequestId: 0,
+
+    // Selected stream
+    selectedStream: null,
+
+    // Live tail
+    tail: {
+        streamId: null,
+        isSubscribed: false,
+        isPaused: false,
+        messages: [],
+        receivedTimestamps: [],
+        totalReceived: 0,
+        selectedIndex: null,
+        rateIntervalId: null,
+        // Incremented per subscribe and unsubscribe, so a subscription that resolves late can tell it is stale
+        subscriptionId: 0
+    },
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+// Window (ms) used to compute the message rate
+const RATE_WINDOW_MS = 10000;
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData(wei || '0'));
+
+/**
+ * Sum payout per second of sponsorships and express it per day (wei string)
+ */
+const sumPayoutPerDay = (sponsorships) => {
+    const total = sponsorships.reduce((sum, sp) => sum + BigInt(sp.totalPayoutWeiPerSec || '0'), 0n);
+    return (total * 86400n).toString();
+};
+
+/**
+ * Sum remaining balance of sponsorships (wei string)
+ */
+const sumRemaining = (sponsorships) => {
+    return sponsorships.reduce((sum, sp) => sum + BigInt(sp.remainingWei || '0'), 0n).toString();
+};
+
+/**
+ * Check if a sponsorship still has runway
+ */
+const isActiveSponsorship = (sp) => parseInt(sp.projectedInsolvency || '0') > Math.floor(Date.now() / 1000);
+
+/**
+ * Build the in-app URL for a stream (stream IDs contain slashes)
+ */
+const getStreamPath = (streamId) => `/stream/${encodeURIComponent(streamId)}`;
+
+/**
+ * Serialize a message payload for display
+ */
+const serializePayload = (content, pretty = false) => {
+    if (content instanceof Uint8Array) {
+        return `<binary ${content.length} bytes>`;
+    }
+    try {
+        return pretty ? JSON.stringify(content, null, 2) : JSON.stringify(content);
+    } catch (e) {
+        return String(content);
+    }
+};
+
+/**
+ * Aggregate the operators staked across a stream's sponsorships
+ * @returns {Array<{operator: object, amountWei: string, sponsorshipCount: number}>}
+ */
+const aggregateOperators = (sponsorships) => {
+    const byOperator = new Map();
+    sponsorships.forEach(sp => {
+        (sp.stakes || []).forEach(stake => {
+            const id = stake.operator.id;
+            const entry = byOperator.get(id) || { operator: stake.operator, amount: 0n, sponsorshipCount: 0 };
+            entry.amount += BigInt(stake.amountWei || '0');
+            entry.sponsorshipCount += 1;
+            byOperator.set(id, entry);
+        });
+    });
+
+    return [...byOperator.values()]
+        .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0))
+        .map(entry => ({ operator: entry.operator, amountWei: entry.amount.toString(), sponsorshipCount: entry.sponsorshipCount }));
+};
+
+// ============================================
+// Data Fetching
+// ============================================
+
+const SPONSORSHIP_FIELDS = `
+    id
+    isRunning
+    remainingWei
+    totalPayoutWeiPerSec
+    projectedInsolvency
+    spotAPY
+    operatorCount
+`;
+
+/**
+ * Fetch streams that currently have active sponsorships (default list)
+ */
+async function fetchSponsoredStreams() {
+    const now = Math.floor(Date.now() / 1000);
+    const query = `
+        {
+            sponsorships(
+                first: 1000
+                orderBy: totalPayoutWeiPerSec
+                orderDirection: desc
+                where: { projectedInsolvency_gt: "${now}" }
+            ) {
+                ${SPONSORSHIP_FIELDS}
+                stream { id }
+            }
+        }
+    `;
+
+    const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.LIST });
+    const byStream = new Map();
+    (data.sponsorships || []).forEach(sp => {
+        if (!sp.stream) return;
+        const entry = byStream.get(sp.stream.id) || { id: sp.stream.id, sponsorships: [] };
+        entry.sponsorships.push(sp);
+        byStream.set(sp.stream.id, entry);
+    });
+
+    return [...byStream.values()].slice(0, STREAMS_SEARCH_PAGE_SIZE);
+}
+
+/**
+ * Search streams by (partial) stream ID
+ */
+async function searchStreams(term) {
+    const sanitized = term.replace(/["\\]/g, '');
+    const query = `
+        {
+            streams(first: ${STREAMS_SEARCH_PAGE_SIZE}, where: { id_contains_nocase: "${sanitized}" }) {
+                id
+                sponsorships(first: 20) {
+                    ${SPONSORSHIP_FIELDS}
+                }
+            }
+        }
+    `;
+
+    const data = await runQuery(query, { ttl: SUBGRAPH_CACHE_TTL.LIST });
+    return data.streams || [];
+}
+
+/**
+ * Fetch a single stream with its sponsorships and the operators staked in them
+ */
+async function fetchStreamById(streamId) {
+    const sanitized = streamId.replace(/["\\]/g, '');
+    const query = `
+        {
+            stream(id: "${sanitized}") {
+                id
+                metadata
+                sponsorships(first: 100) {
+                    ${SPONSORSHIP_FIELDS}
+                    stakes(first: 100, orderBy: amountWei, orderDirection: desc) {
+                        amountWei
+                        operator { id metadataJsonString }
+                    }
+                }
+            }
+        }
+    `;
+
+    const data = await runQuery(query, { routeScoped: true });
+    return data.stream || null;
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render the streams search results
+ */
+function renderList() {
+    const listEl = document.getElementById('streams-list');
+    const emptyState = document.getElementById('streams-empty-state');
+    const titleEl = document.getElementById('streams-list-title');
+
+    if (!listEl) return;
+
+    if (titleEl) {
+        titleEl.textContent = state.searchQuery ? `Results for "${state.searchQuery}"` : 'Sponsored Streams';
+    }
+
+    if (state.streams.length === 0) {
+        listEl.innerHTML = '';
+        if (emptyState) emptyState.classList.remove('hidden');
+        return;
+    }
+
+    if (emptyState) emptyState.classList.add('hidden');
+
+    listEl.innerHTML = state.streams.map(stream => {
+        const sponsorships = stream.sponsorships || [];
+        const activeCount = sponsorships.filter(isActiveSponsorship).length;
+        const payoutPerDay = sumPayoutPerDay(sponsorships.filter(isActiveSponsorship));
+
+        return `
+            <a href="${getStreamPath(stream.id)}" class="block bg-[#1E1E1E] border border-[#333] rounded-xl p-4 hover:border-[#444] hover:bg-[#252525] transition-colors">
+                <p class="text-sm text-gray-200 truncate" title="${escapeHtml(stream.id)}">${escapeHtml(stream.id)}</p>
+                <div class="flex items-center gap-4 mt-2 text-xs text-gray-500">
+                    <span>Sponsorships: <strong class="text-gray-300">${activeCount}/${sponsorships.length}</strong></span>
+                    <span>Payout: <strong class="text-gray-300">${formatData(payoutPerDay)} DATA/day</strong></span>
+                </div>
+            </a>
+        `;
+    }).join('');
+}
+
+/**
+ * Render stream detail (header, sponsorships and operators panels)
+ */
+function renderDetail(stream) {
+    const idEl = document.getElementById('stream-detail-id');
+    const descriptionEl = document.getElementById('stream-detail-description');
+    const sponsorshipsEl = document.getElementById('stream-detail-sponsorships');
+    const operatorsEl = document.getElementById('stream-detail-operators');
+    const statsEl = document.getElementById('stream-detail-stats');
+
+    if (idEl) {
+        idEl.textContent = stream.id;
+        idEl.title = stream.id;
+    }
+
+    if (descriptionEl) {
+        let description = '';
+        try {
+            description = JSON.parse(stream.metadata || '{}').description || '';
+        } catch (e) { /* ignore */ }
+        descriptionEl.textContent = description;
+        descriptionEl.classList.toggle('hidden', !description);
+    }
+
+    const sponsorships = stream.sponsorships || [];
+    const active = sponsorships.filter(isActiveSponsorship);
+    const operators = aggregateOperators(active);
+
+    if (statsEl) {
+        statsEl.innerHTML = `
+            <div>
+                <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Active Sponsorships</p>
+                <p class="text-lg font-bold text-white">${active.length} <span class="text-sm text-gray-500">/ ${sponsorships.length}</span></p>
+            </div>
+            <div>
+                <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Payout / Day</p>
+                <p class="text-lg font-bold text-white">${formatData(sumPayoutPerDay(active))} DATA</p>
+            </div>
+            <div>
+                <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Remaining</p>
+                <p class="text-lg font-bold text-white" data-tooltip-value="${convertWeiToData(sumRemaining(active))}">${formatData(sumRemaining(active))} DATA</p>
+            </div>
+            <div>
+                <p class="text-xs text-gray-500 uppercase tracking-wide font-medium mb-1">Operators</p>
+                <p class="text-lg font-bold text-white">${operators.length}</p>
+            </div>
+        `;
+    }
+
+    if (sponsorshipsEl) {
+        sponsorshipsEl.innerHTML = sponsorships.length > 0 ? sponsorships.map(sp => `
+            <li class="flex justify-between items-center py-2 border-b border-[#333333] gap-4">
+                <div class="min-w-0">
+                    <a href="/sponsorship/${sp.id}" class="font-mono text-sm text-gray-300 hover:text-white transition-colors">${sp.id.slice(0, 6)}...${sp.id.slice(-4)}</a>
+                    <p class="text-xs ${isActiveSponsorship(sp) ? 'text-green-400' : 'text-red-400'}">${isActiveSponsorship(sp) ? (sp.isRunning ? 'Running' : 'Not running') : 'Expired'} · ${sp.operatorCount} operators</p>
+                </div>
+                <div class="text-right whitespace-nowrap">
+                    <p class="font-mono text-sm text-white" data-tooltip-value="${convertWeiToData(sp.remainingWei)}">${formatData(sp.remainingWei)} DATA</p>
+                    <p class="text-xs text-gray-500">${formatData((BigInt(sp.totalPayoutWeiPerSec || '0') * 86400n).toString())} DATA/day · ${(Number(sp.spotAPY || 0) * 100).toFixed(1)}%</p>
+                </div>
+            </li>
+        `).join('') : '<li class="text-gray-500 text-sm">No sponsorships fund this stream.</li>';
+    }
+
+    if (operatorsEl) {
+        operatorsEl.innerHTML = operators.length > 0 ? operators.map(entry => `
+            <li class="flex justify-between items-center py-2 border-b border-[#333333] gap-4">
+                <div class="min-w-0">
+                    <div class="text-sm truncate">${createEntityLink(entry.operator)}</div>
+                    <p class="text-xs text-gray-500">${entry.sponsorshipCount} sponsorship${entry.sponsorshipCount > 1 ? 's' : ''}</p>
+                </div>
+                <p class="font-mono text-sm text-white whitespace-nowrap" data-tooltip-value="${convertWeiToData(entry.amountWei)}">${formatData(entry.amountWei)} DATA</p>
+            </li>
+        `).join('') : '<li class="text-gray-500 text-sm">No operators are serving this stream.</li>';
+    }
+}
+
+/**
+ * Update subscribe button, status indicator and counters of the live tail
+ */
+function renderTailStatus(status = null) {
+    const btn = document.getElementById('stream-tail-toggle-btn');
+    const pauseBtn = document.getElementById('stream-tail-pause-btn');
+    const indicator = document.getElementById('stream-tail-indicator');
+    const rateEl = document.getElementById('stream-tail-rate');
+    const totalEl = document.getElementById('stream-tail-total');
+
+    if (btn) {
+        btn.textContent = state.tail.isSubscribed ? 'Unsubscribe' : 'Subscribe';
+        btn.classList.toggle('bg-blue-800', !state.tail.isSubscribed);
+        btn.classList.toggle('bg-[#333333]', state.tail.isSubscribed);
+    }
+
+    if (pauseBtn) {
+        pauseBtn.classList.toggle('hidden', !state.tail.isSubscribed);
+        pauseBtn.textContent = state.tail.isPaused ? 'Resume' : 'Pause';
+    }
+
+    if (indicator) {
+        if (status === 'connecting') {
+            indicator.className = 'w-3 h-3 rounded-full bg-yellow-500 animate-pulse';
+            indicator.title = 'Connecting...';
+        } else if (status === 'error') {
+            indicator.className = 'w-3 h-3 rounded-full bg-red-500';
+            indicator.title = 'Error subscribing to stream.';
+        } else if (state.tail.isSubscribed) {
+            const hasMessages = state.tail.totalReceived > 0;
+            indicator.className = `w-3 h-3 rounded-full ${hasMessages ? 'bg-green-500' : 'bg-gray-400'}`;
+            indicator.title = hasMessages ? 'Subscribed, receiving data.' : 'Subscribed. Awaiting first message...';
+        } else {
+            indicator.className = 'w-3 h-3 rounded-full bg-gray-600';
+            indicator.title = 'Not subscribed';
+        }
+    }
+
+    if (rateEl) {
+        const cutoff = Date.now() - RATE_WINDOW_MS;
+        state.tail.receivedTimestamps = state.tail.receivedTimestamps.filter(ts => ts >= cutoff);
+        const rate = state.tail.receivedTimestamps.length / (RATE_WINDOW_MS / 1000);
+        rateEl.textContent = `${rate.toFixed(1)} msg/s`;
+    }
+
+    if (totalEl) totalEl.textContent = state.tail.totalReceived;
+}
+
+/**
+ * Render the message tail list
+ */
+function renderTailMessages() {
+    const listEl = document.getElementById('stream-tail-messages');
+    if (!listEl) return;
+
+    if (state.tail.messages.length === 0) {
+        listEl.innerHTML = `<p class="text-gray-500 text-sm p-3">${state.tail.isSubscribed ? 'Waiting for messages...' : 'Subscribe to see live messages.'}</p>`;
+        return;
+    }
+
+    listEl.innerHTML = state.tail.messages.map((msg, index) => `
+        <button class="stream-tail-message w-full text-left px-3 py-2 border-b border-[#333333]/50 hover:bg-[#252525] transition-colors ${state.tail.selectedIndex === index ? 'bg-[#252525]' : ''}" data-index="${index}">
+            <div class="flex justify-between text-[10px] text-gray-500 mb-0.5">
+                <span class="font-mono">${new Date(msg.timestamp).toLocaleTimeString()}</span>
+                <span class="font-mono truncate ml-2">${msg.publisherId ? `${msg.publisherId.slice(0, 6)}...${msg.publisherId.slice(-4)}` : ''}</span>
+            </div>
+            <p class="font-mono text-xs text-gray-300 truncate">${escapeHtml(serializePayload(msg.content))}</p>
+        </button>
+    `).join('');
+}
+
+/**
+ * Render the payload inspector for the selected message
+ */
+function renderInspector() {
+    const inspectorEl = document.getElementById('stream-tail-inspector');
+    const metaEl = document.getElementById('stream-tail-inspector-meta');
+    if (!inspectorEl) return;
+
+    const msg = state.tail.selectedIndex !== null ? state.tail.messages[state.tail.selectedIndex] : null;
+    if (!msg) {
+        inspectorEl.textContent = 'Select a message to inspect its payload.';
+        if (metaEl) metaEl.innerHTML = '';
+        return;
+    }
+
+    inspectorEl.textContent = serializePayload(msg.content, true);
+    if (metaEl) {
+        metaEl.innerHTML = `
+            <span>${new Date(msg.timestamp).toLocaleString()}</span>
+            ${msg.publisherId ? `<span>Publisher: ${createAddressLink(msg.publisherId)}</span>` : ''}
+            ${msg.partition !== undefined ? `<span>Partition: ${msg.partition}</span>` : ''}
+        `;
+    }
+}
+
+// ============================================
+// Public API (StreamsLogic)
+// ============================================
+
+export const StreamsLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) state.dataPriceUSD = sharedState.dataPriceUSD;
+    },
+
+    /**
+     * Initialize the streams module (list view)
+     * @param {URLSearchParams} [query] - "q" holds the search term
+     */
+    async init(query = new URLSearchParams()) {
+        state.isActive = true;
+        this.ensureInitialized();
+
+        const term = (query.get('q') || '').trim();
+        const search = term.length >= MIN_SEARCH_LENGTH ? term : '';
+        const searchInput = document.getElementById('streams-search-input');
+        if (searchInput) searchInput.value = search;
+
+        if (search !== state.searchQuery) {
+            state.searchQuery = search;
+            await this.loadStreams();
+        } else if (state.streams.length === 0 && !state.searchQuery) {
+            await this.loadStreams();
+        } else {
+            renderList();
+        }
+    },
+
+    /**
+     * Set up listeners once, regardless of which route loaded the module first
+     */
+    ensureInitialized() {
+        if (state.isInitialized) return;
+        this.setupEventListeners();
+        state.isInitialized = true;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const searchInput = document.getElementById('streams-search-input');
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                const term = e.target.value.trim();
+                if (term && term.length < MIN_SEARCH_LENGTH) return;
+
+                searchTimeout = setTimeout(() => {
+                    state.searchQuery = term;
+                    if (window.router) window.router.updateQuery({ q: term });
+                    this.loadStreams();
+                }, 500);
+            });
+
+            // Enter on a full stream ID jumps straight to it
+            searchInput.addEventListener('keydown', (e) => {
+                const term = e.target.value.trim();
+                if (e.key === 'Enter' && term.includes('/') && window.router) {
+                    window.router.navigate(getStreamPath(term));
+                }
+            });
+        }
+
+        const backBtn = document.getElementById('stream-detail-back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => {
+                if (window.router) window.router.navigate('/streams');
+            });
+        }
+
+        const toggleBtn = document.getElementById('stream-tail-toggle-btn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                if (state.tail.isSubscribed) {
+                    this.unsubscribe();
+                } else if (state.selectedStream) {
+                    this.subscribe(state.selectedStream.id);
+                }
+            });
+        }
+
+        const pauseBtn = document.getElementById('stream-tail-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                state.tail.isPaused = !state.tail.isPaused;
+                renderTailStatus();
+                if (!state.tail.isPaused) renderTailMessages();
+            });
+        }
+
+        const clearBtn = document.getElementById('stream-tail-clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                state.tail.messages = [];
+                state.tail.selectedIndex = null;
+                renderTailMessages();
+                renderInspector();
+            });
+        }
+
+        const messagesEl = document.getElementById('stream-tail-messages');
+        if (messagesEl) {
+            messagesEl.addEventListener('click', (e) => {
+                const item = e.target.closest('.stream-tail-message');
+                if (!item) return;
+                state.tail.selectedIndex = parseInt(item.dataset.index);
+                // Pause so the inspected message doesn't scroll away
+                if (state.tail.isSubscribed && !state.tail.isPaused) {
+                    state.tail.isPaused = true;
+                    renderTailStatus();
+                }
+                renderTailMessages();
+                renderInspector();
+            });
+        }
+
+        // USD tooltips on the detail view
+        const detailView = document.getElementById('stream-detail-view');
+        if (detailView) {
+            detailView.addEventListener('mouseover', (e) => {
+                const target = e.target.closest('[data-tooltip-value]');
+                if (!target) return;
+
+                const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+                if (content) {
+                    customTooltip.textContent = content;
+                    customTooltip.classList.remove('hidden');
+                }
+            });
+
+            detailView.addEventListener('mousemove', (e) => {
+                if (!customTooltip.classList.contains('hidden')) {
+                    customTooltip.style.left = `${e.pageX + 15}px`;
+                    customTooltip.style.top = `${e.pageY + 15}px`;
+                }
+            });
+
+            detailView.addEventListener('mouseout', (e) => {
+                if (e.target.closest('[data-tooltip-value]')) {
+                    customTooltip.classList.add('hidden');
+                }
+            });
+        }
+    },
+
+    /**
+     * Load the default list or search results
+     */
+    async loadStreams() {
+        const requestId = ++state.loadRequestId;
+        const isLatest = () => requestId === state.loadRequestId;
+
+        const loadingEl = document.getElementById('streams-loading');
+        if (loadingEl) loadingEl.classList.remove('hidden');
+
+        try {
+            const streams = state.searchQuery
+                ? await searchStreams(state.searchQuery)
+                : await fetchSponsoredStreams();
+            if (!isLatest()) return;
+            state.streams = streams;
+            renderList();
+        } catch (err) {
+            if (!isLatest()) return;
+            console.error("Failed to fetch streams:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load streams',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            if (isLatest() && loadingEl) loadingEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Show stream detail by ID (called from router)
+     */
+    async showStreamDetail(streamId) {
+        this.ensureInitialized();
+        state.isActive = true;
+
+        // Switching streams drops the previous tail
+        if (state.tail.streamId !== streamId) {
+            await this.unsubscribe();
+            state.tail.messages = [];
+            state.tail.totalReceived = 0;
+            state.tail.receivedTimestamps = [];
+            state.tail.selectedIndex = null;
+        }
+
+        state.selectedStream = { id: streamId, sponsorships: [] };
+        renderDetail(state.selectedStream);
+        renderTailStatus();
+        renderTailMessages();
+        renderInspector();
+
+        try {
+            const stream = await fetchStreamById(streamId);
+            if (!state.isActive || state.selectedStream?.id !== streamId) return;
+
+            // Streams without on-chain sponsorship data can still be tailed
+            if (stream) {
+                state.selectedStream = stream;
+                renderDetail(stream);
+            }
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Failed to load stream:', err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load stream',
+                message: err.message,
+                duration: 5000
+            });
+        }
+    },
+
+    /**
+     * Subscribe to the stream's live tail
+     */
+    async subscribe(streamId) {
+        renderTailStatus('connecting');
+        const subscriptionId = ++state.tail.subscriptionId;
+        state.tail.streamId = streamId;
+        state.tail.isPaused = false;
+
+        try {
+            const subscription = await subscribeToStreamTail(streamId, (content, metadata) => {
+                const now = Date.now();
+                state.tail.totalReceived += 1;
+                state.tail.receivedTimestamps.push(now);
+
+                state.tail.messages.unshift({
+                    content,
+                    timestamp: metadata?.timestamp || now,
+                    publisherId: metadata?.publisherId,
+                    partition: metadata?.streamPartition
+                });
+                if (state.tail.messages.length > STREAM_TAIL_MAX_MESSAGES) {
+                    state.tail.messages.length = STREAM_TAIL_MAX_MESSAGES;
+                }
+                if (state.tail.selectedIndex !== null) {
+                    state.tail.selectedIndex = Math.min(state.tail.selectedIndex + 1, state.tail.messages.length - 1);
+                }
+
+                if (!state.tail.isPaused) renderTailMessages();
+            });
+
+            // Unsubscribed, navigated away or switched streams while connecting
+            if (subscriptionId !== state.tail.subscriptionId || !state.isActive || state.tail.streamId !== streamId) {
+                try { await subscription.unsubscribe(); } catch (e) { /* ignore */ }
+                return;
+            }
+
+            state.tail.isSubscribed = true;
+            clearInterval(state.tail.rateIntervalId);
+            state.tail.rateIntervalId = setInterval(() => renderTailStatus(), 1000);
+            renderTailStatus();
+            renderTailMessages();
+        } catch (err) {
+            if (subscriptionId !== state.tail.subscriptionId) return;
+            console.error(`[Streamr] Error subscribing to ${streamId}:`, err);
+            state.tail.isSubscribed = false;
+            renderTailStatus('error');
+            showToast({
+                type: 'error',
+                title: 'Subscription failed',
+                message: err.message,
+                duration: 5000
+            });
+        }
+    },
+
+    /**
+     * Stop the live tail
+     */
+    async unsubscribe() {
+        state.tail.subscriptionId++;
+        clearInterval(state.tail.rateIntervalId);
+        state.tail.rateIntervalId = null;
+        state.tail.isSubscribed = false;
+        state.tail.isPaused = false;
+        state.tail.streamId = null;
+        await unsubscribeFromStreamTail();
+        renderTailStatus();
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+        // Also cancels a subscription that is still connecting
+        if (state.tail.isSubscribed || state.tail.streamId) {
+            this.unsubscribe();
+        }
+    }
+};
+
+export default StreamsLogic;
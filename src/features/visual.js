@@ -1,5 +1,6 @@
 import { formatBigNumber } from '../core/utils.js';
-import { getGraphUrl } from '../core/constants.js';
+import { SUBGRAPH_CACHE_TTL } from '../core/constants.js';
+import { runQuery, isAbortError } from '../core/services.js';
 
 const COLOR_SPONSORSHIP = '#f97316'; 
 const COLOR_SPONSORSHIP_LOW = '#ef4444'; 
@@ -25,6 +26,8 @@ export const VisualLogic = {
     height: window.innerHeight,
     hoveredNode: null,
     onNavigateToOperator: null, 
+    onTimelineChange: null,
+    initialTimestamp: null,
     
     nodeMap: new Map(), // For quick node lookup
     
@@ -337,7 +340,31 @@ export const VisualLogic = {
 
         if (window.lucide) lucide.createIcons();
         await this.fetchMetadata();
-        this.loadData(); 
+        this.loadInitialData();
+    },
+
+    // Opens the timeline at initialTimestamp (set by the router from the URL) or at the latest block
+    loadInitialData: function() {
+        const ts = this.initialTimestamp;
+        this.initialTimestamp = null;
+
+        const totalDuration = this.latestTimestamp - LAUNCH_DATE_TS;
+        if (!ts || totalDuration <= 0 || ts >= this.latestTimestamp - 3600) {
+            this.loadData();
+            return;
+        }
+
+        const percent = Math.max(0, Math.round((ts - LAUNCH_DATE_TS) / totalDuration * 10000) / 100);
+        const slider = document.getElementById('vis-time-slider');
+        if (slider) slider.value = percent;
+        this.sliderValue = percent;
+        this.fetchDataForPercent(percent);
+    },
+
+    // Reports the settled timeline position; null means the latest block
+    notifyTimelineChange: function() {
+        if (!this.onTimelineChange) return;
+        this.onTimelineChange(this.sliderValue >= 100 ? null : this.currentViewTimestamp);
     },
 
     stop: function() {
@@ -1351,13 +1378,12 @@ export const VisualLogic = {
     fetchMetadata: async function() {
         const query = `{ _meta { block { number timestamp } } }`;
         try {
-            const res = await fetch(getGraphUrl(), { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({query}) });
-            const json = await res.json();
-            this.latestBlock = json.data._meta.block.number;
-            this.latestTimestamp = json.data._meta.block.timestamp;
+            const data = await runQuery(query, { routeScoped: true });
+            this.latestBlock = data._meta.block.number;
+            this.latestTimestamp = data._meta.block.timestamp;
             this.currentViewTimestamp = this.latestTimestamp;
             this.updateDateDisplay(this.latestTimestamp);
-        } catch(e) { console.error(e); }
+        } catch(e) { if (!isAbortError(e)) console.error(e); }
     },
 
     handleSliderInput: function(e) {
@@ -1377,6 +1403,7 @@ export const VisualLogic = {
 
     handleSliderChange: function(e) {
         this.fetchDataForPercent(parseFloat(e.target.value));
+        this.notifyTimelineChange();
     },
 
     fetchDataForPercent: function(percent) {
@@ -1425,6 +1452,7 @@ export const VisualLogic = {
         } else {
             btn.innerHTML = '<i data-lucide="play" class="w-3 h-3 ml-0.5 fill-current"></i>';
             btn.classList.remove('pulse-active');
+            this.notifyTimelineChange();
             // Recreate Lucide icons after innerHTML change
             if (window.lucide) window.lucide.createIcons();
         }
@@ -1496,20 +1524,17 @@ export const VisualLogic = {
                     }
                 `;
 
-                const [resOps, resSpons] = await Promise.all([
-                    fetch(getGraphUrl(), { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({query: queryOps}) }),
-                    fetch(getGraphUrl(), { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({query: querySpons}) })
+                const [dataOps, dataSpons] = await Promise.all([
+                    runQuery(queryOps, { allowPartialData: true, routeScoped: true }),
+                    runQuery(querySpons, { routeScoped: true })
                 ]);
 
-                const jsonOps = await resOps.json();
-                const jsonSpons = await resSpons.json();
-
-                if (jsonOps.data && jsonOps.data.operators) {
-                    this.processOperators(jsonOps.data.operators);
+                if (dataOps && dataOps.operators) {
+                    this.processOperators(dataOps.operators);
                 }
                 
-                if (jsonSpons.data && jsonSpons.data.sponsorships) {
-                    this.processData(jsonSpons.data.sponsorships, null);
+                if (dataSpons && dataSpons.sponsorships) {
+                    this.processData(dataSpons.sponsorships, null);
                 }
 
             } else {
@@ -1537,15 +1562,18 @@ export const VisualLogic = {
                     }
                 `;
 
-                const res = await fetch(getGraphUrl(), { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({query}) });
-                const json = await res.json();
+                // Sponsorships at a past block never change
+                const data = await runQuery(query, {
+                    ttl: blockNumber !== null ? SUBGRAPH_CACHE_TTL.IMMUTABLE : 0,
+                    routeScoped: true
+                });
                 
-                if (blockNumber !== null) this.dataCache.set(blockNumber + (this.isShowDelegators ? '_del' : ''), json.data.sponsorships);
-                this.processData(json.data.sponsorships, blockNumber);
+                if (blockNumber !== null) this.dataCache.set(blockNumber + (this.isShowDelegators ? '_del' : ''), data.sponsorships);
+                this.processData(data.sponsorships, blockNumber);
             }
 
         } catch (err) {
-            console.error(err);
+            if (!isAbortError(err)) console.error(err);
         } finally {
             if(!this.isPlaying && loader) setTimeout(() => { loader.style.display = 'none'; }, 200);
             if(this.isPlaying) setTimeout(() => this.advanceTimeline(), this.refreshDelayMs); 
@@ -0,0 +1,431 @@
+/**
+ * Watchlist Feature Module
+ * Dashboard of watched operators and delegators, highlighting what changed since the previous visit
+ */
+
+import { STORAGE_KEYS, getWatchlist, saveWatchlist, normalizeWatchlist } from '../core/constants.js';
+import { escapeHtml, formatBigNumber, convertWeiToData, formatUsdForTooltip, parseOperatorMetadata, shortAddress, calculateWeightedApy } from '../core/utils.js';
+import { runQuery, isAbortError } from '../core/services.js';
+import { showToast, customTooltip, downloadTextFile } from '../ui/ui.js';
+
+// ============================================
+// State Management
+// ============================================
+
+const state = {
+    cards: [],
+    // Snapshot from the previous visit that changes are compared against
+    baseline: null,
+    isLoading: false,
+
+    // Price data
+    dataPriceUSD: null,
+
+    // Module state
+    isInitialized: false,
+    isActive: false
+};
+
+// The baseline is copied here once per browser session, so reloads during a visit keep showing the same changes
+const BASELINE_SESSION_KEY = 'watchlist-baseline';
+const EXPORT_VERSION = 1;
+const WEI_PER_DATA = 10n ** 18n;
+// Smallest APY change (in percentage points) worth highlighting
+const MIN_APY_CHANGE_PP = 0.1;
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Format a wei amount as a DATA string with space separators
+ */
+const formatData = (wei) => formatBigNumber(convertWeiToData((wei || '0').toString()));
+
+const entryKey = (entry) => `${entry.type}:${entry.id}`;
+
+/**
+ * Read the snapshot of the previous visit, taking it from localStorage on the first load of this session
+ */
+function loadBaseline() {
+    let raw = sessionStorage.getItem(BASELINE_SESSION_KEY);
+    if (raw === null) {
+        raw = localStorage.getItem(STORAGE_KEYS.WATCHLIST_SNAPSHOT) || '{}';
+        sessionStorage.setItem(BASELINE_SESSION_KEY, raw);
+    }
+    try {
+        const snapshot = JSON.parse(raw);
+        if (snapshot && typeof snapshot.values === 'object') return snapshot;
+    } catch (e) { /* ignore */ }
+    return { takenAt: null, values: {} };
+}
+
+/**
+ * Store the current figures for the next visit to compare against
+ */
+function saveSnapshot(cards) {
+    const values = {};
+    cards.filter(card => card.found).forEach(card => {
+        values[card.key] = { stakeWei: card.stakeWei.toString(), apy: card.apy, count: card.count };
+    });
+    localStorage.setItem(STORAGE_KEYS.WATCHLIST_SNAPSHOT, JSON.stringify({ takenAt: Math.floor(Date.now() / 1000), values }));
+}
+
+/**
+ * Changes of a card's figures against the baseline (null where there's nothing to compare)
+ */
+function computeChanges(card, baseline) {
+    const previous = baseline.values[card.key];
+    if (!previous || !card.found) return { stakeWei: null, apyPp: null, count: null };
+
+    const stakeWei = card.stakeWei - BigInt(previous.stakeWei || '0');
+    const apyPp = (card.apy - Number(previous.apy || 0)) * 100;
+    const count = card.count - Number(previous.count || 0);
+    return {
+        stakeWei: stakeWei >= WEI_PER_DATA || stakeWei <= -WEI_PER_DATA ? stakeWei : null,
+        apyPp: Math.abs(apyPp) >= MIN_APY_CHANGE_PP ? apyPp : null,
+        count: count !== 0 ? count : null
+    };
+}
+
+// ============================================
+// Data Fetching
+// ============================================
+
+/**
+ * Fetch the watched operators and delegators in one query and build their summary cards
+ */
+async function fetchCards(entries) {
+    if (entries.length === 0) return [];
+
+    const idsOf = (type) => entries.filter(e => e.type === type).map(e => `"${e.id}"`).join(', ');
+    const data = await runQuery(`
+        {
+            operators(first: 1000, where: { id_in: [${idsOf('operator')}] }) {
+                id
+                metadataJsonString
+                valueWithoutEarnings
+                delegatorCount
+                stakes(first: 50) { amountWei sponsorship { spotAPY } }
+            }
+            delegators(first: 1000, where: { id_in: [${idsOf('delegator')}] }) {
+                id
+                numberOfDelegations
+                delegations(first: 50, orderBy: _valueDataWei, orderDirection: desc) {
+                    operatorTokenBalanceWei
+                    operator {
+                        id
+                        valueWithoutEarnings
+                        operatorTokenTotalSupplyWei
+                        stakes(first: 50) { amountWei sponsorship { spotAPY } }
+                    }
+                }
+            }
+        }
+    `, { routeScoped: true });
+
+    return entries.map(entry => {
+        const card = { ...entry, key: entryKey(entry), found: false, name: entry.label || shortAddress(entry.id), stakeWei: 0n, apy: 0, count: 0 };
+
+        if (entry.type === 'operator') {
+            const op = (data.operators || []).find(o => o.id === entry.id);
+            if (!op) return card;
+            return {
+                ...card,
+                found: true,
+                name: entry.label || parseOperatorMetadata(op.metadataJsonString).name || shortAddress(op.id),
+                stakeWei: BigInt(op.valueWithoutEarnings || '0'),
+                apy: calculateWeightedApy(op.stakes),
+                // Same as the operators list: the owner's self-delegation isn't counted
+                count: op.delegatorCount > 0 ? op.delegatorCount - 1 : 0
+            };
+        }
+
+        const delegator = (data.delegators || []).find(d => d.id === entry.id);
+        if (!delegator) return card;
+
+        // Current value of each delegation, and the APY of the operators weighted by it
+        let stakeWei = 0n;
+        let weightedApySum = 0;
+        for (const delegation of delegator.delegations) {
+            const supply = BigInt(delegation.operator.operatorTokenTotalSupplyWei || '0');
+            const valueWei = supply > 0n
+                ? BigInt(delegation.operatorTokenBalanceWei || '0') * BigInt(delegation.operator.valueWithoutEarnings || '0') / supply
+                : 0n;
+            stakeWei += valueWei;
+            weightedApySum += Number(valueWei / WEI_PER_DATA) * calculateWeightedApy(delegation.operator.stakes);
+        }
+        const stakeData = Number(stakeWei / WEI_PER_DATA);
+        return {
+            ...card,
+            found: true,
+            stakeWei,
+            apy: stakeData > 0 ? weightedApySum / stakeData : 0,
+            count: Number(delegator.numberOfDelegations || 0)
+        };
+    });
+}
+
+// ============================================
+// Rendering Functions
+// ============================================
+
+/**
+ * Render a figure of a card with its change since the previous visit
+ */
+function renderMetric(label, valueHtml, change) {
+    return `
+        <div>
+            <p class="text-[10px] text-gray-500 uppercase tracking-wide">${label}</p>
+            <p class="text-sm font-semibold text-white whitespace-nowrap">${valueHtml}</p>
+            ${change ? `<p class="text-[11px] ${change.positive ? 'text-green-400' : 'text-red-400'} whitespace-nowrap">${change.text}</p>` : '<p class="text-[11px] text-transparent select-none">-</p>'}
+        </div>
+    `;
+}
+
+/**
+ * Render the summary cards
+ */
+function render() {
+    const cardsEl = document.getElementById('watchlist-cards');
+    const emptyEl = document.getElementById('watchlist-empty-state');
+    const sinceEl = document.getElementById('watchlist-since');
+    const countEl = document.getElementById('watchlist-count');
+    if (!cardsEl) return;
+
+    if (countEl) countEl.textContent = state.cards.length;
+    if (sinceEl) {
+        sinceEl.textContent = state.baseline?.takenAt
+            ? `Highlighted changes are since your previous visit on ${new Date(state.baseline.takenAt * 1000).toLocaleString()}.`
+            : 'Changes in stake, APY and delegators will be highlighted on your next visit.';
+    }
+    if (emptyEl) emptyEl.classList.toggle('hidden', state.cards.length > 0);
+
+    cardsEl.innerHTML = state.cards.map(card => {
+        const changes = computeChanges(card, state.baseline);
+        const hasChanges = changes.stakeWei !== null || changes.apyPp !== null || changes.count !== null;
+        const link = card.type === 'operator' ? `/operator/${card.id}` : `/delegator/${card.id}`;
+
+        const stakeChange = changes.stakeWei !== null
+            ? { positive: changes.stakeWei > 0n, text: `${changes.stakeWei > 0n ? '+' : '-'}${formatData(changes.stakeWei > 0n ? changes.stakeWei : -changes.stakeWei)} DATA` }
+            : null;
+        const apyChange = changes.apyPp !== null
+            ? { positive: changes.apyPp > 0, text: `${changes.apyPp > 0 ? '+' : ''}${changes.apyPp.toFixed(1)} pp` }
+            : null;
+        const countChange = changes.count !== null
+            ? { positive: changes.count > 0, text: `${changes.count > 0 ? '+' : ''}${changes.count}` }
+            : null;
+
+        return `
+            <div class="bg-[#1E1E1E] border ${hasChanges ? 'border-blue-500/50' : 'border-[#333]'} rounded-xl p-4">
+                <div class="flex justify-between items-start gap-2">
+                    <div class="min-w-0">
+                        <a href="${link}" class="block text-sm font-semibold text-white hover:text-blue-400 transition-colors truncate">${escapeHtml(card.name)}</a>
+                        <p class="text-[10px] text-gray-500 uppercase tracking-wide">${card.type} · ${shortAddress(card.id)}${hasChanges ? ' · <span class="text-blue-400">changed</span>' : ''}</p>
+                    </div>
+                    <button class="watchlist-remove-btn text-xs text-gray-500 hover:text-red-400 transition-colors flex-shrink-0" data-type="${card.type}" data-id="${card.id}">Remove</button>
+                </div>
+                ${card.found ? `
+                <div class="grid grid-cols-3 gap-2 mt-4">
+                    ${renderMetric('Stake', `<span data-tooltip-value="${convertWeiToData(card.stakeWei.toString())}">${formatData(card.stakeWei)}</span>`, stakeChange)}
+                    ${renderMetric('APY', `${(card.apy * 100).toFixed(1)}%`, apyChange)}
+                    ${renderMetric(card.type === 'operator' ? 'Delegators' : 'Operators', card.count, countChange)}
+                </div>` : '<p class="text-xs text-gray-500 mt-4">Not found in the subgraph.</p>'}
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Public API (WatchlistLogic)
+// ============================================
+
+export const WatchlistLogic = {
+    /**
+     * Set shared state from main.js (e.g., dataPriceUSD)
+     */
+    setSharedState(sharedState) {
+        if (sharedState.dataPriceUSD !== undefined) state.dataPriceUSD = sharedState.dataPriceUSD;
+    },
+
+    /**
+     * Initialize the module and load the watched entries
+     */
+    async init() {
+        state.isActive = true;
+
+        if (!state.isInitialized) {
+            this.setupEventListeners();
+            state.isInitialized = true;
+        }
+
+        await this.refresh();
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const addBtn = document.getElementById('watchlist-add-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addEntry());
+        }
+
+        const refreshBtn = document.getElementById('watchlist-refresh-btn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refresh());
+        }
+
+        const exportBtn = document.getElementById('watchlist-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportWatchlist());
+        }
+
+        const importInput = document.getElementById('watchlist-import-input');
+        const importBtn = document.getElementById('watchlist-import-btn');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) await this.importWatchlist(file);
+            });
+        }
+
+        const view = document.getElementById('watchlist-view');
+        if (!view) return;
+
+        view.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.watchlist-remove-btn');
+            if (removeBtn) this.removeEntry(removeBtn.dataset.type, removeBtn.dataset.id);
+        });
+
+        view.addEventListener('mouseover', (e) => {
+            const target = e.target.closest('[data-tooltip-value]');
+            if (!target) return;
+
+            const content = formatUsdForTooltip(target.dataset.tooltipValue, state.dataPriceUSD);
+            if (content) {
+                customTooltip.textContent = content;
+                customTooltip.classList.remove('hidden');
+            }
+        });
+
+        view.addEventListener('mousemove', (e) => {
+            if (!customTooltip.classList.contains('hidden')) {
+                customTooltip.style.left = `${e.pageX + 15}px`;
+                customTooltip.style.top = `${e.pageY + 15}px`;
+            }
+        });
+
+        view.addEventListener('mouseout', (e) => {
+            if (e.target.closest('[data-tooltip-value]')) {
+                customTooltip.classList.add('hidden');
+            }
+        });
+    },
+
+    /**
+     * Add the operator or delegator entered in the form
+     */
+    async addEntry() {
+        const addressInput = document.getElementById('watchlist-add-address');
+        const typeSelect = document.getElementById('watchlist-add-type');
+        const labelInput = document.getElementById('watchlist-add-label');
+
+        const id = addressInput.value.trim().toLowerCase();
+        if (!/^0x[a-f0-9]{40}$/.test(id)) {
+            showToast({ type: 'warning', title: 'Invalid Address', message: 'Enter a full 0x address.' });
+            return;
+        }
+        const entries = getWatchlist();
+        if (entries.some(entry => entry.type === typeSelect.value && entry.id === id)) {
+            showToast({ type: 'info', title: 'Already Watched', message: `This ${typeSelect.value} is already on your watchlist.` });
+            return;
+        }
+
+        saveWatchlist([...entries, { type: typeSelect.value, id, label: labelInput.value }]);
+        addressInput.value = '';
+        labelInput.value = '';
+        await this.refresh();
+    },
+
+    /**
+     * Remove an entry from the watchlist
+     */
+    removeEntry(type, id) {
+        saveWatchlist(getWatchlist().filter(entry => !(entry.type === type && entry.id === id)));
+        state.cards = state.cards.filter(card => !(card.type === type && card.id === id));
+        render();
+    },
+
+    /**
+     * Download the watchlist as JSON
+     */
+    exportWatchlist() {
+        const content = JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), entries: getWatchlist() }, null, 2);
+        downloadTextFile(`watchlist-${new Date().toISOString().slice(0, 10)}.json`, content, 'application/json');
+    },
+
+    /**
+     * Merge the entries of an exported watchlist file into the current one
+     * @param {File} file - JSON file from exportWatchlist (a bare array of entries works too)
+     */
+    async importWatchlist(file) {
+        try {
+            const json = JSON.parse(await file.text());
+            const imported = normalizeWatchlist(Array.isArray(json) ? json : json?.entries);
+            if (imported.length === 0) throw new Error('The file has no valid watchlist entries.');
+
+            const entries = getWatchlist();
+            const known = new Set(entries.map(entryKey));
+            const added = imported.filter(entry => !known.has(entryKey(entry)));
+            saveWatchlist([...entries, ...added]);
+
+            showToast({ type: 'success', title: 'Watchlist Imported', message: `${added.length} new of ${imported.length} entries added.` });
+            await this.refresh();
+        } catch (err) {
+            console.error("Failed to import watchlist:", err);
+            showToast({ type: 'error', title: 'Import Failed', message: escapeHtml(err.message), duration: 5000 });
+        }
+    },
+
+    /**
+     * Reload the watched entries from the subgraph
+     */
+    async refresh() {
+        if (state.isLoading) return;
+        state.isLoading = true;
+
+        const loadingEl = document.getElementById('watchlist-loading');
+        if (loadingEl) loadingEl.classList.remove('hidden');
+
+        try {
+            state.baseline = loadBaseline();
+            state.cards = await fetchCards(getWatchlist());
+            saveSnapshot(state.cards);
+            if (state.isActive) render();
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Failed to load watchlist:", err);
+            showToast({
+                type: 'error',
+                title: 'Failed to load watchlist',
+                message: err.message,
+                duration: 5000
+            });
+        } finally {
+            state.isLoading = false;
+            if (loadingEl) loadingEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Deactivate the module (when navigating away)
+     */
+    stop() {
+        state.isActive = false;
+    }
+};
+
+export default WatchlistLogic;
@@ -1,5 +1,6 @@
 // navigation.js - Handles navigation UI components (sidebar, bottom nav, headers)
-import { STORAGE_KEYS } from '../core/constants.js';
+import { STORAGE_KEYS, SUBGRAPH_MAX_BLOCK_LAG, getCustomSubgraphEndpoints, getCustomRpcEndpoints, isRpcBatchEnabled } from '../core/constants.js';
+import { getRpcEndpointStats } from '../core/services.js';
 
 /**
  * Navigation Controller
@@ -21,6 +22,15 @@ class NavigationController {
         this.desktopPriceValue = document.getElementById('data-price-value');
         this.mobilePriceValue = document.getElementById('mobile-data-price');
         
+        // Subgraph indexer elements
+        this.indexerStatusBox = document.getElementById('indexer-status-box');
+        this.indexerStatusDot = document.getElementById('indexer-status-dot');
+        this.indexerStatusLabel = document.getElementById('indexer-status-label');
+        this.indexerStatusLag = document.getElementById('indexer-status-lag');
+        this.mobileIndexerStatusDot = document.getElementById('mobile-indexer-status-dot');
+        this.desktopDataFreshness = document.getElementById('desktop-data-freshness');
+        this.mobileDataFreshness = document.getElementById('mobile-data-freshness');
+        
         // Wallet elements
         this.mobileWalletBtn = document.getElementById('mobile-wallet-btn');
         this.sidebarWallet = document.getElementById('sidebar-wallet');
@@ -39,7 +49,13 @@ class NavigationController {
             'visual': 'Network Map',
             'race': 'Leaderboard',
             'delegators': 'Delegators',
-            'streams': 'Streams'
+            'sponsorships': 'Sponsorships',
+            'portfolio': 'Portfolio',
+            'queues': 'Undelegation Queues',
+            'compare': 'Compare Operators',
+            'watchlist': 'Watchlist',
+            'streams': 'Streams',
+            'not-found': 'Page Not Found'
         };
         
         this.currentPage = 'operators';
@@ -64,6 +80,8 @@ class NavigationController {
         
         // Check for operator detail view
         if (segments[0] === 'operator') return 'operators';
+        if (segments[0] === 'sponsorship') return 'sponsorships';
+        if (segments[0] === 'stream') return 'streams';
         
         // Check for known pages
         const page = segments[0];
@@ -357,6 +375,70 @@ class NavigationController {
         }
     }
     
+    /**
+     * Update the active subgraph indexer and its block lag in both headers
+     * @param {Object} status - From getSubgraphStatus()
+     */
+    updateIndexerStatus(status) {
+        let dotClass = 'bg-gray-500';
+        let lagText = '--';
+        if (status.error) {
+            dotClass = 'bg-red-500';
+            lagText = 'Error';
+        } else if (status.lag !== null) {
+            dotClass = status.lag > SUBGRAPH_MAX_BLOCK_LAG ? 'bg-yellow-500' : 'bg-green-500';
+            lagText = status.lag === 0 ? 'Synced' : `${status.lag.toLocaleString()} blocks behind`;
+        }
+        
+        const details = status.endpoints.map(e => {
+            const state = e.error ? `error: ${e.error}` : typeof e.blockNumber === 'number' ? `block ${e.blockNumber.toLocaleString()}` : 'not checked yet';
+            return `${e.url === status.endpoint ? '● ' : ''}${e.label}: ${state}`;
+        }).join('\n');
+        
+        [this.indexerStatusDot, this.mobileIndexerStatusDot].forEach(dot => {
+            if (dot) dot.className = `w-2 h-2 rounded-full flex-shrink-0 ${dotClass}`;
+        });
+        if (this.indexerStatusLabel) this.indexerStatusLabel.textContent = status.label;
+        if (this.indexerStatusLag) this.indexerStatusLag.textContent = lagText;
+        if (this.indexerStatusBox) this.indexerStatusBox.title = details;
+        if (this.mobileIndexerStatusDot) this.mobileIndexerStatusDot.title = `${status.label}: ${lagText}`;
+    }
+    
+    /**
+     * Show how far the indexed block behind the latest subgraph data trails the chain head
+     * @param {Object} status - Subgraph status from onSubgraphStatusChange
+     */
+    updateDataFreshness(status) {
+        const badges = [this.desktopDataFreshness, this.mobileDataFreshness].filter(Boolean);
+        const data = status.data;
+        if (!data) {
+            badges.forEach(badge => badge.classList.add('hidden'));
+            return;
+        }
+        
+        let text = `Block ${data.blockNumber.toLocaleString()}`;
+        let colorClass = 'bg-gray-700/50 text-gray-300';
+        if (data.lag !== null) {
+            const isStale = data.lag > SUBGRAPH_MAX_BLOCK_LAG;
+            text = isStale ? `${data.lag.toLocaleString()} blocks behind` : 'Up to date';
+            colorClass = isStale ? 'bg-yellow-900/40 text-yellow-400' : 'bg-green-900/40 text-green-400';
+        }
+        
+        const details = [`Data indexed up to block ${data.blockNumber.toLocaleString()}`];
+        if (data.timestamp) {
+            const ageMinutes = Math.max(0, Math.round((Date.now() / 1000 - data.timestamp) / 60));
+            details.push(`Block mined ${ageMinutes < 1 ? 'less than a minute' : `${ageMinutes} min`} ago`);
+        }
+        if (status.headBlock !== null) details.push(`Chain head: block ${status.headBlock.toLocaleString()}`);
+        
+        badges.forEach(badge => {
+            badge.dataset.baseClass ??= badge.className.replace('hidden', '').trim();
+            badge.className = `${badge.dataset.baseClass} ${colorClass}`;
+            badge.textContent = text;
+            badge.title = details.join('\n');
+        });
+    }
+    
     /**
      * Update wallet display in navigation
      */
@@ -496,12 +578,51 @@ class NavigationController {
         if (etherscanInput) {
             etherscanInput.value = localStorage.getItem(STORAGE_KEYS.ETHERSCAN_API_KEY) || '';
         }
+        const endpointsInput = document.getElementById('subgraph-endpoints-input');
+        if (endpointsInput) {
+            endpointsInput.value = getCustomSubgraphEndpoints().join('\n');
+        }
+        const rpcInput = document.getElementById('rpc-endpoints-input');
+        if (rpcInput) {
+            rpcInput.value = getCustomRpcEndpoints().map(e => e.rateLimit ? `${e.url} ${e.rateLimit}` : e.url).join('\n');
+        }
+        const rpcBatchInput = document.getElementById('rpc-batch-enabled');
+        if (rpcBatchInput) {
+            rpcBatchInput.checked = isRpcBatchEnabled();
+        }
+        this.renderRpcEndpointStats();
+        const ipfsUrlInput = document.getElementById('ipfs-api-url-input');
+        const ipfsAuthInput = document.getElementById('ipfs-api-auth-input');
+        if (ipfsUrlInput) {
+            ipfsUrlInput.value = localStorage.getItem(STORAGE_KEYS.IPFS_API_URL) || '';
+        }
+        if (ipfsAuthInput) {
+            ipfsAuthInput.value = localStorage.getItem(STORAGE_KEYS.IPFS_API_AUTH) || '';
+        }
         
         if (settingsModal) {
             settingsModal.classList.remove('hidden');
         }
     }
     
+    /**
+     * List the configured RPC endpoints with their latency and usage in Settings
+     */
+    renderRpcEndpointStats() {
+        const list = document.getElementById('rpc-endpoints-status');
+        if (!list) return;
+        
+        list.replaceChildren(...getRpcEndpointStats().map(endpoint => {
+            const item = document.createElement('li');
+            item.className = `text-xs font-mono truncate ${endpoint.coolingDown ? 'text-red-400' : 'text-gray-500'}`;
+            const latency = endpoint.latencyMs === null ? 'not used yet' : `${endpoint.latencyMs} ms`;
+            const limit = endpoint.rateLimit ? ` · max ${endpoint.rateLimit}/s` : '';
+            item.textContent = `${endpoint.url} · ${latency} · ${endpoint.requests} requests${limit}`;
+            if (endpoint.lastError) item.title = `Last error: ${endpoint.lastError}`;
+            return item;
+        }));
+    }
+    
     /**
      * Open about modal
      */
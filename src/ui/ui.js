@@ -1,7 +1,9 @@
-import { escapeHtml, formatBigNumber, convertWeiToData, createAddressLink, createEntityLink, parseOperatorMetadata, calculateWeightedApy } from '../core/utils.js';
+import { escapeHtml, formatBigNumber, convertWeiToData, createAddressLink, createEntityLink, parseOperatorMetadata, calculateWeightedApy, isValidIpfsCid, getIpfsImageUrl, estimateQueuePayouts } from '../core/utils.js';
 import { getMaticBalance } from '../core/services.js';
 import { regionToLocationMap } from './locationData.js';
-import { MAX_STREAM_MESSAGES } from '../core/constants.js';
+import { MAX_STREAM_MESSAGES, LOW_NODE_BALANCE_POL, NODE_HEARTBEAT_TIMEOUT_MS, isOnWatchlist } from '../core/constants.js';
+import { ALLOCATION_STRATEGIES, DEFAULT_ALLOCATION_STRATEGY, getAllocationStrategy } from '../features/autostakerStrategies.js';
+import { NOTIFICATION_EVENTS, CHANNEL_TYPES } from '../features/notifications.js';
 
 // --- Element Cache ---
 export const loginModal = document.getElementById('loginModal');
@@ -16,12 +18,27 @@ export const raceView = document.getElementById('race-view');
 export const visualView = document.getElementById('visual-view'); 
 export const delegatorsListView = document.getElementById('delegators-list-view'); 
 export const delegatorDetailView = document.getElementById('delegator-detail-view'); 
+export const sponsorshipsListView = document.getElementById('sponsorships-list-view');
+export const sponsorshipDetailView = document.getElementById('sponsorship-detail-view');
+export const streamsListView = document.getElementById('streams-list-view');
+export const streamDetailView = document.getElementById('stream-detail-view');
+export const portfolioView = document.getElementById('portfolio-view');
+export const operatorNewView = document.getElementById('operator-new-view');
+export const queuesView = document.getElementById('queues-view');
+export const compareView = document.getElementById('compare-view');
+export const watchlistView = document.getElementById('watchlist-view');
+export const notFoundView = document.getElementById('not-found-view');
 export const customTooltip = document.getElementById('custom-tooltip');
 export const loaderOverlay = document.getElementById('loader-overlay');
 export const dataPriceValueEl = document.getElementById('data-price-value');
 export const transactionModal = document.getElementById('transactionModal');
 export const stakeModal = document.getElementById('stakeModal');
 export const settingsModal = document.getElementById('settingsModal');
+export const voteFlagModal = document.getElementById('voteFlagModal');
+export const flagModal = document.getElementById('flagModal');
+export const walletsModal = document.getElementById('walletsModal');
+export const createSponsorshipModal = document.getElementById('createSponsorshipModal');
+export const topUpSponsorshipModal = document.getElementById('topUpSponsorshipModal');
 export const theGraphApiKeyInput = document.getElementById('thegraph-api-key-input');
 // Transaction Modal Elements
 export const txModalAmount = document.getElementById('tx-modal-amount');
@@ -37,6 +54,7 @@ export const operatorSettingsModalNameInput = document.getElementById('operator-
 export const operatorSettingsModalDescriptionInput = document.getElementById('operator-settings-modal-description-input');
 export const operatorSettingsModalCutInput = document.getElementById('operator-settings-modal-cut');
 export const operatorSettingsModalRedundancyInput = document.getElementById('operator-settings-modal-redundancy');
+export const operatorSettingsModalImageCidInput = document.getElementById('operator-settings-modal-image-cid');
 
 
 // --- Module State ---
@@ -352,6 +370,16 @@ export function displayView(view) {
     if (visualView) visualView.style.display = 'none';
     if (delegatorsListView) delegatorsListView.style.display = 'none';
     if (delegatorDetailView) delegatorDetailView.style.display = 'none';
+    if (sponsorshipsListView) sponsorshipsListView.style.display = 'none';
+    if (sponsorshipDetailView) sponsorshipDetailView.style.display = 'none';
+    if (streamsListView) streamsListView.style.display = 'none';
+    if (streamDetailView) streamDetailView.style.display = 'none';
+    if (portfolioView) portfolioView.style.display = 'none';
+    if (operatorNewView) operatorNewView.style.display = 'none';
+    if (queuesView) queuesView.style.display = 'none';
+    if (compareView) compareView.style.display = 'none';
+    if (watchlistView) watchlistView.style.display = 'none';
+    if (notFoundView) notFoundView.style.display = 'none';
 
     // Show/hide navigation based on view (visual is fullscreen)
     const bottomNav = document.getElementById('bottom-nav');
@@ -372,6 +400,30 @@ export function displayView(view) {
     } else if (view === 'delegator-detail') {
         if (delegatorDetailView) delegatorDetailView.style.display = 'block';
         window.scrollTo(0, 0);
+    } else if (view === 'sponsorships-list') {
+        if (sponsorshipsListView) sponsorshipsListView.style.display = 'block';
+    } else if (view === 'sponsorship-detail') {
+        if (sponsorshipDetailView) sponsorshipDetailView.style.display = 'block';
+        window.scrollTo(0, 0);
+    } else if (view === 'streams-list') {
+        if (streamsListView) streamsListView.style.display = 'block';
+    } else if (view === 'stream-detail') {
+        if (streamDetailView) streamDetailView.style.display = 'block';
+        window.scrollTo(0, 0);
+    } else if (view === 'portfolio') {
+        if (portfolioView) portfolioView.style.display = 'block';
+    } else if (view === 'compare') {
+        if (compareView) compareView.style.display = 'block';
+    } else if (view === 'watchlist') {
+        if (watchlistView) watchlistView.style.display = 'block';
+    } else if (view === 'queues') {
+        if (queuesView) queuesView.style.display = 'block';
+    } else if (view === 'not-found') {
+        if (notFoundView) notFoundView.style.display = 'block';
+        window.scrollTo(0, 0);
+    } else if (view === 'operator-new') {
+        if (operatorNewView) operatorNewView.style.display = 'block';
+        window.scrollTo(0, 0);
     } else { // 'detail'
         operatorDetailView.style.display = 'block';
         window.scrollTo(0, 0);
@@ -389,7 +441,12 @@ export function setModalState(baseId, state, options = {}) {
     const modalMap = {
         'tx-modal': transactionModal,
         'stake-modal': stakeModal,
-        'operator-settings-modal': operatorSettingsModal
+        'operator-settings-modal': operatorSettingsModal,
+        'vote-flag-modal': voteFlagModal,
+        'flag-modal': flagModal,
+        'wallets-modal': walletsModal,
+        'create-sponsorship-modal': createSponsorshipModal,
+        'top-up-sponsorship-modal': topUpSponsorshipModal
     };
     const modalElement = modalMap[baseId];
 
@@ -499,7 +556,7 @@ export function setModalState(baseId, state, options = {}) {
 
 // --- List View Rendering ---
 
-function createOperatorCardHtml(op) {
+function createOperatorCardHtml(op, isPinned = false) {
     let { name, description, imageUrl } = parseOperatorMetadata(op.metadataJsonString);
     if (imageUrl && !imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
         imageUrl = null;
@@ -514,7 +571,8 @@ function createOperatorCardHtml(op) {
     const apyColorClass = roundedApy === 0 ? 'text-red-400' : 'text-green-400';
 
     return `
-     <div class="operator-card bg-[#1E1E1E] p-5 rounded-xl border border-[#333333] card flex flex-col items-center text-center" data-operator-id="${op.id}">
+     <div class="operator-card relative bg-[#1E1E1E] p-5 rounded-xl border ${isPinned ? 'border-yellow-500/40' : 'border-[#333333]'} card flex flex-col items-center text-center" data-operator-id="${op.id}">
+         ${isPinned ? '<span class="absolute top-3 right-3 text-yellow-400 text-sm" title="On your watchlist">★</span>' : ''}
          <img src="${imageUrl || placeholderUrl}" loading="lazy" onerror="this.src='${placeholderUrl}'; this.onerror=null;" alt="Operator Avatar" class="avatar-container w-16 h-16 rounded-full border-2 border-[#333333] object-cover mb-4" ${description ? `data-tooltip-content="${escapeHtml(description)}"` : ''}>
          <div class="w-full">
              <h3 class="operator-name font-bold text-lg text-white truncate" title="${safeOperatorName}">${safeOperatorName}</h3>
@@ -528,22 +586,54 @@ function createOperatorCardHtml(op) {
      </div>`;
 }
 
-export function renderOperatorsList(operators, searchQuery) {
-    if (!operators || operators.length === 0) {
+export function renderOperatorsList(operators, searchQuery, pinnedOperators = []) {
+    if ((!operators || operators.length === 0) && pinnedOperators.length === 0) {
         let message = 'No operators found.';
         if (searchQuery && searchQuery.length > 0) message = `No operators found for your search "${escapeHtml(searchQuery)}".`;
         operatorsGrid.innerHTML = `<p class="text-gray-500 col-span-full">${message}</p>`;
         return;
     }
-    operatorsGrid.innerHTML = operators.map(createOperatorCardHtml).join('');
+    // Watched operators go first and aren't repeated in the regular list
+    const pinnedIds = new Set(pinnedOperators.map(op => op.id));
+    operatorsGrid.innerHTML = pinnedOperators.map(op => createOperatorCardHtml(op, true)).join('') +
+        (operators || []).filter(op => !pinnedIds.has(op.id)).map(op => createOperatorCardHtml(op)).join('');
+}
+
+/**
+ * Render the saved operator list views as chips; the one matching the current URL is highlighted.
+ */
+export function renderSavedOperatorViews(views, activeSearch) {
+    const container = document.getElementById('operator-saved-views');
+    if (!container) return;
+    container.classList.toggle('hidden', views.length === 0);
+    container.innerHTML = `<div class="flex flex-wrap gap-2">${views.map(view => {
+        const isActive = view.search === activeSearch;
+        return `
+        <div class="flex items-center rounded-full border ${isActive ? 'border-blue-500 bg-blue-500/10 text-blue-300' : 'border-[#333333] bg-[#1E1E1E] text-gray-300'} text-xs">
+            <button class="operator-saved-view pl-3 pr-2 py-1.5 hover:text-white" data-view-name="${escapeHtml(view.name)}">${escapeHtml(view.name)}</button>
+            <button class="operator-saved-view-delete pr-3 py-1.5 text-gray-500 hover:text-red-400" data-view-name="${escapeHtml(view.name)}" title="Delete view">&times;</button>
+        </div>`;
+    }).join('')}</div>`;
 }
 
 export function appendOperatorsList(operators) {
-    if (operators?.length > 0) {
-        operatorsGrid.insertAdjacentHTML('beforeend', operators.map(createOperatorCardHtml).join(''));
+    const newOperators = (operators || []).filter(op => !operatorsGrid.querySelector(`[data-operator-id="${op.id}"]`));
+    if (newOperators.length > 0) {
+        operatorsGrid.insertAdjacentHTML('beforeend', newOperators.map(op => createOperatorCardHtml(op)).join(''));
     }
 }
 
+/**
+ * Show whether the operator or delegator of a detail page is on the watchlist
+ */
+export function updateWatchButton(button, isWatched) {
+    if (!button) return;
+    button.textContent = isWatched ? '★ Watching' : '☆ Watch';
+    button.classList.toggle('text-yellow-400', isWatched);
+    button.classList.toggle('text-gray-400', !isWatched);
+    button.title = isWatched ? 'Remove from your watchlist' : 'Add to your watchlist';
+}
+
 // --- Detail View Rendering ---
 
 export async function renderBalances(addresses) {
@@ -554,9 +644,16 @@ export async function renderBalances(addresses) {
         document.querySelectorAll(`#agent-balance-${address}, #node-balance-${address}`).forEach(el => {
             if (el) el.textContent = formattedBalance;
         });
+        const nodeBalanceEl = document.getElementById(`node-balance-${address}`);
+        if (nodeBalanceEl && isLowNodeBalance(balance)) {
+            nodeBalanceEl.classList.replace('text-gray-300', 'text-orange-400');
+            nodeBalanceEl.title = `Low POL balance: the node may not be able to pay for its transactions (below ${LOW_NODE_BALANCE_POL} POL)`;
+        }
     }
 }
 
+const isLowNodeBalance = (balance) => balance !== 'Error' && parseFloat(balance) < LOW_NODE_BALANCE_POL;
+
 export function updateDelegatorsSection(delegations, totalDelegatorCount, operatorData = null) {
     const listEl = document.getElementById('delegators-list');
     const footerEl = document.getElementById('delegators-footer');
@@ -1017,12 +1114,16 @@ export function renderOperatorEarningsChart(labels, dailyData, cumulativeData, i
 export function populateOperatorSettingsModal(operatorData) {
     const { name, description } = parseOperatorMetadata(operatorData.metadataJsonString);
     let redundancyFactor = '1';
+    let imageIpfsCid = '';
     try {
         if (operatorData.metadataJsonString) {
             const meta = JSON.parse(operatorData.metadataJsonString);
             if (meta && meta.redundancyFactor !== undefined) {
                 redundancyFactor = meta.redundancyFactor;
             }
+            if (meta && typeof meta.imageIpfsCid === 'string') {
+                imageIpfsCid = meta.imageIpfsCid;
+            }
         }
     } catch (e) { /* ignore */ }
 
@@ -1032,11 +1133,30 @@ export function populateOperatorSettingsModal(operatorData) {
     operatorSettingsModalDescriptionInput.value = description || '';
     operatorSettingsModalCutInput.value = ownersCutPercent.toString();
     operatorSettingsModalRedundancyInput.value = redundancyFactor;
+    operatorSettingsModalImageCidInput.value = imageIpfsCid;
+    document.getElementById('operator-settings-modal-image-input').value = '';
+    setOperatorSettingsImage(isValidIpfsCid(imageIpfsCid) ? getIpfsImageUrl(imageIpfsCid) : null, '');
     
     document.getElementById('operator-settings-modal-confirm').disabled = false;
     operatorSettingsModal.classList.remove('hidden');
 }
 
+/**
+ * Update the image preview and status line of the operator settings modal
+ * @param {string|null} src - Image URL, or null for the placeholder
+ * @param {string} status - Status text
+ * @param {boolean} [isError] - Show the status as an error
+ */
+export function setOperatorSettingsImage(src, status, isError = false) {
+    const preview = document.getElementById('operator-settings-modal-image-preview');
+    const statusEl = document.getElementById('operator-settings-modal-image-status');
+    if (preview) preview.src = src || 'https://placehold.co/80x80/1E1E1E/a3a3a3?text=OP';
+    if (statusEl) {
+        statusEl.textContent = status;
+        statusEl.classList.toggle('text-red-400', isError);
+        statusEl.classList.toggle('text-gray-500', !isError);
+    }
+}
 
 export function renderOperatorDetails(data, globalState) {
     if (stakeHistoryChart) {
@@ -1074,6 +1194,7 @@ export function renderOperatorDetails(data, globalState) {
     const ownersCutPercent = (BigInt(op.operatorsCutFraction) * 100n) / BigInt('1000000000000000000');
     
     const isOwner = globalState.myRealAddress && op.owner && globalState.myRealAddress.toLowerCase() === op.owner.toLowerCase();
+    const canManageWallets = isOwner || (globalState.myRealAddress && op.controllers?.some(agent => agent.toLowerCase() === globalState.myRealAddress.toLowerCase()));
     const editSettingsButtonHtml = isOwner ? `
         <div class="mb-4">
             <button id="edit-operator-settings-btn" class="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors flex items-center text-sm">
@@ -1086,6 +1207,8 @@ export function renderOperatorDetails(data, globalState) {
         </div>
     ` : '';
 
+    const isWatched = isOnWatchlist('operator', op.id);
+
     const headerStatsHtml = `
         <div class="detail-section px-4 sm:px-6 pt-4 sm:pt-6 pb-2">
             <div class="flex items-start gap-4 sm:gap-6">
@@ -1097,6 +1220,10 @@ export function renderOperatorDetails(data, globalState) {
                 <div class="flex-shrink-0 text-right">
                     <p class="text-xs sm:text-sm text-gray-400 font-semibold mb-1">APY</p>
                     <p class="text-2xl sm:text-3xl lg:text-4xl font-extrabold text-green-400 whitespace-nowrap">${Math.round(apy * 100)}%</p>
+                    <div class="mt-1 flex justify-end gap-3">
+                        <button id="add-to-compare-btn" class="text-xs text-gray-400 hover:text-white transition-colors" title="Compare with other operators before delegating">+ Compare</button>
+                        <button id="watch-operator-btn" class="text-xs ${isWatched ? 'text-yellow-400' : 'text-gray-400'} hover:text-white transition-colors" title="${isWatched ? 'Remove from your watchlist' : 'Add to your watchlist'}">${isWatched ? '★ Watching' : '☆ Watch'}</button>
+                    </div>
                 </div>
             </div>
             <div class="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6 mt-4 sm:mt-6">
@@ -1187,6 +1314,7 @@ export function renderOperatorDetails(data, globalState) {
                     <div id="sponsorship-menu-${sp.id}" class="hidden absolute right-0 w-48 bg-[#2C2C2C] border border-[#333333] rounded-md shadow-lg z-20">
                         ${editStakeLink}
                         <a href="#" class="block px-4 py-2 text-sm text-gray-200 hover:bg-[#444444] collect-earnings-link" data-sponsorship-id="${sp.id}">Collect Earnings</a>
+                        ${isAgent ? `<a href="#" class="block px-4 py-2 text-sm text-red-300 hover:bg-[#444444] raise-flag-link" data-sponsorship-id="${sp.id}">Raise Flag</a>` : ''}
                     </div>
                 </div>
             </li>`;
@@ -1226,15 +1354,6 @@ export function renderOperatorDetails(data, globalState) {
             <span id="node-balance-${nodeId}" class="font-mono text-xs text-gray-300 text-right" title="POL Balance">...</span>
         </li>`).join('') : '<li class="text-gray-500 text-sm">No nodes running.</li>';
 
-    const queueHtml = op.queueEntries?.length > 0 ? op.queueEntries.map(entry => `
-            <li class="py-2 border-b border-[#333333]">
-            <div class="flex justify-between items-center">
-                <div class="font-mono text-xs text-gray-300 truncate">${createAddressLink(entry.delegator.id)}</div>
-                <p class="font-mono text-xs text-orange-400 font-semibold" data-tooltip-value="${convertWeiToData(entry.amount)}">${formatBigNumber(convertWeiToData(entry.amount))} DATA</p>
-            </div>
-            <div class="text-xs mt-1 text-gray-400"><p>Queued: ${new Date(entry.date * 1000).toLocaleString()}</p></div>
-        </li>`).join('') : '<li class="text-gray-500 text-sm">The undelegation queue is empty.</li>';
-
     const createFlagHtml = (flag, isTarget) => {
         const sponsorshipUrl = `https://streamr.network/hub/network/sponsorships/${flag.sponsorship.id}`;
         const sponsorshipDisplayText = escapeHtml(flag.sponsorship.stream?.id || flag.sponsorship.id);
@@ -1253,6 +1372,12 @@ export function renderOperatorDetails(data, globalState) {
             resultText = 'False Flag';
         }
 
+        // Open flags show where they are in the review period
+        const isOpen = ['waiting', 'voting'].includes((flag.result || '').toLowerCase());
+        const lifecycleHtml = isOpen && flag.voteEndTimestamp
+            ? `<p class="text-xs text-amber-400">${getFlagVotingWindow(flag).text} · ${flag.votes.length}${flag.reviewerCount ? `/${flag.reviewerCount}` : ''} votes</p>`
+            : '';
+
         const flagPartyText = isTarget
             ? `Flagged by: ${createEntityLink(flag.flagger)}`
             : `Flagged: ${createEntityLink(flag.target)}`;
@@ -1267,6 +1392,7 @@ export function renderOperatorDetails(data, globalState) {
                     <p class="text-xs text-gray-400">${flagPartyText}</p>
                     <p class="text-xs text-gray-400 truncate">Sponsorship: <a href="${sponsorshipUrl}" target="_blank" rel="noopener noreferrer" class="text-gray-300 hover:text-white transition-colors" title="${sponsorshipDisplayText}">${sponsorshipDisplayText}</a></p>
                         <p class="text-xs text-gray-400">Result: <span class="font-semibold">${resultText}</span></p>
+                    ${lifecycleHtml}
                 </div>
                 <button class="text-gray-400 hover:text-white p-1 toggle-vote-list-btn" data-flag-id="${flag.id}"><svg class="w-5 h-5 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M19 9l-7 7-7-7"></path></svg></button>
             </div>
@@ -1294,7 +1420,11 @@ export function renderOperatorDetails(data, globalState) {
                 <div id="delegators-content"><ul id="delegators-list" class="max-h-96 overflow-y-auto pr-2"></ul><div id="delegators-footer" class="mt-4"></div></div>
                 <div id="queue-content" class="hidden">
                     ${op.queueEntries?.length > 0 ? `<button id="process-queue-btn" class="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg text-sm mb-4">Process Queue</button>` : ''}
-                    <ul class="max-h-96 overflow-y-auto pr-2">${queueHtml}</ul>
+                    <div id="queue-summary" class="grid grid-cols-3 gap-3 mb-4"></div>
+                    ${op.queueEntries?.length > 0 ? `
+                    <input type="text" id="queue-lookup-input" placeholder="Delegator address to find in the queue" class="w-full p-2 mb-2 text-xs font-mono bg-[#121212] border border-[#333333] rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-[#555555]">
+                    <p id="queue-lookup-result" class="hidden text-xs text-gray-300 mb-3"></p>` : ''}
+                    <ul id="queue-list" class="max-h-96 overflow-y-auto pr-2"></ul>
                 </div>
             </div>
 
@@ -1341,23 +1471,31 @@ export function renderOperatorDetails(data, globalState) {
                             <button data-view="flags-by" class="w-full px-3 py-2 text-left text-xs text-gray-300 hover:bg-[#3C3C3C] transition-colors">
                                 Flags Initiated <span class="opacity-70">(${flagsAsFlagger?.length || 0})</span>
                             </button>
+                            <button data-view="flags-review" class="w-full px-3 py-2 text-left text-xs text-gray-300 hover:bg-[#3C3C3C] transition-colors">
+                                Flags to Review <span id="flags-review-count" class="opacity-70">(…)</span>
+                            </button>
                         </div>
                     </div>
                 </div>
                 <div id="reputation-content-wrapper" 
                     data-slashes-count="${slashingEvents.length}" 
                     data-flags-against-count="${flagsAgainst?.length || 0}" 
-                    data-flags-by-count="${flagsAsFlagger?.length || 0}">
+                    data-flags-by-count="${flagsAsFlagger?.length || 0}"
+                    data-flags-review-count="…">
                     <div id="slashing-content"><ul class="max-h-96 overflow-y-auto pr-2">${slashesHtml}</ul></div>
                     <div id="flags-against-content" class="hidden"><ul class="max-h-96 overflow-y-auto pr-2">${flagsAgainstHtml}</ul></div>
                     <div id="flags-by-content" class="hidden"><ul class="max-h-96 overflow-y-auto pr-2">${flagsByHtml}</ul></div>
+                    <div id="flags-review-content" class="hidden"><ul id="flags-review-list" class="max-h-96 overflow-y-auto pr-2"><li class="text-gray-500 text-sm">Loading...</li></ul></div>
                 </div>
             </div>
 
             <!-- Wallets Card with Pills -->
             <div class="detail-section p-4 sm:p-6 lg:col-span-2">
                 <div class="flex items-center justify-between gap-3 mb-4">
-                    <h3 class="text-lg sm:text-xl font-semibold text-white">Wallets</h3>
+                    <div class="flex items-center gap-3">
+                        <h3 class="text-lg sm:text-xl font-semibold text-white">Wallets</h3>
+                        ${canManageWallets ? `<button id="manage-wallets-btn" class="px-3 py-1.5 text-xs font-medium rounded-lg bg-[#333333] text-white hover:bg-[#444444] transition-colors">Manage</button>` : ''}
+                    </div>
                     <div id="wallets-tabs" class="flex bg-[#2C2C2C] p-1 rounded-lg flex-shrink-0">
                         <button data-tab="agents" class="px-3 py-1.5 text-xs font-medium rounded-md bg-blue-800 text-white transition-colors">
                             Agents <span class="opacity-70">(${op.controllers?.length || 0})</span>
@@ -1473,6 +1611,80 @@ export function updateOperatorDetails(data, globalState) {
     }
 }
 
+/**
+ * Render the reduced operator page built from contract reads while the subgraph is unavailable
+ * @param {Object} chainData - Result of fetchOperatorOnChain
+ */
+export function renderOperatorOnChainDetails(chainData) {
+    if (stakeHistoryChart) {
+        stakeHistoryChart.destroy();
+        stakeHistoryChart = null;
+    }
+
+    const unavailableHtml = '<span class="text-gray-500" data-tooltip-content="Could not be read from the contract">Unavailable</span>';
+    const dataStat = (wei) => wei === null || wei === undefined
+        ? unavailableHtml
+        : `<span data-tooltip-value="${convertWeiToData(wei)}">${formatBigNumber(convertWeiToData(wei))}</span>`;
+    const stat = (label, valueHtml) => `<div><p class="text-xs sm:text-sm text-gray-400">${label}</p><p class="text-lg sm:text-2xl font-semibold text-white">${valueHtml}</p></div>`;
+
+    const ownersCutHtml = chainData.operatorsCutFraction === null
+        ? unavailableHtml
+        : `${(BigInt(chainData.operatorsCutFraction) * 100n) / BigInt('1000000000000000000')}%`;
+    const queueHtml = chainData.queueIsEmpty === null
+        ? unavailableHtml
+        : chainData.queueIsEmpty ? 'Empty' : '<span class="text-orange-400">Pending payouts</span>';
+    const showMyStake = chainData.myStakeWei !== undefined;
+
+    const stakesHtml = chainData.stakes === null
+        ? `<li class="text-sm">${unavailableHtml}</li>`
+        : chainData.stakes.length > 0 ? chainData.stakes.map(stake => `
+            <li class="py-3 border-b border-[#333333]">
+                <div class="font-mono text-xs text-gray-300 truncate">${createAddressLink(stake.sponsorshipId)}</div>
+                <div class="text-xs mt-2 space-y-1">
+                    <div class="flex justify-between items-center"><span class="text-gray-400">Staked:</span><strong class="text-white font-mono">${dataStat(stake.amountWei)} DATA</strong></div>
+                    <div class="flex justify-between items-center"><span class="text-gray-400">Uncollected Earnings:</span><strong class="text-green-400 font-mono">${dataStat(stake.earningsWei)} DATA</strong></div>
+                </div>
+            </li>`).join('') : '<li class="text-gray-500 text-sm">Not participating in any sponsorships.</li>';
+
+    const nodesHtml = chainData.nodes === null
+        ? `<li class="text-sm">${unavailableHtml}</li>`
+        : chainData.nodes.length > 0 ? chainData.nodes.map(nodeId => `
+            <li class="py-2 border-b border-[#333333]"><div class="font-mono text-xs text-gray-300 truncate">${createAddressLink(nodeId)}</div></li>`).join('')
+            : '<li class="text-gray-500 text-sm">No nodes running.</li>';
+
+    detailContent.innerHTML = `
+        <div class="detail-section p-4 sm:p-6 border border-yellow-600/40 bg-yellow-900/10">
+            <p class="text-sm font-semibold text-yellow-400">Subgraph unavailable: showing on-chain data only</p>
+            <p class="text-xs text-gray-400 mt-1">Read directly from the operator contract on Polygon at block ${chainData.blockNumber.toLocaleString()}. Name, APY, earnings history, delegators, queue entries, agents, flags, slashing events and charts need the subgraph and will return once it is reachable again.</p>
+        </div>
+
+        <div class="detail-section px-4 sm:px-6 pt-4 sm:pt-6 pb-6 mt-8">
+            <h2 class="text-lg sm:text-2xl font-bold text-white font-mono break-all">${createAddressLink(chainData.id)}</h2>
+            <p class="text-xs sm:text-sm text-gray-400 mt-1">Owner: ${chainData.owner ? `<span class="font-mono">${createAddressLink(chainData.owner)}</span>` : unavailableHtml}</p>
+            <div class="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6 mt-4 sm:mt-6">
+                ${stat('Stake (DATA)', dataStat(chainData.valueWithoutEarnings))}
+                ${stat('Deployed Stake (DATA)', dataStat(chainData.totalStakedIntoSponsorshipsWei))}
+                ${stat('Free Funds (DATA)', dataStat(chainData.freeFundsWei))}
+                ${stat('% Owner\'s Cut', ownersCutHtml)}
+                ${stat('Operator Tokens', dataStat(chainData.operatorTokenTotalSupplyWei))}
+                ${stat('Undelegation Queue', queueHtml)}
+                ${stat('Total Earnings (DATA)', '<span class="text-gray-500" data-tooltip-content="Needs the subgraph">Unavailable</span>')}
+                ${showMyStake ? stat('Your Stake (DATA)', dataStat(chainData.myStakeWei)) : ''}
+            </div>
+        </div>
+
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
+            <div class="detail-section p-4 sm:p-6">
+                <h3 class="text-lg sm:text-xl font-semibold text-white mb-4">Sponsorships <span class="opacity-70 text-sm">(${chainData.stakes?.length ?? '?'})</span></h3>
+                <ul class="max-h-96 overflow-y-auto pr-2">${stakesHtml}</ul>
+            </div>
+            <div class="detail-section p-4 sm:p-6">
+                <h3 class="text-lg sm:text-xl font-semibold text-white mb-4">Nodes <span class="opacity-70 text-sm">(${chainData.nodes?.length ?? '?'})</span></h3>
+                <ul class="max-h-96 overflow-y-auto pr-2">${nodesHtml}</ul>
+            </div>
+        </div>`;
+}
+
 // --- UI Toggles ---
 export function toggleStatsPanel(isRefresh, uiState) {
     if (!isRefresh) {
@@ -1497,6 +1709,361 @@ export function toggleVoteList(flagId) {
     document.getElementById(`votes-${flagId}`)?.classList.toggle('hidden');
 }
 
+/**
+ * Sum the votes cast on a flag
+ * @param {Object} flag - Flag with votes
+ * @returns {{kickCount: number, keepCount: number, kickWeight: bigint, keepWeight: bigint}}
+ */
+export function getFlagVoteTally(flag) {
+    const tally = { kickCount: 0, keepCount: 0, kickWeight: 0n, keepWeight: 0n };
+    for (const vote of flag.votes || []) {
+        if (vote.votedKick) {
+            tally.kickCount++;
+            tally.kickWeight += BigInt(vote.voterWeight || '0');
+        } else {
+            tally.keepCount++;
+            tally.keepWeight += BigInt(vote.voterWeight || '0');
+        }
+    }
+    return tally;
+}
+
+function formatTimeLeft(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.max(1, Math.floor((seconds % 3600) / 60));
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Describe where a flag is in its review period
+ * @param {Object} flag - Flag with voteStartTimestamp and voteEndTimestamp
+ * @returns {{canVote: boolean, text: string}}
+ */
+export function getFlagVotingWindow(flag) {
+    const now = Math.floor(Date.now() / 1000);
+    const start = Number(flag.voteStartTimestamp || 0);
+    const end = Number(flag.voteEndTimestamp || 0);
+    if (now < start) return { canVote: false, text: `Voting opens in ${formatTimeLeft(start - now)}` };
+    if (now < end) return { canVote: true, text: `Voting closes in ${formatTimeLeft(end - now)}` };
+    return { canVote: true, text: 'Voting period over, awaiting resolution' };
+}
+
+/**
+ * Render the open flags the operator was selected to review
+ * @param {Array} flags - Flags from Services.fetchFlagsToReview
+ * @param {string} reviewerId - The reviewing operator
+ * @param {boolean} canVote - Whether the connected wallet is an agent of the reviewer
+ */
+export function renderFlagsToReview(flags, reviewerId, canVote) {
+    const listEl = document.getElementById('flags-review-list');
+    const countEl = document.getElementById('flags-review-count');
+    const wrapper = document.getElementById('reputation-content-wrapper');
+    if (countEl) countEl.textContent = `(${flags.length})`;
+    if (wrapper) wrapper.dataset.flagsReviewCount = flags.length;
+    if (!listEl) return;
+
+    if (flags.length === 0) {
+        listEl.innerHTML = '<li class="text-gray-500 text-sm">No open flags to review.</li>';
+        return;
+    }
+
+    listEl.innerHTML = flags.map(flag => {
+        const sponsorshipDisplayText = escapeHtml(flag.sponsorship.stream?.id || flag.sponsorship.id);
+        const tally = getFlagVoteTally(flag);
+        const votingWindow = getFlagVotingWindow(flag);
+        const myVote = flag.votes.find(vote => vote.voter.id.toLowerCase() === reviewerId.toLowerCase());
+
+        let actionHtml;
+        if (myVote) {
+            actionHtml = `<span class="text-xs font-semibold ${myVote.votedKick ? 'text-red-400' : 'text-green-400'}">Voted ${myVote.votedKick ? 'Kick' : 'Keep'}</span>`;
+        } else if (canVote && votingWindow.canVote) {
+            actionHtml = `<button class="vote-flag-btn bg-blue-800 hover:bg-blue-900 text-white text-xs font-medium py-1.5 px-3 rounded-lg" data-flag-id="${escapeHtml(flag.id)}">Vote</button>`;
+        } else {
+            actionHtml = `<span class="text-xs text-gray-500">${!canVote ? 'Agents only' : 'Not open yet'}</span>`;
+        }
+
+        return `
+            <li class="py-2 border-b border-[#333333]">
+                <div class="flex justify-between items-center gap-3">
+                    <div class="min-w-0">
+                        <p class="text-xs text-gray-400">Flagged: ${createEntityLink(flag.target)}</p>
+                        <p class="text-xs text-gray-400">By: ${createEntityLink(flag.flagger)}</p>
+                        <p class="text-xs text-gray-400 truncate">Sponsorship: <a href="https://streamr.network/hub/network/sponsorships/${flag.sponsorship.id}" target="_blank" rel="noopener noreferrer" class="text-gray-300 hover:text-white transition-colors" title="${sponsorshipDisplayText}">${sponsorshipDisplayText}</a></p>
+                        <p class="text-xs text-gray-400">Stake at risk: <span class="font-mono" data-tooltip-value="${convertWeiToData(flag.targetStakeAtRiskWei || '0')}">${formatBigNumber(convertWeiToData(flag.targetStakeAtRiskWei || '0'))}</span> DATA</p>
+                        <p class="text-xs text-gray-400">
+                            Votes (${tally.kickCount + tally.keepCount}/${flag.reviewerCount || '?'}):
+                            <span class="text-red-400 font-semibold">Kick ${formatBigNumber(convertWeiToData(tally.kickWeight.toString()))}</span> ·
+                            <span class="text-green-400 font-semibold">Keep ${formatBigNumber(convertWeiToData(tally.keepWeight.toString()))}</span>
+                        </p>
+                        <p class="text-xs text-amber-400 mt-1">${votingWindow.text}</p>
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">
+                        ${actionHtml}
+                        <button class="text-gray-400 hover:text-white p-1 toggle-vote-list-btn" data-flag-id="review-${escapeHtml(flag.id)}"><svg class="w-5 h-5 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M19 9l-7 7-7-7"></path></svg></button>
+                    </div>
+                </div>
+                <ul id="votes-review-${escapeHtml(flag.id)}" class="hidden mt-2 pl-4 border-l-2 border-gray-700">${flag.votes.map(vote => `
+                    <li class="flex justify-between items-center text-xs py-1">
+                        <span>${createEntityLink(vote.voter)}</span>
+                        <div class="flex items-center gap-2">
+                            <span class="font-mono" data-tooltip-value="${convertWeiToData(vote.voterWeight)}">${formatBigNumber(convertWeiToData(vote.voterWeight))}</span>
+                            <span class="${vote.votedKick ? 'text-red-400' : 'text-green-400'} font-semibold">${vote.votedKick ? 'Kick' : 'Keep'}</span>
+                        </div>
+                    </li>`).join('') || '<li class="text-xs text-gray-500">No votes yet.</li>'}</ul>
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Fill the vote-on-flag modal
+ * @param {Object} flag - Flag being voted on
+ */
+export function populateVoteFlagModal(flag) {
+    const tally = getFlagVoteTally(flag);
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    const targetName = parseOperatorMetadata(flag.target.metadataJsonString)?.name;
+
+    setText('vote-flag-modal-target', targetName || flag.target.id);
+    setText('vote-flag-modal-sponsorship', flag.sponsorship.stream?.id || flag.sponsorship.id);
+    setText('vote-flag-modal-stake', `${formatBigNumber(convertWeiToData(flag.targetStakeAtRiskWei || '0'))} DATA`);
+    setText('vote-flag-modal-deadline', getFlagVotingWindow(flag).text);
+    setText('vote-flag-modal-tally', `Kick ${tally.kickCount} · Keep ${tally.keepCount}`);
+    document.querySelectorAll('input[name="vote-flag-choice"]').forEach(input => { input.checked = false; });
+}
+
+/**
+ * Fill the raise-flag modal. Operators that already have an open flag in the
+ * sponsorship are listed but cannot be selected.
+ * @param {string} sponsorshipLabel - Stream ID or address of the sponsorship
+ * @param {Array|null} targets - Operators from Services.fetchFlagTargets (null while loading)
+ */
+export function populateFlagModal(sponsorshipLabel, targets) {
+    const sponsorshipEl = document.getElementById('flag-modal-sponsorship');
+    const targetSelect = document.getElementById('flag-modal-target');
+    const reasonInput = document.getElementById('flag-modal-reason');
+    if (sponsorshipEl) sponsorshipEl.textContent = sponsorshipLabel;
+    if (reasonInput && targets === null) reasonInput.value = '';
+    if (!targetSelect) return;
+
+    if (targets === null) {
+        targetSelect.innerHTML = '<option value="">Loading...</option>';
+    } else if (targets.length === 0) {
+        targetSelect.innerHTML = '<option value="">No other operators in this sponsorship</option>';
+    } else {
+        targetSelect.innerHTML = '<option value="">Select an operator</option>' + targets.map(target => {
+            const name = parseOperatorMetadata(target.metadataJsonString)?.name;
+            const label = `${name || target.id} (${formatBigNumber(convertWeiToData(target.amountWei))} DATA)${target.isFlagged ? ' - already flagged' : ''}`;
+            return `<option value="${target.id}" ${target.isFlagged ? 'disabled' : ''}>${escapeHtml(label)}</option>`;
+        }).join('');
+    }
+}
+
+/**
+ * Show the flag stake and whether the flagger has enough unlocked stake
+ * @param {Object|null} stakeInfo - Result of Services.fetchFlagStakeInfo (null if it failed)
+ * @returns {boolean} Whether there is enough unlocked stake to raise a flag
+ */
+export function updateFlagModalStake(stakeInfo) {
+    const flagStakeEl = document.getElementById('flag-modal-flag-stake');
+    const unlockedEl = document.getElementById('flag-modal-unlocked-stake');
+    const warningEl = document.getElementById('flag-modal-warning');
+
+    if (!stakeInfo) {
+        if (flagStakeEl) flagStakeEl.textContent = 'Error';
+        if (unlockedEl) unlockedEl.textContent = 'Error';
+        return true;
+    }
+
+    const unlockedWei = stakeInfo.stakedWei.sub(stakeInfo.lockedStakeWei);
+    const hasEnough = unlockedWei.gte(stakeInfo.flagStakeWei);
+    if (flagStakeEl) flagStakeEl.textContent = `${formatBigNumber(convertWeiToData(stakeInfo.flagStakeWei.toString()))} DATA`;
+    if (unlockedEl) unlockedEl.textContent = `${formatBigNumber(convertWeiToData(unlockedWei.toString()))} DATA`;
+    if (warningEl) {
+        warningEl.textContent = hasEnough ? '' : 'Not enough unlocked stake in this sponsorship to cover the flag stake.';
+        warningEl.classList.toggle('hidden', hasEnough);
+    }
+    return hasEnough;
+}
+
+/**
+ * Fill the manage wallets modal with the operator's node addresses and agents
+ * @param {Object} op - Operator data
+ * @param {Map} nodeHeartbeats - Lowercased node address -> { nodeId, lastSeen } from the coordination stream
+ * @param {Set} activeNodes - Node IDs seen heartbeating
+ * @param {boolean} isOwner - Whether the connected wallet owns the operator (only the owner can change agents)
+ */
+export function renderWalletsModal(op, nodeHeartbeats, activeNodes, isOwner) {
+    const nodesList = document.getElementById('wallets-modal-nodes-list');
+    const controllersList = document.getElementById('wallets-modal-controllers-list');
+    const heartbeatSummary = document.getElementById('wallets-modal-heartbeat-summary');
+    if (!nodesList || !controllersList) return;
+
+    if (heartbeatSummary) {
+        const nodeIds = [...activeNodes];
+        heartbeatSummary.innerHTML = nodeIds.length > 0
+            ? `Heartbeating node IDs (${nodeIds.length}): ${nodeIds.map(id => `<span class="font-mono text-gray-300" title="${escapeHtml(id)}">${escapeHtml(id.substring(0, 8))}…</span>`).join(', ')}`
+            : 'No heartbeats received yet on the coordination stream.';
+    }
+
+    const now = Date.now();
+    nodesList.innerHTML = op.nodes?.length > 0 ? op.nodes.map(address => {
+        const heartbeat = nodeHeartbeats.get(address.toLowerCase());
+        let statusHtml = '<span class="text-gray-500">No heartbeat seen</span>';
+        if (heartbeat && now - heartbeat.lastSeen <= NODE_HEARTBEAT_TIMEOUT_MS) {
+            statusHtml = `<span class="text-green-400" title="Node ID ${escapeHtml(heartbeat.nodeId)}">Heartbeating · ${escapeHtml(heartbeat.nodeId.substring(0, 8))}…</span>`;
+        } else if (heartbeat) {
+            statusHtml = `<span class="text-orange-400">Last heartbeat ${Math.round((now - heartbeat.lastSeen) / 60000)} min ago</span>`;
+        }
+        return `
+            <li class="py-2 border-b border-[#333333]">
+                <div class="flex justify-between items-center gap-2">
+                    <div class="font-mono text-xs text-gray-300 truncate">${createAddressLink(address)}</div>
+                    <div class="flex items-center gap-3 flex-shrink-0">
+                        <span id="wallets-node-balance-${address}" class="font-mono text-xs text-gray-300" title="POL Balance">...</span>
+                        <button class="wallets-remove-node-btn text-xs text-red-400 hover:text-red-300" data-address="${address}">Remove</button>
+                    </div>
+                </div>
+                <div class="flex justify-between items-center text-xs mt-1">
+                    ${statusHtml}
+                    <span id="wallets-node-warning-${address}" class="hidden text-orange-400">Low balance</span>
+                </div>
+            </li>`;
+    }).join('') : '<li class="text-gray-500 text-sm py-2">No node addresses registered.</li>';
+
+    controllersList.innerHTML = op.controllers?.length > 0 ? op.controllers.map(address => {
+        const isOwnerAddress = op.owner && address.toLowerCase() === op.owner.toLowerCase();
+        return `
+            <li class="flex justify-between items-center py-2 border-b border-[#333333]">
+                <div class="font-mono text-xs text-gray-300 truncate">${createAddressLink(address)}</div>
+                ${isOwnerAddress
+                    ? '<span class="text-xs text-yellow-400">Owner</span>'
+                    : isOwner ? `<button class="wallets-remove-controller-btn text-xs text-red-400 hover:text-red-300" data-address="${address}">Remove</button>` : ''}
+            </li>`;
+    }).join('') : '<li class="text-gray-500 text-sm py-2">No agents assigned.</li>';
+
+    document.getElementById('wallets-modal-controller-form')?.classList.toggle('hidden', !isOwner);
+    document.getElementById('wallets-modal-controllers-note')?.classList.toggle('hidden', isOwner);
+}
+
+/**
+ * Show a node's POL balance in the manage wallets modal and warn when it is low
+ * @param {string} address - Node address
+ * @param {string} balance - Balance from getMaticBalance
+ */
+export function renderWalletsModalBalance(address, balance) {
+    const balanceEl = document.getElementById(`wallets-node-balance-${address}`);
+    const warningEl = document.getElementById(`wallets-node-warning-${address}`);
+    const isLow = isLowNodeBalance(balance);
+    if (balanceEl) {
+        balanceEl.textContent = `${balance} POL`;
+        balanceEl.classList.toggle('text-orange-400', isLow);
+        balanceEl.classList.toggle('text-gray-300', !isLow);
+    }
+    if (warningEl) {
+        warningEl.textContent = `Low balance (below ${LOW_NODE_BALANCE_POL} POL)`;
+        warningEl.classList.toggle('hidden', !isLow);
+    }
+}
+
+/**
+ * Describe the estimated payout of an undelegation queue entry
+ * @param {Object} estimate - An entry from estimateQueuePayouts
+ * @returns {{text: string, className: string}}
+ */
+export function formatQueueEta(estimate) {
+    if (estimate.isPayableNow) return { text: 'Payable now from free funds', className: 'text-green-400' };
+    if (estimate.etaTimestamp === null) return { text: 'No recent earnings to estimate a payout', className: 'text-gray-500' };
+
+    const days = Math.max(0, Math.ceil((estimate.etaTimestamp * 1000 - Date.now()) / 86400000));
+    const date = new Date(estimate.etaTimestamp * 1000).toLocaleDateString();
+    if (estimate.isForced) {
+        return days === 0
+            ? { text: 'Overdue, anyone can force-unstake to pay it', className: 'text-red-400' }
+            : { text: `By ${date} (~${days}d) at the latest, when anyone can force-unstake to pay it`, className: 'text-amber-400' };
+    }
+    return { text: `Est. ${date} (~${days}d) from earnings`, className: 'text-gray-300' };
+}
+
+/**
+ * Render the undelegation queue tab: summary, entries with their position and the delegator lookup
+ * @param {Object} op - Operator data with queueEntries
+ * @param {{freeFundsWei: bigint, maxQueueSeconds: number}|null} funding - From fetchQueueFunding, null while loading
+ * @param {bigint} dailyEarningsWei - From estimateDailyEarningsWei
+ * @param {string} lookupAddress - Delegator whose position to summarize
+ */
+export function renderQueuePanel(op, funding, dailyEarningsWei, lookupAddress) {
+    const summaryEl = document.getElementById('queue-summary');
+    const listEl = document.getElementById('queue-list');
+    if (!summaryEl || !listEl) return;
+
+    const entries = op.queueEntries || [];
+    const estimates = estimateQueuePayouts(entries, funding?.freeFundsWei ?? 0n, dailyEarningsWei, funding?.maxQueueSeconds ?? 0);
+    const totalQueuedWei = entries.reduce((sum, entry) => sum + BigInt(entry.amount || '0'), 0n);
+    const data = (wei) => formatBigNumber(convertWeiToData(wei.toString()));
+
+    const stat = (label, value, tooltipWei) => `
+        <div class="bg-[#2C2C2C] rounded-lg p-2">
+            <p class="text-[10px] text-gray-500 uppercase tracking-wide">${label}</p>
+            <p class="text-sm font-semibold text-white"${tooltipWei !== undefined ? ` data-tooltip-value="${convertWeiToData(tooltipWei.toString())}"` : ''}>${value}</p>
+        </div>`;
+    summaryEl.innerHTML = entries.length > 0 ? [
+        stat('Queued', data(totalQueuedWei), totalQueuedWei),
+        funding ? stat('Free Funds', data(funding.freeFundsWei), funding.freeFundsWei) : stat('Free Funds', '...'),
+        stat('Earnings / Day', data(dailyEarningsWei), dailyEarningsWei)
+    ].join('') : '';
+
+    const lookup = (lookupAddress || '').toLowerCase();
+    listEl.innerHTML = estimates.length > 0 ? estimates.map((estimate, i) => {
+        const { entry } = estimate;
+        const eta = funding ? formatQueueEta(estimate) : { text: 'Estimating payout...', className: 'text-gray-500' };
+        const isLookup = lookup && entry.delegator.id.toLowerCase() === lookup;
+        return `
+            <li class="py-2 border-b border-[#333333] ${isLookup ? 'bg-blue-900/20 px-2 rounded' : ''}">
+                <div class="flex justify-between items-center">
+                    <div class="font-mono text-xs text-gray-300 truncate"><span class="text-gray-500">#${i + 1}</span> ${createAddressLink(entry.delegator.id)}</div>
+                    <p class="font-mono text-xs text-orange-400 font-semibold" data-tooltip-value="${convertWeiToData(entry.amount)}">${formatBigNumber(convertWeiToData(entry.amount))} DATA</p>
+                </div>
+                <div class="flex justify-between text-xs mt-1 text-gray-400">
+                    <p>Queued: ${new Date(entry.date * 1000).toLocaleString()}</p>
+                    <p>Ahead: ${data(estimate.aheadWei)} DATA</p>
+                </div>
+                <p class="text-xs mt-1 ${eta.className}">${eta.text}</p>
+            </li>`;
+    }).join('') : '<li class="text-gray-500 text-sm">The undelegation queue is empty.</li>';
+
+    const resultEl = document.getElementById('queue-lookup-result');
+    if (!resultEl) return;
+    if (!/^0x[a-f0-9]{40}$/.test(lookup)) {
+        resultEl.classList.add('hidden');
+        return;
+    }
+    const own = estimates.filter(e => e.entry.delegator.id.toLowerCase() === lookup);
+    if (own.length === 0) {
+        resultEl.textContent = 'This address has nothing in the queue.';
+    } else {
+        const ownWei = own.reduce((sum, e) => sum + BigInt(e.entry.amount || '0'), 0n);
+        const last = own[own.length - 1];
+        const eta = funding ? formatQueueEta(last).text : 'estimating payout...';
+        resultEl.textContent = `${own.length} entr${own.length === 1 ? 'y' : 'ies'}, ${data(ownWei)} DATA. ${data(own[0].aheadWei)} DATA ahead. Fully paid: ${eta}`;
+    }
+    resultEl.classList.remove('hidden');
+}
+
+/**
+ * Get the selected vote in the vote-on-flag modal
+ * @returns {boolean|null} True for kick, false for keep, null when nothing is selected
+ */
+export function getVoteFlagChoice() {
+    const selected = document.querySelector('input[name="vote-flag-choice"]:checked');
+    return selected ? selected.value === 'kick' : null;
+}
+
 export function updateChartTimeframeButtons(days, isUsdView, chartType = 'stake') {
     // Chart type pills
     const chartTypeTabs = document.querySelectorAll('#chart-type-tabs button');
@@ -1788,13 +2355,13 @@ export function hideAutostakerModal() {
 
 /**
  * Switch between Autostaker tabs
- * @param {string} tab - Tab name: 'settings', 'sponsorships', 'preview'
+ * @param {string} tab - Tab name: 'settings', 'sponsorships', 'simulate', 'history', 'preview'
  */
 export function switchAutostakerTab(tab) {
     currentAutostakerTab = tab;
     
     // Update tab buttons
-    const tabs = ['settings', 'sponsorships', 'preview'];
+    const tabs = ['settings', 'sponsorships', 'simulate', 'history', 'preview'];
     tabs.forEach(t => {
         const btn = document.getElementById(`autostaker-tab-${t}`);
         const content = document.getElementById(`autostaker-content-${t}`);
@@ -1813,6 +2380,46 @@ export function switchAutostakerTab(tab) {
     });
 }
 
+/**
+ * Fill an allocation strategy <select> and select the given strategy
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} strategyId - Selected strategy ID
+ */
+function populateStrategySelect(select, strategyId) {
+    if (!select) return;
+    if (select.options.length === 0) {
+        select.innerHTML = Object.entries(ALLOCATION_STRATEGIES)
+            .map(([id, strategy]) => `<option value="${id}">${escapeHtml(strategy.label)}</option>`)
+            .join('');
+    }
+    select.value = ALLOCATION_STRATEGIES[strategyId] ? strategyId : DEFAULT_ALLOCATION_STRATEGY;
+}
+
+/**
+ * Show the description of the selected strategy and a summary of pinned sponsorships
+ * @param {string} strategyId - Selected strategy ID
+ * @param {Object} pinnedAllocations - Sponsorship ID -> DATA amount
+ */
+export function updateAutostakerStrategyInfo(strategyId, pinnedAllocations = {}) {
+    const descriptionEl = document.getElementById('autostaker-strategy-description');
+    const pinnedEl = document.getElementById('autostaker-pinned-summary');
+    const strategy = getAllocationStrategy(strategyId);
+
+    if (descriptionEl) descriptionEl.textContent = strategy.description;
+    if (pinnedEl) {
+        const pins = Object.values(pinnedAllocations).filter(amount => Number(amount) > 0);
+        if (strategy.usesPins) {
+            const total = pins.reduce((sum, amount) => sum + Number(amount), 0);
+            pinnedEl.textContent = pins.length > 0
+                ? `${pins.length} pinned sponsorship${pins.length > 1 ? 's' : ''} (${formatBigNumber(total.toString())} DATA). Edit pins in the Sponsorships tab.`
+                : 'No pinned sponsorships yet. Set pin amounts in the Sponsorships tab.';
+            pinnedEl.classList.remove('hidden');
+        } else {
+            pinnedEl.classList.add('hidden');
+        }
+    }
+}
+
 /**
  * Populate Autostaker settings form
  * @param {Object} config - Configuration object
@@ -1833,6 +2440,22 @@ export function populateAutostakerSettings(config) {
     if (autoCollectEnabled) autoCollectEnabled.checked = config.autoCollectEnabled || false;
     if (collectInterval) collectInterval.value = config.autoCollectIntervalHours || 24;
     if (ignoreFirstCollect) ignoreFirstCollect.checked = config.ignoreFirstCollect !== false;
+
+    const guardrailInputs = {
+        'autostaker-max-data-per-cycle': config.maxDataPerCycle || 0,
+        'autostaker-max-data-per-day': config.maxDataPerDay || 0,
+        'autostaker-max-tx-per-cycle': config.maxTransactionsPerCycle || 0,
+        'autostaker-max-gas-per-day': config.maxGasPerDayMatic || 0,
+        'autostaker-breaker-threshold': config.circuitBreakerThreshold ?? 3
+    };
+    for (const [id, value] of Object.entries(guardrailInputs)) {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    }
+    const skipFlagged = document.getElementById('autostaker-skip-flagged');
+    if (skipFlagged) skipFlagged.checked = config.skipFlaggedSponsorships !== false;
+    populateStrategySelect(document.getElementById('autostaker-strategy'), config.allocationStrategy);
+    updateAutostakerStrategyInfo(config.allocationStrategy, config.pinnedAllocations);
 }
 
 /**
@@ -1847,6 +2470,10 @@ export function getAutostakerSettingsFromForm() {
     const autoCollectEnabled = document.getElementById('autostaker-auto-collect-enabled');
     const collectInterval = document.getElementById('autostaker-collect-interval');
     const ignoreFirstCollect = document.getElementById('autostaker-ignore-first-collect');
+    const strategy = document.getElementById('autostaker-strategy');
+    const skipFlagged = document.getElementById('autostaker-skip-flagged');
+    const nonNegative = (id, parse) => Math.max(0, parse(document.getElementById(id)?.value) || 0);
+    const breakerThreshold = parseInt(document.getElementById('autostaker-breaker-threshold')?.value);
 
     return {
         maxSponsorshipCount: parseInt(maxSponsorships?.value) || 20,
@@ -1855,10 +2482,36 @@ export function getAutostakerSettingsFromForm() {
         runIntervalMinutes: parseInt(runInterval?.value) || 5,
         autoCollectEnabled: autoCollectEnabled?.checked || false,
         autoCollectIntervalHours: parseInt(collectInterval?.value) || 24,
-        ignoreFirstCollect: ignoreFirstCollect?.checked !== false
+        ignoreFirstCollect: ignoreFirstCollect?.checked !== false,
+        allocationStrategy: strategy?.value || DEFAULT_ALLOCATION_STRATEGY,
+        maxDataPerCycle: nonNegative('autostaker-max-data-per-cycle', parseInt),
+        maxDataPerDay: nonNegative('autostaker-max-data-per-day', parseInt),
+        maxTransactionsPerCycle: nonNegative('autostaker-max-tx-per-cycle', parseInt),
+        maxGasPerDayMatic: nonNegative('autostaker-max-gas-per-day', parseFloat),
+        skipFlaggedSponsorships: skipFlagged?.checked !== false,
+        circuitBreakerThreshold: Number.isNaN(breakerThreshold) ? 3 : Math.max(0, breakerThreshold)
     };
 }
 
+/**
+ * Show or hide the circuit breaker alert in the Autostaker panel
+ * @param {Object} breaker - Circuit breaker state ({ trippedAt, reason })
+ */
+export function renderAutostakerCircuitBreaker(breaker) {
+    const alertEl = document.getElementById('autostaker-breaker-alert');
+    const reasonEl = document.getElementById('autostaker-breaker-reason');
+    if (!alertEl) return;
+
+    if (breaker.trippedAt) {
+        if (reasonEl) {
+            reasonEl.textContent = `${new Date(breaker.trippedAt).toLocaleString()}: ${breaker.reason || 'Too many failed cycles.'} Review the log, then reset to start the bot again.`;
+        }
+        alertEl.classList.remove('hidden');
+    } else {
+        alertEl.classList.add('hidden');
+    }
+}
+
 /**
  * Update the auto-collect status display
  * @param {Object} config - Configuration object with lastCollectTime
@@ -1916,8 +2569,9 @@ function formatPayoutPerDay(weiPerSec) {
  * Render sponsorships list in the Autostaker modal
  * @param {Array} sponsorships - Array of sponsorship objects
  * @param {Function} onToggleExclude - Callback when exclusion is toggled
+ * @param {Object} [pinOptions] - When set, show pin inputs: { pinnedAllocations, onPinChange }
  */
-export function renderAutostakerSponsorships(sponsorships, onToggleExclude) {
+export function renderAutostakerSponsorships(sponsorships, onToggleExclude, pinOptions = null) {
     const listEl = document.getElementById('autostaker-sponsorships-list');
     if (!listEl) return;
     
@@ -2011,6 +2665,13 @@ export function renderAutostakerSponsorships(sponsorships, onToggleExclude) {
                 
                 <!-- Footer -->
                 <div class="flex items-center justify-end gap-2 pt-4 pb-2 border-t border-[#2a2a2a] min-h-[48px]">
+                    ${pinOptions ? `
+                        <label class="flex items-center gap-2 mr-auto text-xs text-gray-500">
+                            Pin
+                            <input type="number" min="0" step="1" placeholder="-" value="${pinOptions.pinnedAllocations[sp.id.toLowerCase()] || ''}" class="autostaker-pin-input w-24 p-1 text-xs bg-[#121212] border border-[#333333] rounded text-white focus:outline-none focus:ring-1 focus:ring-blue-500" data-sponsorship-id="${sp.id}">
+                            DATA
+                        </label>
+                    ` : ''}
                     ${sp.isStaked ? `
                         <span class="px-4 py-1.5 text-xs bg-blue-500/20 text-blue-400 rounded-md font-medium border border-blue-500/20 flex items-center gap-2">
                             <svg class="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><circle cx="10" cy="10" r="3"/></svg>
@@ -2039,6 +2700,14 @@ export function renderAutostakerSponsorships(sponsorships, onToggleExclude) {
             }
         });
     });
+
+    if (pinOptions) {
+        listEl.querySelectorAll('.autostaker-pin-input').forEach(input => {
+            input.addEventListener('change', () => {
+                pinOptions.onPinChange(input.dataset.sponsorshipId, Math.max(0, parseInt(input.value) || 0));
+            });
+        });
+    }
 }
 
 /**
@@ -2181,4 +2850,474 @@ export function setAutostakerLoading(loading, tab = 'all') {
             actionsList.innerHTML = loadingHtml;
         }
     }
-}
\ No newline at end of file
+}
+
+// --- Autostaker Simulation ---
+
+let autostakerSimulationChart = null;
+
+/**
+ * Populate the simulation inputs from a config
+ * @param {Object} config - Configuration object
+ */
+export function populateAutostakerSimulationForm(config) {
+    const maxSponsorships = document.getElementById('autostaker-sim-max-sponsorships');
+    const minTransaction = document.getElementById('autostaker-sim-min-transaction');
+    const maxMinOperators = document.getElementById('autostaker-sim-max-min-operators');
+
+    if (maxSponsorships) maxSponsorships.value = config.maxSponsorshipCount || 20;
+    if (minTransaction) minTransaction.value = config.minTransactionAmount || 100;
+    if (maxMinOperators) maxMinOperators.value = config.maxAcceptableMinOperatorCount || 4;
+    populateStrategySelect(document.getElementById('autostaker-sim-strategy'), config.allocationStrategy);
+}
+
+/**
+ * Get the parameters entered in the simulation form
+ * @returns {Object} Partial configuration object
+ */
+export function getAutostakerSimulationParams() {
+    const maxSponsorships = document.getElementById('autostaker-sim-max-sponsorships');
+    const minTransaction = document.getElementById('autostaker-sim-min-transaction');
+    const maxMinOperators = document.getElementById('autostaker-sim-max-min-operators');
+    const strategy = document.getElementById('autostaker-sim-strategy');
+
+    return {
+        maxSponsorshipCount: parseInt(maxSponsorships?.value) || 20,
+        minTransactionAmount: parseInt(minTransaction?.value) || 100,
+        maxAcceptableMinOperatorCount: parseInt(maxMinOperators?.value) || 4,
+        allocationStrategy: strategy?.value || DEFAULT_ALLOCATION_STRATEGY
+    };
+}
+
+/**
+ * Render the list of sponsorships excluded in the simulation
+ * @param {Array<{id: string, streamId: string}>} excluded - Excluded sponsorships
+ * @param {Function} onInclude - Callback when an exclusion is removed
+ */
+export function renderAutostakerSimulationExclusions(excluded, onInclude) {
+    const el = document.getElementById('autostaker-sim-excluded');
+    if (!el) return;
+
+    if (excluded.length === 0) {
+        el.innerHTML = 'No sponsorships excluded.';
+        return;
+    }
+
+    el.innerHTML = `
+        <div class="mb-1">Excluded (${excluded.length}):</div>
+        <div class="flex flex-wrap gap-1">
+            ${excluded.map(sp => {
+                const label = sp.streamId.length > 28 ? sp.streamId.substring(0, 25) + '...' : sp.streamId;
+                return `<button class="autostaker-sim-include px-2 py-0.5 rounded-full bg-[#2C2C2C] hover:bg-[#333333] text-gray-300 font-mono" data-sponsorship-id="${escapeHtml(sp.id)}" title="Include ${escapeHtml(sp.streamId)}">${escapeHtml(label)} ✕</button>`;
+            }).join('')}
+        </div>
+    `;
+
+    el.querySelectorAll('.autostaker-sim-include').forEach(btn => {
+        btn.addEventListener('click', () => onInclude(btn.dataset.sponsorshipId));
+    });
+}
+
+/**
+ * Render the result of an Autostaker dry run
+ * @param {Object} result - Result of Autostaker.simulateAllocation
+ * @param {Function} onExclude - Callback when a sponsorship is excluded from the simulation
+ */
+export function renderAutostakerSimulation(result, onExclude) {
+    const resultsEl = document.getElementById('autostaker-sim-results');
+    const applyBtn = document.getElementById('autostaker-sim-apply');
+    if (!resultsEl) return;
+
+    if (autostakerSimulationChart) {
+        autostakerSimulationChart.destroy();
+        autostakerSimulationChart = null;
+    }
+
+    const toData = (wei) => parseFloat(convertWeiToData(wei.toString(), true));
+    const { rows, totals, transactionCount } = result;
+    const payoutDelta = toData(totals.targetPayoutPerDay) - toData(totals.currentPayoutPerDay);
+    const deltaClass = payoutDelta >= 0 ? 'text-green-400' : 'text-red-400';
+
+    let notice = '';
+    if (result.skippedReason) {
+        notice = `<div class="bg-amber-900/30 border border-amber-600/50 rounded-lg p-2 text-xs text-amber-200/80">${escapeHtml(result.skippedReason)}</div>`;
+    } else if (result.isQueuePayment) {
+        notice = `<div class="bg-amber-900/30 border border-amber-600/50 rounded-lg p-2 text-xs text-amber-200/80">The undelegation queue must be paid first. This cycle would only unstake ${formatBigNumber(convertWeiToData(result.queuePaymentAmount.toString()))} DATA; rebalancing happens on the next run.</div>`;
+    }
+
+    const rowsHtml = rows.map(row => {
+        const current = toData(row.currentStake);
+        const target = toData(row.targetStake);
+        const diff = target - current;
+        const truncatedId = row.streamId.length > 24 ? row.streamId.substring(0, 21) + '...' : row.streamId;
+        const diffClass = diff > 0 ? 'text-green-400' : (diff < 0 ? 'text-orange-400' : 'text-gray-500');
+        const diffText = row.action ? `${diff > 0 ? '+' : ''}${formatBigNumber(diff.toFixed(0))}` : '-';
+        return `
+            <tr class="border-b border-[#2a2a2a]">
+                <td class="py-1.5 pr-2 font-mono truncate max-w-[120px]" title="${escapeHtml(row.streamId)}">
+                    ${escapeHtml(truncatedId)}
+                    ${!row.isStakeable ? '<span class="ml-1 text-[10px] text-red-400">expired</span>' : ''}
+                </td>
+                <td class="py-1.5 px-1 text-right">${formatBigNumber(current.toFixed(0))}</td>
+                <td class="py-1.5 px-1 text-right text-white">${formatBigNumber(target.toFixed(0))}</td>
+                <td class="py-1.5 px-1 text-right ${diffClass}">${diffText}</td>
+                <td class="py-1.5 px-1 text-right">${formatBigNumber(toData(row.targetPayoutPerDay).toFixed(2))}</td>
+                <td class="py-1.5 pl-1 text-right">
+                    <button class="autostaker-sim-exclude text-gray-500 hover:text-red-400" data-sponsorship-id="${escapeHtml(row.sponsorshipId)}" title="Exclude from simulation">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    resultsEl.innerHTML = `
+        ${notice}
+        <div class="grid grid-cols-3 gap-2 text-center">
+            <div class="bg-[#2C2C2C] rounded-lg p-2">
+                <div class="text-[10px] text-gray-500">Sponsorships</div>
+                <div class="text-sm text-white">${totals.currentCount} → ${totals.targetCount}</div>
+            </div>
+            <div class="bg-[#2C2C2C] rounded-lg p-2">
+                <div class="text-[10px] text-gray-500">Payout / day</div>
+                <div class="text-sm text-white">${formatBigNumber(toData(totals.targetPayoutPerDay).toFixed(0))}</div>
+                <div class="text-[10px] ${deltaClass}">${payoutDelta >= 0 ? '+' : ''}${formatBigNumber(payoutDelta.toFixed(0))} DATA</div>
+            </div>
+            <div class="bg-[#2C2C2C] rounded-lg p-2">
+                <div class="text-[10px] text-gray-500">Transactions</div>
+                <div class="text-sm text-white">${transactionCount}</div>
+            </div>
+        </div>
+        ${rows.length > 0 ? `
+            <div class="h-48"><canvas id="autostaker-sim-chart"></canvas></div>
+            <table class="w-full text-xs text-gray-400 table-fixed">
+                <thead>
+                    <tr class="text-[10px] text-gray-500 border-b border-[#333333]">
+                        <th class="py-1 pr-2 text-left font-medium w-[34%]">Stream</th>
+                        <th class="py-1 px-1 text-right font-medium">Now</th>
+                        <th class="py-1 px-1 text-right font-medium">Target</th>
+                        <th class="py-1 px-1 text-right font-medium">Δ</th>
+                        <th class="py-1 px-1 text-right font-medium">/day</th>
+                        <th class="py-1 pl-1 w-5"></th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        ` : '<div class="text-center py-6 text-gray-500 text-sm">No sponsorships would be staked with these settings.</div>'}
+    `;
+
+    resultsEl.querySelectorAll('.autostaker-sim-exclude').forEach(btn => {
+        btn.addEventListener('click', () => onExclude(btn.dataset.sponsorshipId));
+    });
+
+    if (applyBtn) applyBtn.classList.remove('hidden');
+
+    const canvas = document.getElementById('autostaker-sim-chart');
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    autostakerSimulationChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.streamId.length > 16 ? row.streamId.substring(0, 13) + '...' : row.streamId),
+            datasets: [
+                {
+                    label: 'Current',
+                    data: rows.map(row => toData(row.currentStake)),
+                    backgroundColor: '#6b7280'
+                },
+                {
+                    label: 'Target',
+                    data: rows.map(row => toData(row.targetStake)),
+                    backgroundColor: '#3b82f6'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { labels: { color: '#9ca3af', boxWidth: 10, font: { size: 10 } } },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => rows[items[0].dataIndex].streamId,
+                        label: (item) => `${item.dataset.label}: ${formatBigNumber(item.raw.toFixed(0))} DATA`
+                    }
+                }
+            },
+            scales: {
+                x: { ticks: { display: false }, grid: { display: false } },
+                y: { ticks: { color: '#6b7280', font: { size: 10 } }, grid: { color: '#2a2a2a' } }
+            }
+        }
+    });
+}
+
+/**
+ * Hide the simulation results (e.g. after parameters change)
+ */
+export function resetAutostakerSimulation() {
+    const resultsEl = document.getElementById('autostaker-sim-results');
+    const applyBtn = document.getElementById('autostaker-sim-apply');
+
+    if (autostakerSimulationChart) {
+        autostakerSimulationChart.destroy();
+        autostakerSimulationChart = null;
+    }
+    if (resultsEl) {
+        resultsEl.innerHTML = '<div class="text-center py-6 text-gray-500 text-sm">Adjust the parameters and run a simulation.</div>';
+    }
+    if (applyBtn) applyBtn.classList.add('hidden');
+}
+
+// --- Autostaker History ---
+
+const HISTORY_STATUS_STYLES = {
+    success: 'bg-green-900/30 text-green-400',
+    partial: 'bg-amber-900/30 text-amber-400',
+    failed: 'bg-red-900/30 text-red-400',
+    error: 'bg-red-900/30 text-red-400',
+    idle: 'bg-[#2C2C2C] text-gray-400'
+};
+
+/**
+ * Trigger a browser download of a text file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadTextFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Render past autostaker cycles from the execution journal
+ * @param {Array} entries - Journal entries, newest first
+ */
+export function renderAutostakerHistory(entries) {
+    const listEl = document.getElementById('autostaker-history-list');
+    const countEl = document.getElementById('autostaker-history-count');
+    if (!listEl) return;
+
+    if (countEl) countEl.textContent = `Past Cycles (${entries.length})`;
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '<div class="text-center py-6 text-gray-500">No cycles recorded yet. Start the bot to build a history.</div>';
+        return;
+    }
+
+    const data = (wei) => formatBigNumber(convertWeiToData(wei));
+    const shortId = (id) => id ? `${id.substring(0, 10)}...` : '-';
+
+    listEl.innerHTML = entries.map(entry => {
+        const time = new Date(entry.startedAt);
+        const statusClass = HISTORY_STATUS_STYLES[entry.status] || HISTORY_STATUS_STYLES.idle;
+        const gas = parseFloat(convertWeiToData(entry.gasCostWei, true));
+
+        const snapshot = entry.analysis ? `
+            <div class="grid grid-cols-2 gap-1 text-gray-400">
+                <span>Free balance</span><span class="text-right text-gray-200">${data(entry.analysis.freeBalanceWei)} DATA</span>
+                <span>Queue</span><span class="text-right text-gray-200">${data(entry.analysis.queueWei)} DATA</span>
+                <span>Strategy</span><span class="text-right text-gray-200">${escapeHtml(entry.config.allocationStrategy || '-')}</span>
+                <span>Sponsorships</span><span class="text-right text-gray-200">${Object.keys(entry.analysis.currentStakes).length} → ${Object.values(entry.analysis.targets).filter(t => t !== '0').length}</span>
+            </div>
+        ` : '';
+
+        const txRows = entry.transactions.map(t => `
+            <div class="flex items-center justify-between gap-2">
+                <span class="${t.reverted ? 'text-red-400' : 'text-green-400'}">${escapeHtml(t.type)} ${t.amountWei ? data(t.amountWei) + ' DATA' : ''}${t.reverted ? ' (reverted)' : ''}</span>
+                <span class="font-mono text-gray-500">${shortId(t.sponsorshipId)}</span>
+                <a href="https://polygonscan.com/tx/${escapeHtml(t.txHash)}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:underline font-mono">${escapeHtml(t.txHash.substring(0, 10))}...</a>
+            </div>
+        `).join('');
+
+        const failureRows = entry.failures.map(f => `
+            <div class="text-red-400">
+                ${escapeHtml(f.type)} <span class="font-mono">${shortId(f.sponsorshipId)}</span>${f.retriesAttempted ? ` (${f.retriesAttempted} retries)` : ''}: ${escapeHtml(f.error)}
+            </div>
+        `).join('');
+
+        const logRows = entry.logs.map(l => `<div class="text-gray-500 break-words">${escapeHtml(l.message)}</div>`).join('');
+
+        return `
+            <details class="bg-[#2C2C2C] rounded-lg border border-[#333333]">
+                <summary class="flex items-center justify-between gap-2 p-2 cursor-pointer select-none">
+                    <span class="text-gray-300">${time.toLocaleString()}</span>
+                    <span class="flex items-center gap-2">
+                        <span class="text-gray-500">${entry.actions.length} action${entry.actions.length === 1 ? '' : 's'}</span>
+                        <span class="px-2 py-0.5 rounded-full ${statusClass}">${escapeHtml(entry.status)}</span>
+                    </span>
+                </summary>
+                <div class="px-2 pb-2 space-y-2 border-t border-[#333333] pt-2">
+                    ${snapshot}
+                    ${entry.error ? `<div class="text-red-400">${escapeHtml(entry.error)}</div>` : ''}
+                    ${entry.analysis?.skippedReason ? `<div class="text-amber-400">${escapeHtml(entry.analysis.skippedReason)}</div>` : ''}
+                    ${txRows ? `<div class="space-y-1">${txRows}</div>` : ''}
+                    ${failureRows ? `<div class="space-y-1">${failureRows}</div>` : ''}
+                    ${entry.transactions.length > 0 ? `<div class="text-gray-500">Gas: ${gas.toFixed(2)} MATIC</div>` : ''}
+                    ${logRows ? `<details><summary class="cursor-pointer text-gray-500">Log (${entry.logs.length})</summary><div class="mt-1 space-y-0.5">${logRows}</div></details>` : ''}
+                </div>
+            </details>
+        `;
+    }).join('');
+}
+
+// --- Notifications ---
+
+const CHANNEL_HINTS = {
+    webhook: 'Receives a JSON POST for every event. Use http://localhost:8787 with "npm run webhook-standin" to test.',
+    discord: 'Discord channel settings → Integrations → Webhooks → Copy Webhook URL.',
+    telegram: 'Create a bot with @BotFather and add it to the chat. The URL field can point at a Telegram API stand-in for testing.'
+};
+
+/**
+ * Show whether browser notifications are allowed
+ * @param {string} permission - Notification.permission, or 'unsupported'
+ */
+export function updateBrowserNotificationStatus(permission) {
+    const statusEl = document.getElementById('notifications-browser-status');
+    if (!statusEl) return;
+
+    const messages = {
+        granted: 'Allowed by the browser.',
+        denied: 'Blocked by the browser. Allow notifications for this site in your browser settings.',
+        default: 'The browser will ask for permission when you save.',
+        unsupported: 'This browser does not support notifications.'
+    };
+    statusEl.textContent = messages[permission] || '';
+    statusEl.className = `text-xs mt-1 ${permission === 'denied' || permission === 'unsupported' ? 'text-red-400' : 'text-gray-500'}`;
+}
+
+/**
+ * Show the fields for the selected channel type in the add-channel form
+ */
+export function updateNotificationChannelForm() {
+    const type = document.getElementById('notifications-channel-type')?.value || 'webhook';
+    const urlInput = document.getElementById('notifications-channel-url');
+    const telegramFields = document.getElementById('notifications-telegram-fields');
+    const hintEl = document.getElementById('notifications-channel-hint');
+
+    if (urlInput) urlInput.placeholder = type === 'telegram' ? 'API URL (optional, defaults to api.telegram.org)' : 'Webhook URL';
+    if (telegramFields) telegramFields.classList.toggle('hidden', type !== 'telegram');
+    if (hintEl) hintEl.textContent = CHANNEL_HINTS[type] || '';
+}
+
+/**
+ * Populate the notifications modal
+ * @param {Object} settings - Notification settings
+ * @param {string} permission - Notification.permission, or 'unsupported'
+ */
+export function populateNotificationSettings(settings, permission) {
+    const browserEnabled = document.getElementById('notifications-browser-enabled');
+    const eventsEl = document.getElementById('notifications-events');
+    const typeSelect = document.getElementById('notifications-channel-type');
+
+    if (browserEnabled) browserEnabled.checked = !!settings.browserEnabled;
+    updateBrowserNotificationStatus(permission);
+
+    if (eventsEl) {
+        eventsEl.innerHTML = Object.entries(NOTIFICATION_EVENTS).map(([type, event]) => `
+            <label class="flex items-center gap-2 text-sm text-gray-400 cursor-pointer select-none">
+                <input type="checkbox" class="notification-event-toggle w-4 h-4 accent-blue-600" data-event="${type}" ${settings.events[type] !== false ? 'checked' : ''}>
+                ${escapeHtml(event.label)}
+            </label>
+        `).join('');
+    }
+
+    if (typeSelect) {
+        typeSelect.innerHTML = Object.entries(CHANNEL_TYPES)
+            .map(([type, channelType]) => `<option value="${type}">${escapeHtml(channelType.label)}</option>`)
+            .join('');
+    }
+    resetNotificationChannelForm();
+}
+
+/**
+ * Render the configured notification channels
+ * @param {Array} channels - Channel configs
+ * @param {Object} handlers - { onToggle(index, enabled), onTest(index), onRemove(index) }
+ */
+export function renderNotificationChannels(channels, { onToggle, onTest, onRemove }) {
+    const listEl = document.getElementById('notifications-channels');
+    if (!listEl) return;
+
+    if (channels.length === 0) {
+        listEl.innerHTML = '<li class="text-xs text-gray-500">No webhooks configured.</li>';
+        return;
+    }
+
+    listEl.innerHTML = channels.map((channel, index) => {
+        const target = channel.type === 'telegram' ? `chat ${channel.chatId}` : channel.url;
+        return `
+            <li class="flex items-center gap-2 bg-[#2C2C2C] rounded-lg p-2 border border-[#333333]">
+                <input type="checkbox" class="notification-channel-toggle w-4 h-4 accent-blue-600 flex-shrink-0" data-index="${index}" ${channel.enabled !== false ? 'checked' : ''} title="Enabled">
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm text-white truncate">${escapeHtml(channel.name || CHANNEL_TYPES[channel.type]?.label || channel.type)}</p>
+                    <p class="text-xs text-gray-500 truncate">${escapeHtml(CHANNEL_TYPES[channel.type]?.label || channel.type)} · ${escapeHtml(target || '')}</p>
+                </div>
+                <button class="notification-channel-test px-2 py-1 text-xs bg-[#333333] hover:bg-[#444444] text-gray-300 rounded transition-colors" data-index="${index}">Test</button>
+                <button class="notification-channel-remove px-2 py-1 text-xs bg-red-900/50 hover:bg-red-800 text-red-300 rounded transition-colors" data-index="${index}">Remove</button>
+            </li>
+        `;
+    }).join('');
+
+    listEl.querySelectorAll('.notification-channel-toggle').forEach(input => {
+        input.addEventListener('change', () => onToggle(parseInt(input.dataset.index, 10), input.checked));
+    });
+    listEl.querySelectorAll('.notification-channel-test').forEach(btn => {
+        btn.addEventListener('click', () => onTest(parseInt(btn.dataset.index, 10)));
+    });
+    listEl.querySelectorAll('.notification-channel-remove').forEach(btn => {
+        btn.addEventListener('click', () => onRemove(parseInt(btn.dataset.index, 10)));
+    });
+}
+
+/**
+ * Read the add-channel form
+ * @returns {Object} Channel config
+ */
+export function getNotificationChannelFromForm() {
+    const type = document.getElementById('notifications-channel-type')?.value || 'webhook';
+    const channel = {
+        type,
+        name: document.getElementById('notifications-channel-name')?.value.trim() || '',
+        url: document.getElementById('notifications-channel-url')?.value.trim() || '',
+        enabled: true
+    };
+    if (type === 'telegram') {
+        channel.botToken = document.getElementById('notifications-channel-bot-token')?.value.trim() || '';
+        channel.chatId = document.getElementById('notifications-channel-chat-id')?.value.trim() || '';
+    }
+    return channel;
+}
+
+/**
+ * Clear the add-channel form
+ */
+export function resetNotificationChannelForm() {
+    ['notifications-channel-name', 'notifications-channel-url', 'notifications-channel-bot-token', 'notifications-channel-chat-id'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    updateNotificationChannelForm();
+}
+
+/**
+ * Read the browser and event settings from the notifications modal
+ * @returns {Object} { browserEnabled, events }
+ */
+export function getNotificationSettingsFromForm() {
+    const events = {};
+    document.querySelectorAll('.notification-event-toggle').forEach(input => {
+        events[input.dataset.event] = input.checked;
+    });
+    return {
+        browserEnabled: document.getElementById('notifications-browser-enabled')?.checked || false,
+        events
+    };
+}